@@ -1,6 +1,15 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
+// Tasks
+task("verify-deployment", "Checks roles, wiring and parameters of a deployment on chain")
+  .addOptionalParam("deployment", "Deployment file (default: deployments/<network>-latest.json)")
+  .addFlag("strict", "Also fail on warnings, e.g. roles the deployer still holds")
+  .setAction(async (taskArgs, hre) => {
+    const { runVerification } = require("./kdao-site/verify-deployment");
+    return runVerification(hre, taskArgs);
+  });
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -9,7 +18,9 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
-      }
+      },
+      // The contracts run into "stack too deep" without the IR pipeline
+      viaIR: true
     }
   },
   
@@ -19,11 +30,24 @@ module.exports = {
     },
     localhost: {
       url: "http://127.0.0.1:8545"
+    },
+    // Same as kdao-site/hardhat.config.js, for the deploy and build scripts
+    kasplex_testnet: {
+      url: process.env.KASPLEX_TESTNET_RPC || "https://testnet-rpc.kasplex.org",
+      chainId: 98765,
+      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+      timeout: 60000
+    },
+    kasplex: {
+      url: process.env.KASPLEX_MAINNET_RPC || "https://rpc.kasplex.org",
+      chainId: 12345,
+      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+      timeout: 60000
     }
   },
   
   paths: {
-    sources: "./contracts",
+    sources: "./kdao-site/contracts",
     tests: "./test",
     cache: "./cache",
     artifacts: "./artifacts"
@@ -0,0 +1,295 @@
+// kdao-site/auth-server.js
+//
+// Sign-In with Ethereum (EIP-4361) for the admin panel. The panel asks for a nonce,
+// the wallet signs the returned message, and the server checks the signature and the
+// account's AccessControl roles on the deployed contracts (deployments/<network>-latest.json).
+// Sessions are held in memory and expire; every session check reads the roles again,
+// so a revoked role ends the session.
+//
+//   npx hardhat run kdao-site/auth-server.js --network localhost
+//
+// API:
+//   GET  /nonce?address=0x..   -> { message, expiresAt }        message to sign, single use
+//   POST /login { message, signature } -> session
+//   GET  /session  (Authorization: Bearer <token>) -> session
+//   POST /logout   (Authorization: Bearer <token>)
+//   GET  /roles                -> panel roles, the on-chain roles behind them and their permissions
+//   session = { token, address, roles, permissions, expiresAt }
+//
+// Environment:
+//   AUTH_PORT          API port (default 8788)
+//   AUTH_SESSION_TTL   session lifetime in seconds (default 28800 = 8 hours)
+//   AUTH_NONCE_TTL     time to sign a nonce in seconds (default 300)
+//   AUTH_ORIGINS       comma separated origins allowed to sign in, e.g. https://kaspadao.org
+//                      (default: any http://localhost or http://127.0.0.1 origin)
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const {
+  colors, log, parseOrigins, isAllowedOrigin, ROLE_PERMISSIONS, getPermissions,
+  httpError, sendJson, sendPreflight, readJsonBody, getBearerToken
+} = require("./server-utils");
+
+const config = {
+  port: Number(process.env.AUTH_PORT || 8788),
+  sessionTtl: Number(process.env.AUTH_SESSION_TTL || 8 * 3600) * 1000,
+  nonceTtl: Number(process.env.AUTH_NONCE_TTL || 300) * 1000,
+  origins: parseOrigins(process.env.AUTH_ORIGINS)
+};
+
+// Keys of deployments/<network>-latest.json -> contract names
+const CONTRACTS = {
+  kdaoToken: "KDAOToken",
+  governance: "KDAOGovernance"
+};
+
+// Panel role -> [contract key, AccessControl role]; any one of them grants the panel role.
+// On mainnet DEFAULT_ADMIN_ROLE goes to the KDAOGovernance contract, which cannot sign in;
+// GUARDIAN_ROLE stays with a wallet and carries every section.
+const ROLE_SOURCES = {
+  admin: [["governance", "DEFAULT_ADMIN_ROLE"], ["kdaoToken", "DEFAULT_ADMIN_ROLE"]],
+  guardian: [["governance", "GUARDIAN_ROLE"]],
+  pauser: [["kdaoToken", "PAUSER_ROLE"]]
+};
+
+const deploymentsDir = path.join(__dirname, "../deployments");
+
+const SIGN_IN_STATEMENT = "Sign in to the KDAO Admin Panel. This does not send a transaction or cost gas.";
+
+// ============ Deployment ============
+
+function readDeployment(networkName) {
+  const file = path.join(deploymentsDir, `${networkName}-latest.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment found at ${file} - run deploy.js for ${networkName} first`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Panel roles of an account, read with hasRole from the contracts (keys of CONTRACTS);
+// roleIds caches the role constants between calls
+async function readPanelRoles(contracts, account, roleIds = {}) {
+  const roles = [];
+  for (const [role, sources] of Object.entries(ROLE_SOURCES)) {
+    for (const [key, constant] of sources) {
+      const id = roleIds[`${key}.${constant}`] || (roleIds[`${key}.${constant}`] = await contracts[key][constant]());
+      if (await contracts[key].hasRole(id, account)) {
+        roles.push(role);
+        break;
+      }
+    }
+  }
+  return roles;
+}
+
+// account -> panel roles, read with hasRole from the deployed contracts
+async function createRoleReader(deployment) {
+  const contracts = {};
+  for (const [key, name] of Object.entries(CONTRACTS)) {
+    const address = deployment.contracts[key];
+    if (!address) {
+      throw new Error(`${name} missing in deployment`);
+    }
+    contracts[key] = await hre.ethers.getContractAt(name, address);
+  }
+
+  const roleIds = {};
+  return (account) => readPanelRoles(contracts, account, roleIds);
+}
+
+// ============ Sessions ============
+
+// EIP-4361 message; the server writes it, so the signed text is exactly what it checks
+function buildSignInMessage({ origin, address, chainId, nonce, issuedAt, expiresAt }) {
+  return [
+    `${new URL(origin).host} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    SIGN_IN_STATEMENT,
+    "",
+    `URI: ${origin}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt).toISOString()}`,
+    `Expiration Time: ${new Date(expiresAt).toISOString()}`
+  ].join("\n");
+}
+
+// readRoles(address) -> panel roles; now() is injectable for tests
+function createAuthService({ chainId, readRoles, sessionTtl = config.sessionTtl, nonceTtl = config.nonceTtl, now = Date.now }) {
+  const nonces = new Map();
+  const sessions = new Map();
+
+  function prune() {
+    const time = now();
+    nonces.forEach((entry, nonce) => entry.expiresAt <= time && nonces.delete(nonce));
+    sessions.forEach((session, token) => session.expiresAt <= time && sessions.delete(token));
+  }
+
+  function toPublic(session) {
+    const { token, address, roles, expiresAt } = session;
+    return { token, address, roles, permissions: getPermissions(roles), expiresAt };
+  }
+
+  function createNonce(address, origin) {
+    if (!hre.ethers.isAddress(address)) {
+      throw httpError(400, "Invalid address");
+    }
+    prune();
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const issuedAt = now();
+    const expiresAt = issuedAt + nonceTtl;
+    const message = buildSignInMessage({
+      origin, address: hre.ethers.getAddress(address), chainId, nonce, issuedAt, expiresAt
+    });
+    nonces.set(nonce, { address: hre.ethers.getAddress(address), message, expiresAt });
+    return { message, expiresAt };
+  }
+
+  async function login({ message, signature } = {}) {
+    const match = typeof message === "string" && message.match(/^Nonce: (\w+)$/m);
+    const entry = match && nonces.get(match[1]);
+    if (!entry || entry.message !== message || entry.expiresAt <= now()) {
+      throw httpError(401, "Unknown or expired nonce");
+    }
+    // Single use, also when the signature is wrong
+    nonces.delete(match[1]);
+
+    let signer;
+    try {
+      signer = hre.ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw httpError(401, "Invalid signature");
+    }
+    if (signer !== entry.address) {
+      throw httpError(401, "Invalid signature");
+    }
+
+    const roles = await readRoles(signer);
+    if (!roles.length) {
+      throw httpError(403, "No admin role for this account");
+    }
+
+    const session = {
+      token: crypto.randomBytes(32).toString("hex"),
+      address: signer,
+      roles,
+      expiresAt: now() + sessionTtl
+    };
+    sessions.set(session.token, session);
+    return toPublic(session);
+  }
+
+  async function getSession(token) {
+    const session = token && sessions.get(token);
+    if (!session || session.expiresAt <= now()) {
+      if (session) sessions.delete(token);
+      throw httpError(401, "Session expired");
+    }
+    session.roles = await readRoles(session.address);
+    if (!session.roles.length) {
+      sessions.delete(token);
+      throw httpError(403, "No admin role for this account");
+    }
+    return toPublic(session);
+  }
+
+  function logout(token) {
+    sessions.delete(token);
+  }
+
+  return { createNonce, login, getSession, logout };
+}
+
+// ============ API ============
+
+function describeRoles() {
+  return Object.entries(ROLE_SOURCES).map(([role, sources]) => ({
+    role,
+    sources: sources.map(([contract, constant]) => ({ contract: CONTRACTS[contract], role: constant })),
+    permissions: ROLE_PERMISSIONS[role]
+  }));
+}
+
+function createAuthServer(service) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const origin = req.headers.origin;
+    if (!isAllowedOrigin(origin, config.origins)) {
+      sendJson(res, 403, { error: "Origin not allowed" });
+      return;
+    }
+
+    try {
+      if (req.method === "OPTIONS") {
+        sendPreflight(res, origin, "GET, POST, OPTIONS");
+      } else if (req.method === "GET" && url.pathname === "/nonce") {
+        sendJson(res, 200, service.createNonce(url.searchParams.get("address"), origin), origin);
+      } else if (req.method === "POST" && url.pathname === "/login") {
+        sendJson(res, 200, await service.login(await readJsonBody(req)), origin);
+      } else if (req.method === "GET" && url.pathname === "/session") {
+        sendJson(res, 200, await service.getSession(getBearerToken(req)), origin);
+      } else if (req.method === "POST" && url.pathname === "/logout") {
+        service.logout(getBearerToken(req));
+        sendJson(res, 200, { ok: true }, origin);
+      } else if (req.method === "GET" && url.pathname === "/roles") {
+        sendJson(res, 200, { roles: describeRoles() }, origin);
+      } else {
+        sendJson(res, 404, { error: "Not found" }, origin);
+      }
+    } catch (error) {
+      if (!error.status) {
+        log(`  ⚠ ${req.method} ${url.pathname} failed: ${error.message}`, colors.red);
+      }
+      sendJson(res, error.status || 500, { error: error.status ? error.message : "Internal error" }, origin);
+    }
+  });
+}
+
+// ============ Main ============
+
+async function main() {
+  const networkName = hre.network.name;
+  const deployment = readDeployment(networkName);
+
+  log("\n========================================", colors.bright);
+  log("   KDAO 2.0 ADMIN AUTH", colors.bright + colors.blue);
+  log("========================================\n", colors.bright);
+  log(`📍 Network: ${networkName} (Chain ID: ${deployment.chainId})`, colors.yellow);
+
+  const service = createAuthService({
+    chainId: deployment.chainId,
+    readRoles: await createRoleReader(deployment)
+  });
+  const server = createAuthServer(service);
+
+  server.listen(config.port, () => {
+    log(`🔐 Auth API on http://127.0.0.1:${config.port} (/nonce, /login, /session, /logout, /roles)`, colors.green);
+    log(`   Origins: ${config.origins.length ? config.origins.join(", ") : "localhost"}`, colors.blue);
+    log(`   Sessions expire after ${config.sessionTtl / 3600000} h\n`, colors.blue);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    log(`\n❌ Auth server failed: ${error.message}`, colors.red);
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  main,
+  createAuthService,
+  createAuthServer,
+  createRoleReader,
+  readPanelRoles,
+  buildSignInMessage,
+  getPermissions,
+  CONTRACTS,
+  ROLE_SOURCES
+};
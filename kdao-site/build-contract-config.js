@@ -0,0 +1,155 @@
+// kdao-site/build-contract-config.js
+//
+// Writes js/config/contracts.<network>.js for the site from deployments/<network>-latest.json
+// and the Hardhat artifacts: addresses, chain ID, RPC and explorer URL, the start block for
+// event queries and the ABIs of the deployed contracts, trimmed to the functions and events
+// js/contracts.js declares. A function the site declares that the artifact doesn't have
+// (renamed, changed arguments) stops the build instead of failing later in the browser.
+//
+//   npx hardhat run kdao-site/build-contract-config.js --network kasplex_testnet
+//
+// The file is versioned with a hash of its content, so a rebuild without a new deployment
+// or ABI change leaves it untouched. The site loads the file of the network it runs on
+// (see getActiveNetwork in js/contracts.js).
+//
+// Environment:
+//   NEXT_PUBLIC_RPC_URL        RPC the browser uses (default: rpcUrl of KDAO_NETWORKS)
+//   NEXT_PUBLIC_EXPLORER_URL   block explorer (default: etherscan customChains, then KDAO_NETWORKS)
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { KDAO_NETWORKS, KDAO_ABIS } = require("./js/contracts");
+const { colors, log } = require("./server-utils");
+
+const deploymentsDir = path.join(__dirname, "../deployments");
+const configDir = path.join(__dirname, "js/config");
+
+// Deployment keys -> contract names in the artifacts
+const CONTRACTS = {
+  governance: "KDAOGovernance",
+  kdaoToken: "KDAOToken",
+  treasury: "TreasuryManager",
+  staking: "StakingRewards",
+  election: "ElectionManager"
+};
+
+// ============ Build ============
+
+// Artifact ABI reduced to the fragments the site declares, as human-readable signatures
+// with the names from the source; throws on fragments it lacks
+function trimAbi(key, artifactAbi, siteAbi) {
+  const { ethers } = hre;
+  const artifact = new ethers.Interface(artifactAbi);
+  const site = new ethers.Interface(siteAbi);
+  const keep = [];
+  const missing = [];
+
+  site.forEachFunction(fragment => {
+    const match = artifact.getFunction(fragment.selector);
+    match ? keep.push(match) : missing.push(fragment.format());
+  });
+  site.forEachEvent(fragment => {
+    const match = artifact.getEvent(fragment.topicHash);
+    match ? keep.push(match) : missing.push(`event ${fragment.format()}`);
+  });
+
+  if (missing.length) {
+    throw new Error(`${CONTRACTS[key]} has no ${missing.join(", ")} (declared in js/contracts.js)`);
+  }
+  return keep.map(fragment => fragment.format("full"));
+}
+
+// Config object for one network; network = { key, chainId, name, rpcUrl, explorerUrl }
+function buildContractConfig({ deployment, artifacts, network, siteAbis = KDAO_ABIS }) {
+  if (deployment.chainId !== network.chainId) {
+    throw new Error(`Deployment is for chain ${deployment.chainId}, ${network.key} is chain ${network.chainId}`);
+  }
+
+  const abis = {};
+  for (const key of Object.keys(CONTRACTS)) {
+    if (deployment.contracts[key]) {
+      abis[key] = trimAbi(key, artifacts[key], siteAbis[key]);
+    }
+  }
+
+  const content = {
+    network: network.key,
+    chainId: network.chainId,
+    name: network.name,
+    rpcUrl: network.rpcUrl,
+    explorerUrl: network.explorerUrl,
+    startBlock: deployment.startBlock || 0,
+    deployedAt: deployment.timestamp,
+    addresses: deployment.contracts,
+    abis
+  };
+  const version = crypto.createHash("sha256").update(JSON.stringify(content)).digest("hex").slice(0, 12);
+  return { version, ...content };
+}
+
+function renderConfigFile(config) {
+  return [
+    `// KDAO 2.0 - Contract Config (${config.network})`,
+    `// Generiert von build-contract-config.js aus deployments/${config.network}-latest.json - nicht von Hand bearbeiten`,
+    "",
+    `registerContractConfig(${JSON.stringify(config, null, 4)});`,
+    ""
+  ].join("\n");
+}
+
+// ============ Main ============
+
+async function main() {
+  const networkName = hre.network.name;
+  const deploymentFile = path.join(deploymentsDir, `${networkName}-latest.json`);
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(`No deployment found at ${deploymentFile} - run deploy.js for ${networkName} first`);
+  }
+  const deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+
+  const defaults = KDAO_NETWORKS[networkName] || {};
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  const explorer = ((hre.config.etherscan && hre.config.etherscan.customChains) || []).find(chain => chain.chainId === chainId);
+  const network = {
+    key: networkName,
+    chainId,
+    name: defaults.name || networkName,
+    rpcUrl: process.env.NEXT_PUBLIC_RPC_URL || defaults.rpcUrl || hre.network.config.url,
+    explorerUrl: process.env.NEXT_PUBLIC_EXPLORER_URL || (explorer && explorer.urls.browserURL) || defaults.explorerUrl || ""
+  };
+  if (!network.rpcUrl) {
+    throw new Error(`No public RPC URL for ${networkName} - set NEXT_PUBLIC_RPC_URL`);
+  }
+
+  const artifacts = {};
+  for (const [key, name] of Object.entries(CONTRACTS)) {
+    artifacts[key] = (await hre.artifacts.readArtifact(name)).abi;
+  }
+
+  const config = buildContractConfig({ deployment, artifacts, network });
+  const file = path.join(configDir, `contracts.${networkName}.js`);
+  const previous = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+  const output = renderConfigFile(config);
+
+  if (previous === output) {
+    log(`✓ ${path.relative(__dirname, file)} is up to date (version ${config.version})`, colors.green);
+  } else {
+    fs.mkdirSync(configDir, { recursive: true });
+    fs.writeFileSync(file, output);
+    log(`✅ Wrote ${path.relative(__dirname, file)} (version ${config.version})`, colors.green);
+  }
+  log(`   ${network.name}, chain ${chainId}, start block ${config.startBlock}, ${Object.keys(config.abis).length} ABIs`, colors.blue);
+  return config;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      log(`\n❌ Build failed: ${error.message}`, colors.red);
+      process.exit(1);
+    });
+}
+
+module.exports = { buildContractConfig, renderConfigFile, trimAbi };
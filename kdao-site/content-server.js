@@ -0,0 +1,902 @@
+// kdao-site/content-server.js
+//
+// Content service for the news, team and roadmap pages. Entries are stored in a local
+// JSON file (content-data/content.json) with a draft, scheduled or published state and
+// checked against the schema of their collection (content/schemas/<collection>.schema.json).
+// Every change writes the published entries to content/<collection>.json, which the
+// public pages load as static files - the site needs no running service to show content.
+// Published news also go to RSS and Atom feeds per locale (feeds/news.<locale>.rss.xml,
+// feeds/news.<locale>.atom.xml) for feed readers and Discord bots.
+//
+// Scheduled entries are published by the running service once their publishAt has passed;
+// while it is stopped they wait, and the first check after the start publishes them.
+//
+// Every change is kept as a revision in content-data/history.json: who (the signed-in
+// address, null for the scheduler), when, the action, the entry before and after and the
+// changed fields. Restoring a revision brings back the version from before its change,
+// so deleted entries and every earlier version can be recovered. The site links
+// of the settings tab (content/settings.json) are recorded the same way.
+//
+//   node kdao-site/content-server.js
+//
+// Writes need an admin session of auth-server.js with the collection's permission
+// (news, team, roadmap, settings) or "all"; export and import of the full bundle need every
+// one of them (or "all").
+// The audit log shows the sections the session may edit.
+//
+// API (Authorization: Bearer <session token>):
+//   GET    /content/:collection                  -> { items }   drafts and published entries
+//   POST   /content/:collection          entry   -> entry       created as draft
+//   PUT    /content/:collection/:id      entry   -> entry       fields to change, keeps the state
+//   DELETE /content/:collection/:id
+//   POST   /content/:collection/:id/publish  { publishAt? } -> entry   scheduled if publishAt is ahead
+//   POST   /content/:collection/:id/unpublish    -> entry
+//   GET    /export                               -> bundle      all collections with drafts
+//   POST   /import                       bundle  -> { imported } replaces all content
+//   GET    /media                                -> { images }  cover images in assets/img
+//   GET    /settings                             -> settings    site links
+//   PUT    /settings                     settings -> settings
+//   GET    /history/:collection/:id              -> { revisions } newest first (/history/settings)
+//   GET    /audit?collection=&action=&author=&since=&until=  -> { revisions } of all entries
+//   POST   /revisions/:id/restore                -> entry       the version before the revision
+//
+// Revisions in responses carry the changed fields ({ path, from, to }), not the full entries.
+//
+// Environment:
+//   CONTENT_PORT      API port (default 8789)
+//   CONTENT_AUTH_URL  auth-server.js to check sessions with (default http://127.0.0.1:8788)
+//   CONTENT_SITE_URL  public address of the site, used for feed links (default https://kaspadao.org)
+//   CONTENT_SCHEDULE_MS  interval of the check for due scheduled entries (default 60000)
+//   CONTENT_ORIGINS   comma separated origins allowed to call the API
+//                     (default: any http://localhost or http://127.0.0.1 origin)
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const { renderMarkdown, stripMarkdown, MARKDOWN_IMAGE_PATTERN } = require("./js/markdown");
+const { colors, log, parseOrigins, isAllowedOrigin, BUNDLE_SECTIONS, sendJson, sendPreflight, readJsonBody, getBearerToken } = require("./server-utils");
+
+const config = {
+  port: Number(process.env.CONTENT_PORT || 8789),
+  authUrl: process.env.CONTENT_AUTH_URL || "http://127.0.0.1:8788",
+  siteUrl: (process.env.CONTENT_SITE_URL || "https://kaspadao.org").replace(/\/$/, ""),
+  scheduleInterval: Number(process.env.CONTENT_SCHEDULE_MS || 60000),
+  origins: parseOrigins(process.env.CONTENT_ORIGINS)
+};
+
+const COLLECTIONS = ["news", "team", "roadmap"];
+const STATES = ["draft", "scheduled", "published"];
+const BUNDLE_VERSION = 1;
+
+const storeDir = path.join(__dirname, "../content-data");
+const publicDir = path.join(__dirname, "content");
+const schemaDir = path.join(publicDir, "schemas");
+const mediaDir = path.join(__dirname, "assets/img");
+const feedDir = path.join(__dirname, "feeds");
+const FEED_LOCALES = Object.keys(JSON.parse(fs.readFileSync(path.join(__dirname, "locales/index.json"), "utf8")));
+const FEED_SIZE = 20;
+const SETTINGS = "settings";
+const DEFAULT_SETTINGS = {
+  discord: "https://discord.gg/kaspadao",
+  twitter: "https://twitter.com/kaspadao",
+  coinex: "https://www.coinex.com/exchange/kdao-usdt"
+};
+const AUDIT_LIMIT = 500;
+
+// ============ Schemas ============
+
+function contentError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+}
+
+function readSchemas(dir = schemaDir) {
+  const schemas = {};
+  [...COLLECTIONS, SETTINGS].forEach((collection) => {
+    schemas[collection] = JSON.parse(fs.readFileSync(path.join(dir, `${collection}.schema.json`), "utf8"));
+  });
+  return schemas;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+const FORMATS = {
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  "date-time": (value) => /^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:\d{2})$/.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+// The part of JSON Schema (draft-07) the content schemas use; returns ["path: problem", ...]
+function validate(schema, value, root = schema, at = "") {
+  const where = at || "entry";
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, "").split("/").reduce((node, key) => node && node[key], root);
+    if (!target) throw new Error(`Unknown schema reference ${schema.$ref}`);
+    return validate(target, value, root, at);
+  }
+
+  const type = typeOf(value);
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const matches = allowed.includes(type) || (type === "integer" && allowed.includes("number"));
+    if (!matches) return [`${where}: must be ${allowed.join(" or ")}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${where}: must be one of ${schema.enum.join(", ")}`];
+  }
+
+  const errors = [];
+  if (type === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${where}: must not be empty`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${where}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${where}: invalid format`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) errors.push(`${where}: must be a ${schema.format}`);
+  }
+  if (type === "integer" || type === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where}: must be at least ${schema.minimum}`);
+  }
+  if (type === "array") {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${where}: more than ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map((item) => JSON.stringify(item))).size !== value.length) {
+      errors.push(`${where}: duplicate items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, root, `${at}[${index}]`)));
+    }
+  }
+  if (type === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${at ? `${at}.` : ""}${key}: required`);
+    });
+    Object.entries(value).forEach(([key, item]) => {
+      const name = at ? `${at}.${key}` : key;
+      if (schema.propertyNames) {
+        errors.push(...validate(schema.propertyNames, key, root, `${name} (name)`));
+      }
+      if (properties[key]) {
+        errors.push(...validate(properties[key], item, root, name));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${name}: unknown field`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        errors.push(...validate(schema.additionalProperties, item, root, name));
+      }
+    });
+  }
+  return errors;
+}
+
+// ============ Feeds ============
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function pickLocale(field, locale) {
+  return field ? field[locale] || field.en || "" : "";
+}
+
+// Article body for feed readers: cover, Markdown as HTML, absolute links and images
+function feedHtml(article, locale, siteUrl) {
+  const cover = article.cover ? `<p><img src="${siteUrl}/${article.cover}" alt=""></p>\n` : "";
+  return (cover + renderMarkdown(pickLocale(article.content, locale)))
+    .replace(/(src|href)="(assets\/|\/(?!\/)|#)/g, (match, attribute, start) => `${attribute}="${siteUrl}${start.startsWith("/") ? "" : "/"}${start}`);
+}
+
+function articleUrl(article, siteUrl) {
+  return `${siteUrl}/#/news/${article.id}`;
+}
+
+function buildRssFeed(articles, { locale, siteUrl, title, description, updatedAt }) {
+  const items = articles.map((article) => [
+    "    <item>",
+    `      <title>${escapeXml(pickLocale(article.title, locale))}</title>`,
+    `      <link>${escapeXml(articleUrl(article, siteUrl))}</link>`,
+    `      <guid isPermaLink="false">kdao-news-${article.id}</guid>`,
+    `      <pubDate>${new Date(article.publishedAt).toUTCString()}</pubDate>`,
+    ...(article.tags || []).map((tag) => `      <category>${escapeXml(tag)}</category>`),
+    `      <description>${escapeXml(feedHtml(article, locale, siteUrl))}</description>`,
+    "    </item>"
+  ].join("\n"));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(`${siteUrl}/#/news`)}</link>`,
+    `    <atom:link href="${escapeXml(`${siteUrl}/feeds/news.${locale}.rss.xml`)}" rel="self" type="application/rss+xml"/>`,
+    `    <description>${escapeXml(description)}</description>`,
+    `    <language>${escapeXml(locale)}</language>`,
+    `    <lastBuildDate>${new Date(updatedAt).toUTCString()}</lastBuildDate>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    ""
+  ].join("\n");
+}
+
+function buildAtomFeed(articles, { locale, siteUrl, title, description, updatedAt }) {
+  const host = new URL(siteUrl).hostname;
+  const entries = articles.map((article) => [
+    "  <entry>",
+    `    <id>tag:${host},2025:news/${article.id}</id>`,
+    `    <title>${escapeXml(pickLocale(article.title, locale))}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(articleUrl(article, siteUrl))}"/>`,
+    `    <published>${article.publishedAt}</published>`,
+    `    <updated>${article.updatedAt || article.publishedAt}</updated>`,
+    ...(article.tags || []).map((tag) => `    <category term="${escapeXml(tag)}"/>`),
+    `    <summary>${escapeXml(stripMarkdown(pickLocale(article.content, locale)).slice(0, 280))}</summary>`,
+    `    <content type="html">${escapeXml(feedHtml(article, locale, siteUrl))}</content>`,
+    "  </entry>"
+  ].join("\n"));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(locale)}">`,
+    `  <id>tag:${host},2025:news.${locale}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <subtitle>${escapeXml(description)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(`${siteUrl}/#/news`)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(`${siteUrl}/feeds/news.${locale}.atom.xml`)}"/>`,
+    `  <updated>${updatedAt}</updated>`,
+    "  <author><name>KDAO</name></author>",
+    ...entries,
+    "</feed>",
+    ""
+  ].join("\n");
+}
+
+// Feed title and description from the locale bundles, English where a locale has none
+function readFeedTexts(locale) {
+  const bundles = [locale, "en"].map((name) => {
+    const file = path.join(__dirname, "locales", `${name}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  });
+  const text = (key) => bundles
+    .map((bundle) => key.split(".").reduce((node, part) => node && node[part], bundle))
+    .find(Boolean) || "";
+  return { title: text("news.feed_title"), description: text("news.feed_description") };
+}
+
+// ============ History ============
+
+// updatedAt changes with every save and would show up in every diff
+const UNTRACKED_FIELDS = ["updatedAt"];
+
+function clone(value) {
+  return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+function isObject(value) {
+  return typeOf(value) === "object";
+}
+
+// Changed fields between two versions of an entry, nested objects by path
+// ("title.de"), arrays as a whole: [{ path, from, to }], null for a missing side
+function diffEntries(before, after, at = "") {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach((key) => {
+    if (!at && UNTRACKED_FIELDS.includes(key)) return;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    const name = at ? `${at}.${key}` : key;
+    if ((isObject(from) || isObject(to)) && !Array.isArray(from) && !Array.isArray(to)) {
+      changes.push(...diffEntries(isObject(from) ? from : null, isObject(to) ? to : null, name));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path: name, from: from ?? null, to: to ?? null });
+    }
+  });
+  return changes;
+}
+
+// What the API returns: the revision without the full entries
+function summarizeRevision({ before, after, ...revision }) {
+  return { ...revision, restorable: Boolean(before) };
+}
+
+// ============ Store ============
+
+// Published entries in page order: news newest first, team and roadmap by order
+function sortEntries(collection, entries) {
+  return [...entries].sort((a, b) => collection === "news"
+    ? b.date.localeCompare(a.date) || a.id.localeCompare(b.id)
+    : (a.order - b.order) || a.id.localeCompare(b.id));
+}
+
+// What the public pages get: published entries without the editing fields
+function toPublicEntry(entry) {
+  const { state, createdAt, publishAt, ...rest } = entry;
+  return rest;
+}
+
+function writeJson(file, data) {
+  const temp = `${file}.tmp`;
+  fs.writeFileSync(temp, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(temp, file);
+}
+
+// storeDir holds the editing state, publicDir the snapshots, feedDir the news feeds;
+// all injectable for tests
+function createContentService({
+  store = storeDir,
+  site = publicDir,
+  feeds = feedDir,
+  media = mediaDir,
+  siteUrl = config.siteUrl,
+  schemas = readSchemas(),
+  now = () => new Date().toISOString()
+} = {}) {
+  const storeFile = path.join(store, "content.json");
+  const historyFile = path.join(store, "history.json");
+  let data;
+  let history;
+
+  // First start: the committed snapshots become the published content
+  function seed() {
+    const time = now();
+    const collections = {};
+    COLLECTIONS.forEach((collection) => {
+      const file = path.join(site, `${collection}.json`);
+      const snapshot = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : { items: [] };
+      collections[collection] = snapshot.items.map((item) => ({
+        ...item,
+        state: "published",
+        createdAt: item.publishedAt || time,
+        updatedAt: item.updatedAt || time,
+        publishedAt: item.publishedAt || time
+      }));
+    });
+    return { version: BUNDLE_VERSION, collections, settings: seedSettings() };
+  }
+
+  function seedSettings() {
+    const file = path.join(site, `${SETTINGS}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")).links : { ...DEFAULT_SETTINGS };
+  }
+
+  function load() {
+    if (!data) {
+      data = fs.existsSync(storeFile) ? JSON.parse(fs.readFileSync(storeFile, "utf8")) : seed();
+      // Stores from before the settings moved here
+      data.settings = data.settings || seedSettings();
+    }
+    return data;
+  }
+
+  function loadHistory() {
+    if (!history) {
+      history = fs.existsSync(historyFile) ? JSON.parse(fs.readFileSync(historyFile, "utf8")) : { revisions: [] };
+    }
+    return history;
+  }
+
+  // Kept with the next save(); author is the signed-in address, null for the scheduler
+  function record(action, collection, entryId, before, after, author, extra = {}) {
+    const { revisions } = loadHistory();
+    const revision = {
+      id: revisions.length ? revisions[revisions.length - 1].id + 1 : 1,
+      at: now(),
+      author: author || null,
+      action,
+      collection,
+      entryId,
+      ...extra,
+      changes: diffEntries(before, after),
+      before: clone(before),
+      after: clone(after)
+    };
+    revisions.push(revision);
+    return revision;
+  }
+
+  function publishSnapshot(collection) {
+    const items = sortEntries(collection, load().collections[collection].filter((entry) => entry.state === "published"));
+    const updatedAt = items.reduce((latest, entry) => (entry.updatedAt > latest ? entry.updatedAt : latest), "");
+    fs.mkdirSync(site, { recursive: true });
+    writeJson(path.join(site, `${collection}.json`), {
+      collection,
+      updatedAt: updatedAt || now(),
+      items: items.map(toPublicEntry)
+    });
+    if (collection === "news") {
+      writeFeeds(items.slice(0, FEED_SIZE), updatedAt || now());
+    }
+  }
+
+  function writeFeeds(articles, updatedAt) {
+    fs.mkdirSync(feeds, { recursive: true });
+    FEED_LOCALES.forEach((locale) => {
+      const options = { locale, siteUrl, updatedAt, ...readFeedTexts(locale) };
+      fs.writeFileSync(path.join(feeds, `news.${locale}.rss.xml`), buildRssFeed(articles, options));
+      fs.writeFileSync(path.join(feeds, `news.${locale}.atom.xml`), buildAtomFeed(articles, options));
+    });
+  }
+
+  function publishSettings() {
+    fs.mkdirSync(site, { recursive: true });
+    writeJson(path.join(site, `${SETTINGS}.json`), { updatedAt: now(), links: load().settings });
+  }
+
+  function save(collections) {
+    fs.mkdirSync(store, { recursive: true });
+    writeJson(storeFile, load());
+    writeJson(historyFile, loadHistory());
+    collections.forEach((collection) => (collection === SETTINGS ? publishSettings() : publishSnapshot(collection)));
+  }
+
+  function entriesOf(collection) {
+    if (!COLLECTIONS.includes(collection)) {
+      throw contentError(404, `Unknown collection ${collection}`);
+    }
+    return load().collections[collection];
+  }
+
+  function find(collection, id) {
+    const entry = entriesOf(collection).find((item) => item.id === id);
+    if (!entry) throw contentError(404, `No ${collection} entry ${id}`);
+    return entry;
+  }
+
+  function check(collection, entry) {
+    const errors = validate(schemas[collection], entry);
+    if (errors.length) {
+      throw contentError(400, `Invalid ${collection} entry`, errors);
+    }
+  }
+
+  function list(collection) {
+    return sortEntries(collection, entriesOf(collection));
+  }
+
+  function create(collection, fields = {}, author = null) {
+    const entries = entriesOf(collection);
+    if (entries.some((entry) => entry.id === fields.id)) {
+      throw contentError(409, `${collection} entry ${fields.id} already exists`);
+    }
+    const time = now();
+    const entry = { ...fields, state: "draft", createdAt: time, updatedAt: time, publishedAt: null };
+    delete entry.publishAt;
+    check(collection, entry);
+    entries.push(entry);
+    record("create", collection, entry.id, null, entry, author);
+    save([collection]);
+    return entry;
+  }
+
+  // The id and the editing fields stay; everything else is replaced by the given fields.
+  // A scheduled entry keeps its time, publish() changes it.
+  function update(collection, id, fields = {}, author = null) {
+    const entries = entriesOf(collection);
+    const current = find(collection, id);
+    const { state, createdAt, publishedAt, publishAt } = current;
+    const entry = { ...fields, id, state, createdAt, publishedAt, updatedAt: now() };
+    delete entry.publishAt;
+    if (publishAt) entry.publishAt = publishAt;
+    check(collection, entry);
+    entries[entries.indexOf(current)] = entry;
+    record("update", collection, id, current, entry, author);
+    save(state === "published" ? [collection] : []);
+    return entry;
+  }
+
+  // The revision keeps the deleted entry, so it can be restored
+  function remove(collection, id, author = null) {
+    const entries = entriesOf(collection);
+    const entry = find(collection, id);
+    entries.splice(entries.indexOf(entry), 1);
+    record("delete", collection, id, entry, null, author);
+    save(entry.state === "published" ? [collection] : []);
+  }
+
+  // Published now, or scheduled when publishAt lies ahead
+  function publish(collection, id, { publishAt } = {}, author = null) {
+    const entry = find(collection, id);
+    if (publishAt && !FORMATS["date-time"](publishAt)) {
+      throw contentError(400, "publishAt: must be a date-time");
+    }
+    const before = clone(entry);
+    const time = now();
+    const scheduled = Boolean(publishAt) && Date.parse(publishAt) > Date.parse(time);
+    entry.state = scheduled ? "scheduled" : "published";
+    entry.updatedAt = time;
+    entry.publishedAt = scheduled ? null : time;
+    if (scheduled) {
+      entry.publishAt = new Date(publishAt).toISOString();
+    } else {
+      delete entry.publishAt;
+    }
+    record(scheduled ? "schedule" : "publish", collection, id, before, entry, author);
+    save([collection]);
+    return entry;
+  }
+
+  function unpublish(collection, id, author = null) {
+    const entry = find(collection, id);
+    const before = clone(entry);
+    entry.state = "draft";
+    entry.updatedAt = now();
+    entry.publishedAt = null;
+    delete entry.publishAt;
+    record("unpublish", collection, id, before, entry, author);
+    save([collection]);
+    return entry;
+  }
+
+  // Publishes scheduled entries whose time has come, dated to their scheduled time
+  function releaseDue() {
+    const time = Date.parse(now());
+    const released = [];
+    COLLECTIONS.forEach((collection) => {
+      entriesOf(collection).forEach((entry) => {
+        if (entry.state !== "scheduled" || Date.parse(entry.publishAt) > time) return;
+        const before = clone(entry);
+        entry.state = "published";
+        entry.publishedAt = entry.publishAt;
+        entry.updatedAt = entry.publishAt;
+        delete entry.publishAt;
+        record("release", collection, entry.id, before, entry, null);
+        released.push({ collection, id: entry.id });
+      });
+    });
+    if (released.length) {
+      save([...new Set(released.map((entry) => entry.collection))]);
+    }
+    return released;
+  }
+
+  // Images under assets/img that can be used as covers, as site paths
+  function listMedia() {
+    const images = [];
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) return;
+      fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach((item) => {
+          const file = path.join(dir, item.name);
+          if (item.isDirectory()) return walk(file);
+          const image = `assets/img/${path.relative(media, file).split(path.sep).join("/")}`;
+          if (MARKDOWN_IMAGE_PATTERN.test(image)) images.push(image);
+        });
+    };
+    walk(media);
+    return images;
+  }
+
+  function getSettings() {
+    return load().settings;
+  }
+
+  function writeSettings(settings, action, author, extra) {
+    const errors = validate(schemas[SETTINGS], settings);
+    if (errors.length) {
+      throw contentError(400, "Invalid settings", errors);
+    }
+    const before = load().settings;
+    data.settings = { ...settings };
+    record(action, SETTINGS, null, before, data.settings, author, extra);
+    save([SETTINGS]);
+    return data.settings;
+  }
+
+  function updateSettings(settings = {}, author = null) {
+    return writeSettings(settings, "update", author);
+  }
+
+  function getRevision(revisionId) {
+    const revision = loadHistory().revisions.find((item) => item.id === Number(revisionId));
+    if (!revision) throw contentError(404, `No revision ${revisionId}`);
+    return revision;
+  }
+
+  // Revisions of one entry (or of the settings), newest first
+  function listHistory(collection, id) {
+    if (collection !== SETTINGS) entriesOf(collection);
+    return loadHistory().revisions
+      .filter((revision) => revision.collection === collection && revision.entryId === (collection === SETTINGS ? null : id))
+      .reverse()
+      .map(summarizeRevision);
+  }
+
+  // Newest first; author matches any part of the address, since/until are ISO times
+  function auditLog({ collections = [...COLLECTIONS, SETTINGS], action, author, since, until, limit = AUDIT_LIMIT } = {}) {
+    const authorPart = author ? String(author).toLowerCase() : "";
+    return loadHistory().revisions
+      .filter((revision) => collections.includes(revision.collection)
+        && (!action || revision.action === action)
+        && (!authorPart || (revision.author || "").toLowerCase().includes(authorPart))
+        && (!since || revision.at >= since)
+        && (!until || revision.at <= until))
+      .reverse()
+      .slice(0, limit)
+      .map(summarizeRevision);
+  }
+
+  // Brings back the version from before a revision's change - for a deletion, the deleted
+  // entry. State and publish time come back with it; the restore is a revision of its own.
+  function restore(revisionId, author = null) {
+    const revision = getRevision(revisionId);
+    const version = revision.before;
+    if (!version) {
+      throw contentError(400, `Revision ${revision.id} created the entry, there is no earlier version`);
+    }
+    if (revision.collection === SETTINGS) {
+      return writeSettings(version, "restore", author, { restoredFrom: revision.id });
+    }
+
+    const { collection, entryId } = revision;
+    const entries = entriesOf(collection);
+    const current = entries.find((entry) => entry.id === entryId) || null;
+    const entry = { ...clone(version), updatedAt: now() };
+    check(collection, entry);
+    if (current) {
+      entries[entries.indexOf(current)] = entry;
+    } else {
+      entries.push(entry);
+    }
+    record("restore", collection, entryId, current, entry, author, { restoredFrom: revision.id });
+    save([collection]);
+    return entry;
+  }
+
+  function exportBundle() {
+    return { version: BUNDLE_VERSION, exportedAt: now(), collections: load().collections, settings: load().settings };
+  }
+
+  // All or nothing: the bundle replaces the content only if every entry is valid.
+  // Each entry the import adds, changes or drops gets an import revision.
+  function importBundle(bundle, author = null) {
+    if (!bundle || bundle.version !== BUNDLE_VERSION || !bundle.collections) {
+      throw contentError(400, `Not a content bundle (version ${BUNDLE_VERSION})`);
+    }
+    const errors = [];
+    const collections = {};
+    COLLECTIONS.forEach((collection) => {
+      const entries = bundle.collections[collection] || [];
+      if (!Array.isArray(entries)) {
+        errors.push(`${collection}: must be array`);
+        return;
+      }
+      const ids = new Set();
+      entries.forEach((entry, index) => {
+        validate(schemas[collection], entry).forEach((error) => errors.push(`${collection}[${index}] ${error}`));
+        if (!STATES.includes(entry.state)) errors.push(`${collection}[${index}] state: required`);
+        if (entry.state === "scheduled" && !entry.publishAt) errors.push(`${collection}[${index}] publishAt: required`);
+        if (ids.has(entry.id)) errors.push(`${collection}[${index}] id: duplicate ${entry.id}`);
+        ids.add(entry.id);
+      });
+      collections[collection] = clone(entries);
+    });
+    if (bundle.settings) {
+      validate(schemas[SETTINGS], bundle.settings).forEach((error) => errors.push(`settings ${error}`));
+    }
+    if (errors.length) {
+      throw contentError(400, "Invalid content bundle", errors);
+    }
+
+    const previous = load();
+    COLLECTIONS.forEach((collection) => {
+      const before = new Map(previous.collections[collection].map((entry) => [entry.id, entry]));
+      collections[collection].forEach((entry) => {
+        const current = before.get(entry.id) || null;
+        before.delete(entry.id);
+        if (JSON.stringify(current) !== JSON.stringify(entry)) record("import", collection, entry.id, current, entry, author);
+      });
+      before.forEach((entry, id) => record("import", collection, id, entry, null, author));
+    });
+    const settings = clone(bundle.settings) || previous.settings;
+    if (JSON.stringify(settings) !== JSON.stringify(previous.settings)) {
+      record("import", SETTINGS, null, previous.settings, settings, author);
+    }
+
+    data = { version: BUNDLE_VERSION, collections, settings };
+    save([...COLLECTIONS, SETTINGS]);
+    return COLLECTIONS.reduce((counts, collection) => ({ ...counts, [collection]: collections[collection].length }), {});
+  }
+
+  return {
+    list,
+    create,
+    update,
+    remove,
+    publish,
+    unpublish,
+    releaseDue,
+    listMedia,
+    getSettings,
+    updateSettings,
+    getRevision,
+    listHistory,
+    auditLog,
+    restore,
+    exportBundle,
+    importBundle
+  };
+}
+
+// ============ Auth ============
+
+// token -> session of auth-server.js; the Origin is passed on because the auth
+// service only answers origins it allows
+function createSessionVerifier(authUrl = config.authUrl) {
+  return async (token, origin) => {
+    if (!token) throw contentError(401, "Session expired");
+    let response;
+    try {
+      response = await fetch(`${authUrl}/session`, {
+        headers: { Authorization: `Bearer ${token}`, Origin: origin }
+      });
+    } catch (error) {
+      throw contentError(503, "Auth service unavailable");
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw contentError(response.status === 403 ? 403 : 401, body.error || "Session expired");
+    }
+    return body;
+  };
+}
+
+function hasPermission(session, permission) {
+  return session.permissions.includes("all") || session.permissions.includes(permission);
+}
+
+function requirePermission(session, permission) {
+  if (!hasPermission(session, permission)) {
+    throw contentError(403, `No permission for ${permission}`);
+  }
+}
+
+// ============ API ============
+
+// Bundles carry every article, so the limit is generous
+const BODY_LIMIT = 5 * 1024 * 1024;
+
+async function route(service, req, url, session) {
+  const author = session.address;
+  if (url.pathname === "/export" && req.method === "GET") {
+    BUNDLE_SECTIONS.forEach((section) => requirePermission(session, section));
+    return [200, service.exportBundle()];
+  }
+  if (url.pathname === "/media" && req.method === "GET") {
+    requirePermission(session, "news");
+    return [200, { images: service.listMedia() }];
+  }
+  if (url.pathname === "/import" && req.method === "POST") {
+    BUNDLE_SECTIONS.forEach((section) => requirePermission(session, section));
+    return [200, { imported: service.importBundle(await readJsonBody(req, BODY_LIMIT), author) }];
+  }
+  if (url.pathname === "/settings") {
+    requirePermission(session, SETTINGS);
+    if (req.method === "GET") return [200, service.getSettings()];
+    if (req.method === "PUT") return [200, service.updateSettings(await readJsonBody(req, BODY_LIMIT), author)];
+  }
+  if (url.pathname === "/audit" && req.method === "GET") {
+    const query = Object.fromEntries(url.searchParams);
+    const allowed = [...COLLECTIONS, SETTINGS].filter((collection) => hasPermission(session, collection));
+    const collections = query.collection ? allowed.filter((collection) => collection === query.collection) : allowed;
+    return [200, { revisions: service.auditLog({ ...query, collections }) }];
+  }
+
+  const history = url.pathname.match(/^\/history\/([a-z]+)(?:\/([a-z0-9-]+))?$/);
+  if (history && req.method === "GET") {
+    const [, collection, id] = history;
+    requirePermission(session, collection);
+    return [200, { revisions: service.listHistory(collection, id) }];
+  }
+  const restore = url.pathname.match(/^\/revisions\/(\d+)\/restore$/);
+  if (restore && req.method === "POST") {
+    requirePermission(session, service.getRevision(restore[1]).collection);
+    return [200, service.restore(restore[1], author)];
+  }
+
+  const match = url.pathname.match(/^\/content\/([a-z]+)(?:\/([a-z0-9-]+))?(?:\/(publish|unpublish))?$/);
+  if (!match) {
+    throw contentError(404, "Not found");
+  }
+  const [, collection, id, action] = match;
+  requirePermission(session, collection);
+
+  if (!id && req.method === "GET") return [200, { items: service.list(collection) }];
+  if (!id && req.method === "POST") return [201, service.create(collection, await readJsonBody(req, BODY_LIMIT), author)];
+  if (id && action === "publish" && req.method === "POST") return [200, service.publish(collection, id, await readJsonBody(req, BODY_LIMIT), author)];
+  if (id && action === "unpublish" && req.method === "POST") return [200, service.unpublish(collection, id, author)];
+  if (id && !action && req.method === "PUT") return [200, service.update(collection, id, await readJsonBody(req, BODY_LIMIT), author)];
+  if (id && !action && req.method === "DELETE") {
+    service.remove(collection, id, author);
+    return [200, { ok: true }];
+  }
+  throw contentError(404, "Not found");
+}
+
+// verifySession(token, origin) -> session with permissions; injectable for tests
+function createContentServer(service, verifySession = createSessionVerifier()) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const origin = req.headers.origin;
+    if (!isAllowedOrigin(origin, config.origins)) {
+      sendJson(res, 403, { error: "Origin not allowed" });
+      return;
+    }
+
+    try {
+      if (req.method === "OPTIONS") {
+        sendPreflight(res, origin, "GET, POST, PUT, DELETE, OPTIONS");
+        return;
+      }
+      const session = await verifySession(getBearerToken(req), origin);
+      const [status, body] = await route(service, req, url, session);
+      sendJson(res, status, body, origin);
+    } catch (error) {
+      if (!error.status) {
+        log(`  ⚠ ${req.method} ${url.pathname} failed: ${error.message}`, colors.red);
+      }
+      const body = { error: error.status ? error.message : "Internal error" };
+      if (error.details) body.details = error.details;
+      sendJson(res, error.status || 500, body, origin);
+    }
+  });
+}
+
+// ============ Main ============
+
+async function main() {
+  log("\n========================================", colors.bright);
+  log("   KDAO 2.0 CONTENT SERVICE", colors.bright + colors.blue);
+  log("========================================\n", colors.bright);
+
+  const service = createContentService();
+  const releaseDue = () => {
+    service.releaseDue().forEach(({ collection, id }) => log(`⏰ Published scheduled ${collection} entry ${id}`, colors.green));
+  };
+  releaseDue();
+
+  const counts = service.exportBundle().collections;
+  COLLECTIONS.forEach((collection) => {
+    const entries = counts[collection];
+    const count = (state) => entries.filter((entry) => entry.state === state).length;
+    log(`📄 ${collection}: ${count("published")} published, ${count("scheduled")} scheduled, ${count("draft")} drafts`, colors.yellow);
+  });
+
+  const server = createContentServer(service);
+  server.listen(config.port, () => {
+    log(`\n📝 Content API on http://127.0.0.1:${config.port} (/content/:collection, /history, /audit, /settings, /export, /import, /media)`, colors.green);
+    log(`   Sessions checked with ${config.authUrl}`, colors.blue);
+    log(`   Store: ${path.relative(process.cwd(), storeDir) || "."}`, colors.blue);
+    log(`   Feeds: ${config.siteUrl}/feeds/news.<locale>.rss.xml / .atom.xml\n`, colors.blue);
+  });
+  setInterval(releaseDue, config.scheduleInterval);
+  return server;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    log(`\n❌ Content service failed: ${error.message}`, colors.red);
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  main,
+  createContentService,
+  createContentServer,
+  createSessionVerifier,
+  validate,
+  diffEntries,
+  readSchemas,
+  buildRssFeed,
+  buildAtomFeed,
+  COLLECTIONS
+};
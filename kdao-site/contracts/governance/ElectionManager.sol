@@ -343,7 +343,7 @@ contract ElectionManager is AccessControl, ReentrancyGuard, Pausable {
     {
         Election storage election = elections[_electionId];
         require(_updateElectionPhase(_electionId), "Phase update failed");
-        require(election.phase == ElectionPhase.Voting, "Not in voting phase");
+        // Past votingEnd the phase update has already moved the election to Ended
         require(block.timestamp > election.votingEnd, "Voting not ended");
         
         // Check quorum
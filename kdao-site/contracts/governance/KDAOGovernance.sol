@@ -26,6 +26,7 @@ contract KDAOGovernance is AccessControl, ReentrancyGuard, Pausable {
     uint256 public constant QUORUM_PERCENTAGE = 30; // 30% quorum required
     uint256 public constant VOTING_PERIOD = 7 days;
     uint256 public constant EXECUTION_DELAY = 2 days;
+    uint256 public constant EXECUTION_WINDOW = 14 days; // after the ETA, then the proposal expires
     
     // ============ Enums ============
     enum ProposalState {
@@ -35,7 +36,8 @@ contract KDAOGovernance is AccessControl, ReentrancyGuard, Pausable {
         Succeeded,
         Queued,
         Executed,
-        Cancelled
+        Cancelled,
+        Expired
     }
     
     enum ProposalType {
@@ -68,6 +70,7 @@ contract KDAOGovernance is AccessControl, ReentrancyGuard, Pausable {
         uint256 abstainVotes;
         uint256 executionTime;
         ProposalState state;
+        uint256 eta;
         mapping(address => Receipt) receipts;
     }
     
@@ -82,6 +85,11 @@ contract KDAOGovernance is AccessControl, ReentrancyGuard, Pausable {
     mapping(address => uint256) public votingPower;
     mapping(address => address) public voteDelegation;
     mapping(address => uint256) public stakedBalance;
+    // Stake other accounts delegated to an account, part of its votingPower
+    mapping(address => uint256) public delegatedVotes;
+    // Last endBlock of the proposals an account voted on. The stake counted in those
+    // votes can't be delegated elsewhere before then, or it would be counted again
+    mapping(address => uint256) public voteLockEnd;
     
     // Treasury Management
     uint256 public treasuryBalance;
@@ -104,6 +112,7 @@ contract KDAOGovernance is AccessControl, ReentrancyGuard, Pausable {
         uint256 votes
     );
     
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
     event ProposalExecuted(uint256 indexed proposalId);
     event ProposalCancelled(uint256 indexed proposalId);
     event VotesDelegated(address indexed delegator, address indexed delegatee);
@@ -190,6 +199,9 @@ contract KDAOGovernance is AccessControl, ReentrancyGuard, Pausable {
         receipt.hasVoted = true;
         receipt.vote = _vote;
         receipt.votes = votes;
+        if (proposal.endBlock > voteLockEnd[msg.sender]) {
+            voteLockEnd[msg.sender] = proposal.endBlock;
+        }
         
         if (_vote == VoteType.For) {
             proposal.forVotes = proposal.forVotes.add(votes);
@@ -203,7 +215,20 @@ contract KDAOGovernance is AccessControl, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev Execute a successful proposal
+     * @dev Queue a successful proposal, it can be executed after EXECUTION_DELAY
+     */
+    function queueProposal(uint256 _proposalId) external whenNotPaused {
+        require(state(_proposalId) == ProposalState.Succeeded, "Proposal not successful");
+        
+        Proposal storage proposal = proposals[_proposalId];
+        proposal.state = ProposalState.Queued;
+        proposal.eta = block.timestamp.add(EXECUTION_DELAY);
+        
+        emit ProposalQueued(_proposalId, proposal.eta);
+    }
+    
+    /**
+     * @dev Execute a queued proposal once its ETA is reached
      */
     function executeProposal(uint256 _proposalId) 
         external 
@@ -211,9 +236,11 @@ contract KDAOGovernance is AccessControl, ReentrancyGuard, Pausable {
         whenNotPaused 
         nonReentrant 
     {
-        require(state(_proposalId) == ProposalState.Succeeded, "Proposal not successful");
+        require(state(_proposalId) == ProposalState.Queued, "Proposal not queued");
         
         Proposal storage proposal = proposals[_proposalId];
+        require(block.timestamp >= proposal.eta, "Execution delay not passed");
+        
         proposal.state = ProposalState.Executed;
         proposal.executionTime = block.timestamp;
         
@@ -238,7 +265,7 @@ contract KDAOGovernance is AccessControl, ReentrancyGuard, Pausable {
         require(kdaoToken.transferFrom(msg.sender, address(this), _amount), "Transfer failed");
         
         stakedBalance[msg.sender] = stakedBalance[msg.sender].add(_amount);
-        votingPower[msg.sender] = votingPower[msg.sender].add(_amount);
+        _addVotes(msg.sender, _amount);
         
         emit TokensStaked(msg.sender, _amount);
     }
@@ -251,7 +278,7 @@ contract KDAOGovernance is AccessControl, ReentrancyGuard, Pausable {
         require(stakedBalance[msg.sender] >= _amount, "Insufficient staked balance");
         
         stakedBalance[msg.sender] = stakedBalance[msg.sender].sub(_amount);
-        votingPower[msg.sender] = votingPower[msg.sender].sub(_amount);
+        _removeVotes(msg.sender, _amount);
         
         require(kdaoToken.transfer(msg.sender, _amount), "Transfer failed");
         
@@ -259,27 +286,73 @@ contract KDAOGovernance is AccessControl, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev Delegate voting power
+     * @dev Delegate voting power: the whole stake, including later stakes and
+     * unstakes, counts for the delegatee instead of the delegator. Not possible while
+     * the account holding the stake's votes has voted on a running proposal
      */
     function delegateVotes(address _delegatee) external {
         require(_delegatee != address(0), "Invalid delegatee");
         require(_delegatee != msg.sender, "Cannot delegate to self");
+        _requireVotesUnlocked(msg.sender);
         
-        address oldDelegatee = voteDelegation[msg.sender];
         uint256 delegatorVotes = stakedBalance[msg.sender];
-        
-        if (oldDelegatee != address(0)) {
-            votingPower[oldDelegatee] = votingPower[oldDelegatee].sub(delegatorVotes);
-        }
-        
+        _removeVotes(msg.sender, delegatorVotes);
         voteDelegation[msg.sender] = _delegatee;
-        votingPower[_delegatee] = votingPower[_delegatee].add(delegatorVotes);
+        _addVotes(msg.sender, delegatorVotes);
         
         emit VotesDelegated(msg.sender, _delegatee);
     }
-    
+
+    /**
+     * @dev Remove delegation, emits VotesDelegated with address(0)
+     */
+    function undelegateVotes() external {
+        address oldDelegatee = voteDelegation[msg.sender];
+        require(oldDelegatee != address(0), "Not delegated");
+        _requireVotesUnlocked(msg.sender);
+
+        uint256 delegatorVotes = stakedBalance[msg.sender];
+        _removeVotes(msg.sender, delegatorVotes);
+        voteDelegation[msg.sender] = address(0);
+        _addVotes(msg.sender, delegatorVotes);
+
+        emit VotesDelegated(msg.sender, address(0));
+    }
+
     // ============ Internal Functions ============
     
+    /**
+     * @dev The stake of _staker counts for its delegatee or itself; once that account
+     * voted, the stake stays with it until the voting period of those proposals ended
+     */
+    function _requireVotesUnlocked(address _staker) internal view {
+        address holder = voteDelegation[_staker] == address(0) ? _staker : voteDelegation[_staker];
+        require(block.number > voteLockEnd[holder], "Votes locked until voting ends");
+    }
+    
+    /**
+     * @dev Stake counts for the delegatee of the staker, or the staker itself
+     */
+    function _addVotes(address _staker, uint256 _amount) internal {
+        address delegatee = voteDelegation[_staker];
+        if (delegatee == address(0)) {
+            votingPower[_staker] = votingPower[_staker].add(_amount);
+        } else {
+            votingPower[delegatee] = votingPower[delegatee].add(_amount);
+            delegatedVotes[delegatee] = delegatedVotes[delegatee].add(_amount);
+        }
+    }
+    
+    function _removeVotes(address _staker, uint256 _amount) internal {
+        address delegatee = voteDelegation[_staker];
+        if (delegatee == address(0)) {
+            votingPower[_staker] = votingPower[_staker].sub(_amount);
+        } else {
+            votingPower[delegatee] = votingPower[delegatee].sub(_amount);
+            delegatedVotes[delegatee] = delegatedVotes[delegatee].sub(_amount);
+        }
+    }
+    
     function _allocateFunding(address _project, uint256 _amount) internal {
         require(treasuryBalance >= _amount, "Insufficient treasury funds");
         treasuryBalance = treasuryBalance.sub(_amount);
@@ -301,6 +374,12 @@ contract KDAOGovernance is AccessControl, ReentrancyGuard, Pausable {
             return proposal.state;
         }
         
+        if (proposal.state == ProposalState.Queued) {
+            return block.timestamp > proposal.eta.add(EXECUTION_WINDOW)
+                ? ProposalState.Expired
+                : ProposalState.Queued;
+        }
+        
         if (block.number <= proposal.startBlock) {
             return ProposalState.Pending;
         }
@@ -362,6 +441,7 @@ contract KDAOGovernance is AccessControl, ReentrancyGuard, Pausable {
     }
     
     function cancelProposal(uint256 _proposalId) external onlyRole(GUARDIAN_ROLE) {
+        require(proposals[_proposalId].state != ProposalState.Executed, "Proposal already executed");
         proposals[_proposalId].state = ProposalState.Cancelled;
         emit ProposalCancelled(_proposalId);
     }
@@ -86,6 +86,18 @@ contract KDAOToken is
         _grantRole(SNAPSHOT_ROLE, msg.sender);
         _grantRole(PAUSER_ROLE, msg.sender);
         
+        // Set initial parameters
+        maxWalletAmount = (TOTAL_SUPPLY * MAX_WALLET_PERCENTAGE) / 10000;
+        maxTransferAmount = TOTAL_SUPPLY / 100; // 1% max transfer initially
+        feeRecipient = _treasury;
+        
+        // Exempt important addresses from limits (before minting, every allocation is above the wallet limit)
+        isExemptFromLimit[address(this)] = true;
+        isExemptFromLimit[_treasury] = true;
+        isExemptFromLimit[_stakingRewards] = true;
+        isExemptFromLimit[_team] = true;
+        isExemptFromLimit[msg.sender] = true;
+        
         // Mint total supply to contract first
         _mint(address(this), TOTAL_SUPPLY);
         
@@ -98,18 +110,6 @@ contract KDAOToken is
         // Setup team vesting (6 month cliff, 2 year total vesting)
         _createVestingSchedule(_team, TEAM_ALLOCATION, 180 days, 730 days);
         
-        // Set initial parameters
-        maxWalletAmount = (TOTAL_SUPPLY * MAX_WALLET_PERCENTAGE) / 10000;
-        maxTransferAmount = TOTAL_SUPPLY / 100; // 1% max transfer initially
-        feeRecipient = _treasury;
-        
-        // Exempt important addresses from limits
-        isExemptFromLimit[address(this)] = true;
-        isExemptFromLimit[_treasury] = true;
-        isExemptFromLimit[_stakingRewards] = true;
-        isExemptFromLimit[_team] = true;
-        isExemptFromLimit[msg.sender] = true;
-        
         // Delegate votes to self for initial setup
         _delegate(msg.sender, msg.sender);
     }
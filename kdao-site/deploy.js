@@ -1,263 +1,410 @@
-// scripts/deploy.js
+// kdao-site/deploy.js
+//
+// Deploys and wires the KDAO contracts as described in deploy-config/<network>.json.
+// Every step is written to deployments/<network>-state.json when its transaction is sent
+// and again when it is mined, so a run that stops halfway picks up where it left off
+// instead of deploying a second set of contracts. The finished deployment is saved as
+// deployments/<network>-latest.json for the frontend, the indexer and the auth server.
+//
+//   npx hardhat run kdao-site/deploy.js --network kasplex_testnet
+//
+// Config:
+//   accounts   name -> address of a non-contract account ("@deployer" is always there)
+//   contracts  key -> { contract, args } to deploy, or { address } for one that already exists;
+//              the keys end up in deployment.contracts (kdaoToken, governance, staking, ...)
+//   setup      [{ id, contract, method, args }] calls made by the deployer after all deployments
+//   verify     expected roles, wiring and parameters, checked by the verify-deployment task
+//   Values in args and addresses:
+//     "@name"       address of a contract key or an account
+//     "env:NAME"    environment variable, required
+//     "role:NAME"   AccessControl role id (keccak256 of the name)
+//     "kdao:1000"   token amount with 18 decimals
+//   anything else is passed through as is.
+//
+// Constructor arguments may point at contracts that come later (KDAOToken gets the treasury
+// and staking addresses, both get the token). Those addresses are predicted from the deployer's
+// nonce, so all deployments are sent back to back from one account with fixed nonces; if another
+// transaction takes one of those nonces, the run stops and has to start over with DEPLOY_FRESH=1.
+//
+// Environment:
+//   DEPLOY_CONFIG   config file (default deploy-config/<network>.json)
+//   DEPLOY_FRESH    1 to drop the state file and deploy everything again
 const hre = require("hardhat");
-const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { colors, log } = require("./server-utils");
 
-// Color codes for console output
-const colors = {
-  reset: "\x1b[0m",
-  bright: "\x1b[1m",
-  green: "\x1b[32m",
-  yellow: "\x1b[33m",
-  blue: "\x1b[34m",
-  red: "\x1b[31m"
-};
-
-function log(message, color = colors.reset) {
-  console.log(`${color}${message}${colors.reset}`);
+const configDir = path.join(__dirname, "deploy-config");
+const deploymentsDir = path.join(__dirname, "../deployments");
+
+// Networks whose chain only lives as long as the process; a state file left over from an
+// earlier run is dropped instead of reported as a mismatch
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+// ============ Config ============
+
+function readConfig(networkName, file = process.env.DEPLOY_CONFIG) {
+  const configFile = file || path.join(configDir, `${networkName}.json`);
+  if (!fs.existsSync(configFile)) {
+    throw new Error(`No deploy config at ${configFile}`);
+  }
+  const config = JSON.parse(fs.readFileSync(configFile, "utf8"));
+  config.accounts = config.accounts || {};
+  config.setup = config.setup || [];
+
+  if (!config.contracts || !Object.keys(config.contracts).length) {
+    throw new Error(`${configFile} has no contracts`);
+  }
+  for (const [key, entry] of Object.entries(config.contracts)) {
+    if (!entry.address && !entry.contract) {
+      throw new Error(`contracts.${key} needs a contract name or an address`);
+    }
+    if (config.accounts[key] || key === "deployer") {
+      throw new Error(`${key} is both a contract and an account`);
+    }
+  }
+  const ids = new Set();
+  for (const step of config.setup) {
+    if (!step.id || ids.has(step.id)) {
+      throw new Error(`Setup steps need a unique id (${step.id || step.method})`);
+    }
+    if (!config.contracts[step.contract]) {
+      throw new Error(`Setup step ${step.id} calls unknown contract ${step.contract}`);
+    }
+    ids.add(step.id);
+  }
+  return config;
 }
 
-async function main() {
-  log("\n========================================", colors.bright);
-  log("   KDAO 2.0 CONTRACT DEPLOYMENT", colors.bright + colors.blue);
-  log("========================================\n", colors.bright);
+// Names referenced with "@name" anywhere in a value
+function referencesOf(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap(referencesOf);
+  }
+  return typeof value === "string" && value.startsWith("@") ? [value.slice(1)] : [];
+}
+
+// Contract keys a name stands for, following accounts and existing addresses that are aliases
+function contractDependencies(config, name, seen = new Set()) {
+  if (seen.has(name)) {
+    return [];
+  }
+  seen.add(name);
+  const entry = config.contracts[name];
+  if (entry && entry.contract) {
+    return [name];
+  }
+  const alias = entry ? entry.address : config.accounts[name];
+  if (alias === undefined && name !== "deployer") {
+    throw new Error(`Unknown reference @${name}`);
+  }
+  return referencesOf(alias).flatMap(ref => contractDependencies(config, ref, seen));
+}
+
+// Deployment order: dependencies first, config order otherwise. A cycle is broken at its first
+// contract in config order; its references to contracts that come later are counterfactual.
+function planDeployments(config) {
+  const keys = Object.keys(config.contracts).filter(key => config.contracts[key].contract);
+  const dependencies = Object.fromEntries(keys.map(key => [
+    key,
+    new Set(referencesOf(config.contracts[key].args || []).flatMap(ref => contractDependencies(config, ref)))
+  ]));
+
+  const order = [];
+  const remaining = [...keys];
+  while (remaining.length) {
+    const ready = remaining.find(key => [...dependencies[key]].every(dep => dep === key || order.includes(dep)));
+    const next = ready || remaining[0];
+    order.push(next);
+    remaining.splice(remaining.indexOf(next), 1);
+  }
+
+  return order.map(key => ({
+    key,
+    contract: config.contracts[key].contract,
+    counterfactual: [...dependencies[key]].filter(dep => !order.slice(0, order.indexOf(key) + 1).includes(dep))
+  }));
+}
+
+// Resolves a config value; addresses holds everything "@name" can point to
+function resolveValue(value, addresses, ethers) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolveValue(item, addresses, ethers));
+  }
+  if (typeof value !== "string") {
+    return value;
+  }
+  if (value.startsWith("@")) {
+    const address = addresses[value.slice(1)];
+    if (!address) {
+      throw new Error(`${value} has no address yet`);
+    }
+    return address;
+  }
+  if (value.startsWith("env:")) {
+    const name = value.slice(4);
+    if (!process.env[name]) {
+      throw new Error(`Environment variable ${name} is not set`);
+    }
+    return process.env[name];
+  }
+  if (value.startsWith("role:")) {
+    const role = value.slice(5);
+    return role === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(role);
+  }
+  if (value.startsWith("kdao:")) {
+    return ethers.parseEther(value.slice(5));
+  }
+  return value;
+}
+
+// Addresses of existing contracts and accounts; aliases may point at planned contracts
+function resolveAddresses(config, deployer, planned, ethers) {
+  const addresses = { deployer, ...planned };
+  const pending = {
+    ...config.accounts,
+    ...Object.fromEntries(Object.entries(config.contracts).filter(([, entry]) => entry.address).map(([key, entry]) => [key, entry.address]))
+  };
+
+  while (Object.keys(pending).length) {
+    const ready = Object.keys(pending).filter(name => referencesOf(pending[name]).every(ref => addresses[ref]));
+    if (!ready.length) {
+      throw new Error(`Circular or unknown references in ${Object.keys(pending).join(", ")}`);
+    }
+    for (const name of ready) {
+      const address = resolveValue(pending[name], addresses, ethers);
+      if (!ethers.isAddress(address) || address === ethers.ZeroAddress) {
+        throw new Error(`${name} resolves to ${address}, which is not a usable address`);
+      }
+      addresses[name] = ethers.getAddress(address);
+      delete pending[name];
+    }
+  }
+  return addresses;
+}
+
+// BigInts as strings, so arguments can go into JSON and be compared with the state file
+function serialize(value) {
+  return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item)));
+}
+
+// ============ State ============
+
+function readState(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function writeState(file, state) {
+  state.updatedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
+}
+
+// Throws when a state file doesn't belong to this chain and deployer
+async function checkState(state, { chainId, deployer, provider }) {
+  if (state.chainId !== chainId || state.deployer !== deployer) {
+    throw new Error(`State file is for chain ${state.chainId} / ${state.deployer}, not ${chainId} / ${deployer}`);
+  }
+  for (const [id, step] of Object.entries(state.steps)) {
+    if (step.kind === "deploy" && step.status === "done" && (await provider.getCode(step.address)) === "0x") {
+      throw new Error(`${id} is recorded at ${step.address}, but there is no contract on chain`);
+    }
+  }
+}
+
+// Receipt of a step's last transaction: null when it was never mined
+async function findReceipt(provider, step) {
+  if (!step.tx) {
+    return null;
+  }
+  const receipt = await provider.getTransactionReceipt(step.tx);
+  if (receipt || !(await provider.getTransaction(step.tx))) {
+    return receipt;
+  }
+  return provider.waitForTransaction(step.tx);
+}
+
+// ============ Deployment ============
+
+async function deploy(runtime = hre, options = {}) {
+  const { ethers } = runtime;
+  const networkName = options.networkName || runtime.network.name;
+  const config = options.config || readConfig(networkName);
+  const outputDir = options.deploymentsDir || deploymentsDir;
+  const stateFile = path.join(outputDir, `${networkName}-state.json`);
+  const fresh = options.fresh ?? process.env.DEPLOY_FRESH === "1";
 
-  // Get network info
   const network = await ethers.provider.getNetwork();
+  const chainId = Number(network.chainId);
   const [deployer] = await ethers.getSigners();
-  const balance = await ethers.provider.getBalance(deployer.address);
+  const provider = ethers.provider;
 
-  log(`📍 Network: ${network.name} (Chain ID: ${network.chainId})`, colors.yellow);
+  log(`📍 Network: ${networkName} (Chain ID: ${chainId})`, colors.yellow);
   log(`👤 Deployer: ${deployer.address}`, colors.yellow);
-  log(`💰 Balance: ${ethers.formatEther(balance)} KAS/ETH\n`, colors.yellow);
-
-  // Deployment addresses storage
-  const deployments = {};
-
-  try {
-    // ============ 1. Deploy KDAO Token (if not already deployed) ============
-    let kdaoTokenAddress = process.env.KDAO_TOKEN_ADDRESS;
-    
-    if (!kdaoTokenAddress) {
-      log("📦 Deploying KDAO Token...", colors.blue);
-      const KDAOToken = await ethers.getContractFactory("KDAOToken");
-      const kdaoToken = await KDAOToken.deploy(
-        "Kaspa DAO",
-        "KDAO",
-        ethers.parseEther("150000000") // 150M total supply
-      );
-      await kdaoToken.waitForDeployment();
-      kdaoTokenAddress = await kdaoToken.getAddress();
-      deployments.kdaoToken = kdaoTokenAddress;
-      log(`✅ KDAO Token deployed at: ${kdaoTokenAddress}\n`, colors.green);
-    } else {
-      deployments.kdaoToken = kdaoTokenAddress;
-      log(`✅ Using existing KDAO Token at: ${kdaoTokenAddress}\n`, colors.green);
-    }
+  log(`💰 Balance: ${ethers.formatEther(await provider.getBalance(deployer.address))} KAS/ETH\n`, colors.yellow);
 
-    // ============ 2. Deploy Governance Contract ============
-    log("📦 Deploying KDAOGovernance...", colors.blue);
-    const KDAOGovernance = await ethers.getContractFactory("KDAOGovernance");
-    const governance = await KDAOGovernance.deploy(kdaoTokenAddress);
-    await governance.waitForDeployment();
-    const governanceAddress = await governance.getAddress();
-    deployments.governance = governanceAddress;
-    log(`✅ KDAOGovernance deployed at: ${governanceAddress}\n`, colors.green);
-
-    // ============ 3. Deploy Staking Contract ============
-    log("📦 Deploying StakingRewards...", colors.blue);
-    const StakingRewards = await ethers.getContractFactory("StakingRewards");
-    
-    // For now, use KDAO token as LP token placeholder
-    // Replace with actual LP token address when available
-    const lpTokenAddress = process.env.LP_TOKEN_ADDRESS || kdaoTokenAddress;
-    
-    const staking = await StakingRewards.deploy(
-      kdaoTokenAddress,
-      lpTokenAddress
-    );
-    await staking.waitForDeployment();
-    const stakingAddress = await staking.getAddress();
-    deployments.staking = stakingAddress;
-    log(`✅ StakingRewards deployed at: ${stakingAddress}\n`, colors.green);
-
-    // ============ 4. Deploy Treasury Manager ============
-    log("📦 Deploying TreasuryManager...", colors.blue);
-    const TreasuryManager = await ethers.getContractFactory("TreasuryManager");
-    const treasury = await TreasuryManager.deploy(
-      kdaoTokenAddress,
-      stakingAddress,
-      governanceAddress
-    );
-    await treasury.waitForDeployment();
-    const treasuryAddress = await treasury.getAddress();
-    deployments.treasury = treasuryAddress;
-    log(`✅ TreasuryManager deployed at: ${treasuryAddress}\n`, colors.green);
-
-    // ============ 5. Deploy Election Manager ============
-    log("📦 Deploying ElectionManager...", colors.blue);
-    const ElectionManager = await ethers.getContractFactory("ElectionManager");
-    const election = await ElectionManager.deploy(
-      kdaoTokenAddress,
-      stakingAddress,
-      governanceAddress
-    );
-    await election.waitForDeployment();
-    const electionAddress = await election.getAddress();
-    deployments.election = electionAddress;
-    log(`✅ ElectionManager deployed at: ${electionAddress}\n`, colors.green);
-
-    // ============ 6. Setup Contract Permissions ============
-    log("🔧 Setting up contract permissions...", colors.blue);
-
-    // Grant governance role to treasury in governance contract
-    const EXECUTOR_ROLE = ethers.keccak256(ethers.toUtf8Bytes("EXECUTOR_ROLE"));
-    await governance.grantRole(EXECUTOR_ROLE, treasuryAddress);
-    log("  ✓ Treasury granted EXECUTOR_ROLE in Governance", colors.green);
-
-    // Grant governance role to governance contract in treasury
-    const GOVERNANCE_ROLE = ethers.keccak256(ethers.toUtf8Bytes("GOVERNANCE_ROLE"));
-    await treasury.grantRole(GOVERNANCE_ROLE, governanceAddress);
-    log("  ✓ Governance granted GOVERNANCE_ROLE in Treasury", colors.green);
-
-    // Grant rewards manager role to treasury in staking
-    const REWARDS_MANAGER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("REWARDS_MANAGER_ROLE"));
-    await staking.grantRole(REWARDS_MANAGER_ROLE, treasuryAddress);
-    log("  ✓ Treasury granted REWARDS_MANAGER_ROLE in Staking", colors.green);
-
-    // Update contracts in treasury
-    await treasury.updateContracts(stakingAddress, governanceAddress);
-    log("  ✓ Contract addresses updated in Treasury\n", colors.green);
-
-    // ============ 7. Initialize Contracts ============
-    log("🚀 Initializing contracts...", colors.blue);
-
-    // Add initial rewards to staking pool (if deployer has KDAO)
+  let state = fresh ? null : readState(stateFile);
+  if (state) {
     try {
-      const kdaoToken = await ethers.getContractAt("IERC20", kdaoTokenAddress);
-      const deployerBalance = await kdaoToken.balanceOf(deployer.address);
-      
-      if (deployerBalance > 0) {
-        const rewardAmount = ethers.parseEther("10000"); // 10,000 KDAO initial rewards
-        
-        // Approve and add rewards
-        await kdaoToken.approve(stakingAddress, rewardAmount);
-        await staking.addRewards(rewardAmount);
-        log(`  ✓ Added ${ethers.formatEther(rewardAmount)} KDAO to reward pool`, colors.green);
-      }
+      await checkState(state, { chainId, deployer: deployer.address, provider });
+      log(`♻️  Resuming from ${stateFile}\n`, colors.blue);
     } catch (error) {
-      log("  ⚠ Could not add initial rewards (no KDAO balance)", colors.yellow);
+      if (!EPHEMERAL_NETWORKS.includes(networkName)) {
+        throw new Error(`${error.message} - check ${stateFile} or run again with DEPLOY_FRESH=1`);
+      }
+      state = null;
     }
+  }
 
-    // Set Q4 2025 allocation in Treasury (200,000 KDAO)
-    await treasury.setQuarterlyAllocation(
-      2025,  // year
-      4,     // quarter
-      ethers.parseEther("80000"),  // utility (40%)
-      ethers.parseEther("20000"),  // token (10%)
-      ethers.parseEther("40000"),  // education (20%)
-      ethers.parseEther("60000"),  // marketing (30%)
-      ethers.parseEther("0")       // infrastructure (0%)
-    );
-    log("  ✓ Q4 2025 allocation set (200,000 KDAO)\n", colors.green);
-
-    // ============ 8. Save Deployment Addresses ============
-    const deploymentInfo = {
-      network: network.name,
-      chainId: Number(network.chainId),
+  const plan = planDeployments(config);
+  if (!state) {
+    const startNonce = await provider.getTransactionCount(deployer.address);
+    state = {
+      network: networkName,
+      chainId,
       deployer: deployer.address,
-      timestamp: new Date().toISOString(),
-      contracts: deployments,
-      configuration: {
-        minProposalThreshold: "100 KDAO",
-        quorumPercentage: "30%",
-        votingPeriod: "7 days",
-        stakingAPY: {
-          base: "15%",
-          lpBonus: "25%",
-          longTerm: "5%"
-        },
-        treasuryDistribution: {
-          stakers: "70%",
-          treasury: "10%",
-          restaking: "20%"
-        }
-      }
+      startNonce,
+      planned: Object.fromEntries(plan.map((step, index) => [
+        step.key,
+        ethers.getCreateAddress({ from: deployer.address, nonce: startNonce + index })
+      ])),
+      steps: {}
     };
+    writeState(stateFile, state);
+  }
 
-    const deploymentsDir = path.join(__dirname, "../deployments");
-    if (!fs.existsSync(deploymentsDir)) {
-      fs.mkdirSync(deploymentsDir);
+  const addresses = resolveAddresses(config, deployer.address, state.planned, ethers);
+
+  // ============ 1. Deploy Contracts ============
+  for (const [index, { key, contract, counterfactual }] of plan.entries()) {
+    const id = `deploy:${key}`;
+    const nonce = state.startNonce + index;
+    const address = state.planned[key];
+    const args = resolveValue(config.contracts[key].args || [], addresses, ethers);
+    const step = state.steps[id] || (state.steps[id] = { kind: "deploy", contract, address, nonce, status: "new" });
+
+    if (JSON.stringify(step.args || serialize(args)) !== JSON.stringify(serialize(args))) {
+      throw new Error(`Arguments of ${contract} changed since ${id} was started - run again with DEPLOY_FRESH=1`);
+    }
+    if (step.status === "done") {
+      log(`✓ ${contract} already at ${address}`, colors.green);
+      continue;
     }
 
-    const filename = `${network.name}-${Date.now()}.json`;
-    fs.writeFileSync(
-      path.join(deploymentsDir, filename),
-      JSON.stringify(deploymentInfo, null, 2)
-    );
-
-    // Also save as latest
-    fs.writeFileSync(
-      path.join(deploymentsDir, `${network.name}-latest.json`),
-      JSON.stringify(deploymentInfo, null, 2)
-    );
-
-    // ============ 9. Verify Contracts (if not on localhost) ============
-    if (network.name !== "localhost" && network.name !== "hardhat") {
-      log("📝 Preparing contract verification...\n", colors.blue);
-      
-      const verifyCommands = [
-        `npx hardhat verify --network ${network.name} ${governanceAddress} ${kdaoTokenAddress}`,
-        `npx hardhat verify --network ${network.name} ${stakingAddress} ${kdaoTokenAddress} ${lpTokenAddress}`,
-        `npx hardhat verify --network ${network.name} ${treasuryAddress} ${kdaoTokenAddress} ${stakingAddress} ${governanceAddress}`,
-        `npx hardhat verify --network ${network.name} ${electionAddress} ${kdaoTokenAddress} ${stakingAddress} ${governanceAddress}`
-      ];
-
-      log("Run these commands to verify contracts:", colors.yellow);
-      verifyCommands.forEach(cmd => log(`  ${cmd}`, colors.reset));
+    const receipt = await findReceipt(provider, step);
+    if (receipt && receipt.status === 1) {
+      log(`✓ ${contract} was mined at ${address}`, colors.green);
+    } else {
+      const current = await provider.getTransactionCount(deployer.address);
+      if (current !== nonce) {
+        throw new Error(`${contract} needs nonce ${nonce} for ${address}, but the deployer is at ${current} - run again with DEPLOY_FRESH=1`);
+      }
+
+      log(`📦 Deploying ${contract}...`, colors.blue);
+      if (counterfactual.length) {
+        log(`   predicted: ${counterfactual.map(dep => `${dep} ${state.planned[dep]}`).join(", ")}`, colors.yellow);
+      }
+      const factory = await ethers.getContractFactory(contract, deployer);
+      const instance = await factory.deploy(...args, { nonce });
+      Object.assign(step, { args: serialize(args), tx: instance.deploymentTransaction().hash, status: "pending" });
+      writeState(stateFile, state);
+      await instance.waitForDeployment();
+    }
+
+    if ((await provider.getCode(address)) === "0x") {
+      throw new Error(`${contract} is not at its predicted address ${address}`);
+    }
+    const mined = await provider.getTransactionReceipt(step.tx);
+    Object.assign(step, { args: serialize(args), block: mined.blockNumber, status: "done" });
+    writeState(stateFile, state);
+    log(`✅ ${contract} deployed at: ${address}\n`, colors.green);
+  }
+
+  // ============ 2. Setup Contracts ============
+  if (config.setup.length) {
+    log("🔧 Setting up contracts...", colors.blue);
+  }
+  for (const { id, contract: key, method, args } of config.setup) {
+    const stepId = `setup:${id}`;
+    const step = state.steps[stepId] || (state.steps[stepId] = { kind: "setup", status: "new" });
+    if (step.status === "done") {
+      log(`  ✓ ${id} (already done)`, colors.green);
+      continue;
+    }
+
+    const receipt = await findReceipt(provider, step);
+    if (!receipt || receipt.status !== 1) {
+      const name = config.contracts[key].contract || "IERC20";
+      const instance = await ethers.getContractAt(name, addresses[key], deployer);
+      const tx = await instance[method](...resolveValue(args || [], addresses, ethers));
+      Object.assign(step, { tx: tx.hash, status: "pending" });
+      writeState(stateFile, state);
+      await tx.wait();
     }
+    step.status = "done";
+    writeState(stateFile, state);
+    log(`  ✓ ${id}: ${key}.${method}`, colors.green);
+  }
 
-    // ============ 10. Summary ============
-    log("\n========================================", colors.bright);
-    log("   DEPLOYMENT COMPLETE! 🎉", colors.bright + colors.green);
-    log("========================================\n", colors.bright);
-
-    log("📋 Contract Addresses:", colors.bright);
-    log(`  KDAO Token:      ${deployments.kdaoToken}`, colors.green);
-    log(`  Governance:      ${deployments.governance}`, colors.green);
-    log(`  Treasury:        ${deployments.treasury}`, colors.green);
-    log(`  Staking:         ${deployments.staking}`, colors.green);
-    log(`  Elections:       ${deployments.election}`, colors.green);
-
-    log("\n💾 Deployment info saved to:", colors.bright);
-    log(`  ${path.join(deploymentsDir, filename)}`, colors.blue);
-
-    log("\n🔗 Next Steps:", colors.bright);
-    log("  1. Update .env with contract addresses", colors.yellow);
-    log("  2. Transfer KDAO tokens to Treasury", colors.yellow);
-    log("  3. Create first election for Project Lead", colors.yellow);
-    log("  4. Update frontend with contract addresses", colors.yellow);
-    log("  5. Verify contracts on explorer\n", colors.yellow);
-
-    return deployments;
-
-  } catch (error) {
-    log(`\n❌ Deployment failed: ${error.message}`, colors.red);
-    console.error(error);
-    process.exit(1);
+  // ============ 3. Save Deployment Addresses ============
+  const contracts = Object.fromEntries(Object.keys(config.contracts).map(key => [key, addresses[key]]));
+  const deploymentInfo = {
+    network: networkName,
+    chainId,
+    deployer: deployer.address,
+    timestamp: new Date().toISOString(),
+    contracts,
+    // First block with KDAO events, where the frontend and the indexer start reading logs
+    startBlock: plan.length ? Math.min(...plan.map(({ key }) => state.steps[`deploy:${key}`].block)) : 0,
+    constructorArgs: Object.fromEntries(plan.map(({ key }) => [key, state.steps[`deploy:${key}`].args]))
+  };
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const filename = `${networkName}-${Date.now()}.json`;
+  fs.writeFileSync(path.join(outputDir, filename), JSON.stringify(deploymentInfo, null, 2));
+  fs.writeFileSync(path.join(outputDir, `${networkName}-latest.json`), JSON.stringify(deploymentInfo, null, 2));
+
+  log("\n📋 Contract Addresses:", colors.bright);
+  for (const [key, address] of Object.entries(contracts)) {
+    log(`  ${key.padEnd(16)} ${address}`, colors.green);
   }
+  log("\n💾 Deployment info saved to:", colors.bright);
+  log(`  ${path.join(outputDir, `${networkName}-latest.json`)}\n`, colors.blue);
+
+  return deploymentInfo;
+}
+
+// ============ Main ============
+
+async function main() {
+  log("\n========================================", colors.bright);
+  log("   KDAO 2.0 CONTRACT DEPLOYMENT", colors.bright + colors.blue);
+  log("========================================\n", colors.bright);
+
+  const deployment = await deploy(hre);
+
+  log("========================================", colors.bright);
+  log("   DEPLOYMENT COMPLETE! 🎉", colors.bright + colors.green);
+  log("========================================\n", colors.bright);
+
+  log("🔗 Next Steps:", colors.bright);
+  log("  1. Update .env with contract addresses", colors.yellow);
+  log("  2. Create first election for Project Lead", colors.yellow);
+  log("  3. Update frontend with contract addresses", colors.yellow);
+  log(`  4. Check the deployment: npx hardhat verify-deployment --network ${hre.network.name}`, colors.yellow);
+  log("  5. Verify contracts on explorer\n", colors.yellow);
+  return deployment;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      log(`\n❌ Deployment failed: ${error.message}`, colors.red);
+      log("   Completed steps are kept in the state file; run the same command again to resume.", colors.yellow);
+      console.error(error);
+      process.exit(1);
+    });
 }
 
-// Execute deployment
-main()
-  .then((deployments) => {
-    log("✅ All contracts deployed successfully!\n", colors.green);
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
-
-module.exports = main;
\ No newline at end of file
+module.exports = { main, deploy, readConfig, planDeployments, resolveValue };
@@ -21,6 +21,14 @@ task("balance", "Prints an account's balance")
     console.log(hre.ethers.formatEther(balance), "ETH");
   });
 
+task("verify-deployment", "Checks roles, wiring and parameters of a deployment on chain")
+  .addOptionalParam("deployment", "Deployment file (default: deployments/<network>-latest.json)")
+  .addFlag("strict", "Also fail on warnings, e.g. roles the deployer still holds")
+  .setAction(async (taskArgs, hre) => {
+    const { runVerification } = require("./verify-deployment");
+    return runVerification(hre, taskArgs);
+  });
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -37,7 +45,7 @@ module.exports = {
           }
         }
       },
-      viaIR: false,
+      viaIR: true,
       metadata: {
         bytecodeHash: "ipfs"
       }
@@ -0,0 +1,173 @@
+// i18n-report.js
+//
+// Checks the locale bundles in locales/ against the keys the site uses:
+//   - keys used in pages or scripts but missing in a locale
+//   - keys that a locale has but the default locale (en) does not
+//   - keys no page or script uses any more
+//
+//   node kdao-site/i18n-report.js            report only
+//   node kdao-site/i18n-report.js --strict   exit code 1 on missing keys
+//
+// A new language is a new locales/<lang>.json plus its entry in locales/index.json;
+// this report lists what the new bundle still lacks.
+const fs = require("fs");
+const path = require("path");
+const { colors, log } = require("./server-utils");
+
+const siteDir = __dirname;
+const localesDir = path.join(siteDir, "locales");
+const DEFAULT_LOCALE = "en";
+const PLURAL_CATEGORIES = ["zero", "one", "two", "few", "many", "other"];
+
+// Files that can reference keys; content-server.js titles the news feeds
+const SOURCES = ["index.html", "pages", "js", "content-server.js"];
+
+// ============ Bundles ============
+
+function isPluralEntry(entry) {
+  return Boolean(entry) && typeof entry === "object"
+    && Object.keys(entry).length > 0
+    && Object.keys(entry).every((category) => PLURAL_CATEGORIES.includes(category));
+}
+
+// { time: { days: { one, other } } } -> { "time.days": {...} }
+function flattenBundle(bundle, prefix = "", keys = {}) {
+  Object.entries(bundle).forEach(([name, entry]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (entry && typeof entry === "object" && !isPluralEntry(entry)) {
+      flattenBundle(entry, key, keys);
+    } else {
+      keys[key] = entry;
+    }
+  });
+  return keys;
+}
+
+function readLocales() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(localesDir, "index.json"), "utf8"));
+  const bundles = {};
+  Object.keys(manifest).forEach((locale) => {
+    const file = path.join(localesDir, `${locale}.json`);
+    bundles[locale] = fs.existsSync(file) ? flattenBundle(JSON.parse(fs.readFileSync(file, "utf8"))) : {};
+  });
+  return bundles;
+}
+
+// ============ Sources ============
+
+function listSourceFiles() {
+  const files = [];
+  const walk = (target) => {
+    const stat = fs.statSync(target);
+    if (stat.isDirectory()) {
+      fs.readdirSync(target).sort().forEach((name) => walk(path.join(target, name)));
+    } else if (/\.(html|js)$/.test(target)) {
+      files.push(target);
+    }
+  };
+  SOURCES.forEach((source) => walk(path.join(siteDir, source)));
+  return files;
+}
+
+// Keys in data-i18n / data-i18n-html / data-i18n-attr and t('...') calls
+function collectUsedKeys(text) {
+  const keys = [];
+  for (const match of text.matchAll(/data-i18n(?:-html)?="([^"]+)"/g)) {
+    keys.push(match[1]);
+  }
+  for (const match of text.matchAll(/data-i18n-attr="([^"]+)"/g)) {
+    match[1].split(",").forEach((pair) => keys.push(pair.split(":")[1].trim()));
+  }
+  for (const match of text.matchAll(/\bt\(\s*['"`]([\w.]+)['"`]/g)) {
+    keys.push(match[1]);
+  }
+  return keys;
+}
+
+// Any 'section.key' string literal in a script, for keys picked by code ([3600, 'time.hours'])
+function collectKeyLiterals(text) {
+  return [...text.matchAll(/['"`]([a-z]\w*(?:\.\w+)+)['"`]/g)].map((match) => match[1]);
+}
+
+// Line comments hold usage examples, not uses
+function stripLineComments(text) {
+  return text.replace(/^\s*\/\/.*$/gm, "");
+}
+
+// ============ Report ============
+
+function buildReport() {
+  const bundles = readLocales();
+  const locales = Object.keys(bundles);
+  const used = new Map();
+  const referenced = new Set();
+
+  listSourceFiles().forEach((file) => {
+    const relative = path.relative(siteDir, file);
+    const source = fs.readFileSync(file, "utf8");
+    const text = file.endsWith(".js") ? stripLineComments(source) : source;
+    collectUsedKeys(text).forEach((key) => {
+      if (!used.has(key)) used.set(key, new Set());
+      used.get(key).add(relative);
+    });
+    collectKeyLiterals(text).forEach((key) => referenced.add(key));
+  });
+
+  const defaultKeys = Object.keys(bundles[DEFAULT_LOCALE] || {});
+  const report = { locales, missing: {}, extra: {}, unused: [] };
+
+  locales.forEach((locale) => {
+    const keys = bundles[locale];
+    report.missing[locale] = [...new Set([...used.keys(), ...defaultKeys])]
+      .filter((key) => keys[key] === undefined)
+      .sort()
+      .map((key) => ({ key, files: [...(used.get(key) || [])] }));
+    report.extra[locale] = Object.keys(keys).filter((key) => !defaultKeys.includes(key)).sort();
+  });
+  report.unused = defaultKeys.filter((key) => !used.has(key) && !referenced.has(key)).sort();
+
+  return report;
+}
+
+function printReport(report) {
+  log("\n🌐 KDAO i18n report", colors.bright);
+  log(`Locales: ${report.locales.join(", ")}`, colors.blue);
+
+  report.locales.forEach((locale) => {
+    const missing = report.missing[locale];
+    const extra = report.extra[locale];
+    if (!missing.length && !extra.length) {
+      log(`\n✅ ${locale}: complete`, colors.green);
+      return;
+    }
+    if (missing.length) {
+      log(`\n❌ ${locale}: ${missing.length} missing`, colors.red);
+      missing.forEach(({ key, files }) => log(`   ${key}${files.length ? `  (${files.join(", ")})` : ""}`));
+    }
+    if (extra.length) {
+      log(`\n⚠️  ${locale}: ${extra.length} not in ${DEFAULT_LOCALE}`, colors.yellow);
+      extra.forEach((key) => log(`   ${key}`));
+    }
+  });
+
+  if (report.unused.length) {
+    log(`\n⚠️  ${report.unused.length} unused`, colors.yellow);
+    report.unused.forEach((key) => log(`   ${key}`));
+  }
+  log("");
+}
+
+function main() {
+  const report = buildReport();
+  printReport(report);
+  const missing = report.locales.reduce((sum, locale) => sum + report.missing[locale].length, 0);
+  if (process.argv.includes("--strict") && missing > 0) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildReport, flattenBundle, collectUsedKeys };
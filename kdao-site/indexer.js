@@ -0,0 +1,362 @@
+// kdao-site/indexer.js
+//
+// Event indexer for the KDAO contracts. Reads the addresses written by deploy.js
+// (deployments/<network>-latest.json), backfills all events of the five contracts,
+// keeps following new blocks and serves them from a small HTTP API.
+//
+//   npx hardhat node
+//   npx hardhat run kdao-site/deploy.js --network localhost
+//   npx hardhat run kdao-site/indexer.js --network localhost
+//
+// Environment:
+//   INDEXER_PORT          API port (default 8787)
+//   INDEXER_POLL_MS       poll interval while tailing (default 4000)
+//   INDEXER_REORG_DEPTH   recent blocks whose hashes are re-checked (default 12)
+//   INDEXER_BATCH_SIZE    blocks per eth_getLogs request (default 2000)
+//   INDEXER_START_BLOCK   first block to scan (default: startBlock of the deployment or 0)
+//   INDEXER_ONCE=true     backfill and exit without starting the API
+//                         (same as `HARDHAT_NETWORK=localhost node kdao-site/indexer.js --once`)
+//   INDEXER_ORIGINS       comma separated origins of the site allowed to read the API, e.g. https://kaspadao.org
+//                         (default: any http://localhost or http://127.0.0.1 origin; requests
+//                         without an Origin header, like curl, are always answered)
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const { colors, log, parseOrigins, isAllowedOrigin, sendJson } = require("./server-utils");
+
+const config = {
+  port: Number(process.env.INDEXER_PORT || 8787),
+  pollInterval: Number(process.env.INDEXER_POLL_MS || 4000),
+  reorgDepth: Number(process.env.INDEXER_REORG_DEPTH || 12),
+  batchSize: Number(process.env.INDEXER_BATCH_SIZE || 2000),
+  once: process.env.INDEXER_ONCE === "true" || process.argv.includes("--once"),
+  origins: parseOrigins(process.env.INDEXER_ORIGINS)
+};
+
+// Keys of deployments/<network>-latest.json -> contract names
+const CONTRACTS = {
+  kdaoToken: "KDAOToken",
+  governance: "KDAOGovernance",
+  staking: "StakingRewards",
+  treasury: "TreasuryManager",
+  election: "ElectionManager"
+};
+
+const deploymentsDir = path.join(__dirname, "../deployments");
+const storeDir = path.join(__dirname, "../indexer-data");
+
+// ============ Deployment ============
+
+function readDeployment(networkName) {
+  const file = path.join(deploymentsDir, `${networkName}-latest.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment found at ${file} - run deploy.js for ${networkName} first`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// address (lowercase) -> { key, iface }
+async function loadContracts(deployment) {
+  const contracts = {};
+  for (const [key, name] of Object.entries(CONTRACTS)) {
+    const address = deployment.contracts[key];
+    if (!address) {
+      log(`  ⚠ ${name} missing in deployment, skipping`, colors.yellow);
+      continue;
+    }
+    const artifact = await hre.artifacts.readArtifact(name);
+    contracts[address.toLowerCase()] = { key, address, iface: new hre.ethers.Interface(artifact.abi) };
+  }
+  return contracts;
+}
+
+// ============ Store ============
+
+function getStorePath(networkName) {
+  return path.join(storeDir, `${networkName}-events.json`);
+}
+
+function createStore(deployment, startBlock) {
+  return {
+    network: deployment.network,
+    chainId: deployment.chainId,
+    contracts: deployment.contracts,
+    startBlock,
+    lastBlock: startBlock - 1,
+    recentBlocks: [],
+    events: []
+  };
+}
+
+// A store from an older deployment (e.g. a restarted Hardhat node) is discarded
+function loadStore(networkName, deployment, startBlock) {
+  const file = getStorePath(networkName);
+  if (fs.existsSync(file)) {
+    const store = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (store.chainId === deployment.chainId && JSON.stringify(store.contracts) === JSON.stringify(deployment.contracts)) {
+      return store;
+    }
+    log("  ⚠ Deployment changed, rebuilding the event store", colors.yellow);
+  }
+  return createStore(deployment, startBlock);
+}
+
+// Block cursor, head hash and event count; the poll writes the file only when this changes
+function getStoreVersion(store) {
+  const head = store.recentBlocks[store.recentBlocks.length - 1];
+  return `${store.lastBlock}:${head ? head.hash : ""}:${store.events.length}`;
+}
+
+// Write to a temp file first so a crash never leaves a half-written store
+function saveStore(networkName, store) {
+  if (!fs.existsSync(storeDir)) {
+    fs.mkdirSync(storeDir);
+  }
+  const file = getStorePath(networkName);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(store));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// ============ Indexing ============
+
+// ethers Result -> plain JSON (bigint as string, named keys)
+function serializeValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(serializeValue);
+  return value;
+}
+
+function serializeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, index) => {
+    result[input.name || String(index)] = serializeValue(args[index]);
+  });
+  return result;
+}
+
+// Drop everything after the fork point and re-read from there
+function rollback(store, blockNumber) {
+  store.events = store.events.filter(event => event.blockNumber <= blockNumber);
+  store.recentBlocks = store.recentBlocks.filter(block => block.number <= blockNumber);
+  store.lastBlock = blockNumber;
+}
+
+// Compare the stored hashes of the last blocks with the chain; returns true when a reorg was handled
+async function handleReorg(provider, store) {
+  for (let i = store.recentBlocks.length - 1; i >= 0; i--) {
+    const stored = store.recentBlocks[i];
+    const block = await provider.getBlock(stored.number);
+    if (block && block.hash === stored.hash) {
+      if (i === store.recentBlocks.length - 1) return false;
+      log(`  ↩ Reorg detected, rolling back to block ${stored.number}`, colors.yellow);
+      rollback(store, stored.number);
+      return true;
+    }
+  }
+
+  if (store.recentBlocks.length) {
+    log("  ↩ Reorg deeper than the checked window, re-indexing from the start block", colors.yellow);
+    rollback(store, store.startBlock - 1);
+    store.recentBlocks = [];
+    return true;
+  }
+  return false;
+}
+
+// Returns the number of events stored; logs the ABIs don't know are skipped
+async function indexRange(provider, contracts, store, fromBlock, toBlock) {
+  const logs = await provider.getLogs({
+    address: Object.values(contracts).map(contract => contract.address),
+    fromBlock,
+    toBlock
+  });
+
+  const timestamps = new Map();
+  let added = 0;
+  for (const entry of logs) {
+    const contract = contracts[entry.address.toLowerCase()];
+    const parsed = contract && contract.iface.parseLog(entry);
+    if (!parsed) continue;
+
+    if (!timestamps.has(entry.blockNumber)) {
+      timestamps.set(entry.blockNumber, (await provider.getBlock(entry.blockNumber)).timestamp);
+    }
+
+    store.events.push({
+      id: `${entry.transactionHash}:${entry.index}`,
+      contract: contract.key,
+      event: parsed.name,
+      args: serializeArgs(parsed.fragment, parsed.args),
+      blockNumber: entry.blockNumber,
+      blockHash: entry.blockHash,
+      transactionHash: entry.transactionHash,
+      logIndex: entry.index,
+      timestamp: timestamps.get(entry.blockNumber)
+    });
+    added++;
+  }
+  return added;
+}
+
+// Remember the hashes of the newest blocks for the next reorg check
+async function trackRecentBlocks(provider, store, toBlock) {
+  const from = Math.max(store.startBlock, toBlock - config.reorgDepth + 1);
+  const known = new Set(store.recentBlocks.map(block => block.number));
+  for (let number = from; number <= toBlock; number++) {
+    if (known.has(number)) continue;
+    const block = await provider.getBlock(number);
+    store.recentBlocks.push({ number, hash: block.hash });
+  }
+  store.recentBlocks = store.recentBlocks
+    .filter(block => block.number > toBlock - config.reorgDepth)
+    .sort((a, b) => a.number - b.number);
+}
+
+// One sync step: check for reorgs, then read everything up to the head
+async function sync(provider, contracts, store) {
+  const head = await provider.getBlockNumber();
+
+  if (head < store.lastBlock) {
+    log(`  ↩ Chain head ${head} is behind the store (${store.lastBlock})`, colors.yellow);
+  }
+  await handleReorg(provider, store);
+  if (head < store.lastBlock) {
+    rollback(store, head);
+    store.recentBlocks = [];
+  }
+
+  let added = 0;
+  for (let from = store.lastBlock + 1; from <= head; from += config.batchSize) {
+    const to = Math.min(from + config.batchSize - 1, head);
+    added += await indexRange(provider, contracts, store, from, to);
+    await trackRecentBlocks(provider, store, to);
+    store.lastBlock = to;
+  }
+  return added;
+}
+
+// ============ Read API ============
+
+// Does any address argument of the event equal `account`?
+function involvesAccount(event, account) {
+  return Object.values(event.args).some(value =>
+    typeof value === "string" && value.toLowerCase() === account
+  );
+}
+
+// GET /events?contract=governance&event=VoteCast&account=0x..&fromBlock=&toBlock=&order=desc&limit=100&offset=0
+function queryEvents(store, params) {
+  const account = params.get("account") && params.get("account").toLowerCase();
+  const fromBlock = Number(params.get("fromBlock") || 0);
+  const toBlock = params.has("toBlock") ? Number(params.get("toBlock")) : Infinity;
+  const limit = Math.min(Number(params.get("limit") || 1000), 10000);
+  const offset = Number(params.get("offset") || 0);
+
+  let events = store.events.filter(event =>
+    (!params.get("contract") || event.contract === params.get("contract")) &&
+    (!params.get("event") || event.event === params.get("event")) &&
+    event.blockNumber >= fromBlock &&
+    event.blockNumber <= toBlock &&
+    (!account || involvesAccount(event, account))
+  );
+  if (params.get("order") === "desc") {
+    events = events.slice().reverse();
+  }
+
+  return {
+    total: events.length,
+    lastBlock: store.lastBlock,
+    events: events.slice(offset, offset + limit)
+  };
+}
+
+function startApi(store, port = config.port) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const origin = req.headers.origin;
+
+    if (origin && !isAllowedOrigin(origin, config.origins)) {
+      sendJson(res, 403, { error: "Origin not allowed" });
+    } else if (req.method !== "GET") {
+      sendJson(res, 405, { error: "Method not allowed" }, origin);
+    } else if (url.pathname === "/status") {
+      sendJson(res, 200, {
+        network: store.network,
+        chainId: store.chainId,
+        contracts: store.contracts,
+        startBlock: store.startBlock,
+        lastBlock: store.lastBlock,
+        events: store.events.length
+      }, origin);
+    } else if (url.pathname === "/events") {
+      sendJson(res, 200, queryEvents(store, url.searchParams), origin);
+    } else {
+      sendJson(res, 404, { error: "Not found" }, origin);
+    }
+  });
+
+  server.listen(port, () => {
+    log(`🌐 Read API on http://127.0.0.1:${server.address().port} (/status, /events)`, colors.green);
+  });
+  return server;
+}
+
+// ============ Main ============
+
+async function main() {
+  const networkName = hre.network.name;
+  const deployment = readDeployment(networkName);
+  const startBlock = Number(process.env.INDEXER_START_BLOCK || deployment.startBlock || 0);
+
+  log("\n========================================", colors.bright);
+  log("   KDAO 2.0 EVENT INDEXER", colors.bright + colors.blue);
+  log("========================================\n", colors.bright);
+  log(`📍 Network: ${networkName} (Chain ID: ${deployment.chainId})`, colors.yellow);
+
+  const provider = hre.ethers.provider;
+  const contracts = await loadContracts(deployment);
+  const store = loadStore(networkName, deployment, startBlock);
+
+  log(`📦 Backfilling from block ${store.lastBlock + 1}...`, colors.blue);
+  const added = await sync(provider, contracts, store);
+  saveStore(networkName, store);
+  log(`✅ ${added} new events, ${store.events.length} total, up to block ${store.lastBlock}\n`, colors.green);
+
+  if (config.once) return store;
+
+  startApi(store);
+
+  // Tail new blocks; a failed poll is retried on the next tick
+  let busy = false;
+  setInterval(async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const version = getStoreVersion(store);
+      const count = await sync(provider, contracts, store);
+      if (getStoreVersion(store) !== version) {
+        saveStore(networkName, store);
+      }
+      if (count) {
+        log(`  + ${count} events up to block ${store.lastBlock}`, colors.green);
+      }
+    } catch (error) {
+      log(`  ⚠ Sync failed: ${error.message}`, colors.red);
+    } finally {
+      busy = false;
+    }
+  }, config.pollInterval);
+
+  return store;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    log(`\n❌ Indexer failed: ${error.message}`, colors.red);
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, loadContracts, createStore, sync, rollback, queryEvents, startApi };
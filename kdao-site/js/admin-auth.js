@@ -0,0 +1,118 @@
+// KDAO 2.0 - Admin Auth
+// Anmeldung im Admin-Panel per Wallet-Signatur (Sign-In with Ethereum) über auth-server.js
+
+// The session token is only a reference to the server-side session: a stored session is
+// checked with the auth service before the panel opens, so editing localStorage gains nothing.
+const ADMIN_SESSION_KEY = 'kdao-admin-session';
+const ADMIN_AUTH_DEFAULT_URL = 'http://127.0.0.1:8788';
+
+const adminAuthState = {
+    session: null,
+    expiryTimer: null
+};
+
+function getAuthUrl() {
+    return getActiveNetwork().authUrl || ADMIN_AUTH_DEFAULT_URL;
+}
+
+// JSON request to the auth service; failed requests throw with the server's message and status
+async function authRequest(path, { method = 'GET', body, token } = {}) {
+    const headers = {};
+    if (body) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`${getAuthUrl()}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error || `HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+function storeAdminSession(session) {
+    adminAuthState.session = session;
+    if (session) {
+        localStorage.setItem(ADMIN_SESSION_KEY, JSON.stringify({ token: session.token, expiresAt: session.expiresAt }));
+    } else {
+        localStorage.removeItem(ADMIN_SESSION_KEY);
+    }
+}
+
+function readStoredToken() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(ADMIN_SESSION_KEY) || 'null');
+        return stored && stored.expiresAt > Date.now() ? stored.token : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Calls onExpire when the session runs out (the server rejects it from then on anyway)
+function scheduleSessionExpiry(session, onExpire) {
+    clearTimeout(adminAuthState.expiryTimer);
+    if (!session) return;
+    // setTimeout overflows above ~24.8 days
+    const delay = Math.min(session.expiresAt - Date.now(), 2147483647);
+    adminAuthState.expiryTimer = setTimeout(onExpire, Math.max(delay, 0));
+}
+
+// ============ Sign in / out ============
+
+// Wallet account -> nonce message -> personal_sign -> session
+async function signInWithWallet() {
+    if (!window.ethereum) {
+        throw new Error(t('admin.no_wallet_found'));
+    }
+    const [account] = await window.ethereum.request({ method: 'eth_requestAccounts' });
+    const { message } = await authRequest(`/nonce?address=${encodeURIComponent(account)}`);
+    const signature = await window.ethereum.request({ method: 'personal_sign', params: [message, account] });
+    const session = await authRequest('/login', { method: 'POST', body: { message, signature } });
+    storeAdminSession(session);
+    return session;
+}
+
+// Session of a previous visit, confirmed by the auth service (roles are read again), or null
+async function restoreAdminSession() {
+    const token = readStoredToken();
+    if (!token) {
+        storeAdminSession(null);
+        return null;
+    }
+    try {
+        const session = await authRequest('/session', { token });
+        storeAdminSession(session);
+        return session;
+    } catch (error) {
+        if (error.status === 401 || error.status === 403) {
+            storeAdminSession(null);
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function signOutAdmin() {
+    const session = adminAuthState.session;
+    storeAdminSession(null);
+    clearTimeout(adminAuthState.expiryTimer);
+    if (session) {
+        await authRequest('/logout', { method: 'POST', token: session.token }).catch(error => {
+            console.error('Logout request failed:', error);
+        });
+    }
+}
+
+// Panel sections come from the session's roles (see ROLE_PERMISSIONS in server-utils.js)
+function hasAdminPermission(action) {
+    const session = adminAuthState.session;
+    if (!session) return false;
+    return session.permissions.includes('all') || session.permissions.includes(action);
+}
+
+console.log('Admin-auth.js loaded');
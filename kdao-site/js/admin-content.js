@@ -0,0 +1,162 @@
+// KDAO 2.0 - Admin Content
+// News, Team und Roadmap im Admin-Panel über content-server.js bearbeiten, veröffentlichen und sichern
+
+const ADMIN_CONTENT_DEFAULT_URL = 'http://127.0.0.1:8789';
+
+// Entries of all states per collection, as last loaded from the content service
+const adminContentState = {
+    news: [],
+    team: [],
+    roadmap: [],
+    // Cover images in assets/img
+    media: [],
+    // team entry in edit mode
+    editingId: null,
+    // news article loaded into the editor
+    editingNewsId: null
+};
+
+function getContentUrl() {
+    return getActiveNetwork().contentUrl || ADMIN_CONTENT_DEFAULT_URL;
+}
+
+// JSON request with the admin session; failed requests throw with the server's message,
+// status and schema errors (error.details)
+async function contentRequest(path, { method = 'GET', body } = {}) {
+    const headers = {};
+    if (body) headers['Content-Type'] = 'application/json';
+    if (adminAuthState.session) headers.Authorization = `Bearer ${adminAuthState.session.token}`;
+
+    const response = await fetch(`${getContentUrl()}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error || `HTTP ${response.status}`);
+        error.status = response.status;
+        error.details = data.details || [];
+        throw error;
+    }
+    return data;
+}
+
+async function loadCollection(collection) {
+    const { items } = await contentRequest(`/content/${collection}`);
+    adminContentState[collection] = items;
+    return items;
+}
+
+// New entries start as drafts; changes to published entries go live right away
+function saveContentEntry(collection, entry, id) {
+    return id
+        ? contentRequest(`/content/${collection}/${encodeURIComponent(id)}`, { method: 'PUT', body: entry })
+        : contentRequest(`/content/${collection}`, { method: 'POST', body: entry });
+}
+
+function deleteContentEntry(collection, id) {
+    return contentRequest(`/content/${collection}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+// publishAt (ISO time) in the future schedules the entry instead
+function setContentPublished(collection, id, published, publishAt) {
+    return contentRequest(`/content/${collection}/${encodeURIComponent(id)}/${published ? 'publish' : 'unpublish'}`, {
+        method: 'POST',
+        body: published && publishAt ? { publishAt } : undefined
+    });
+}
+
+async function loadMedia() {
+    const { images } = await contentRequest('/media');
+    adminContentState.media = images;
+    return images;
+}
+
+// Entry with the fields the content schemas manage removed, ready to send back with changes
+function editableFields(entry) {
+    const { state, createdAt, updatedAt, publishedAt, ...fields } = entry;
+    return fields;
+}
+
+// 'A New Beginning!' -> 'a-new-beginning', made unique within the collection
+function createContentId(collection, text) {
+    const base = String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 48) || collection;
+    const ids = new Set(adminContentState[collection].map(entry => entry.id));
+    let id = base;
+    for (let suffix = 2; ids.has(id); suffix++) {
+        id = `${base}-${suffix}`;
+    }
+    return id;
+}
+
+function nextContentOrder(collection) {
+    return adminContentState[collection].reduce((max, entry) => Math.max(max, entry.order || 0), 0) + 1;
+}
+
+// ============ History ============
+
+// Revisions of one entry, newest first; collection 'settings' without an id for the site links
+async function loadHistory(collection, id) {
+    const path = id ? `/history/${collection}/${encodeURIComponent(id)}` : `/history/${collection}`;
+    const { revisions } = await contentRequest(path);
+    return revisions;
+}
+
+// filters: { collection, action, author, since, until }, empty values are left out
+async function loadAuditLog(filters = {}) {
+    const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+    const { revisions } = await contentRequest(`/audit${query.toString() ? `?${query}` : ''}`);
+    return revisions;
+}
+
+// The entry comes back as the revision left it, a deleted one as it was before the deletion
+function restoreRevision(revisionId) {
+    return contentRequest(`/revisions/${revisionId}/restore`, { method: 'POST' });
+}
+
+// ============ Settings ============
+
+function loadSiteSettings() {
+    return contentRequest('/settings');
+}
+
+function saveSiteSettings(settings) {
+    return contentRequest('/settings', { method: 'PUT', body: settings });
+}
+
+// ============ Bundle ============
+
+// Downloads all collections with drafts as kdao-content-<date>.json
+async function exportContentBundle() {
+    const bundle = await contentRequest('/export');
+    const blob = new Blob([`${JSON.stringify(bundle, null, 2)}\n`], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `kdao-content-${bundle.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Replaces all content with the bundle in the file; returns the entry count per collection
+async function importContentBundle(file) {
+    let bundle;
+    try {
+        bundle = JSON.parse(await file.text());
+    } catch (error) {
+        const invalid = new Error('Invalid JSON');
+        invalid.status = 400;
+        invalid.details = [];
+        throw invalid;
+    }
+    const { imported } = await contentRequest('/import', { method: 'POST', body: bundle });
+    return imported;
+}
+
+console.log('Admin-content.js loaded');
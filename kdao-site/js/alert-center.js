@@ -0,0 +1,234 @@
+// KDAO 2.0 - Alert Centre
+// Panel für Alarmregeln und Verlauf, Badge in der Sidebar und kurze Einblendung bei neuen Alarmen
+
+const ALERT_TOAST_DURATION = 8000;
+
+function isAlertCenterOpen() {
+    const panel = document.getElementById('alertCenter');
+    return Boolean(panel && !panel.hidden);
+}
+
+function toggleAlertCenter(open = !isAlertCenterOpen()) {
+    const panel = document.getElementById('alertCenter');
+    if (!panel) return;
+    panel.hidden = !open;
+    if (open) {
+        markAlertsRead();
+        renderAlertCenter();
+    }
+    updateAlertBadge();
+}
+
+function updateAlertBadge() {
+    const badge = document.getElementById('alertBadge');
+    if (!badge) return;
+    const unread = getAlertHistory().filter(alert => !alert.read).length;
+    badge.textContent = unread > 99 ? '99+' : String(unread);
+    badge.hidden = unread === 0;
+}
+
+function formatAlertTime(time) {
+    return formatDateTime(time, { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+}
+
+function renderAlertPermission() {
+    const permission = typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+    if (permission === 'granted') {
+        return `<div class="alert-permission granted">${t('alerts.notifications_on')}</div>`;
+    }
+    if (permission === 'default') {
+        return `
+            <button class="alert-permission-btn" onclick="enableAlertNotifications()">
+                ${t('alerts.enable_notifications')}
+            </button>
+        `;
+    }
+    return `<div class="alert-permission">${permission === 'denied'
+        ? t('alerts.notifications_blocked')
+        : t('alerts.notifications_unsupported')}</div>`;
+}
+
+function renderAlertRuleForm() {
+    const intervals = Object.keys(MARKET_INTERVALS)
+        .map(interval => `<option value="${interval}">${interval.toUpperCase()}</option>`)
+        .join('');
+    return `
+        <form class="alert-form" id="alertRuleForm" onsubmit="submitAlertRule(event)">
+            <select name="type" onchange="updateAlertRuleForm()">
+                <option value="price">${t('alerts.type_price')}</option>
+                <option value="change">${t('alerts.type_change')}</option>
+                <option value="rsi">RSI(14)</option>
+                <option value="proposal">${t('alerts.rule_proposal')}</option>
+            </select>
+            <select name="direction">
+                <option value="above">${t('alerts.above')}</option>
+                <option value="below">${t('alerts.below')}</option>
+            </select>
+            <input name="level" type="number" step="any" min="0" required>
+            <select name="interval">${intervals}</select>
+            <button type="submit">${t('alerts.add')}</button>
+            <div class="alert-form-error" id="alertFormError"></div>
+        </form>
+    `;
+}
+
+// Shows only the fields the selected rule type uses
+function updateAlertRuleForm() {
+    const form = document.getElementById('alertRuleForm');
+    if (!form) return;
+    const type = form.elements.type.value;
+    const level = form.elements.level;
+
+    form.elements.direction.hidden = type === 'change' || type === 'proposal';
+    form.elements.interval.hidden = type !== 'rsi';
+    level.hidden = type === 'proposal';
+    level.required = type !== 'proposal';
+    level.placeholder = type === 'price' ? 'USDT' : type === 'change' ? '± %' : '0 – 100';
+}
+
+function renderAlertRules() {
+    const rules = getAlertRules();
+    if (!rules.length) {
+        return `<div class="alert-empty">${t('alerts.no_rules')}</div>`;
+    }
+    return rules.map(rule => {
+        const { key, params } = describeAlertRule(rule);
+        return `
+            <div class="alert-rule${rule.enabled ? '' : ' disabled'}">
+                <label>
+                    <input type="checkbox" ${rule.enabled ? 'checked' : ''}
+                        onchange="toggleAlertRule('${rule.id}', this.checked)">
+                    ${escapeHtml(t(key, params))}
+                </label>
+                <button class="alert-remove" title="${t('alerts.remove')}" onclick="deleteAlertRule('${rule.id}')">✕</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderAlertHistory() {
+    const history = getAlertHistory();
+    if (!history.length) {
+        return `<div class="alert-empty">${t('alerts.no_alerts')}</div>`;
+    }
+    return history.map(alert => `
+        <div class="alert-entry${alert.route ? ' linked' : ''}"${alert.route ? ` onclick="openAlert('${alert.id}')"` : ''}>
+            <span class="alert-time">${formatAlertTime(alert.time)}</span>
+            <span>${escapeHtml(formatAlertText(alert))}</span>
+        </div>
+    `).join('');
+}
+
+function renderAlertCenter() {
+    const panel = document.getElementById('alertCenter');
+    if (!panel) return;
+
+    panel.innerHTML = `
+        <div class="alert-center-header">
+            <h3>🔔 ${t('nav.alerts')}</h3>
+            <button class="alert-close" onclick="toggleAlertCenter(false)">✕</button>
+        </div>
+        ${renderAlertPermission()}
+        <h4>${t('alerts.new_rule')}</h4>
+        ${renderAlertRuleForm()}
+        <h4>${t('alerts.rules')}</h4>
+        <div class="alert-list">${renderAlertRules()}</div>
+        <div class="alert-section-header">
+            <h4>${t('alerts.history')}</h4>
+            <button class="alert-clear" onclick="clearAlerts()">${t('alerts.clear')}</button>
+        </div>
+        <div class="alert-list" id="alertHistory">${renderAlertHistory()}</div>
+    `;
+    updateAlertRuleForm();
+}
+
+// ============ Actions ============
+
+async function enableAlertNotifications() {
+    await requestAlertPermission();
+    renderAlertCenter();
+}
+
+function submitAlertRule(event) {
+    event.preventDefault();
+    const form = event.target;
+    const error = document.getElementById('alertFormError');
+
+    try {
+        addAlertRule({
+            type: form.elements.type.value,
+            direction: form.elements.direction.value,
+            level: form.elements.level.value,
+            interval: form.elements.interval.value
+        });
+    } catch (e) {
+        error.textContent = t('alerts.invalid_input');
+        return;
+    }
+    renderAlertCenter();
+    // The new rule gets its first state right away instead of on the next tick
+    checkAlerts().catch(e => console.error('Alert check failed:', e));
+}
+
+function toggleAlertRule(id, enabled) {
+    setAlertRuleEnabled(id, enabled);
+    renderAlertCenter();
+}
+
+function deleteAlertRule(id) {
+    removeAlertRule(id);
+    renderAlertCenter();
+}
+
+function clearAlerts() {
+    clearAlertHistory();
+    renderAlertCenter();
+    updateAlertBadge();
+}
+
+function openAlert(id) {
+    const alert = getAlertHistory().find(entry => entry.id === id);
+    if (!alert || !alert.route) return;
+    toggleAlertCenter(false);
+    navigateTo(alert.route.page, alert.route.params);
+}
+
+// ============ Toast ============
+
+function showAlertToast(alert) {
+    let toast = document.getElementById('alertToast');
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.id = 'alertToast';
+        toast.className = 'alert-toast';
+        toast.onclick = () => {
+            toast.style.display = 'none';
+            toggleAlertCenter(true);
+        };
+        document.body.appendChild(toast);
+    }
+
+    toast.textContent = `🔔 ${formatAlertText(alert)}`;
+    toast.style.display = 'block';
+    clearTimeout(toast.hideTimer);
+    toast.hideTimer = setTimeout(() => {
+        toast.style.display = 'none';
+    }, ALERT_TOAST_DURATION);
+}
+
+document.addEventListener('kdao:alert', event => {
+    if (isAlertCenterOpen()) {
+        // Only the history, so a rule being typed in the form is kept
+        markAlertsRead();
+        document.getElementById('alertHistory').innerHTML = renderAlertHistory();
+    } else {
+        showAlertToast(event.detail);
+    }
+    updateAlertBadge();
+});
+
+document.addEventListener('kdao:languagechange', () => {
+    if (isAlertCenterOpen()) renderAlertCenter();
+});
+
+console.log('Alert-center.js loaded');
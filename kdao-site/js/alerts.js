@@ -0,0 +1,349 @@
+// KDAO 2.0 - Price Alerts
+// Alarmregeln (Kurs, 24h-Änderung, RSI, neue aktive Vorschläge), lokal gespeichert und bei jedem Refresh geprüft
+
+const ALERT_RULES_KEY = 'kdao-alert-rules';
+const ALERT_HISTORY_KEY = 'kdao-alert-history';
+const ALERT_HISTORY_LIMIT = 100;
+const ALERT_CHECK_INTERVAL = 30000;
+
+// Rule types and their fields:
+//   price    { direction: 'above' | 'below', level }            price crosses the level (USDT)
+//   change   { level }                                          |24h change| reaches level %
+//   rsi      { direction: 'above' | 'below', level, interval }  RSI(14) of the interval's candles
+//   proposal {}                                                 a proposal enters Active on KDAOGovernance
+// Every rule also has { id, type, enabled, createdAt, state }; state is what the last check saw.
+const ALERT_RULE_TYPES = ['price', 'change', 'rsi', 'proposal'];
+
+const alertState = {
+    watchTimer: null,
+    checking: null
+};
+
+// ============ Storage ============
+
+function readAlertStore(key) {
+    try {
+        const items = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(items) ? items : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function writeAlertStore(key, items) {
+    try {
+        localStorage.setItem(key, JSON.stringify(items));
+    } catch (error) {
+        console.error('Could not store alerts:', error);
+    }
+}
+
+function getAlertRules() {
+    return readAlertStore(ALERT_RULES_KEY);
+}
+
+function saveAlertRules(rules) {
+    writeAlertStore(ALERT_RULES_KEY, rules);
+}
+
+function getAlertHistory() {
+    return readAlertStore(ALERT_HISTORY_KEY);
+}
+
+function createAlertId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Validates the form input and stores the rule; returns the new rule
+function addAlertRule({ type, direction, level, interval = '1h' }) {
+    if (!ALERT_RULE_TYPES.includes(type)) {
+        throw new Error(`Unknown alert type ${type}`);
+    }
+
+    const rule = { id: createAlertId(), type, enabled: true, createdAt: Date.now(), state: {} };
+    if (type !== 'proposal') {
+        const value = Number(level);
+        if (!Number.isFinite(value) || value < 0 || (type !== 'rsi' && value === 0)) {
+            throw new Error('Invalid alert level');
+        }
+        if (type === 'rsi' && value > 100) {
+            throw new Error('Invalid alert level');
+        }
+        rule.level = value;
+    }
+    if (type === 'price' || type === 'rsi') {
+        if (direction !== 'above' && direction !== 'below') {
+            throw new Error('Invalid alert direction');
+        }
+        rule.direction = direction;
+    }
+    if (type === 'rsi') {
+        if (!MARKET_INTERVALS[interval]) {
+            throw new Error(`Unknown interval ${interval}`);
+        }
+        rule.interval = interval;
+    }
+
+    saveAlertRules([...getAlertRules(), rule]);
+    return rule;
+}
+
+function removeAlertRule(id) {
+    saveAlertRules(getAlertRules().filter(rule => rule.id !== id));
+}
+
+function setAlertRuleEnabled(id, enabled) {
+    // Re-enabled rules start over, so an old crossing doesn't fire later
+    saveAlertRules(getAlertRules().map(rule => (rule.id === id ? { ...rule, enabled, state: {} } : rule)));
+}
+
+function markAlertsRead() {
+    writeAlertStore(ALERT_HISTORY_KEY, getAlertHistory().map(alert => ({ ...alert, read: true })));
+}
+
+function clearAlertHistory() {
+    writeAlertStore(ALERT_HISTORY_KEY, []);
+}
+
+// ============ Evaluation ============
+
+// Short description of a rule as locale key and params, e.g. "Price above $0.00000120"
+function describeAlertRule(rule) {
+    if (rule.type === 'price') {
+        const params = { price: formatAlertPrice(rule.level) };
+        return rule.direction === 'above'
+            ? { key: 'alerts.rule_price_above', params }
+            : { key: 'alerts.rule_price_below', params };
+    }
+    if (rule.type === 'change') {
+        return { key: 'alerts.rule_change', params: { level: rule.level } };
+    }
+    if (rule.type === 'rsi') {
+        const params = { indicator: getRsiLabel(rule), level: rule.level };
+        return rule.direction === 'above'
+            ? { key: 'alerts.rule_rsi_above', params }
+            : { key: 'alerts.rule_rsi_below', params };
+    }
+    return { key: 'alerts.rule_proposal', params: {} };
+}
+
+// 'RSI(14, 4H)'
+function getRsiLabel(rule) {
+    return `RSI(14, ${rule.interval.toUpperCase()})`;
+}
+
+// Text of a rule or of a history entry in the current language. History entries keep
+// key and params, so they follow a language change; entries stored before that carry { de, en }.
+function formatAlertText(alert) {
+    if (alert.key) return t(alert.key, alert.params);
+    return alert[getLocale()] || alert.en || '';
+}
+
+function formatAlertPrice(price) {
+    return `$${price.toFixed(8)}`;
+}
+
+function isBeyond(value, direction, level) {
+    return direction === 'above' ? value > level : value < level;
+}
+
+// Checks one rule against a snapshot:
+//   { price, change, rsi: { '1h': 45.2 }, activeProposals: [{ id, title }] }
+// Missing values leave the rule untouched. Returns { state, alerts } with the state to
+// store and the messages to deliver. Rules fire on the transition into their condition:
+// a price rule needs a previous price on the other side of the level, change and RSI rules
+// fire when first seen beyond the level and again only after they were back inside it.
+function evaluateAlertRule(rule, snapshot) {
+    const state = rule.state || {};
+
+    if (rule.type === 'price') {
+        if (!Number.isFinite(snapshot.price)) return { state, alerts: [] };
+        const crossed = Number.isFinite(state.price)
+            && !isBeyond(state.price, rule.direction, rule.level)
+            && isBeyond(snapshot.price, rule.direction, rule.level);
+        const price = formatAlertPrice(snapshot.price);
+        const level = formatAlertPrice(rule.level);
+        return {
+            state: { price: snapshot.price },
+            alerts: crossed ? [rule.direction === 'above'
+                ? { key: 'alerts.price_rose', params: { level, price } }
+                : { key: 'alerts.price_fell', params: { level, price } }] : []
+        };
+    }
+
+    if (rule.type === 'change' || rule.type === 'rsi') {
+        const value = rule.type === 'change' ? snapshot.change : (snapshot.rsi || {})[rule.interval];
+        if (!Number.isFinite(value)) return { state, alerts: [] };
+        const triggered = rule.type === 'change'
+            ? Math.abs(value) >= rule.level
+            : isBeyond(value, rule.direction, rule.level);
+        const alerts = [];
+        if (triggered && !state.triggered) {
+            if (rule.type === 'change') {
+                const current = `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+                alerts.push({ key: 'alerts.change_triggered', params: { level: rule.level, current } });
+            } else {
+                const params = { indicator: getRsiLabel(rule), level: rule.level, current: value.toFixed(1) };
+                alerts.push(rule.direction === 'above'
+                    ? { key: 'alerts.rsi_above_triggered', params }
+                    : { key: 'alerts.rsi_below_triggered', params });
+            }
+        }
+        return { state: { triggered }, alerts };
+    }
+
+    if (rule.type === 'proposal') {
+        if (!Array.isArray(snapshot.activeProposals)) return { state, alerts: [] };
+        const ids = snapshot.activeProposals.map(proposal => proposal.id);
+        // The first check only records what is already active
+        const seen = Array.isArray(state.seen) ? state.seen : ids;
+        const alerts = snapshot.activeProposals
+            .filter(proposal => !seen.includes(proposal.id))
+            .map(proposal => ({
+                key: 'alerts.proposal_active',
+                params: { id: String(proposal.id), title: proposal.title },
+                route: { page: 'voting', params: { id: proposal.id } }
+            }));
+        return { state: { seen: ids }, alerts };
+    }
+
+    return { state, alerts: [] };
+}
+
+// Runs all enabled rules, stores their new state and the fired alerts; returns the new history entries
+function evaluateAlertRules(snapshot) {
+    const fired = [];
+    const rules = getAlertRules().map(rule => {
+        if (!rule.enabled) return rule;
+        const { state, alerts } = evaluateAlertRule(rule, snapshot);
+        alerts.forEach(alert => {
+            fired.push({ id: createAlertId(), ruleId: rule.id, type: rule.type, time: Date.now(), read: false, ...alert });
+        });
+        return { ...rule, state };
+    });
+    saveAlertRules(rules);
+
+    if (fired.length) {
+        writeAlertStore(ALERT_HISTORY_KEY, [...fired.reverse(), ...getAlertHistory()].slice(0, ALERT_HISTORY_LIMIT));
+    }
+    return fired;
+}
+
+// ============ Data ============
+
+// Fresh market result or nothing; a stale cache entry must not trigger alerts again
+function freshMarketData(result) {
+    return result && !result.stale ? result.data : null;
+}
+
+// Builds the snapshot for the enabled rules. `loaded` passes data the caller already has
+// ({ ticker, candles: { '1h': result } }, results of loadTicker/loadCandles), the rest is fetched.
+async function collectAlertSnapshot(rules, loaded = {}) {
+    const types = new Set(rules.map(rule => rule.type));
+    const snapshot = {};
+
+    if (types.has('price') || types.has('change')) {
+        try {
+            const ticker = freshMarketData(loaded.ticker !== undefined ? loaded.ticker : await loadTicker());
+            if (ticker) {
+                snapshot.price = ticker.price;
+                snapshot.change = ticker.change;
+            }
+        } catch (error) {
+            console.error('Alerts: ticker unavailable:', error);
+        }
+    }
+
+    const intervals = [...new Set(rules.filter(rule => rule.type === 'rsi').map(rule => rule.interval))];
+    if (intervals.length) {
+        snapshot.rsi = {};
+        const loadedCandles = loaded.candles || {};
+        for (const interval of intervals) {
+            try {
+                const candles = freshMarketData(loadedCandles[interval] || await loadCandles(interval));
+                const value = candles ? lastValue(rsi(candles.map(candle => candle.close), 14)) : null;
+                if (value !== null) snapshot.rsi[interval] = value;
+            } catch (error) {
+                console.error(`Alerts: ${interval} candles unavailable:`, error);
+            }
+        }
+    }
+
+    if (types.has('proposal')) {
+        try {
+            const proposals = await loadProposals();
+            snapshot.activeProposals = proposals
+                .filter(proposal => proposal.stateName === 'Active')
+                .map(proposal => ({ id: proposal.id, title: proposal.title }));
+        } catch (error) {
+            console.error('Alerts: proposals unavailable:', error);
+        }
+    }
+
+    return snapshot;
+}
+
+// ============ Delivery ============
+
+function canNotify() {
+    return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+}
+
+// Asked from a click in the alert centre (browsers ignore requests without a user gesture)
+async function requestAlertPermission() {
+    if (typeof Notification === 'undefined') return 'unsupported';
+    if (Notification.permission === 'default') {
+        return Notification.requestPermission();
+    }
+    return Notification.permission;
+}
+
+function deliverAlert(alert) {
+    if (canNotify()) {
+        try {
+            const notification = new Notification('KDAO', { body: formatAlertText(alert), tag: alert.id });
+            notification.onclick = () => {
+                window.focus();
+                if (alert.route) navigateTo(alert.route.page, alert.route.params);
+            };
+        } catch (error) {
+            // e.g. Chrome on Android only allows notifications from a service worker
+            console.error('Notification failed:', error);
+        }
+    }
+    document.dispatchEvent(new CustomEvent('kdao:alert', { detail: alert }));
+}
+
+// ============ Check Loop ============
+
+// One refresh tick: collect what the rules need, evaluate and deliver.
+// Overlapping calls share the running check.
+function checkAlerts(loaded = {}) {
+    if (alertState.checking) return alertState.checking;
+
+    const rules = getAlertRules().filter(rule => rule.enabled);
+    if (!rules.length) return Promise.resolve([]);
+
+    alertState.checking = (async () => {
+        try {
+            const snapshot = await collectAlertSnapshot(rules, loaded);
+            const fired = evaluateAlertRules(snapshot);
+            fired.forEach(deliverAlert);
+            return fired;
+        } finally {
+            alertState.checking = null;
+        }
+    })();
+    return alertState.checking;
+}
+
+// Background tick for all pages; the dashboard checks from its own refresh with the data it loaded
+function startAlertWatcher() {
+    clearInterval(alertState.watchTimer);
+    alertState.watchTimer = setInterval(() => {
+        if (window.currentPage === 'dashboard') return;
+        checkAlerts().catch(error => console.error('Alert check failed:', error));
+    }, ALERT_CHECK_INTERVAL);
+}
+
+console.log('Alerts.js loaded');
@@ -37,32 +37,3 @@ document.addEventListener('DOMContentLoaded', () => {
     createKDAOFloatingTexts();
 });
 
-// Update trading signal
-function updateSignal(price, change) {
-    const signalBox = document.getElementById('signalBox');
-    const signalText = document.getElementById('signalText');
-    const signalReason = document.getElementById('signalReason');
-
-    if (!signalBox || !signalText || !signalReason) return;
-
-    let signal = 'HOLD';
-    let reason = 'Market is neutral';
-    let signalClass = 'hold';
-
-    if (change > 5) {
-        signal = 'SELL';
-        reason = 'Strong upward movement, consider taking profits';
-        signalClass = 'sell';
-    } else if (change < -5) {
-        signal = 'BUY';
-        reason = 'Good entry point at discount';
-        signalClass = 'buy';
-    }
-
-    signalBox.className = `signal-display ${signalClass}`;
-    signalText.textContent = signal;
-    signalReason.textContent = reason;
-}
-
-
-
@@ -1,157 +1,30 @@
-// KDAO App mit Proxy für Live-Daten
+// KDAO App
 console.log('KDAO App gestartet!');
 
 // Language Switcher
-function setLanguage(lang) {
+async function setLanguage(lang) {
     console.log('Sprache wechseln zu:', lang);
-    document.querySelectorAll('.lang-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
-    document.querySelectorAll('.lang-btn').forEach(btn => {
-        if(btn.textContent.includes(lang.toUpperCase())) {
-            btn.classList.add('active');
-        }
-    });
-    localStorage.setItem('kdao-lang', lang);
-    document.querySelectorAll('[data-lang]').forEach(element => {
-        element.style.display = 'none';
-    });
-    document.querySelectorAll(`[data-lang="${lang}"]`).forEach(element => {
-        element.style.display = 'block';
-    });
+    await setLocale(lang);
 }
 
-// Fetch KDAO data using proxy
-async function testAPI() {
-    console.log('Fetching KDAO data...');
-    
-    try {
-        // Use CORS proxy for API calls
-        const proxyUrl = 'https://cors-anywhere.herokuapp.com/';
-        const apiUrl = 'https://api.coinex.com/v1/market/ticker?market=KDAOUSDT';
-        
-        // Try direct first
-        let response = await fetch(apiUrl).catch(() => null);
-        
-        // If direct fails, try with proxy
-        if (!response || !response.ok) {
-            console.log('Direct API failed, trying proxy...');
-            response = await fetch(proxyUrl + apiUrl);
-        }
-        
-        if (response && response.ok) {
-            const data = await response.json();
-            
-            if (data.code === 0 && data.data && data.data.ticker) {
-                const ticker = data.data.ticker;
-                const price = parseFloat(ticker.last) || 0.00000114;
-                const open = parseFloat(ticker.open) || price;
-                const change = ((price - open) / open * 100) || -17.00;
-                const volume = parseFloat(ticker.vol) || 3500;
-                const high = parseFloat(ticker.high) || price * 1.1;
-                const low = parseFloat(ticker.low) || price * 0.9;
-                
-                // Update UI
-                document.getElementById('currentPrice').textContent = `$${price.toFixed(8)}`;
-                document.getElementById('change24').textContent = `${change > 0 ? '+' : ''}${change.toFixed(2)}%`;
-                document.getElementById('change24').className = `stat-value ${change > 0 ? 'positive' : 'negative'}`;
-                document.getElementById('volume24').textContent = volume > 1000 ? `$${(volume / 1000).toFixed(1)}K` : `$${volume.toFixed(0)}`;
-                document.getElementById('highLow').textContent = `$${high.toFixed(8)} / $${low.toFixed(8)}`;
-                
-                // Update signal
-                updateSignal(price, change);
-                
-                // Update status
-                const statusEl = document.getElementById('apiStatus');
-                if (statusEl) {
-                    statusEl.innerHTML = '<span style="color: #10b981;">✅ Live Data Connected</span>';
-                }
-                
-                return { success: true, price, change };
-            }
-        }
-    } catch(error) {
-        console.error('API Error:', error);
+// Script-rendered text (proposals, charts, durations) uses the language of its render,
+// so the current page is built again
+document.addEventListener('kdao:languagechange', () => {
+    if (pageLoadId > 0) {
+        handleRoute();
     }
-    
-    // Use hardcoded current values as fallback
-    const currentPrice = 0.00000114;
-    const currentChange = -17.00;
-    
-    document.getElementById('currentPrice').textContent = `$${currentPrice.toFixed(8)}`;
-    document.getElementById('change24').textContent = `${currentChange.toFixed(2)}%`;
-    document.getElementById('change24').className = 'stat-value negative';
-    document.getElementById('volume24').textContent = '$3.5K';
-    document.getElementById('highLow').textContent = '$0.00000125 / $0.00000103';
-    
-    updateSignal(currentPrice, currentChange);
-    
-    const statusEl = document.getElementById('apiStatus');
-    if (statusEl) {
-        statusEl.innerHTML = '<span style="color: #fbbf24;">⚠️ Using Static Data</span>';
-    }
-    
-    return { success: false, price: currentPrice, change: currentChange };
-}
+});
 
-// Update trading signal
-function updateSignal(price, change) {
-    const signalBox = document.getElementById('signalBox');
-    const signalText = document.getElementById('signalText');
-    const signalReason = document.getElementById('signalReason');
-    
-    if (!signalBox || !signalText || !signalReason) return;
-    
-    let signal = 'HOLD';
-    let reason = 'Market is neutral';
-    let signalClass = 'hold';
-    
-    // Mit -17% ist es definitiv BUY Signal
-    if (change < -10) {
-        signal = 'BUY';
-        reason = 'Strong dip - excellent entry point';
-        signalClass = 'buy';
-    } else if (change < -5) {
-        signal = 'BUY';
-        reason = 'Good entry point at discount';
-        signalClass = 'buy';
-    } else if (change > 5) {
-        signal = 'SELL';
-        reason = 'Strong upward movement';
-        signalClass = 'sell';
-    } else if (change > 2) {
-        signal = 'HOLD';
-        reason = 'Moderate upward trend';
-        signalClass = 'hold';
-    }
-    
-    signalBox.className = `signal-display ${signalClass}`;
-    signalText.textContent = signal;
-    signalReason.textContent = reason;
-    
-    // Update indicators based on actual market conditions
-    const rsiEl = document.getElementById('rsi');
-    if (rsiEl) {
-        // Mit -17% sollte RSI niedrig sein (oversold)
-        const rsi = change < -10 ? Math.floor(20 + Math.random() * 15) : 50 + (change * 3);
-        rsiEl.textContent = Math.max(0, Math.min(100, Math.round(rsi)));
-    }
-    
-    const macdEl = document.getElementById('macd');
-    if (macdEl) {
-        macdEl.textContent = (change / 2).toFixed(2) + '%';
-    }
-    
-    const trendEl = document.getElementById('trend');
-    if (trendEl) {
-        trendEl.textContent = change < -5 ? 'DOWN' : change > 5 ? 'UP' : 'NEUTRAL';
-    }
-}
+// Incremented on every loadPage call; a slower earlier load must not overwrite a newer page
+let pageLoadId = 0;
 
-// Load page
-async function loadPage(pageName) {
+// Load page (called by the router, use navigateTo() for links)
+async function loadPage(pageName, params = {}) {
     console.log(`Lade Seite: ${pageName}`);
     window.currentPage = pageName;
+    const loadId = ++pageLoadId;
+    const isCurrentLoad = () => loadId === pageLoadId;
+    destroyActivePage();
     
     const mainContent = document.querySelector('.main-content');
     mainContent.innerHTML = '<div class="loading-spinner">Loading...</div>';
@@ -164,92 +37,55 @@ async function loadPage(pageName) {
             html = await resp1.text();
         } catch (e) {
             const resp2 = await fetch(`pages/${pageName}.html`);
+            if (!resp2.ok) throw new Error(`Page ${pageName} not found`);
             html = await resp2.text();
         }
+        if (!isCurrentLoad()) return;
+        
+        mainContent.innerHTML = html;
         
-        setTimeout(async () => {
-            mainContent.innerHTML = html;
-            
-            if (pageName === 'dashboard') {
-                // Load data
-                await testAPI();
-                
-                // Initialize charts
-                setTimeout(() => {
-                    if (typeof window.drawCandlestickChart === 'function') {
-                        window.drawCandlestickChart();
-                    }
-                    if (typeof window.drawSparkline === 'function') {
-                        window.drawSparkline();
-                    }
-                }, 500);
-                
-                // Update chart with realistic down trend
-                if (window.liveChart) {
-                    // Simulate -17% drop over the day
-                    const endPrice = 0.00000114;
-                    const startPrice = endPrice / 0.83; // 17% higher at start
-                    const chartData = [];
-                    
-                    for (let i = 0; i <= 20; i++) {
-                        const progress = i / 20;
-                        const price = startPrice - (startPrice - endPrice) * progress;
-                        // Add some volatility
-                        const volatility = (Math.random() - 0.5) * 0.00000005;
-                        chartData.push(Math.max(endPrice * 0.9, price + volatility));
-                    }
-                    
-                    window.liveChart.data.datasets[0].data = chartData;
-                    window.liveChart.update();
-                }
-            }
-            
-            // Apply language
-            const savedLang = localStorage.getItem('kdao-lang') || 'en';
-            document.querySelectorAll('[data-lang]').forEach(element => {
-                element.style.display = 'none';
-            });
-            document.querySelectorAll(`[data-lang="${savedLang}"]`).forEach(element => {
-                element.style.display = 'block';
-            });
-        }, 300);
+        // Apply language
+        translatePage(mainContent);
+        
+        // Refresh wallet state on pages with wallet actions
+        if (typeof updateWalletUI === 'function') {
+            updateWalletUI();
+        }
+        
+        // Page module from js/pages/*.js (data, timers, charts)
+        await initPageModule(pageName, params);
+        
+        if (isCurrentLoad()) {
+            focusRouteTarget(pageName, params);
+        }
         
     } catch(error) {
         console.error('Page loading error:', error);
-        mainContent.innerHTML = '<div class="error">Page could not be loaded</div>';
+        if (isCurrentLoad()) {
+            mainContent.innerHTML = '<div class="error">Page could not be loaded</div>';
+        }
     }
 }
 
 // Store current page
 window.currentPage = 'dashboard';
 
-// Auto-refresh every 30 seconds
-setInterval(async () => {
-    if (window.currentPage === 'dashboard') {
-        const time = new Date().toLocaleTimeString();
-        console.log(`[${time}] Refreshing data...`);
-        await testAPI();
-        
-        // Pulse effect
-        const priceEl = document.getElementById('currentPrice');
-        if (priceEl) {
-            priceEl.style.transition = 'color 0.5s';
-            priceEl.style.color = '#5ffbf1';
-            setTimeout(() => {
-                priceEl.style.color = '';
-            }, 500);
-        }
-    }
-}, 30000);
-
 // Initialize on load
-document.addEventListener('DOMContentLoaded', () => {
-    const savedLang = localStorage.getItem('kdao-lang') || 'en';
-    setLanguage(savedLang);
+document.addEventListener('DOMContentLoaded', async () => {
+    // Bundles and the contract config of the active network first, pages are translated
+    // and read the chain while loading
+    await Promise.all([initI18n(), loadContractConfig()]);
+    renderLanguageSwitcher(document.getElementById('languageSwitcher'), setLanguage);
+    
+    // Sidebar links from the admin settings, the addresses in index.html stay until they load
+    applySiteLinks().catch(error => console.error('Site links unavailable:', error));
+    
+    // Open the page from the URL (#/proposals/12), dashboard by default
+    handleRoute();
     
-    setTimeout(() => {
-        loadPage('dashboard');
-    }, 100);
+    // Alert rules are checked on every refresh tick, on all pages
+    updateAlertBadge();
+    startAlertWatcher();
     
     // Create status indicator
     if (!document.getElementById('apiStatus')) {
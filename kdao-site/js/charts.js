@@ -5,274 +5,565 @@
 let liveChart = null;
 let sparklineChart = null;
 
-// Candlestick Chart Drawing Function
-window.drawCandlestickChart = function() {
-    console.log('Drawing candlestick chart...');
-    
+// Candles shown when a timeframe is opened; older ones are reached by panning
+const CHART_VISIBLE_CANDLES = 60;
+// Smallest zoom range in candles
+const CHART_MIN_CANDLES = 10;
+const CHART_OVERLAYS_KEY = 'kdao-chart-overlays';
+
+const CHART_COLORS = {
+    up: '#10b981',
+    down: '#ef4444',
+    unchanged: '#94a3b8',
+    line: '#5ffbf1',
+    ema: '#fbbf24',
+    bollinger: 'rgba(167, 139, 250, 0.9)',
+    crosshair: 'rgba(95, 251, 241, 0.4)',
+    grid: 'rgba(95, 251, 241, 0.05)',
+    tick: '#94a3b8',
+    background: '#0a0f1b'
+};
+
+const chartState = {
+    // Candles of the selected timeframe (oldest first) and the overlay series computed from them
+    candles: [],
+    series: null,
+    interval: null,
+    // Visible time range after the user zoomed or panned, null = follow the latest candles
+    range: null,
+    overlays: readChartOverlays()
+};
+
+function readChartOverlays() {
+    const defaults = { ema: true, bollinger: false, volume: true };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(CHART_OVERLAYS_KEY) || '{}') };
+    } catch (error) {
+        return defaults;
+    }
+}
+
+function formatChartPrice(value) {
+    return '$' + value.toFixed(8);
+}
+
+function formatChartVolume(volume) {
+    return volume > 1000 ? `$${(volume / 1000).toFixed(1)}K` : `$${volume.toFixed(0)}`;
+}
+
+// chartjs-chart-financial registers the candlestick controller
+function hasCandlestickSupport() {
+    try {
+        Chart.registry.getController('candlestick');
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Toolbar notice while a chart library from the CDN is missing: no Chart.js draws nothing,
+// no chartjs-chart-financial draws the closes as a line
+function getChartNotice(candles) {
+    if (!candles.length) return '';
+    if (typeof Chart === 'undefined') return t('dashboard.chart_unavailable');
+    return hasCandlestickSupport() ? '' : t('dashboard.candles_unavailable');
+}
+
+// ============ Ranges ============
+
+// Time between two candles in ms
+function getCandleSpacing(candles) {
+    return candles.length > 1 ? candles[candles.length - 1].time - candles[candles.length - 2].time : 3600000;
+}
+
+function getDefaultChartRange(candles) {
+    const spacing = getCandleSpacing(candles);
+    const first = candles[Math.max(0, candles.length - CHART_VISIBLE_CANDLES)];
+    return { min: first.time - spacing / 2, max: candles[candles.length - 1].time + spacing / 2 };
+}
+
+function getVisibleChartRange() {
+    if (liveChart) {
+        return { min: liveChart.scales.x.min, max: liveChart.scales.x.max };
+    }
+    return chartState.range || getDefaultChartRange(chartState.candles);
+}
+
+function getVisibleCandles() {
+    const { min, max } = getVisibleChartRange();
+    return chartState.candles.filter(candle => candle.time >= min && candle.time <= max);
+}
+
+// Index of the candle closest to a timestamp (binary search, candles are sorted)
+function findCandleIndex(time) {
+    const { candles } = chartState;
+    if (!candles.length) return null;
+    let low = 0;
+    let high = candles.length - 1;
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (candles[middle].time < time) low = middle + 1;
+        else high = middle;
+    }
+    if (low > 0 && time - candles[low - 1].time < candles[low].time - time) return low - 1;
+    return low;
+}
+
+// Price and volume axes fitted to the visible candles (Chart.js would scale to all loaded data)
+function getChartAxisLimits({ min, max }) {
+    const { candles, series, overlays } = chartState;
+    let low = Infinity;
+    let high = -Infinity;
+    let volume = 0;
+
+    candles.forEach((candle, index) => {
+        if (candle.time < min || candle.time > max) return;
+        const values = [candle.low, candle.high];
+        if (overlays.ema) values.push(series.ema[index]);
+        if (overlays.bollinger) values.push(series.bollinger.upper[index], series.bollinger.lower[index]);
+        values.forEach(value => {
+            if (value === null) return;
+            low = Math.min(low, value);
+            high = Math.max(high, value);
+        });
+        volume = Math.max(volume, candle.volume);
+    });
+
+    if (low === Infinity) return { y: {}, volume: undefined };
+    const padding = (high - low) * 0.05 || high * 0.01;
+    return { y: { min: low - padding, max: high + padding }, volume: volume || undefined };
+}
+
+// Pan/zoom stays inside the loaded candles
+function getChartZoomLimits(candles) {
+    const spacing = getCandleSpacing(candles);
+    return {
+        min: candles[0].time - spacing,
+        max: candles[candles.length - 1].time + spacing,
+        minRange: spacing * CHART_MIN_CANDLES
+    };
+}
+
+// Applies a visible range to the live chart, refits the axes and moves the navigator window
+function applyChartRange(range) {
+    if (!liveChart) return;
+    const limits = getChartAxisLimits(range);
+    const { scales } = liveChart.options;
+    scales.x.min = range.min;
+    scales.x.max = range.max;
+    scales.y.min = limits.y.min;
+    scales.y.max = limits.y.max;
+    if (scales.volume) {
+        scales.volume.max = limits.volume;
+    }
+    liveChart.options.plugins.zoom.limits.x = getChartZoomLimits(chartState.candles);
+    liveChart.update('none');
+
+    if (sparklineChart) {
+        sparklineChart.update('none');
+    }
+}
+
+// Called by the zoom plugin after a wheel/pinch zoom or a drag
+function onChartRangeChange({ chart }) {
+    chartState.range = { min: chart.scales.x.min, max: chart.scales.x.max };
+    applyChartRange(chartState.range);
+}
+
+// Moves the visible window (same width) so it is centred on `time`
+function centerChartAt(time) {
+    if (!liveChart) return;
+    const { min, max } = getVisibleChartRange();
+    const limits = getChartZoomLimits(chartState.candles);
+    const width = Math.min(max - min, limits.max - limits.min);
+    const start = Math.min(Math.max(time - width / 2, limits.min), limits.max - width);
+    chartState.range = { min: start, max: start + width };
+    applyChartRange(chartState.range);
+}
+
+// ============ Crosshair ============
+
+// OHLC/volume line above the chart: the hovered candle, otherwise the latest one
+function updateChartReadout(index = null) {
+    const readout = document.getElementById('chartReadout');
+    if (!readout) return;
+
+    const { candles } = chartState;
+    const candle = candles[index ?? candles.length - 1];
+    if (!candle) {
+        readout.textContent = '';
+        return;
+    }
+
+    const change = candle.open ? (candle.close - candle.open) / candle.open * 100 : 0;
+    const direction = candle.close > candle.open ? 'up' : candle.close < candle.open ? 'down' : '';
+    const time = formatDateTime(candle.time, {
+        day: '2-digit', month: '2-digit', year: '2-digit', hour: '2-digit', minute: '2-digit'
+    });
+    readout.innerHTML = `
+        <span class="readout-time">${time}</span>
+        <span>O <b>${formatChartPrice(candle.open)}</b></span>
+        <span>H <b>${formatChartPrice(candle.high)}</b></span>
+        <span>L <b>${formatChartPrice(candle.low)}</b></span>
+        <span>C <b class="${direction}">${formatChartPrice(candle.close)} (${change > 0 ? '+' : ''}${change.toFixed(2)}%)</b></span>
+        <span>V <b>${formatChartVolume(candle.volume)}</b></span>
+    `;
+}
+
+// Dashed lines through the hovered candle and the pointer, with the price on the right axis
+const crosshairPlugin = {
+    id: 'kdaoCrosshair',
+
+    afterEvent(chart, args) {
+        const { event } = args;
+        if (event.type === 'mouseout') {
+            chart.$crosshair = null;
+        } else if (event.type === 'mousemove') {
+            chart.$crosshair = args.inChartArea ? { x: event.x, y: event.y } : null;
+        } else {
+            return;
+        }
+
+        const index = chart.$crosshair ? findCandleIndex(chart.scales.x.getValueForPixel(event.x)) : null;
+        if (chart.$crosshair && index !== null) {
+            chart.$crosshair.x = chart.scales.x.getPixelForValue(chartState.candles[index].time);
+        }
+        updateChartReadout(index);
+        args.changed = true;
+    },
+
+    afterDatasetsDraw(chart) {
+        const point = chart.$crosshair;
+        if (!point) return;
+
+        const { ctx, chartArea, scales } = chart;
+        ctx.save();
+        ctx.strokeStyle = CHART_COLORS.crosshair;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(point.x, chartArea.top);
+        ctx.lineTo(point.x, chartArea.bottom);
+        ctx.moveTo(chartArea.left, point.y);
+        ctx.lineTo(chartArea.right, point.y);
+        ctx.stroke();
+
+        if (point.y >= scales.y.top && point.y <= scales.y.bottom) {
+            const label = formatChartPrice(scales.y.getValueForPixel(point.y));
+            ctx.setLineDash([]);
+            ctx.font = '10px sans-serif';
+            const width = ctx.measureText(label).width + 8;
+            ctx.fillStyle = CHART_COLORS.background;
+            ctx.fillRect(chartArea.right, point.y - 8, width, 16);
+            ctx.fillStyle = CHART_COLORS.line;
+            ctx.textBaseline = 'middle';
+            ctx.fillText(label, chartArea.right + 4, point.y);
+        }
+        ctx.restore();
+    }
+};
+
+// ============ Live Chart ============
+
+function getOverlaySeries(candles) {
+    const closes = candles.map(candle => candle.close);
+    return { ema: ema(closes, 20), bollinger: bollinger(closes, 20, 2) };
+}
+
+function buildLiveChartDatasets(candles) {
+    const { overlays, series } = chartState;
+    const line = (label, values, color, extra = {}) => ({
+        type: 'line',
+        label,
+        data: candles.map((candle, index) => ({ x: candle.time, y: values[index] })),
+        borderColor: color,
+        borderWidth: 1.5,
+        pointRadius: 0,
+        fill: false,
+        yAxisID: 'y',
+        ...extra
+    });
+
+    const datasets = [];
+    if (hasCandlestickSupport()) {
+        datasets.push({
+            type: 'candlestick',
+            label: 'KDAO/USDT',
+            data: candles.map(candle => ({
+                x: candle.time,
+                o: candle.open,
+                h: candle.high,
+                l: candle.low,
+                c: candle.close
+            })),
+            borderColor: {
+                up: CHART_COLORS.up,
+                down: CHART_COLORS.down,
+                unchanged: CHART_COLORS.unchanged
+            },
+            backgroundColor: {
+                up: 'rgba(16, 185, 129, 0.8)',
+                down: 'rgba(239, 68, 68, 0.8)',
+                unchanged: 'rgba(148, 163, 184, 0.8)'
+            },
+            yAxisID: 'y'
+        });
+    } else {
+        datasets.push(line('KDAO/USDT', candles.map(candle => candle.close), CHART_COLORS.line, { borderWidth: 2 }));
+    }
+
+    if (overlays.ema) {
+        datasets.push(line('EMA 20', series.ema, CHART_COLORS.ema));
+    }
+    if (overlays.bollinger) {
+        datasets.push(line('BB 20 upper', series.bollinger.upper, CHART_COLORS.bollinger));
+        datasets.push(line('BB 20 middle', series.bollinger.middle, CHART_COLORS.bollinger, { borderDash: [4, 4], borderWidth: 1 }));
+        datasets.push(line('BB 20 lower', series.bollinger.lower, CHART_COLORS.bollinger));
+    }
+    if (overlays.volume) {
+        datasets.push({
+            type: 'bar',
+            label: 'Volume',
+            data: candles.map(candle => ({ x: candle.time, y: candle.volume })),
+            backgroundColor: candles.map(candle => (candle.close >= candle.open
+                ? 'rgba(16, 185, 129, 0.4)'
+                : 'rgba(239, 68, 68, 0.4)')),
+            yAxisID: 'volume'
+        });
+    }
+    return datasets;
+}
+
+// Price pane on top, volume pane below (stacked axes share the x axis, so pan/zoom moves both)
+function buildLiveChartScales(range) {
+    const limits = getChartAxisLimits(range);
+    const ticks = {
+        color: CHART_COLORS.tick,
+        font: {
+            size: 10
+        }
+    };
+
+    const scales = {
+        x: {
+            type: 'time',
+            min: range.min,
+            max: range.max,
+            time: {
+                displayFormats: {
+                    hour: 'HH:mm',
+                    day: 'dd.MM',
+                    week: 'dd.MM',
+                    month: 'MMM yy'
+                }
+            },
+            grid: {
+                color: CHART_COLORS.grid
+            },
+            ticks: {
+                ...ticks,
+                maxRotation: 0,
+                autoSkip: true
+            }
+        },
+        y: {
+            position: 'right',
+            stack: 'kdao',
+            stackWeight: 4,
+            min: limits.y.min,
+            max: limits.y.max,
+            grid: {
+                color: CHART_COLORS.grid
+            },
+            ticks: {
+                ...ticks,
+                callback: function(value) {
+                    return formatChartPrice(value);
+                }
+            }
+        }
+    };
+
+    if (chartState.overlays.volume) {
+        scales.volume = {
+            position: 'right',
+            stack: 'kdao',
+            stackWeight: 1,
+            offset: true,
+            beginAtZero: true,
+            max: limits.volume,
+            grid: {
+                color: CHART_COLORS.grid
+            },
+            ticks: {
+                ...ticks,
+                maxTicksLimit: 2,
+                callback: function(value) {
+                    return formatChartVolume(value);
+                }
+            }
+        };
+    }
+    return scales;
+}
+
+function updateChartToolbar() {
+    document.querySelectorAll('.overlay-btn[data-overlay]').forEach(button => {
+        button.classList.toggle('active', Boolean(chartState.overlays[button.dataset.overlay]));
+    });
+
+    showChartNotice(getChartNotice(chartState.candles));
+}
+
+function showChartNotice(text) {
+    const note = document.getElementById('chartNote');
+    if (note) note.textContent = text;
+}
+
+// Candlestick Chart Drawing Function (candles from loadCandles, oldest first)
+window.drawCandlestickChart = function(candles = [], interval = chartState.interval) {
+    // A new timeframe starts with the latest candles again
+    if (interval !== chartState.interval) {
+        chartState.range = null;
+    }
+    chartState.candles = candles;
+    chartState.interval = interval;
+    chartState.series = getOverlaySeries(candles);
+    updateChartToolbar();
+
     const canvas = document.getElementById('liveChart');
     if (!canvas) {
-        console.log('Canvas element #liveChart not found');
+        console.warn('Canvas element #liveChart not found');
         return;
     }
-    
+
     const ctx = canvas.getContext('2d');
-    
+
     // Destroy existing chart if it exists
     if (liveChart) {
         liveChart.destroy();
+        liveChart = null;
     }
-    
-    // Generate sample data for candlesticks
-    const generateCandlestickData = () => {
-        const data = [];
-        const dataPoints = 30;
-        let currentPrice = 0.00000121;
-        
-        for (let i = 0; i < dataPoints; i++) {
-            const open = currentPrice;
-            const volatility = (Math.random() - 0.5) * 0.0000001;
-            const high = currentPrice + Math.abs(volatility) * 1.5;
-            const low = currentPrice - Math.abs(volatility) * 1.2;
-            const close = currentPrice + volatility;
-            
-            data.push({
-                x: new Date(Date.now() - (dataPoints - i) * 3600000),
-                o: open,
-                h: high,
-                l: low,
-                c: close
-            });
-            
-            currentPrice = close;
-        }
-        
-        return data;
-    };
-    
-    // Create the chart
+    updateChartReadout();
+    if (!candles.length) return;
+
+    const range = chartState.range || getDefaultChartRange(candles);
+
     try {
         liveChart = new Chart(ctx, {
-            type: 'candlestick',
+            type: hasCandlestickSupport() ? 'candlestick' : 'line',
             data: {
-                datasets: [{
-                    label: 'KDAO/USDT',
-                    data: generateCandlestickData(),
-                    borderColor: {
-                        up: '#10b981',
-                        down: '#ef4444',
-                        unchanged: '#94a3b8'
-                    },
-                    backgroundColor: {
-                        up: 'rgba(16, 185, 129, 0.8)',
-                        down: 'rgba(239, 68, 68, 0.8)',
-                        unchanged: 'rgba(148, 163, 184, 0.8)'
-                    }
-                }]
+                datasets: buildLiveChartDatasets(candles)
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                animation: false,
                 plugins: {
                     legend: {
                         display: false
                     },
+                    // Replaced by the crosshair readout
                     tooltip: {
-                        backgroundColor: 'rgba(10, 15, 27, 0.9)',
-                        titleColor: '#5ffbf1',
-                        bodyColor: '#ffffff',
-                        borderColor: 'rgba(95, 251, 241, 0.2)',
-                        borderWidth: 1,
-                        callbacks: {
-                            label: function(context) {
-                                const point = context.raw;
-                                return [
-                                    `Open: $${point.o.toFixed(8)}`,
-                                    `High: $${point.h.toFixed(8)}`,
-                                    `Low: $${point.l.toFixed(8)}`,
-                                    `Close: $${point.c.toFixed(8)}`
-                                ];
-                            }
-                        }
-                    }
-                },
-                scales: {
-                    x: {
-                        type: 'time',
-                        time: {
-                            unit: 'hour',
-                            displayFormats: {
-                                hour: 'HH:mm'
-                            }
-                        },
-                        grid: {
-                            color: 'rgba(95, 251, 241, 0.05)'
-                        },
-                        ticks: {
-                            color: '#94a3b8',
-                            font: {
-                                size: 10
-                            }
-                        }
+                        enabled: false
                     },
-                    y: {
-                        position: 'right',
-                        grid: {
-                            color: 'rgba(95, 251, 241, 0.05)'
+                    zoom: {
+                        limits: {
+                            x: getChartZoomLimits(candles)
                         },
-                        ticks: {
-                            color: '#94a3b8',
-                            font: {
-                                size: 10
-                            },
-                            callback: function(value) {
-                                return '$' + value.toFixed(8);
-                            }
-                        }
-                    }
-                }
-            }
-        });
-    } catch (error) {
-        console.log('Falling back to line chart (candlestick plugin might be missing)');
-        
-        // Fallback to line chart if candlestick is not available
-        const lineData = [];
-        const labels = [];
-        let currentPrice = 0.00000121;
-        
-        for (let i = 0; i < 30; i++) {
-            labels.push(new Date(Date.now() - (30 - i) * 3600000).toLocaleTimeString('de-DE', { 
-                hour: '2-digit', 
-                minute: '2-digit' 
-            }));
-            
-            currentPrice += (Math.random() - 0.5) * 0.0000001;
-            lineData.push(currentPrice);
-        }
-        
-        liveChart = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: labels,
-                datasets: [{
-                    label: 'KDAO/USDT',
-                    data: lineData,
-                    borderColor: '#5ffbf1',
-                    backgroundColor: 'rgba(95, 251, 241, 0.1)',
-                    borderWidth: 2,
-                    fill: true,
-                    tension: 0.4,
-                    pointRadius: 0,
-                    pointHoverRadius: 5,
-                    pointBackgroundColor: '#5ffbf1',
-                    pointBorderColor: '#030712',
-                    pointBorderWidth: 2
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                interaction: {
-                    mode: 'index',
-                    intersect: false
-                },
-                plugins: {
-                    legend: {
-                        display: false
-                    },
-                    tooltip: {
-                        backgroundColor: 'rgba(10, 15, 27, 0.9)',
-                        titleColor: '#5ffbf1',
-                        bodyColor: '#ffffff',
-                        borderColor: 'rgba(95, 251, 241, 0.2)',
-                        borderWidth: 1,
-                        callbacks: {
-                            label: function(context) {
-                                return `$${context.parsed.y.toFixed(8)}`;
-                            }
-                        }
-                    }
-                },
-                scales: {
-                    x: {
-                        grid: {
-                            color: 'rgba(95, 251, 241, 0.05)',
-                            drawBorder: false
+                        pan: {
+                            enabled: true,
+                            mode: 'x',
+                            onPanComplete: onChartRangeChange
                         },
-                        ticks: {
-                            color: '#94a3b8',
-                            font: {
-                                size: 10
+                        zoom: {
+                            wheel: {
+                                enabled: true
                             },
-                            maxRotation: 0,
-                            autoSkip: true,
-                            maxTicksLimit: 6
-                        }
-                    },
-                    y: {
-                        position: 'right',
-                        grid: {
-                            color: 'rgba(95, 251, 241, 0.05)',
-                            drawBorder: false
-                        },
-                        ticks: {
-                            color: '#94a3b8',
-                            font: {
-                                size: 10
+                            pinch: {
+                                enabled: true
                             },
-                            callback: function(value) {
-                                return '$' + value.toFixed(8);
-                            }
+                            mode: 'x',
+                            onZoomComplete: onChartRangeChange
                         }
                     }
-                }
-            }
+                },
+                scales: buildLiveChartScales(range)
+            },
+            plugins: [crosshairPlugin]
         });
+    } catch (error) {
+        console.error('Chart could not be created:', error);
+        showChartNotice(t('dashboard.chart_unavailable'));
+        return;
     }
-    
-    console.log('Chart created successfully');
+
+    canvas.ondblclick = window.resetChartZoom;
 };
 
-// Sparkline Chart Drawing Function
-window.drawSparkline = function() {
+// New candles for the same timeframe: replace the data, keep the zoom and the hover state
+function updateLiveChart(candles) {
+    chartState.candles = candles;
+    chartState.series = getOverlaySeries(candles);
+    liveChart.data.datasets = buildLiveChartDatasets(candles);
+    applyChartRange(chartState.range || getDefaultChartRange(candles));
+    updateChartReadout();
+}
+
+// ============ Sparkline / Navigator ============
+
+// Shades the range visible in the live chart
+const navigatorPlugin = {
+    id: 'kdaoNavigator',
+
+    beforeDatasetsDraw(chart) {
+        if (!liveChart) return;
+        const { ctx, chartArea, scales } = chart;
+        const { min, max } = getVisibleChartRange();
+        const left = Math.max(chartArea.left, scales.x.getPixelForValue(min));
+        const right = Math.min(chartArea.right, scales.x.getPixelForValue(max));
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(95, 251, 241, 0.12)';
+        ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+        ctx.strokeStyle = CHART_COLORS.crosshair;
+        ctx.strokeRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+        ctx.restore();
+    }
+};
+
+// Sparkline Chart Drawing Function (all loaded closes; click to move the live chart there)
+window.drawSparkline = function(candles = []) {
     console.log('Drawing sparkline...');
-    
+
     const canvas = document.getElementById('sparkline');
     if (!canvas) {
         console.log('Canvas element #sparkline not found');
         return;
     }
-    
+
     const ctx = canvas.getContext('2d');
-    
+
     // Destroy existing chart if it exists
     if (sparklineChart) {
         sparklineChart.destroy();
+        sparklineChart = null;
     }
-    
-    // Generate sparkline data
-    const sparklineData = [];
-    let currentPrice = 0.00000121;
-    
-    for (let i = 0; i < 24; i++) {
-        currentPrice += (Math.random() - 0.5) * 0.00000005;
-        sparklineData.push(currentPrice);
-    }
-    
+    if (!candles.length) return;
+
     // Create gradient
     const gradient = ctx.createLinearGradient(0, 0, canvas.width, 0);
     gradient.addColorStop(0, '#26d0a8');
     gradient.addColorStop(0.5, '#49eacb');
     gradient.addColorStop(1, '#5ffbf1');
-    
+
     sparklineChart = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: Array(24).fill(''),
             datasets: [{
-                data: sparklineData,
+                data: candles.map(candle => ({ x: candle.time, y: candle.close })),
                 borderColor: gradient,
-                borderWidth: 2,
+                borderWidth: 1.5,
                 fill: false,
                 tension: 0.4,
                 pointRadius: 0,
@@ -282,6 +573,11 @@ window.drawSparkline = function() {
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            animation: false,
+            events: ['click'],
+            onClick: function(event, elements, chart) {
+                centerChartAt(chart.scales.x.getValueForPixel(event.x));
+            },
             plugins: {
                 legend: {
                     display: false
@@ -292,6 +588,7 @@ window.drawSparkline = function() {
             },
             scales: {
                 x: {
+                    type: 'linear',
                     display: false
                 },
                 y: {
@@ -303,107 +600,115 @@ window.drawSparkline = function() {
                     borderJoinStyle: 'round'
                 }
             }
-        }
+        },
+        plugins: [navigatorPlugin]
     });
-    
+
     console.log('Sparkline created successfully');
 };
 
-// Update Signal Function
-window.updateSignal = function(price, change) {
-    console.log('Updating signal with price:', price, 'change:', change);
-    
-    const signalBox = document.getElementById('signalBox');
-    const signalText = document.getElementById('signalText');
-    const signalReason = document.getElementById('signalReason');
-    
-    if (!signalBox || !signalText || !signalReason) {
-        console.log('Signal elements not found');
-        return;
-    }
-    
-    let signal = 'HOLD';
-    let reason = 'Market is neutral';
-    let signalClass = 'hold';
-    
-    // Simple signal logic based on 24h change
-    if (change > 5) {
-        signal = 'SELL';
-        reason = 'Strong upward movement, consider taking profits';
-        signalClass = 'sell';
-    } else if (change < -5) {
-        signal = 'BUY';
-        reason = 'Good entry point at discount';
-        signalClass = 'buy';
-    } else if (change > 2) {
-        signal = 'HOLD';
-        reason = 'Moderate upward trend, wait for confirmation';
-        signalClass = 'hold';
-    } else if (change < -2) {
-        signal = 'BUY';
-        reason = 'Slight dip, potential accumulation zone';
-        signalClass = 'buy';
-    }
-    
-    // Update UI
-    signalBox.className = `signal-display ${signalClass}`;
-    signalText.textContent = signal;
-    signalReason.textContent = reason;
-    
-    // Update RSI, MACD, Trend (simulated values)
-    const rsiEl = document.getElementById('rsi');
-    const macdEl = document.getElementById('macd');
-    const trendEl = document.getElementById('trend');
-    
-    if (rsiEl) {
-        const rsi = 50 + (change * 5); // Simplified RSI calculation
-        rsiEl.textContent = Math.max(0, Math.min(100, Math.round(rsi)));
+// ============ Toolbar ============
+
+window.toggleChartOverlay = function(name) {
+    chartState.overlays[name] = !chartState.overlays[name];
+    try {
+        localStorage.setItem(CHART_OVERLAYS_KEY, JSON.stringify(chartState.overlays));
+    } catch (error) {
+        console.error('Could not store chart overlays:', error);
     }
-    
-    if (macdEl) {
-        macdEl.textContent = (change / 2).toFixed(2) + '%';
+    // Datasets and axes change, so the chart is rebuilt (the zoomed range is kept)
+    if (liveChart) {
+        chartState.range = chartState.range && getVisibleChartRange();
     }
-    
-    if (trendEl) {
-        trendEl.textContent = change > 0 ? 'UP' : change < 0 ? 'DOWN' : 'NEUTRAL';
+    window.drawCandlestickChart(chartState.candles, chartState.interval);
+};
+
+window.resetChartZoom = function() {
+    chartState.range = null;
+    if (chartState.candles.length) {
+        applyChartRange(getDefaultChartRange(chartState.candles));
     }
 };
 
-// Refresh all charts
-window.refreshCharts = function() {
-    console.log('Refreshing all charts...');
-    
-    // Add animation to chart containers
-    const chartContainers = document.querySelectorAll('.chart-container');
-    chartContainers.forEach(container => {
-        container.style.opacity = '0.7';
-        setTimeout(() => {
-            container.style.opacity = '1';
-        }, 300);
+function getChartFileName() {
+    const { min, max } = getVisibleChartRange();
+    const day = time => new Date(time).toISOString().slice(0, 10);
+    return `kdao-usdt-${chartState.interval || 'chart'}-${day(min)}_${day(max)}`;
+}
+
+function downloadChartFile(filename, url) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+// PNG of the chart as shown, on the dark background instead of transparent
+window.exportChartPng = function() {
+    if (!liveChart) return;
+    const source = liveChart.canvas;
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = CHART_COLORS.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0);
+    downloadChartFile(`${getChartFileName()}.png`, canvas.toDataURL('image/png'));
+};
+
+// CSV of the visible candles with the enabled overlays
+window.exportChartCsv = function() {
+    const { overlays, series } = chartState;
+    const visible = getVisibleCandles();
+    if (!visible.length) return;
+
+    const header = ['time', 'open', 'high', 'low', 'close', 'volume_usdt'];
+    if (overlays.ema) header.push('ema20');
+    if (overlays.bollinger) header.push('bb_upper', 'bb_middle', 'bb_lower');
+
+    const offset = chartState.candles.indexOf(visible[0]);
+    const rows = visible.map((candle, position) => {
+        const index = offset + position;
+        const row = [new Date(candle.time).toISOString(), candle.open, candle.high, candle.low, candle.close, candle.volume];
+        if (overlays.ema) row.push(series.ema[index]);
+        if (overlays.bollinger) row.push(series.bollinger.upper[index], series.bollinger.middle[index], series.bollinger.lower[index]);
+        return row.map(value => value ?? '').join(',');
     });
-    
-    // Redraw charts with new data
-    if (typeof window.drawCandlestickChart === 'function') {
-        window.drawCandlestickChart();
+
+    const url = URL.createObjectURL(new Blob([[header.join(','), ...rows].join('\n') + '\n'], { type: 'text/csv' }));
+    downloadChartFile(`${getChartFileName()}.csv`, url);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Refresh all charts (same timeframe: data replaced in place, zoom kept)
+window.refreshCharts = function(candles, interval = chartState.interval) {
+    console.log('Refreshing all charts...');
+
+    if (liveChart && candles.length && interval === chartState.interval) {
+        updateLiveChart(candles);
+    } else if (typeof window.drawCandlestickChart === 'function') {
+        window.drawCandlestickChart(candles, interval);
     }
-    
+
     if (typeof window.drawSparkline === 'function') {
-        window.drawSparkline();
+        window.drawSparkline(candles);
     }
 };
 
-// Initialize charts when DOM is ready
-document.addEventListener('DOMContentLoaded', function() {
-    console.log('DOM loaded, waiting for dashboard to initialize charts...');
-    
-    // Charts will be initialized by app.js after loading dashboard
-    setTimeout(() => {
-        if (document.getElementById('liveChart')) {
-            console.log('Initializing charts from charts.js');
-            window.drawCandlestickChart();
-            window.drawSparkline();
-        }
-    }, 1000);
-});
+// Destroy both dashboard charts (called when the dashboard is left)
+window.destroyCharts = function() {
+    if (liveChart) {
+        liveChart.destroy();
+        liveChart = null;
+    }
+    if (sparklineChart) {
+        sparklineChart.destroy();
+        sparklineChart = null;
+    }
+    chartState.range = null;
+};
 
 console.log('Charts.js loaded successfully');
\ No newline at end of file
@@ -0,0 +1,122 @@
+// KDAO 2.0 - Contract Config (localhost)
+// Generiert von build-contract-config.js aus deployments/localhost-latest.json - nicht von Hand bearbeiten
+
+registerContractConfig({
+    "version": "51408946eaa3",
+    "network": "localhost",
+    "chainId": 31337,
+    "name": "Hardhat Local",
+    "rpcUrl": "http://127.0.0.1:8545",
+    "explorerUrl": "",
+    "startBlock": 1,
+    "deployedAt": "2026-10-18T18:48:16.805Z",
+    "addresses": {
+        "kdaoToken": "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+        "governance": "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
+        "staking": "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0",
+        "treasury": "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9",
+        "election": "0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9",
+        "lpToken": "0x5FbDB2315678afecb367f032d93F642f64180aa3"
+    },
+    "abis": {
+        "governance": [
+            "function cancelProposal(uint256 _proposalId)",
+            "function castVote(uint256 _proposalId, uint8 _vote)",
+            "function createProposal(uint8 _type, string _title, string _description, address _target, uint256 _value, bytes _callData) returns (uint256)",
+            "function delegatedVotes(address) view returns (uint256)",
+            "function delegateVotes(address _delegatee)",
+            "function executeProposal(uint256 _proposalId) payable",
+            "function EXECUTION_DELAY() view returns (uint256)",
+            "function EXECUTION_WINDOW() view returns (uint256)",
+            "function getProposal(uint256 _proposalId) view returns (uint256 id, address proposer, uint8 proposalType, string title, string description, uint8 proposalState)",
+            "function getVotingPower(address _account) view returns (uint256)",
+            "function GUARDIAN_ROLE() view returns (bytes32)",
+            "function hasRole(bytes32 role, address account) view returns (bool)",
+            "function kdaoToken() view returns (address)",
+            "function MIN_PROPOSAL_THRESHOLD() view returns (uint256)",
+            "function proposalCount() view returns (uint256)",
+            "function proposals(uint256) view returns (uint256 id, address proposer, uint8 proposalType, string title, string description, address target, uint256 value, bytes callData, uint256 startBlock, uint256 endBlock, uint256 forVotes, uint256 againstVotes, uint256 abstainVotes, uint256 executionTime, uint8 state, uint256 eta)",
+            "function queueProposal(uint256 _proposalId)",
+            "function QUORUM_PERCENTAGE() view returns (uint256)",
+            "function stakedBalance(address) view returns (uint256)",
+            "function state(uint256 _proposalId) view returns (uint8)",
+            "function undelegateVotes()",
+            "function voteDelegation(address) view returns (address)",
+            "function votingPower(address) view returns (uint256)",
+            "event ProposalCreated(uint256 indexed proposalId, address indexed proposer, uint8 proposalType, string title, uint256 startBlock, uint256 endBlock)",
+            "event ProposalQueued(uint256 indexed proposalId, uint256 eta)",
+            "event VoteCast(address indexed voter, uint256 indexed proposalId, uint8 vote, uint256 votes)",
+            "event VotesDelegated(address indexed delegator, address indexed delegatee)"
+        ],
+        "kdaoToken": [
+            "function allowance(address owner, address spender) view returns (uint256)",
+            "function approve(address spender, uint256 amount) returns (bool)",
+            "function balanceOf(address account) view returns (uint256)",
+            "function setExemptFromLimit(address _account, bool _exempt)",
+            "function setMaxTransferAmount(uint256 _amount)",
+            "function setMaxWalletAmount(uint256 _amount)",
+            "function setTransferFee(uint256 _fee)",
+            "function setTransferRestriction(bool _enabled)",
+            "function totalSupply() view returns (uint256)"
+        ],
+        "treasury": [
+            "function approveProject(uint256 _projectId)",
+            "function categoryAllocations(uint8) view returns (uint256)",
+            "function getActiveProjects() view returns (uint256[])",
+            "function getProject(uint256 _projectId) view returns (string name, address recipient, uint256 requestedAmount, uint256 fundedAmount, uint256 returnedAmount, uint8 status, uint256 actualROI)",
+            "function getProjectMilestones(uint256 _projectId) view returns ((uint256 milestoneId, string description, uint256 amount, uint256 deadline, bool completed, bool fundsReleased, uint256 completedTime)[])",
+            "function getTreasuryStats() view returns (uint256 balance, uint256 funded, uint256 returned, uint256 distributed, uint256 insurance)",
+            "function markProjectFailed(uint256 _projectId)",
+            "function projectCounter() view returns (uint256)",
+            "function projects(uint256) view returns (uint256 projectId, string name, string description, address recipient, uint8 category, uint256 requestedAmount, uint256 fundedAmount, uint256 returnedAmount, uint256 expectedROI, uint256 actualROI, uint8 status, uint256 startTime, uint256 completionTime, uint256 repaymentDeadline, uint256 totalSupporters)",
+            "function quarterlyAllocations(uint256, uint256) view returns (uint256 utility, uint256 token, uint256 education, uint256 marketing, uint256 infrastructure, uint256 quarter, uint256 year)",
+            "function setQuarterlyAllocation(uint256 _year, uint256 _quarter, uint256 _utility, uint256 _token, uint256 _education, uint256 _marketing, uint256 _infrastructure)",
+            "event QuarterlyAllocationSet(uint256 year, uint256 quarter, uint256 totalAmount)"
+        ],
+        "staking": [
+            "function calculateAPY(address _user) view returns (uint256)",
+            "function claimRewards()",
+            "function compound()",
+            "function earned(address _account) view returns (uint256)",
+            "function emergencyWithdraw()",
+            "function emergencyWithdrawFee() view returns (uint256)",
+            "function getAPYRates() view returns (uint256 base, uint256 lpBonus, uint256 longTerm, uint256 compound)",
+            "function getPoolStats() view returns (uint256 totalKDAO, uint256 totalLP, uint256 rewardsAvailable, uint256 distributed, uint256 currentRewardRate)",
+            "function getUserInfo(address _user) view returns (uint256 stakedKDAO, uint256 stakedLP, uint256 pendingRewards, uint256 currentAPY, uint256 tier, uint256 votingPower, bool isAutoCompound)",
+            "function getUserTier(address _user) view returns (uint256)",
+            "function lpToken() view returns (address)",
+            "function maxPoolSize() view returns (uint256)",
+            "function MIN_STAKE_DURATION() view returns (uint256)",
+            "function minStakeAmount() view returns (uint256)",
+            "function requestUnlock()",
+            "function stakeKDAO(uint256 _amount, bool _autoCompound)",
+            "function stakeLP(uint256 _amount)",
+            "function stakes(address) view returns (uint256 amount, uint256 lpAmount, uint256 startTime, uint256 lastClaimTime, uint256 accumulatedRewards, uint256 claimedRewards, uint8 stakeType, uint8 lockStatus, uint256 unlockTime, bool autoCompound, uint256 compoundedAmount, uint256 votingPower)",
+            "function tierBonuses(uint256) view returns (uint256)",
+            "function tierThresholds(uint256) view returns (uint256)",
+            "function UNLOCK_PERIOD() view returns (uint256)",
+            "function unstake(uint256 _amount)",
+            "function updateAPY(uint256 _baseAPY, uint256 _lpBonus, uint256 _longTermBonus, uint256 _compoundBonus)",
+            "function updatePoolLimits(uint256 _maxPool, uint256 _minStake)",
+            "function updateTierThresholds(uint256[] _thresholds)"
+        ],
+        "election": [
+            "function cancelElection(uint256 _electionId)",
+            "function createElection(uint8 _position, string _title, string _description) returns (uint256)",
+            "function electionCounter() view returns (uint256)",
+            "function elections(uint256) view returns (uint256 electionId, uint8 position, string positionTitle, string description, uint8 phase, uint256 nominationStart, uint256 nominationEnd, uint256 campaignEnd, uint256 votingEnd, uint256 totalVotes, uint256 quorumVotes, address winner, bool quorumReached)",
+            "function getCandidates(uint256 _electionId) view returns ((address candidateAddress, string name, string manifesto, string experience, string discordHandle, string githubProfile, uint256 nominationStake, uint256 votes, uint256 supporterCount, bool isActive, bool isElected)[])",
+            "function getCurrentLeadership() view returns ((address holder, uint8 position, uint256 termStart, uint256 termEnd, uint256 performance, bool isActive)[])",
+            "function getElection(uint256 _electionId) view returns (uint8 position, string title, uint8 phase, uint256 totalVotes, uint256 candidateCount, address winner)",
+            "function getElectionPhase(uint256 _electionId) view returns (uint8)",
+            "function getUserVoteReceipt(address _user, uint256 _electionId) view returns ((bool hasVoted, uint8 choice, uint256 weight, uint256 timestamp))",
+            "function getVacantPositions() view returns (uint8[])",
+            "function leadershipScore(address) view returns (uint256)",
+            "function MIN_NOMINATION_STAKE() view returns (uint256)",
+            "function nominateCandidate(uint256 _electionId, string _name, string _manifesto, string _experience, string _discordHandle, string _githubProfile)",
+            "function updatePerformanceScore(uint8 _position, uint256 _score)",
+            "function vote(uint256 _electionId, uint256 _candidateIndex)",
+            "function withdrawCandidacy(uint256 _electionId)"
+        ]
+    }
+});
@@ -0,0 +1,61 @@
+// KDAO 2.0 - Content
+// Veröffentlichte Inhalte (News, Team, Roadmap) aus content/<collection>.json, geschrieben von content-server.js
+
+// Snapshots change only when an admin publishes, so one load per page visit is enough
+async function fetchContentSnapshot(name, basePath) {
+    const response = await fetch(`${basePath}${name}.json`, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Content ${name} could not be loaded (HTTP ${response.status})`);
+    }
+    return response.json();
+}
+
+async function loadContent(collection, basePath = 'content/') {
+    const snapshot = await fetchContentSnapshot(collection, basePath);
+    return snapshot.items || [];
+}
+
+// Site links from the settings tab of the admin panel: { discord, twitter, coinex }
+async function loadSiteLinks(basePath = 'content/') {
+    const snapshot = await fetchContentSnapshot('settings', basePath);
+    return snapshot.links || {};
+}
+
+// Points the [data-site-link="discord"] links (sidebar) at the published settings; a link
+// missing from the settings keeps the address from the HTML
+async function applySiteLinks(root = document) {
+    const links = await loadSiteLinks();
+    root.querySelectorAll('[data-site-link]').forEach(link => {
+        const href = links[link.dataset.siteLink];
+        if (href) link.href = href;
+    });
+}
+
+// { en, de } -> text in the current locale, English when the entry has no translation
+function localized(field) {
+    if (!field) return '';
+    if (typeof field === 'string') return field;
+    return field[getLocale()] || field.en || '';
+}
+
+// Plain text with blank lines between paragraphs -> escaped <p> blocks
+function renderParagraphs(text) {
+    return String(text || '')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean)
+        .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+        .join('');
+}
+
+// '2025-09-04' -> date in the current locale
+function formatContentDate(date) {
+    return formatDateTime(`${date}T00:00:00Z`, { year: 'numeric', month: '2-digit', day: '2-digit', timeZone: 'UTC' });
+}
+
+function renderContentError(container, error) {
+    console.error('Content unavailable:', error);
+    container.innerHTML = `<div class="content-empty">${escapeHtml(t('common.content_unavailable'))}</div>`;
+}
+
+console.log('Content.js loaded');
@@ -0,0 +1,351 @@
+// KDAO 2.0 - Contract Configuration
+// Netzwerke, Adressen und ABIs der KDAO Smart Contracts
+
+// Supported networks (chain IDs match hardhat.config.js)
+const KDAO_NETWORKS = {
+    localhost: {
+        chainId: 31337,
+        name: 'Hardhat Local',
+        currency: 'ETH',
+        rpcUrl: 'http://127.0.0.1:8545',
+        explorerUrl: '',
+        startBlock: 0,
+        // indexer.js read API (optional, falls back to eth_getLogs)
+        indexerUrl: 'http://127.0.0.1:8787',
+        // market-relay.js (optional, falls back to api.coinex.com)
+        marketUrl: 'http://127.0.0.1:8790',
+        // auth-server.js (admin panel sign-in)
+        authUrl: 'http://127.0.0.1:8788',
+        // content-server.js (news, team and roadmap editing in the admin panel)
+        contentUrl: 'http://127.0.0.1:8789'
+    },
+    kasplex_testnet: {
+        chainId: 98765,
+        name: 'Kasplex Testnet',
+        currency: 'KAS',
+        rpcUrl: 'https://testnet-rpc.kasplex.org',
+        explorerUrl: 'https://testnet.explorer.kasplex.org',
+        startBlock: 0
+    },
+    kasplex: {
+        chainId: 12345,
+        name: 'Kasplex',
+        currency: 'KAS',
+        rpcUrl: 'https://rpc.kasplex.org',
+        explorerUrl: 'https://explorer.kasplex.org',
+        startBlock: 0
+    }
+};
+
+// Network used when neither the URL nor a stored choice names one
+const DEFAULT_NETWORK = 'kasplex_testnet';
+
+// Contract addresses per network (keys match deployments/<network>-latest.json),
+// filled by the generated js/config/contracts.<network>.js
+const KDAO_ADDRESSES = {
+    localhost: {},
+    kasplex_testnet: {},
+    kasplex: {}
+};
+
+// Generated configs by network (build-contract-config.js); their ABIs come from the
+// Hardhat artifacts and replace the hand-written ones below
+const KDAO_CONTRACT_CONFIGS = {};
+
+// Folder of the generated configs, next to this script (the admin panel lives one level deeper)
+const CONTRACT_CONFIG_BASE = typeof document !== 'undefined' && document.currentScript
+    ? new URL('config/', document.currentScript.src).href
+    : 'js/config/';
+
+// Human-readable ABIs (only the parts the site uses)
+const KDAO_ABIS = {
+    governance: [
+        'function kdaoToken() view returns (address)',
+        'function QUORUM_PERCENTAGE() view returns (uint256)',
+        'function EXECUTION_DELAY() view returns (uint256)',
+        'function EXECUTION_WINDOW() view returns (uint256)',
+        'function proposalCount() view returns (uint256)',
+        'function getProposal(uint256 proposalId) view returns (uint256 id, address proposer, uint8 proposalType, string title, string description, uint8 proposalState)',
+        'function proposals(uint256 proposalId) view returns (uint256 id, address proposer, uint8 proposalType, string title, string description, address target, uint256 value, bytes callData, uint256 startBlock, uint256 endBlock, uint256 forVotes, uint256 againstVotes, uint256 abstainVotes, uint256 executionTime, uint8 state, uint256 eta)',
+        'function state(uint256 proposalId) view returns (uint8)',
+        'function getVotingPower(address account) view returns (uint256)',
+        'function stakedBalance(address account) view returns (uint256)',
+        'function castVote(uint256 proposalId, uint8 vote)',
+        'function MIN_PROPOSAL_THRESHOLD() view returns (uint256)',
+        'function votingPower(address account) view returns (uint256)',
+        'function delegatedVotes(address account) view returns (uint256)',
+        'function voteDelegation(address account) view returns (address)',
+        'function delegateVotes(address _delegatee)',
+        'function undelegateVotes()',
+        'function createProposal(uint8 _type, string _title, string _description, address _target, uint256 _value, bytes _callData) returns (uint256)',
+        'function queueProposal(uint256 _proposalId)',
+        'function executeProposal(uint256 _proposalId) payable',
+        'function cancelProposal(uint256 _proposalId)',
+        'function GUARDIAN_ROLE() view returns (bytes32)',
+        'function hasRole(bytes32 role, address account) view returns (bool)',
+        'event ProposalCreated(uint256 indexed proposalId, address indexed proposer, uint8 proposalType, string title, uint256 startBlock, uint256 endBlock)',
+        'event VoteCast(address indexed voter, uint256 indexed proposalId, uint8 vote, uint256 votes)',
+        'event ProposalQueued(uint256 indexed proposalId, uint256 eta)',
+        'event VotesDelegated(address indexed delegator, address indexed delegatee)'
+    ],
+    kdaoToken: [
+        'function totalSupply() view returns (uint256)',
+        'function balanceOf(address account) view returns (uint256)',
+        'function allowance(address owner, address spender) view returns (uint256)',
+        'function approve(address spender, uint256 amount) returns (bool)',
+        'function setTransferFee(uint256 _fee)',
+        'function setMaxWalletAmount(uint256 _amount)',
+        'function setMaxTransferAmount(uint256 _amount)',
+        'function setTransferRestriction(bool _enabled)',
+        'function setExemptFromLimit(address _account, bool _exempt)'
+    ],
+    treasury: [
+        'function projectCounter() view returns (uint256)',
+        'function getTreasuryStats() view returns (uint256 balance, uint256 funded, uint256 returned, uint256 distributed, uint256 insurance)',
+        'function getActiveProjects() view returns (uint256[])',
+        'function getProject(uint256 _projectId) view returns (string name, address recipient, uint256 requestedAmount, uint256 fundedAmount, uint256 returnedAmount, uint8 status, uint256 actualROI)',
+        'function projects(uint256 projectId) view returns (uint256 projectId, string name, string description, address recipient, uint8 category, uint256 requestedAmount, uint256 fundedAmount, uint256 returnedAmount, uint256 expectedROI, uint256 actualROI, uint8 status, uint256 startTime, uint256 completionTime, uint256 repaymentDeadline, uint256 totalSupporters)',
+        'function getProjectMilestones(uint256 _projectId) view returns (tuple(uint256 milestoneId, string description, uint256 amount, uint256 deadline, bool completed, bool fundsReleased, uint256 completedTime)[])',
+        'function categoryAllocations(uint8 category) view returns (uint256)',
+        'function quarterlyAllocations(uint256 year, uint256 quarter) view returns (uint256 utility, uint256 token, uint256 education, uint256 marketing, uint256 infrastructure, uint256 quarter, uint256 year)',
+        'event QuarterlyAllocationSet(uint256 year, uint256 quarter, uint256 totalAmount)',
+        'function approveProject(uint256 _projectId)',
+        'function markProjectFailed(uint256 _projectId)',
+        'function setQuarterlyAllocation(uint256 _year, uint256 _quarter, uint256 _utility, uint256 _token, uint256 _education, uint256 _marketing, uint256 _infrastructure)'
+    ],
+    staking: [
+        'function lpToken() view returns (address)',
+        'function MIN_STAKE_DURATION() view returns (uint256)',
+        'function UNLOCK_PERIOD() view returns (uint256)',
+        'function minStakeAmount() view returns (uint256)',
+        'function maxPoolSize() view returns (uint256)',
+        'function emergencyWithdrawFee() view returns (uint256)',
+        'function tierThresholds(uint256 index) view returns (uint256)',
+        'function tierBonuses(uint256 index) view returns (uint256)',
+        'function stakes(address user) view returns (uint256 amount, uint256 lpAmount, uint256 startTime, uint256 lastClaimTime, uint256 accumulatedRewards, uint256 claimedRewards, uint8 stakeType, uint8 lockStatus, uint256 unlockTime, bool autoCompound, uint256 compoundedAmount, uint256 votingPower)',
+        'function getUserInfo(address _user) view returns (uint256 stakedKDAO, uint256 stakedLP, uint256 pendingRewards, uint256 currentAPY, uint256 tier, uint256 votingPower, bool isAutoCompound)',
+        'function earned(address _account) view returns (uint256)',
+        'function calculateAPY(address _user) view returns (uint256)',
+        'function getUserTier(address _user) view returns (uint256)',
+        'function getPoolStats() view returns (uint256 totalKDAO, uint256 totalLP, uint256 rewardsAvailable, uint256 distributed, uint256 currentRewardRate)',
+        'function getAPYRates() view returns (uint256 base, uint256 lpBonus, uint256 longTerm, uint256 compound)',
+        'function stakeKDAO(uint256 _amount, bool _autoCompound)',
+        'function stakeLP(uint256 _amount)',
+        'function requestUnlock()',
+        'function unstake(uint256 _amount)',
+        'function claimRewards()',
+        'function compound()',
+        'function emergencyWithdraw()',
+        'function updateAPY(uint256 _baseAPY, uint256 _lpBonus, uint256 _longTermBonus, uint256 _compoundBonus)',
+        'function updateTierThresholds(uint256[] _thresholds)',
+        'function updatePoolLimits(uint256 _maxPool, uint256 _minStake)'
+    ],
+    election: [
+        'function electionCounter() view returns (uint256)',
+        'function MIN_NOMINATION_STAKE() view returns (uint256)',
+        'function elections(uint256 electionId) view returns (uint256 electionId, uint8 position, string positionTitle, string description, uint8 phase, uint256 nominationStart, uint256 nominationEnd, uint256 campaignEnd, uint256 votingEnd, uint256 totalVotes, uint256 quorumVotes, address winner, bool quorumReached)',
+        'function getElection(uint256 _electionId) view returns (uint8 position, string title, uint8 phase, uint256 totalVotes, uint256 candidateCount, address winner)',
+        'function getCandidates(uint256 _electionId) view returns (tuple(address candidateAddress, string name, string manifesto, string experience, string discordHandle, string githubProfile, uint256 nominationStake, uint256 votes, uint256 supporterCount, bool isActive, bool isElected)[])',
+        'function getCurrentLeadership() view returns (tuple(address holder, uint8 position, uint256 termStart, uint256 termEnd, uint256 performance, bool isActive)[])',
+        'function getVacantPositions() view returns (uint8[])',
+        'function leadershipScore(address holder) view returns (uint256)',
+        'function getElectionPhase(uint256 _electionId) view returns (uint8)',
+        'function getUserVoteReceipt(address _user, uint256 _electionId) view returns (tuple(bool hasVoted, uint8 choice, uint256 weight, uint256 timestamp))',
+        'function nominateCandidate(uint256 _electionId, string _name, string _manifesto, string _experience, string _discordHandle, string _githubProfile)',
+        'function vote(uint256 _electionId, uint256 _candidateIndex)',
+        'function withdrawCandidacy(uint256 _electionId)',
+        'function createElection(uint8 _position, string _title, string _description) returns (uint256)',
+        'function cancelElection(uint256 _electionId)',
+        'function updatePerformanceScore(uint8 _position, uint256 _score)'
+    ],
+    // Plain ERC20 (e.g. the KDAO/USDT LP token of StakingRewards)
+    erc20: [
+        'function symbol() view returns (string)',
+        'function balanceOf(address account) view returns (uint256)',
+        'function allowance(address owner, address spender) view returns (uint256)',
+        'function approve(address spender, uint256 amount) returns (bool)'
+    ]
+};
+
+// Active network: ?network=<key> in the URL (remembered), then the stored choice,
+// then localhost when the site itself is served from this machine
+function getActiveNetworkKey() {
+    const requested = typeof location !== 'undefined' ? new URLSearchParams(location.search).get('network') : null;
+    if (requested && KDAO_NETWORKS[requested]) {
+        localStorage.setItem('kdao-network', requested);
+        return requested;
+    }
+    const stored = localStorage.getItem('kdao-network');
+    if (stored && KDAO_NETWORKS[stored]) return stored;
+    const host = typeof location !== 'undefined' ? location.hostname : '';
+    return host === 'localhost' || host === '127.0.0.1' ? 'localhost' : DEFAULT_NETWORK;
+}
+
+function getActiveNetwork() {
+    const key = getActiveNetworkKey();
+    return { key, ...KDAO_NETWORKS[key] };
+}
+
+// Called by js/config/contracts.<network>.js
+function registerContractConfig(config) {
+    const { network, chainId, name, rpcUrl, explorerUrl, startBlock, addresses } = config;
+    KDAO_CONTRACT_CONFIGS[network] = config;
+    KDAO_NETWORKS[network] = { ...KDAO_NETWORKS[network], chainId, name, rpcUrl, explorerUrl, startBlock };
+    KDAO_ADDRESSES[network] = { ...addresses };
+}
+
+// Loads the generated config of the active network once; without one the built-in
+// network data above applies and addresses come from the kdao-contracts override
+function loadContractConfig(network = getActiveNetworkKey()) {
+    if (KDAO_CONTRACT_CONFIGS[network] || typeof document === 'undefined') {
+        return Promise.resolve(KDAO_CONTRACT_CONFIGS[network] || null);
+    }
+    return new Promise(resolve => {
+        const script = document.createElement('script');
+        script.src = `${CONTRACT_CONFIG_BASE}contracts.${network}.js`;
+        script.onload = () => resolve(KDAO_CONTRACT_CONFIGS[network] || null);
+        script.onerror = () => {
+            console.warn(`No contract config for ${network} - run build-contract-config.js after deploying`);
+            resolve(null);
+        };
+        document.head.appendChild(script);
+    });
+}
+
+// ABI of a contract on the active network: generated from the artifacts when available
+function getContractAbi(name) {
+    const config = KDAO_CONTRACT_CONFIGS[getActiveNetworkKey()];
+    return (config && config.abis[name]) || KDAO_ABIS[name];
+}
+
+// Addresses for the active network. For local testing paste the "contracts" object
+// of deployments/localhost-latest.json into localStorage 'kdao-contracts'. Only the local
+// Hardhat network reads it, so a leftover override never redirects a live network.
+function getContractAddresses() {
+    const network = getActiveNetwork();
+    const addresses = KDAO_ADDRESSES[network.key] || {};
+    if (network.key !== 'localhost') return { ...addresses };
+
+    let override = {};
+    try {
+        override = JSON.parse(localStorage.getItem('kdao-contracts') || '{}');
+    } catch (error) {
+        console.error('Invalid kdao-contracts override:', error);
+    }
+    return { ...addresses, ...override };
+}
+
+// Read-only provider for the active network
+let readProvider = null;
+
+function getReadProvider() {
+    if (!readProvider) {
+        readProvider = new ethers.JsonRpcProvider(getActiveNetwork().rpcUrl);
+    }
+    return readProvider;
+}
+
+// Latest block timestamp (follows time travel on a local Hardhat node)
+async function getChainTime() {
+    const block = await getReadProvider().getBlock('latest');
+    return block.timestamp;
+}
+
+// Contract instance; pass a signer to send transactions, otherwise read-only
+function getKDAOContract(name, runner) {
+    const address = getContractAddresses()[name];
+    if (!address) {
+        throw new Error(`No address configured for ${name} on ${getActiveNetwork().key}`);
+    }
+    return new ethers.Contract(address, getContractAbi(name), runner || getReadProvider());
+}
+
+// KDAOToken contract; falls back to the token address stored in KDAOGovernance
+async function getKDAOTokenContract() {
+    const address = getContractAddresses().kdaoToken || await getKDAOContract('governance').kdaoToken();
+    return new ethers.Contract(address, getContractAbi('kdaoToken'), getReadProvider());
+}
+
+// LP token configured in StakingRewards
+async function getLPTokenContract() {
+    const address = getContractAddresses().lpToken || await getKDAOContract('staking').lpToken();
+    return new ethers.Contract(address, KDAO_ABIS.erc20, getReadProvider());
+}
+
+// Max block range per eth_getLogs request (public RPCs reject large ranges)
+const LOG_BLOCK_RANGE = 10000;
+
+// queryFilter in chunks
+async function queryEventRange(contract, filter, fromBlock, toBlock) {
+    const events = [];
+    for (let start = fromBlock; start <= toBlock; start += LOG_BLOCK_RANGE) {
+        const end = Math.min(start + LOG_BLOCK_RANGE - 1, toBlock);
+        events.push(...await contract.queryFilter(filter, start, end));
+    }
+    return events;
+}
+
+// Events indexed by indexer.js up to its last block, or null when no indexer answers.
+// Only used for filters without argument values (the indexer matches by event name).
+async function fetchIndexedEvents(contract, filter, fromBlock) {
+    const { indexerUrl } = getActiveNetwork();
+    if (!indexerUrl || !filter.fragment) return null;
+
+    const topics = await filter.getTopicFilter();
+    if (topics.slice(1).some(topic => topic !== null)) return null;
+
+    const address = String(contract.target).toLowerCase();
+    const contractName = Object.keys(getContractAddresses())
+        .find(name => getContractAddresses()[name].toLowerCase() === address);
+    if (!contractName) return null;
+
+    const params = new URLSearchParams({ contract: contractName, event: filter.fragment.name, fromBlock, limit: 10000 });
+    try {
+        const response = await fetch(`${indexerUrl}/events?${params}`);
+        if (!response.ok) return null;
+        return await response.json();
+    } catch (error) {
+        console.log('Indexer not reachable, reading logs from the node:', error.message);
+        return null;
+    }
+}
+
+// Indexer JSON keeps integers as strings; back to bigint like ethers decodes them
+function parseIndexedValue(value, param) {
+    if (param.baseType === 'array') return value.map(item => parseIndexedValue(item, param.arrayChildren));
+    if (/^u?int/.test(param.baseType)) return BigInt(value);
+    return value;
+}
+
+// Indexer entries and ethers EventLogs -> { blockNumber, transactionHash, logIndex, args }
+// with the arguments by name
+function toContractEvent(event, fragment) {
+    const indexed = !event.fragment;
+    const args = {};
+    fragment.inputs.forEach((param, index) => {
+        args[param.name] = indexed ? parseIndexedValue(event.args[param.name], param) : event.args[index];
+    });
+    return {
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        logIndex: indexed ? event.logIndex : event.index,
+        args
+    };
+}
+
+// Events from the network's start block: indexed history first, the rest from the node
+async function queryContractEvents(contract, filter, fromBlock = getActiveNetwork().startBlock || 0) {
+    const latest = await getReadProvider().getBlockNumber();
+    const indexed = await fetchIndexedEvents(contract, filter, fromBlock);
+    const events = indexed && indexed.total <= indexed.events.length
+        ? [...indexed.events, ...await queryEventRange(contract, filter, Math.max(fromBlock, indexed.lastBlock + 1), latest)]
+        : await queryEventRange(contract, filter, fromBlock, latest);
+    return events.map(event => toContractEvent(event, filter.fragment));
+}
+
+// build-contract-config.js trims the artifact ABIs to what the site declares here
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KDAO_NETWORKS, KDAO_ABIS };
+} else {
+    console.log('Contracts.js loaded');
+}
@@ -0,0 +1,137 @@
+// KDAO 2.0 - Election Data Layer
+// Liest Wahlen, Kandidaten und die aktuelle Führung aus dem ElectionManager
+
+// Enums of ElectionManager (same order as in the contract)
+const ELECTION_PHASES = ['NotStarted', 'Nomination', 'Campaign', 'Voting', 'Ended', 'Cancelled'];
+const ELECTION_POSITIONS = ['Project Lead', 'Tech Lead', 'Treasury Manager', 'Community Lead', 'Partnership Manager',
+    'Governance Lead', 'Marketing Lead', 'Backend Developer', 'Frontend Developer'];
+// Enum names of the positions; team profiles (content/team.json) refer to them as electionPosition
+const ELECTION_POSITION_KEYS = ['ProjectLead', 'TechLead', 'TreasuryManager', 'CommunityLead', 'PartnershipManager',
+    'GovernanceLead', 'MarketingLead', 'BackendDev', 'FrontendDev'];
+
+// Phase labels (locale keys) and css classes
+const ELECTION_PHASE_LABELS = {
+    NotStarted: { css: 'upcoming', key: 'elections.phase_not_started' },
+    Nomination: { css: 'nomination', key: 'elections.phase_nomination' },
+    Campaign: { css: 'campaign', key: 'elections.phase_campaign' },
+    Voting: { css: 'voting', key: 'elections.phase_voting' },
+    Ended: { css: 'ended', key: 'elections.phase_ended' },
+    Cancelled: { css: 'cancelled', key: 'elections.phase_cancelled' }
+};
+
+// The contract only writes the phase on vote() / finalizeElection(),
+// so the current phase is derived from the timestamps like _updateElectionPhase does
+function getCurrentElectionPhase(storedPhase, times, now) {
+    if (storedPhase === 'Ended' || storedPhase === 'Cancelled' || storedPhase === 'NotStarted') {
+        return storedPhase;
+    }
+    if (now > times.votingEnd) return 'Ended';
+    if (now > times.campaignEnd) return 'Voting';
+    if (now > times.nominationEnd) return 'Campaign';
+    return 'Nomination';
+}
+
+// End of the current phase (unix seconds), null when there is none
+function getPhaseDeadline(phase, times) {
+    return { Nomination: times.nominationEnd, Campaign: times.campaignEnd, Voting: times.votingEnd }[phase] || null;
+}
+
+async function loadElection(id, now) {
+    const manager = getKDAOContract('election');
+    const [summary, details, candidates, phaseIndex] = await Promise.all([
+        manager.getElection(id),
+        manager.elections(id),
+        manager.getCandidates(id),
+        manager.getElectionPhase(id)
+    ]);
+
+    const times = {
+        nominationStart: Number(details.nominationStart),
+        nominationEnd: Number(details.nominationEnd),
+        campaignEnd: Number(details.campaignEnd),
+        votingEnd: Number(details.votingEnd)
+    };
+    const storedPhase = ELECTION_PHASES[Number(phaseIndex)];
+    const phase = getCurrentElectionPhase(storedPhase, times, now);
+
+    return {
+        id: Number(id),
+        position: Number(summary.position),
+        positionName: ELECTION_POSITIONS[Number(summary.position)],
+        title: summary.title,
+        description: details.description,
+        storedPhase,
+        phase,
+        times,
+        deadline: getPhaseDeadline(phase, times),
+        totalVotes: summary.totalVotes,
+        winner: summary.winner,
+        quorumReached: details.quorumReached,
+        candidates: candidates.map((candidate, index) => ({
+            index,
+            address: candidate.candidateAddress,
+            name: candidate.name,
+            manifesto: candidate.manifesto,
+            experience: candidate.experience,
+            discordHandle: candidate.discordHandle,
+            githubProfile: candidate.githubProfile,
+            votes: candidate.votes,
+            supporterCount: Number(candidate.supporterCount),
+            isActive: candidate.isActive,
+            isElected: candidate.isElected
+        }))
+    };
+}
+
+// All elections, newest first
+async function loadElections() {
+    const manager = getKDAOContract('election');
+    const [count, now] = await Promise.all([manager.electionCounter(), getChainTime()]);
+
+    const ids = [];
+    for (let id = Number(count); id >= 1; id--) {
+        ids.push(id);
+    }
+    return Promise.all(ids.map(id => loadElection(id, now)));
+}
+
+// Holder per Position (index = Position enum)
+async function loadLeadership() {
+    const leaders = await getKDAOContract('election').getCurrentLeadership();
+    return leaders.map((leader, position) => ({
+        position,
+        positionName: ELECTION_POSITIONS[position],
+        holder: leader.holder,
+        termStart: Number(leader.termStart),
+        termEnd: Number(leader.termEnd),
+        performance: Number(leader.performance),
+        isActive: leader.isActive
+    }));
+}
+
+// Position indexes the contract marks as vacant
+async function loadVacantPositions() {
+    const positions = await getKDAOContract('election').getVacantPositions();
+    return positions.map(Number);
+}
+
+// leadershipScore per holder, keyed by lowercase address
+async function loadLeadershipScores(addresses) {
+    const manager = getKDAOContract('election');
+    const scores = await Promise.all(addresses.map(address => manager.leadershipScore(address)));
+    return Object.fromEntries(addresses.map((address, index) => [address.toLowerCase(), Number(scores[index])]));
+}
+
+// Vote receipt of an account; choice is the candidate index or null
+async function loadVoteReceipt(account, electionId) {
+    const receipt = await getKDAOContract('election').getUserVoteReceipt(account, electionId);
+    return {
+        hasVoted: receipt.hasVoted,
+        // VoteChoice.Candidate1 = 1 -> candidate index 0
+        candidateIndex: receipt.hasVoted ? Number(receipt.choice) - 1 : null,
+        weight: receipt.weight,
+        timestamp: Number(receipt.timestamp)
+    };
+}
+
+console.log('Elections.js loaded');
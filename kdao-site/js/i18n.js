@@ -1 +1,209 @@
+// KDAO 2.0 - i18n
+// Übersetzungen per Schlüssel aus JSON-Bundles (locales/<lang>.json) mit Platzhaltern, Pluralformen und Intl-Formatierung
 
+// Markup:  <span data-i18n="staking.kdao_staked">KDAO Staked</span>          text
+//          <div data-i18n-html="dashboard.vision_text">...</div>            markup from the bundle (trusted, not user input)
+//          <input data-i18n-attr="placeholder:voting.delegate_address">   attributes, comma separated
+//          data-i18n-params='{"count": 3}'                                 values for {placeholders}
+// Script:  t('time.days', { count: 3 }) -> "3 days"
+//
+// Bundles are nested JSON objects; a plural entry is an object with Intl.PluralRules
+// categories ({ "one": "{count} day", "other": "{count} days" }, optional "zero").
+// A key missing in the selected locale falls back to its base language (de-AT -> de)
+// and then to I18N_DEFAULT_LOCALE. Locales are listed in locales/index.json.
+
+const I18N_DEFAULT_LOCALE = 'en';
+const I18N_STORAGE_KEY = 'kdao-lang';
+const I18N_PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const i18nState = {
+    locale: I18N_DEFAULT_LOCALE,
+    basePath: 'locales/',
+    // locales/index.json: { en: { name, flag, intl }, ... }
+    locales: { [I18N_DEFAULT_LOCALE]: { name: 'English', flag: '🇬🇧', intl: 'en-US' } },
+    bundles: {},
+    missing: new Set()
+};
+
+// ============ Locales ============
+
+function getLocale() {
+    return i18nState.locale;
+}
+
+function getAvailableLocales() {
+    return Object.keys(i18nState.locales);
+}
+
+// 'de-AT' -> 'de' when only 'de' has a bundle; unknown locales -> default
+function normalizeLocale(locale) {
+    if (!locale) return I18N_DEFAULT_LOCALE;
+    if (i18nState.locales[locale]) return locale;
+    const base = locale.split('-')[0].toLowerCase();
+    return i18nState.locales[base] ? base : I18N_DEFAULT_LOCALE;
+}
+
+// Locales searched for a key, most specific first
+function getLocaleChain(locale = i18nState.locale) {
+    return [...new Set([locale, locale.split('-')[0], I18N_DEFAULT_LOCALE])];
+}
+
+function getIntlLocale(locale = i18nState.locale) {
+    const entry = i18nState.locales[locale] || i18nState.locales[I18N_DEFAULT_LOCALE];
+    return entry.intl || locale;
+}
+
+async function fetchI18nJson(file) {
+    const response = await fetch(`${i18nState.basePath}${file}`);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+async function loadLocaleBundle(locale) {
+    if (i18nState.bundles[locale]) return i18nState.bundles[locale];
+    try {
+        i18nState.bundles[locale] = await fetchI18nJson(`${locale}.json`);
+    } catch (error) {
+        // Keys then come from the fallback locales
+        console.error(`Locale ${locale} could not be loaded:`, error);
+        i18nState.bundles[locale] = {};
+    }
+    return i18nState.bundles[locale];
+}
+
+// ============ Translation ============
+
+function lookupTranslation(bundle, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+}
+
+function isPluralEntry(entry) {
+    return Boolean(entry) && typeof entry === 'object'
+        && Object.keys(entry).length > 0
+        && Object.keys(entry).every(category => I18N_PLURAL_CATEGORIES.includes(category));
+}
+
+function selectPluralForm(entry, count, locale) {
+    if (count === 0 && entry.zero !== undefined) return entry.zero;
+    const category = new Intl.PluralRules(getIntlLocale(locale)).select(Number(count));
+    return entry[category] ?? entry.other;
+}
+
+// {name} -> params.name; numbers are formatted for the current locale
+function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+function t(key, params = {}) {
+    for (const locale of getLocaleChain()) {
+        let entry = lookupTranslation(i18nState.bundles[locale], key);
+        if (isPluralEntry(entry)) {
+            entry = selectPluralForm(entry, params.count ?? 0, locale);
+        }
+        if (typeof entry === 'string') {
+            return interpolate(entry, params);
+        }
+    }
+
+    if (!i18nState.missing.has(key)) {
+        i18nState.missing.add(key);
+        console.warn(`Missing translation: ${key}`);
+    }
+    return key;
+}
+
+// ============ Formatting ============
+
+function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(getIntlLocale(), options).format(value);
+}
+
+function formatCurrency(value, currency = 'USD', options = {}) {
+    return formatNumber(value, { style: 'currency', currency, ...options });
+}
+
+function formatDateTime(value, options = { dateStyle: 'medium' }) {
+    return new Intl.DateTimeFormat(getIntlLocale(), options).format(value instanceof Date ? value : new Date(value));
+}
+
+// ============ DOM ============
+
+function translateElement(element) {
+    const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+    if (element.dataset.i18n) {
+        element.textContent = t(element.dataset.i18n, params);
+    }
+    if (element.dataset.i18nHtml) {
+        element.innerHTML = t(element.dataset.i18nHtml, params);
+    }
+    if (element.dataset.i18nAttr) {
+        element.dataset.i18nAttr.split(',').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            element.setAttribute(attribute, t(key, params));
+        });
+    }
+}
+
+// Translates all marked elements below root (the document, or a page fragment after loading it)
+function translatePage(root = document) {
+    if (root.nodeType === 1 && root.matches('[data-i18n], [data-i18n-html], [data-i18n-attr]')) {
+        translateElement(root);
+    }
+    root.querySelectorAll('[data-i18n], [data-i18n-html], [data-i18n-attr]').forEach(translateElement);
+}
+
+// One button per locale of locales/index.json
+function renderLanguageSwitcher(container, onSelect) {
+    if (!container) return;
+    container.innerHTML = getAvailableLocales().map(locale => {
+        const { flag = '', name = locale } = i18nState.locales[locale];
+        return `<button class="lang-btn${locale === i18nState.locale ? ' active' : ''}" data-locale="${locale}" title="${name}">`
+            + `${flag} ${locale.toUpperCase()}</button>`;
+    }).join('');
+    container.querySelectorAll('.lang-btn').forEach(button => {
+        button.addEventListener('click', () => onSelect(button.dataset.locale));
+    });
+}
+
+function updateLanguageSwitcher() {
+    document.querySelectorAll('.lang-btn[data-locale]').forEach(button => {
+        button.classList.toggle('active', button.dataset.locale === i18nState.locale);
+    });
+}
+
+// Loads the bundles of a locale and its fallbacks, then translates the document
+async function setLocale(locale) {
+    const next = normalizeLocale(locale);
+    await Promise.all(getLocaleChain(next).map(loadLocaleBundle));
+
+    i18nState.locale = next;
+    try {
+        localStorage.setItem(I18N_STORAGE_KEY, next);
+    } catch (error) {
+        console.error('Could not store language:', error);
+    }
+    document.documentElement.lang = next;
+    translatePage();
+    updateLanguageSwitcher();
+    document.dispatchEvent(new CustomEvent('kdao:languagechange', { detail: { locale: next } }));
+    return next;
+}
+
+// basePath: where locales/ is, relative to the page ('../locales/' from pages/admin.html)
+async function initI18n({ basePath } = {}) {
+    if (basePath) i18nState.basePath = basePath;
+    try {
+        i18nState.locales = await fetchI18nJson('index.json');
+    } catch (error) {
+        console.error('Locale list could not be loaded:', error);
+    }
+    return setLocale(localStorage.getItem(I18N_STORAGE_KEY) || I18N_DEFAULT_LOCALE);
+}
+
+console.log('I18n.js loaded');
@@ -0,0 +1,195 @@
+// KDAO 2.0 - Technical Indicators
+// Reine Berechnungen (RSI, MACD, EMA/SMA, Bollinger, Volumen-Trend) auf OHLC-Kerzen, ohne DOM-Zugriff
+
+// Series functions return an array aligned with the input; entries before the first full
+// window are null, so series[i] always belongs to values[i].
+
+function sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    values.forEach((value, index) => {
+        sum += value;
+        if (index >= period) sum -= values[index - period];
+        if (index >= period - 1) result[index] = sum / period;
+    });
+    return result;
+}
+
+// Seeded with the SMA of the first `period` values; nulls at the start are skipped
+function ema(values, period) {
+    const result = new Array(values.length).fill(null);
+    const start = values.findIndex(value => value !== null);
+    if (start === -1 || values.length - start < period) return result;
+
+    const k = 2 / (period + 1);
+    let previous = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+    result[start + period - 1] = previous;
+    for (let index = start + period; index < values.length; index++) {
+        previous = values[index] * k + previous * (1 - k);
+        result[index] = previous;
+    }
+    return result;
+}
+
+// Wilder's RSI: first average over `period` changes, then smoothed with (period - 1) / period
+function rsi(closes, period = 14) {
+    const result = new Array(closes.length).fill(null);
+    if (closes.length <= period) return result;
+
+    const toRsi = (gain, loss) => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+    let gain = 0;
+    let loss = 0;
+    for (let index = 1; index <= period; index++) {
+        const change = closes[index] - closes[index - 1];
+        gain += Math.max(change, 0);
+        loss += Math.max(-change, 0);
+    }
+    gain /= period;
+    loss /= period;
+    result[period] = toRsi(gain, loss);
+
+    for (let index = period + 1; index < closes.length; index++) {
+        const change = closes[index] - closes[index - 1];
+        gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+        loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+        result[index] = toRsi(gain, loss);
+    }
+    return result;
+}
+
+// MACD line = EMA(fast) - EMA(slow), signal = EMA(signal) of the MACD line
+function macd(closes, fast = 12, slow = 26, signal = 9) {
+    const fastEma = ema(closes, fast);
+    const slowEma = ema(closes, slow);
+    const line = closes.map((close, index) =>
+        fastEma[index] === null || slowEma[index] === null ? null : fastEma[index] - slowEma[index]
+    );
+    const signalLine = ema(line, signal);
+    const histogram = line.map((value, index) =>
+        value === null || signalLine[index] === null ? null : value - signalLine[index]
+    );
+    return { macd: line, signal: signalLine, histogram };
+}
+
+// Middle = SMA, bands = middle ± multiplier × population standard deviation
+function bollinger(closes, period = 20, multiplier = 2) {
+    const middle = sma(closes, period);
+    const upper = new Array(closes.length).fill(null);
+    const lower = new Array(closes.length).fill(null);
+    middle.forEach((mean, index) => {
+        if (mean === null) return;
+        const window = closes.slice(index - period + 1, index + 1);
+        const deviation = Math.sqrt(window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period);
+        upper[index] = mean + multiplier * deviation;
+        lower[index] = mean - multiplier * deviation;
+    });
+    return { middle, upper, lower };
+}
+
+// Volume-weighted moving average of the closes
+function vwma(candles, period) {
+    return candles.map((candle, index) => {
+        if (index < period - 1) return null;
+        const window = candles.slice(index - period + 1, index + 1);
+        const volume = window.reduce((sum, item) => sum + item.volume, 0);
+        if (volume === 0) return null;
+        return window.reduce((sum, item) => sum + item.close * item.volume, 0) / volume;
+    });
+}
+
+// UP when the close is above a rising VWMA, DOWN when below a falling one.
+// slope = change of the VWMA over `lookback` candles in percent.
+function volumeTrend(candles, period = 20, lookback = 5, threshold = 0.5) {
+    const average = vwma(candles, period);
+    const last = candles.length - 1;
+    const current = average[last];
+    const previous = average[last - lookback];
+    if (current == null || previous == null) {
+        return { direction: null, vwma: current ?? null, slope: null };
+    }
+
+    const slope = (current - previous) / previous * 100;
+    const close = candles[last].close;
+    let direction = 'NEUTRAL';
+    if (close > current && slope >= threshold) direction = 'UP';
+    if (close < current && slope <= -threshold) direction = 'DOWN';
+    return { direction, vwma: current, slope };
+}
+
+// ============ Signal ============
+
+// Thresholds behind the BUY/HOLD/SELL votes (shown to the user next to each reason)
+const SIGNAL_THRESHOLDS = {
+    rsiOversold: 30,
+    rsiOverbought: 70,
+    // net votes needed for BUY (>= score) or SELL (<= -score)
+    score: 2
+};
+
+function lastValue(series) {
+    return series.length ? series[series.length - 1] : null;
+}
+
+// Each check votes +1 (buy), -1 (sell) or 0 with the values it used
+function getTradingSignal(candles, thresholds = SIGNAL_THRESHOLDS) {
+    const closes = candles.map(candle => candle.close);
+    const close = lastValue(closes);
+    const rsiValue = lastValue(rsi(closes, 14));
+    const macdSeries = macd(closes, 12, 26, 9);
+    const bands = bollinger(closes, 20, 2);
+    const trend = volumeTrend(candles);
+
+    const indicators = {
+        close,
+        rsi: rsiValue,
+        macd: lastValue(macdSeries.macd),
+        macdSignal: lastValue(macdSeries.signal),
+        histogram: lastValue(macdSeries.histogram),
+        bollinger: { upper: lastValue(bands.upper), middle: lastValue(bands.middle), lower: lastValue(bands.lower) },
+        trend
+    };
+
+    const checks = [];
+    if (rsiValue !== null) {
+        checks.push({
+            id: 'rsi',
+            value: rsiValue,
+            vote: rsiValue < thresholds.rsiOversold ? 1 : rsiValue > thresholds.rsiOverbought ? -1 : 0,
+            thresholds: [thresholds.rsiOversold, thresholds.rsiOverbought]
+        });
+    }
+    if (indicators.histogram !== null) {
+        checks.push({
+            id: 'macd',
+            value: indicators.histogram,
+            vote: Math.sign(indicators.histogram),
+            thresholds: [0]
+        });
+    }
+    if (indicators.bollinger.middle !== null) {
+        const { upper, lower } = indicators.bollinger;
+        checks.push({
+            id: 'bollinger',
+            value: close,
+            vote: close < lower ? 1 : close > upper ? -1 : 0,
+            thresholds: [lower, upper]
+        });
+    }
+    if (trend.direction) {
+        checks.push({
+            id: 'trend',
+            value: trend.slope,
+            vote: trend.direction === 'UP' ? 1 : trend.direction === 'DOWN' ? -1 : 0,
+            thresholds: [trend.vwma]
+        });
+    }
+
+    const score = checks.reduce((sum, check) => sum + check.vote, 0);
+    let signal = 'HOLD';
+    if (checks.length && score >= thresholds.score) signal = 'BUY';
+    if (checks.length && score <= -thresholds.score) signal = 'SELL';
+
+    return { signal, score, checks, indicators };
+}
+
+console.log('Indicators.js loaded');
@@ -0,0 +1,168 @@
+// KDAO 2.0 - Markdown
+// Markdown für News-Artikel: sichere Teilmenge ohne HTML-Durchreichung, auch für die Feeds in content-server.js
+
+// Safe by construction: the source is escaped first and only the syntax below produces
+// tags, so raw HTML in an article shows up as text. Supported: # headings, paragraphs,
+// - / 1. lists, > quotes, ``` code blocks, ---, **bold**, *italic*, `code`,
+// [links](https://...) and ![images](assets/img/...).
+
+// Links may leave the site only over http(s) or mailto; javascript: and data: never pass
+const MARKDOWN_LINK_PATTERN = /^(https?:\/\/|mailto:|#|\/(?!\/)|\.\/)/i;
+// Images only from the site's own media folder
+const MARKDOWN_IMAGE_PATTERN = /^assets\/img\/(?!.*\.\.)[\w./-]+\.(png|jpe?g|gif|webp|svg)$/i;
+
+function escapeMarkdownHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderEmphasis(html) {
+    return html
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+// Inline syntax of one line. Code spans, images and links are set aside as finished HTML
+// first, so emphasis never reaches into code or URLs. NUL marks the set-aside parts, so it is
+// dropped from the source: a literal marker would otherwise be restored as well.
+function renderInlineMarkdown(text) {
+    const parts = [];
+    const setAside = html => `\u0000${parts.push(html) - 1}\u0000`;
+    // Link labels and image alts can hold code spans set aside before them
+    const restore = html => html.replace(/\u0000(\d+)\u0000/g, (match, index) => parts[index]);
+    // Escaping turned quotes into entities, so URLs are unescaped for the check and escaped again
+    const unescape = value => value.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+    let html = escapeMarkdownHtml(String(text).replace(/\u0000/g, ''))
+        .replace(/`([^`]+)`/g, (match, code) => setAside(`<code>${code}</code>`))
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) => {
+            const url = unescape(src);
+            return MARKDOWN_IMAGE_PATTERN.test(url)
+                ? setAside(`<img src="${escapeMarkdownHtml(url)}" alt="${restore(alt)}" loading="lazy">`)
+                : alt;
+        })
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+            const url = unescape(href);
+            if (!MARKDOWN_LINK_PATTERN.test(url)) return label;
+            const external = /^https?:/i.test(url);
+            return setAside(`<a href="${escapeMarkdownHtml(url)}"${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>${restore(renderEmphasis(label))}</a>`);
+        });
+
+    return restore(renderEmphasis(html));
+}
+
+// Markdown -> HTML; headings start at <h3> because the article title is the <h2>
+function renderMarkdown(source) {
+    const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+    let quote = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length) blocks.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const flushList = () => {
+        if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</${list.tag}>`);
+        list = null;
+    };
+    const flushQuote = () => {
+        if (quote.length) blocks.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+        quote = [];
+    };
+    const flushAll = () => {
+        flushParagraph();
+        flushList();
+        flushQuote();
+    };
+
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+
+        if (/^```/.test(line)) {
+            flushAll();
+            const code = [];
+            while (++index < lines.length && !/^```/.test(lines[index])) {
+                code.push(lines[index]);
+            }
+            blocks.push(`<pre><code>${escapeMarkdownHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const quoted = line.match(/^>\s?(.*)$/);
+        if (quoted) {
+            flushParagraph();
+            flushList();
+            quote.push(quoted[1]);
+            continue;
+        }
+        flushQuote();
+
+        if (!line.trim()) {
+            flushParagraph();
+            flushList();
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,4})\s+(.+?)\s*#*$/);
+        if (heading) {
+            flushAll();
+            const level = heading[1].length + 2;
+            blocks.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushAll();
+            blocks.push('<hr>');
+            continue;
+        }
+
+        const item = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/);
+        if (item) {
+            flushParagraph();
+            const tag = item[1] ? 'ul' : 'ol';
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push(item[3]);
+            continue;
+        }
+
+        // Indented lines continue the last list item
+        if (list && /^\s+\S/.test(line)) {
+            list.items[list.items.length - 1] += ` ${line.trim()}`;
+            continue;
+        }
+
+        flushList();
+        paragraph.push(line.trim());
+    }
+    flushAll();
+    return blocks.join('\n');
+}
+
+// Markdown -> plain text for previews and feed summaries
+function stripMarkdown(source) {
+    return String(source || '')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+[.)])\s+/gm, '')
+        .replace(/(\*\*|__|\*|_|`)/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// content-server.js renders the same Markdown for the RSS/Atom feeds
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { renderMarkdown, stripMarkdown, MARKDOWN_IMAGE_PATTERN };
+} else {
+    console.log('Markdown.js loaded');
+}
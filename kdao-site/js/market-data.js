@@ -0,0 +1,189 @@
+// KDAO 2.0 - Market Data
+// Ticker und OHLC-Kerzen von den Handelsplätzen (CoinEx zuerst), normalisiert und mit Last-Good-Cache
+
+// Candle intervals offered in the UI, with the period names of each venue
+const MARKET_INTERVALS = {
+    '1h': { seconds: 3600, coinex: '1hour' },
+    '4h': { seconds: 14400, coinex: '4hour' },
+    '1d': { seconds: 86400, coinex: '1day' },
+    '1w': { seconds: 604800, coinex: '1week' }
+};
+
+const MARKET_REQUEST_TIMEOUT = 8000;
+const MARKET_CACHE_KEY = 'kdao-market-cache';
+
+// A provider wraps one venue and returns normalized data:
+//   fetchTicker()                 -> { price, open, high, low, change, volume }  (change in %, volume in USDT)
+//   fetchCandles(interval, limit) -> [{ time, open, high, low, close, volume }]  (time in ms, oldest first)
+// Providers are tried in registration order, the first answer wins.
+const marketProviders = [];
+
+function registerMarketProvider(provider) {
+    marketProviders.push(provider);
+}
+
+// ============ Normalization ============
+
+function toMarketNumber(value) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : NaN;
+}
+
+function normalizeTicker(raw) {
+    const ticker = {
+        price: toMarketNumber(raw.price),
+        open: toMarketNumber(raw.open),
+        high: toMarketNumber(raw.high),
+        low: toMarketNumber(raw.low),
+        volume: toMarketNumber(raw.volume)
+    };
+    if (!(ticker.price > 0)) {
+        throw new Error('Invalid ticker price');
+    }
+    ticker.change = ticker.open > 0 ? (ticker.price - ticker.open) / ticker.open * 100 : 0;
+    return ticker;
+}
+
+// Drops malformed candles and sorts oldest first
+function normalizeCandles(rawCandles) {
+    const candles = rawCandles
+        .map(raw => ({
+            time: toMarketNumber(raw.time),
+            open: toMarketNumber(raw.open),
+            high: toMarketNumber(raw.high),
+            low: toMarketNumber(raw.low),
+            close: toMarketNumber(raw.close),
+            volume: toMarketNumber(raw.volume)
+        }))
+        .filter(candle => [candle.time, candle.open, candle.high, candle.low, candle.close].every(Number.isFinite)
+            && candle.high >= candle.low)
+        .sort((a, b) => a.time - b.time);
+
+    if (!candles.length) {
+        throw new Error('No valid candles');
+    }
+    return candles;
+}
+
+async function fetchMarketJson(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), MARKET_REQUEST_TIMEOUT);
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return await response.json();
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// ============ Providers ============
+
+// CoinEx spot API v2: /v2/spot/ticker and /v2/spot/kline
+// name tells the instances apart in the stale and error messages
+function createCoinExProvider({ baseUrl = 'https://api.coinex.com', market = 'KDAOUSDT', name = 'CoinEx' } = {}) {
+    async function request(path, params) {
+        const body = await fetchMarketJson(`${baseUrl}${path}?${new URLSearchParams(params)}`);
+        if (body.code !== 0 || !Array.isArray(body.data)) {
+            throw new Error(body.message || `code ${body.code}`);
+        }
+        return body.data;
+    }
+
+    return {
+        id: 'coinex',
+        name,
+
+        async fetchTicker() {
+            const [entry] = await request('/v2/spot/ticker', { market });
+            if (!entry) {
+                throw new Error(`No ticker for ${market}`);
+            }
+            return normalizeTicker({
+                price: entry.last,
+                open: entry.open,
+                high: entry.high,
+                low: entry.low,
+                // value = quote volume (USDT), volume = base volume (KDAO)
+                volume: entry.value
+            });
+        },
+
+        async fetchCandles(interval, limit) {
+            const data = await request('/v2/spot/kline', { market, period: MARKET_INTERVALS[interval].coinex, limit });
+            return normalizeCandles(data.map(entry => ({
+                time: entry.created_at,
+                open: entry.open,
+                high: entry.high,
+                low: entry.low,
+                close: entry.close,
+                volume: entry.value
+            })));
+        }
+    };
+}
+
+// Browsers only reach api.coinex.com from origins CoinEx allows, so the network's market
+// relay (market-relay.js) comes first where one is configured; CoinEx directly is the fallback
+const marketRelayUrl = typeof getActiveNetwork === 'function' ? getActiveNetwork().marketUrl : null;
+if (marketRelayUrl) {
+    registerMarketProvider(createCoinExProvider({ baseUrl: `${marketRelayUrl}/coinex`, name: 'CoinEx (relay)' }));
+}
+registerMarketProvider(createCoinExProvider());
+
+// ============ Last-Good Cache ============
+
+function readMarketCache() {
+    try {
+        return JSON.parse(localStorage.getItem(MARKET_CACHE_KEY) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+function writeMarketCache(key, entry) {
+    const cache = readMarketCache();
+    cache[key] = entry;
+    try {
+        localStorage.setItem(MARKET_CACHE_KEY, JSON.stringify(cache));
+    } catch (error) {
+        console.error('Could not store market data:', error);
+    }
+}
+
+// Ask each provider in turn; when all fail, serve the last good value marked as stale.
+// Result: { data, provider, fetchedAt, stale, error? }
+async function fetchMarketData(key, request) {
+    const errors = [];
+    for (const provider of marketProviders) {
+        try {
+            const entry = { data: await request(provider), provider: provider.name, fetchedAt: Date.now() };
+            writeMarketCache(key, entry);
+            return { ...entry, stale: false };
+        } catch (error) {
+            errors.push(`${provider.name}: ${error.message}`);
+        }
+    }
+
+    const error = errors.join('; ') || 'No market data provider registered';
+    const cached = readMarketCache()[key];
+    if (cached) {
+        return { ...cached, stale: true, error };
+    }
+    throw new Error(error);
+}
+
+function loadTicker() {
+    return fetchMarketData('ticker', provider => provider.fetchTicker());
+}
+
+function loadCandles(interval = '1h', limit = 100) {
+    if (!MARKET_INTERVALS[interval]) {
+        return Promise.reject(new Error(`Unknown interval ${interval}`));
+    }
+    return fetchMarketData(`candles:${interval}`, provider => provider.fetchCandles(interval, limit));
+}
+
+console.log('Market-data.js loaded');
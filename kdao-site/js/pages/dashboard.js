@@ -1 +1,234 @@
+// KDAO 2.0 - Dashboard Page
+// Marktdaten, Charts und automatische Aktualisierung alle 30 Sekunden
 
+const DASHBOARD_REFRESH_INTERVAL = 30000;
+// Candles loaded per timeframe; the chart shows the latest ones and pans back through the rest
+const DASHBOARD_CANDLE_LIMIT = 300;
+
+const dashboardPageState = {
+    refreshTimer: null,
+    interval: '1h',
+    // Results of loadTicker/loadCandles ({ data, provider, fetchedAt, stale }), null when nothing is available
+    ticker: null,
+    candles: null
+};
+
+function formatUsdPrice(price) {
+    return `$${price.toFixed(8)}`;
+}
+
+function formatUsdVolume(volume) {
+    return volume > 1000 ? `$${(volume / 1000).toFixed(1)}K` : `$${volume.toFixed(0)}`;
+}
+
+// Ticker and candles in parallel; one failing source doesn't hide the other
+async function loadMarketData() {
+    const [ticker, candles] = await Promise.allSettled([
+        loadTicker(),
+        loadCandles(dashboardPageState.interval, DASHBOARD_CANDLE_LIMIT)
+    ]);
+    dashboardPageState.ticker = ticker.status === 'fulfilled' ? ticker.value : null;
+    dashboardPageState.candles = candles.status === 'fulfilled' ? candles.value : null;
+    if (ticker.status === 'rejected') console.error('Ticker unavailable:', ticker.reason);
+    if (candles.status === 'rejected') console.error('Candles unavailable:', candles.reason);
+
+    renderMarketStats();
+    renderMarketStatus();
+    renderTradingSignal();
+    window.refreshCharts(dashboardPageState.candles ? dashboardPageState.candles.data : [], dashboardPageState.interval);
+
+    // The dashboard tick is the alert tick while it is open, reusing the data loaded here
+    checkAlerts({
+        ticker: dashboardPageState.ticker,
+        candles: { [dashboardPageState.interval]: dashboardPageState.candles }
+    }).catch(error => console.error('Alert check failed:', error));
+}
+
+function renderMarketStats() {
+    const { ticker } = dashboardPageState;
+    const stats = document.getElementById('marketStats');
+    if (!stats) return;
+    stats.classList.toggle('stale', Boolean(ticker && ticker.stale));
+
+    const change = document.getElementById('change24');
+    if (!ticker) {
+        ['currentPrice', 'change24', 'volume24', 'highLow'].forEach(id => {
+            document.getElementById(id).textContent = '—';
+        });
+        change.className = 'stat-value';
+        return;
+    }
+
+    const { price, change: percent, volume, high, low } = ticker.data;
+    document.getElementById('currentPrice').textContent = formatUsdPrice(price);
+    change.textContent = `${percent > 0 ? '+' : ''}${percent.toFixed(2)}%`;
+    change.className = `stat-value ${percent > 0 ? 'positive' : 'negative'}`;
+    document.getElementById('volume24').textContent = Number.isFinite(volume) ? formatUsdVolume(volume) : '—';
+    document.getElementById('highLow').textContent = Number.isFinite(high) && Number.isFinite(low)
+        ? `${formatUsdPrice(high)} / ${formatUsdPrice(low)}`
+        : '—';
+}
+
+// Live / stale / unavailable, in the card, the chart header and the fixed status badge
+function renderMarketStatus() {
+    const { ticker, candles } = dashboardPageState;
+    const results = [ticker, candles].filter(Boolean);
+    const stale = results.filter(result => result.stale);
+    const providers = [...new Set(results.map(result => result.provider))].join(', ');
+
+    let status;
+    if (!results.length) {
+        status = { color: '#ef4444', text: t('dashboard.no_market_data') };
+    } else if (stale.length || results.length < 2) {
+        const oldest = Math.min(...results.map(result => result.fetchedAt));
+        const time = formatDateTime(oldest, { hour: '2-digit', minute: '2-digit' });
+        status = {
+            color: '#fbbf24',
+            text: stale.length
+                ? t('dashboard.stale_data', { time, providers })
+                : t('dashboard.partial_data', { providers })
+        };
+    } else {
+        status = { color: '#10b981', text: t('dashboard.live_data', { providers }) };
+    }
+
+    const note = document.getElementById('marketDataNote');
+    if (note) {
+        note.textContent = status.text;
+        note.style.color = status.color;
+    }
+    const indicator = document.getElementById('liveIndicator');
+    if (indicator) {
+        indicator.style.background = status.color;
+    }
+    const statusEl = document.getElementById('apiStatus');
+    if (statusEl) {
+        statusEl.innerHTML = `<span style="color: ${status.color};">${escapeHtml(status.text)}</span>`;
+    }
+}
+
+// ============ Trading Signal ============
+
+function formatSigned(value, digits = 2) {
+    return `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+}
+
+// One line per indicator: its input, the threshold it was compared with and the vote
+function renderSignalCheck(check, indicators) {
+    const { rsiOversold, rsiOverbought } = SIGNAL_THRESHOLDS;
+    const vote = check.vote > 0 ? '▲' : check.vote < 0 ? '▼' : '•';
+
+    if (check.id === 'rsi') {
+        const text = check.vote > 0
+            ? t('dashboard.rsi_oversold', { level: rsiOversold })
+            : check.vote < 0
+                ? t('dashboard.rsi_overbought', { level: rsiOverbought })
+                : t('dashboard.rsi_neutral', { lower: rsiOversold, upper: rsiOverbought });
+        return `${vote} RSI(14) ${check.value.toFixed(1)} ${text}`;
+    }
+    if (check.id === 'macd') {
+        const percent = formatSigned(check.value / indicators.close * 100, 3);
+        return `${vote} MACD(12,26,9) ${t('dashboard.histogram')} ${percent}% ${check.vote > 0 ? '> 0' : check.vote < 0 ? '< 0' : '= 0'}`;
+    }
+    if (check.id === 'bollinger') {
+        const [lower, upper] = check.thresholds;
+        const text = check.vote > 0
+            ? t('dashboard.below_lower_band', { price: formatUsdPrice(lower) })
+            : check.vote < 0
+                ? t('dashboard.above_upper_band', { price: formatUsdPrice(upper) })
+                : t('dashboard.inside_bands', { lower: formatUsdPrice(lower), upper: formatUsdPrice(upper) });
+        return `${vote} Bollinger(20, 2) ${text}`;
+    }
+    const { direction, vwma } = indicators.trend;
+    return `${vote} VWMA(20) ${formatUsdPrice(vwma)}, ${t('dashboard.slope')} ${formatSigned(check.value)}% / 5: ${direction}`;
+}
+
+// #rsi, #macd, #trend and the BUY/HOLD/SELL box from the loaded candles
+function renderTradingSignal() {
+    const signalBox = document.getElementById('signalBox');
+    if (!signalBox) return;
+
+    const candles = dashboardPageState.candles ? dashboardPageState.candles.data : [];
+    const { signal, score, checks, indicators } = getTradingSignal(candles);
+    const interval = dashboardPageState.interval.toUpperCase();
+
+    document.getElementById('rsi').textContent = indicators.rsi !== null ? indicators.rsi.toFixed(1) : '-';
+    document.getElementById('macd').textContent = indicators.histogram !== null
+        ? `${formatSigned(indicators.histogram / indicators.close * 100, 3)}%`
+        : '-';
+    document.getElementById('trend').textContent = indicators.trend.direction || '-';
+
+    const signalText = document.getElementById('signalText');
+    const signalReason = document.getElementById('signalReason');
+    if (!checks.length) {
+        signalBox.className = 'signal-display';
+        signalText.textContent = '—';
+        signalReason.textContent = candles.length
+            ? t('dashboard.not_enough_candles', { interval })
+            : t('dashboard.no_price_data');
+        return;
+    }
+
+    const { score: needed } = SIGNAL_THRESHOLDS;
+    signalBox.className = `signal-display ${signal.toLowerCase()}`;
+    signalText.textContent = signal;
+    signalReason.innerHTML = `
+        ${checks.map(check => `<div class="signal-check">${escapeHtml(renderSignalCheck(check, indicators))}</div>`).join('')}
+        <div class="signal-score">
+            ${escapeHtml(t('dashboard.signal_score', { interval, score: formatSigned(score, 0), needed }))}
+        </div>
+    `;
+}
+
+// 1h / 4h / 1d / 1w buttons above the chart
+async function selectMarketInterval(interval) {
+    dashboardPageState.interval = interval;
+    document.querySelectorAll('.interval-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.interval === interval);
+    });
+
+    try {
+        dashboardPageState.candles = await loadCandles(interval, DASHBOARD_CANDLE_LIMIT);
+    } catch (error) {
+        console.error('Candles unavailable:', error);
+        dashboardPageState.candles = null;
+    }
+    renderMarketStatus();
+    renderTradingSignal();
+    window.refreshCharts(dashboardPageState.candles ? dashboardPageState.candles.data : [], interval);
+}
+
+async function refreshDashboard() {
+    const time = new Date().toLocaleTimeString();
+    console.log(`[${time}] Refreshing data...`);
+    await loadMarketData();
+
+    // Pulse effect
+    const priceEl = document.getElementById('currentPrice');
+    if (priceEl) {
+        priceEl.style.transition = 'color 0.5s';
+        priceEl.style.color = '#5ffbf1';
+        setTimeout(() => {
+            priceEl.style.color = '';
+        }, 500);
+    }
+}
+
+registerPage('dashboard', {
+    async init(params, signal) {
+        await loadMarketData();
+        // Left the dashboard while the market data was loading
+        if (signal.aborted) return;
+
+        clearInterval(dashboardPageState.refreshTimer);
+        dashboardPageState.refreshTimer = setInterval(refreshDashboard, DASHBOARD_REFRESH_INTERVAL);
+    },
+
+    destroy() {
+        clearInterval(dashboardPageState.refreshTimer);
+        dashboardPageState.refreshTimer = null;
+        window.destroyCharts();
+    }
+});
+
+console.log('Dashboard page loaded');
@@ -0,0 +1,454 @@
+// KDAO 2.0 - Elections Page
+// Wahlen, Kandidaturen und Abstimmungen über den ElectionManager
+
+const RUNNING_ELECTION_PHASES = ['Nomination', 'Campaign', 'Voting'];
+
+const electionPageState = {
+    elections: [],
+    leadership: [],
+    receipts: {},
+    // chain time - local time in seconds, keeps countdowns in sync with the node
+    clockOffset: 0,
+    countdownTimer: null,
+    // Signal of the current visit (see registerPage), no countdown starts once it is aborted
+    signal: null
+};
+
+// Load leadership, elections and the wallet's receipts, then render everything
+async function loadElectionsPage() {
+    const list = document.getElementById('active-elections-list');
+    if (!list) return;
+
+    try {
+        const [elections, leadership, now] = await Promise.all([loadElections(), loadLeadership(), getChainTime()]);
+        electionPageState.elections = elections;
+        electionPageState.leadership = leadership;
+        electionPageState.clockOffset = now - Math.floor(Date.now() / 1000);
+        electionPageState.receipts = {};
+
+        if (walletState.account) {
+            const receipts = await Promise.all(elections.map(election => loadVoteReceipt(walletState.account, election.id)));
+            elections.forEach((election, index) => {
+                electionPageState.receipts[election.id] = receipts[index];
+            });
+        }
+
+        renderElectionsPage();
+        startElectionCountdowns();
+    } catch (error) {
+        console.error('Could not load elections:', error);
+        list.innerHTML = `
+            <div class="elections-empty">
+                ${t('elections.load_failed')}:
+                ${escapeHtml(error.shortMessage || error.message)}
+            </div>
+        `;
+    }
+}
+
+function renderElectionsPage() {
+    const { elections, leadership } = electionPageState;
+    const running = elections.filter(election => RUNNING_ELECTION_PHASES.includes(election.phase));
+    const finished = elections.filter(election => !RUNNING_ELECTION_PHASES.includes(election.phase));
+
+    // Stats
+    const statValues = document.querySelectorAll('.election-stats .stat-card .stat-value');
+    if (statValues[0]) statValues[0].textContent = ELECTION_POSITIONS.length;
+    if (statValues[1]) statValues[1].textContent = leadership.filter(leader => leader.isActive).length;
+    if (statValues[2]) statValues[2].textContent = running.length;
+    if (statValues[3]) {
+        statValues[3].textContent = elections.reduce((sum, election) =>
+            sum + election.candidates.reduce((votes, candidate) => votes + candidate.supporterCount, 0), 0
+        );
+    }
+
+    document.getElementById('leadership-grid').innerHTML = leadership.map(renderLeaderCard).join('');
+    renderElectionTimeline(running[0]);
+
+    document.getElementById('active-elections-list').innerHTML = running.map(renderElectionCard).join('')
+        || `<div class="elections-empty">${t('elections.no_running_elections')}</div>`;
+
+    document.getElementById('past-elections-rows').innerHTML = finished.map(renderPastElectionRow).join('')
+        || `<div class="table-row"><span>${t('elections.no_finished_elections')}</span></div>`;
+}
+
+// 'Lisa Kim' -> 'LK', addresses -> first hex chars
+function getInitials(name, address) {
+    const initials = (name || '').split(/\s+/).filter(Boolean).map(part => part[0]).join('').slice(0, 2);
+    return (initials || address.slice(2, 4)).toUpperCase();
+}
+
+function renderLeaderCard(leader) {
+    if (leader.isActive) {
+        return `
+            <div class="leader-card active">
+                <div class="leader-badge">${t('elections.badge_active')}</div>
+                <div class="leader-avatar"><span>${getInitials('', leader.holder)}</span></div>
+                <h3 class="leader-name" title="${leader.holder}">${shortenAddress(leader.holder)}</h3>
+                <div class="leader-role">${leader.positionName}</div>
+                <div class="leader-info">
+                    <div class="info-item">
+                        <span class="info-label">${t('elections.elected')}</span>
+                        <span class="info-value">${formatDate(leader.termStart)}</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-label">Performance</span>
+                        <span class="info-value">${leader.performance}%</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-label">${t('elections.term_ends')}</span>
+                        <span class="info-value">${formatDate(leader.termEnd)}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    const election = electionPageState.elections.find(item =>
+        item.position === leader.position && item.phase === 'Nomination'
+    );
+    const button = election
+        ? `<button class="apply-btn" onclick="openNominationForm(${election.id})">${t('elections.apply_now')}</button>`
+        : `<button class="apply-btn" disabled>${t('elections.no_open_election')}</button>`;
+
+    return `
+        <div class="leader-card vacant">
+            <div class="leader-badge vacant">${t('elections.badge_vacant')}</div>
+            <div class="leader-avatar vacant"><span>?</span></div>
+            <h3 class="leader-name">${t('elections.position_open')}</h3>
+            <div class="leader-role">${leader.positionName}</div>
+            ${button}
+        </div>
+    `;
+}
+
+// Dates of the featured election; without one the timeline shows the phase lengths
+function renderElectionTimeline(election) {
+    const items = document.querySelectorAll('#election-timeline .timeline-item');
+    if (!items.length) return;
+
+    const phases = ['Nomination', 'Campaign', 'Voting', 'Ended'];
+    const dates = election
+        ? [
+            `${formatDate(election.times.nominationStart)} - ${formatDate(election.times.nominationEnd)}`,
+            `${formatDate(election.times.nominationEnd)} - ${formatDate(election.times.campaignEnd)}`,
+            `${formatDate(election.times.campaignEnd)} - ${formatDate(election.times.votingEnd)}`,
+            formatDate(election.times.votingEnd)
+        ]
+        : null;
+
+    items.forEach((item, index) => {
+        const active = election && election.phase === phases[index];
+        item.classList.toggle('active', Boolean(active));
+        item.querySelector('.timeline-marker').classList.toggle('active', Boolean(active));
+        if (dates) {
+            item.querySelector('.timeline-date').innerHTML = dates[index];
+        }
+    });
+}
+
+function renderPhaseBadge(election) {
+    const label = ELECTION_PHASE_LABELS[election.phase];
+    return `<span class="election-phase ${label.css}">${t(label.key)}</span>`;
+}
+
+function renderCountdown(deadline) {
+    if (!deadline) return '';
+    const secondsLeft = Math.max(0, deadline - getElectionClock());
+    const critical = secondsLeft < 86400;
+    return `
+        <span class="election-timer${critical ? ' critical' : ''}" data-deadline="${deadline}">
+            ⏰ ${t('elections.ends_in', { duration: formatDuration(secondsLeft) })}
+        </span>
+    `;
+}
+
+function getElectionClock() {
+    return Math.floor(Date.now() / 1000) + electionPageState.clockOffset;
+}
+
+function renderElectionCard(election) {
+    const receipt = electionPageState.receipts[election.id];
+    const activeCandidates = election.candidates.filter(candidate => candidate.isActive);
+    const isVoting = election.phase === 'Voting';
+
+    const receiptHtml = receipt?.hasVoted
+        ? `
+            <div class="vote-receipt">
+                🧾 ${t('elections.your_vote')}:
+                <strong>${escapeHtml(election.candidates[receipt.candidateIndex]?.name || '?')}</strong>
+                · ${formatKDAO(receipt.weight)} · ${formatDate(receipt.timestamp)}
+            </div>
+        `
+        : '';
+
+    const nominateHtml = election.phase === 'Nomination'
+        ? `
+            <button class="view-all-btn" onclick="openNominationForm(${election.id})">
+                ${t('elections.run_as_candidate')}
+            </button>
+            ${renderNominationForm(election)}
+        `
+        : '';
+
+    const candidatesHtml = isVoting
+        ? `<div class="voting-candidates">${activeCandidates.map(candidate => renderVotingCandidate(election, candidate, receipt)).join('')}</div>`
+        : `<div class="candidates-grid">${activeCandidates.map(candidate => renderCandidateCard(election, candidate)).join('')}</div>`;
+
+    return `
+        <div class="election-card ${isVoting ? 'voting' : 'active'}" id="election-${election.id}">
+            <div class="election-header">
+                <div class="election-info">
+                    <h3 class="election-title">${escapeHtml(election.title)}</h3>
+                    <div class="election-meta">
+                        ${renderPhaseBadge(election)}
+                        ${renderCountdown(election.deadline)}
+                    </div>
+                </div>
+                <div class="election-stats">
+                    <div class="stat">
+                        <span class="stat-number">${activeCandidates.length}</span>
+                        <span class="stat-text">${t('elections.candidates')}</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-number">${formatKDAO(election.totalVotes, false)}</span>
+                        <span class="stat-text">${t('elections.votes_kdao')}</span>
+                    </div>
+                </div>
+            </div>
+
+            <div class="election-description">
+                <strong>${election.positionName}</strong> — ${escapeHtml(election.description)}
+            </div>
+
+            ${receiptHtml}
+
+            <div class="candidates-section">
+                <h4>${t('elections.candidates')}</h4>
+                ${activeCandidates.length ? candidatesHtml : `<div class="elections-empty">${t('elections.no_candidates')}</div>`}
+                ${nominateHtml}
+            </div>
+        </div>
+    `;
+}
+
+function renderCandidateProfile(candidate) {
+    const links = [
+        candidate.discordHandle && `💬 ${escapeHtml(candidate.discordHandle)}`,
+        candidate.githubProfile && `🐙 ${escapeHtml(candidate.githubProfile)}`
+    ].filter(Boolean).join(' · ');
+
+    return `
+        <div class="candidate-profile" style="display: none;">
+            <p><strong>${t('elections.manifesto')}:</strong> ${escapeHtml(candidate.manifesto)}</p>
+            <p><strong>${t('elections.experience')}:</strong> ${escapeHtml(candidate.experience)}</p>
+            ${links ? `<p>${links}</p>` : ''}
+        </div>
+    `;
+}
+
+function renderCandidateCard(election, candidate) {
+    const isOwn = walletState.account && candidate.address.toLowerCase() === walletState.account.toLowerCase();
+    const withdraw = isOwn
+        ? `<button class="btn-nominate" onclick="withdrawCandidacy(${election.id})">${t('elections.withdraw')}</button>`
+        : '';
+
+    return `
+        <div class="candidate-card">
+            <div class="candidate-rank">#${candidate.index + 1}</div>
+            <div class="candidate-avatar">${escapeHtml(getInitials(candidate.name, candidate.address))}</div>
+            <div class="candidate-info">
+                <h5 class="candidate-name">${escapeHtml(candidate.name)}</h5>
+                <div class="candidate-wallet" title="${candidate.address}">${shortenAddress(candidate.address)}</div>
+            </div>
+            ${renderCandidateProfile(candidate)}
+            <div class="candidate-actions">
+                <button class="btn-profile" onclick="toggleCandidateProfile(this)">${t('elections.profile')}</button>
+                ${withdraw}
+            </div>
+        </div>
+    `;
+}
+
+function renderVotingCandidate(election, candidate, receipt) {
+    const percent = percentOf(candidate.votes, election.totalVotes);
+    const leading = election.candidates.every(other => other.votes <= candidate.votes) && candidate.votes > 0n;
+    const voted = receipt?.hasVoted;
+    const isChoice = voted && receipt.candidateIndex === candidate.index;
+
+    return `
+        <div class="voting-candidate${leading ? ' leading' : ''}">
+            <div class="candidate-position">${candidate.index + 1}</div>
+            <div class="candidate-details">
+                <div class="candidate-avatar">${escapeHtml(getInitials(candidate.name, candidate.address))}</div>
+                <div class="candidate-info">
+                    <h5>${escapeHtml(candidate.name)}</h5>
+                    <span class="candidate-role" title="${candidate.address}">${shortenAddress(candidate.address)}</span>
+                </div>
+            </div>
+            <div class="vote-progress">
+                <div class="progress-percentage">${percent}%</div>
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${percent}%;"></div>
+                </div>
+                <span class="vote-count">${formatKDAO(candidate.votes)} · ${t('elections.supporters', { count: candidate.supporterCount })}</span>
+            </div>
+            <button class="vote-button" ${voted ? 'disabled' : ''} onclick="voteForCandidate(${election.id}, ${candidate.index})">
+                ${isChoice ? `✅ ${t('elections.voted')}` : t('elections.vote')}
+            </button>
+        </div>
+    `;
+}
+
+function renderNominationForm(election) {
+    const field = (name, labelKey, tag = 'input') => `
+        <div class="form-group">
+            <label>${t(labelKey)}</label>
+            ${tag === 'textarea' ? `<textarea data-field="${name}" rows="3"></textarea>` : `<input type="text" data-field="${name}">`}
+        </div>
+    `;
+    return `
+        <div class="nomination-form" id="nomination-form-${election.id}" style="display: none;">
+            ${field('name', 'elections.name')}
+            ${field('manifesto', 'elections.manifesto', 'textarea')}
+            ${field('experience', 'elections.experience', 'textarea')}
+            ${field('discordHandle', 'elections.discord')}
+            ${field('githubProfile', 'elections.github')}
+            <button class="vote-button" onclick="submitNomination(${election.id})">
+                ${t('elections.submit_candidacy')}
+            </button>
+        </div>
+    `;
+}
+
+function renderPastElectionRow(election) {
+    const winner = election.candidates.find(candidate => candidate.isElected);
+    const label = ELECTION_PHASE_LABELS[election.phase];
+    const result = winner ? `${percentOf(winner.votes, election.totalVotes)}%` : t(label.key);
+
+    return `
+        <div class="table-row" id="election-${election.id}">
+            <span class="position">${election.positionName}</span>
+            <span class="winner">${winner ? `✅ ${escapeHtml(winner.name)}` : '—'}</span>
+            <span class="date">${formatDate(election.times.votingEnd)}</span>
+            <span class="result">${result}</span>
+            <span class="turnout">${formatKDAO(election.totalVotes)}</span>
+        </div>
+    `;
+}
+
+function toggleCandidateProfile(button) {
+    const profile = button.closest('.candidate-card').querySelector('.candidate-profile');
+    profile.style.display = profile.style.display === 'none' ? 'block' : 'none';
+}
+
+function openNominationForm(electionId) {
+    const form = document.getElementById(`nomination-form-${electionId}`);
+    if (!form) return;
+    form.style.display = 'block';
+    form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Approve the 100 KDAO stake if needed, then nominateCandidate
+async function submitNomination(electionId) {
+    const form = document.getElementById(`nomination-form-${electionId}`);
+    const value = name => form.querySelector(`[data-field="${name}"]`).value.trim();
+
+    if (!value('name')) {
+        showTxStatus('reverted', t('elections.name_required'));
+        return null;
+    }
+
+    const stake = await getKDAOContract('election').MIN_NOMINATION_STAKE();
+    if (!await approveKDAO('election', stake)) return null;
+
+    const receipt = await sendTransaction(t('elections.candidacy'), signer =>
+        getKDAOContract('election', signer).nominateCandidate(
+            electionId,
+            value('name'),
+            value('manifesto'),
+            value('experience'),
+            value('discordHandle'),
+            value('githubProfile')
+        )
+    );
+    if (receipt) {
+        await loadElectionsPage();
+    }
+    return receipt;
+}
+
+async function voteForCandidate(electionId, candidateIndex) {
+    const receipt = await sendTransaction(t('elections.election_vote'), signer =>
+        getKDAOContract('election', signer).vote(electionId, candidateIndex)
+    );
+    if (receipt) {
+        await loadElectionsPage();
+    }
+    return receipt;
+}
+
+async function withdrawCandidacy(electionId) {
+    if (!confirm(t('elections.confirm_withdraw'))) {
+        return null;
+    }
+
+    const receipt = await sendTransaction(t('elections.withdraw_candidacy'), signer =>
+        getKDAOContract('election', signer).withdrawCandidacy(electionId)
+    );
+    if (receipt) {
+        await loadElectionsPage();
+    }
+    return receipt;
+}
+
+// Refresh the countdowns every 30 seconds; reload once a phase has ended
+function startElectionCountdowns() {
+    clearInterval(electionPageState.countdownTimer);
+    if (!electionPageState.signal || electionPageState.signal.aborted) return;
+    electionPageState.countdownTimer = setInterval(() => {
+        const timers = document.querySelectorAll('.election-timer[data-deadline]');
+        if (!timers.length) {
+            clearInterval(electionPageState.countdownTimer);
+            return;
+        }
+
+        let phaseEnded = false;
+        timers.forEach(timer => {
+            const secondsLeft = Number(timer.dataset.deadline) - getElectionClock();
+            phaseEnded = phaseEnded || secondsLeft <= 0;
+            timer.classList.toggle('critical', secondsLeft < 86400);
+            timer.innerHTML = `⏰ ${t('elections.ends_in', { duration: formatDuration(Math.max(0, secondsLeft)) })}`;
+        });
+
+        if (phaseEnded) {
+            loadElectionsPage();
+        }
+    }, 30000);
+}
+
+window.addEventListener('kdao:walletchange', () => {
+    if (document.getElementById('active-elections-list')) {
+        loadElectionsPage();
+    }
+});
+
+registerPage('elections', {
+    // #/elections/<id> of an election in its nomination phase opens the nomination form
+    async init(params, signal) {
+        electionPageState.signal = signal;
+        await loadElectionsPage();
+        if (signal.aborted) return;
+        const election = electionPageState.elections.find(item => String(item.id) === params.id);
+        if (election && election.phase === 'Nomination') {
+            openNominationForm(election.id);
+        }
+    },
+
+    destroy() {
+        clearInterval(electionPageState.countdownTimer);
+        electionPageState.countdownTimer = null;
+    }
+});
+
+console.log('Elections page loaded');
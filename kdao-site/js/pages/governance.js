@@ -1 +1,478 @@
+// KDAO 2.0 - Governance / Voting Page
+// Abstimmen über KDAOGovernance.castVote und Delegation der Stimmkraft
 
+// VoteType enum of KDAOGovernance
+const VOTE_TYPES = {
+    against: 0,
+    for: 1,
+    abstain: 2
+};
+
+// Accepts 'for' / 'against' / 'abstain' and the older 'yes' / 'no'
+function toVoteType(vote) {
+    const key = { yes: 'for', no: 'against' }[vote] || vote;
+    if (!(key in VOTE_TYPES)) {
+        throw new Error(`Unknown vote option: ${vote}`);
+    }
+    return VOTE_TYPES[key];
+}
+
+const votingPageState = {
+    // GUARDIAN_ROLE of the connected wallet, shows the cancel button on queued proposals
+    isGuardian: false,
+    countdownTimer: null,
+    // Signal of the current visit (see registerPage), no countdown starts once it is aborted
+    signal: null
+};
+
+// 'KIP-003' or 3 -> 3n
+function toProposalId(proposalId) {
+    return BigInt(String(proposalId).replace(/\D/g, ''));
+}
+
+// Cast vote on a proposal
+async function castVote(proposalId, vote) {
+    const id = toProposalId(proposalId);
+    const voteType = toVoteType(vote);
+    const label = `${t('voting.vote')} KIP-${String(id).padStart(3, '0')}`;
+
+    const receipt = await sendTransaction(label, signer =>
+        getKDAOContract('governance', signer).castVote(id, voteType)
+    );
+
+    if (receipt) {
+        invalidateProposal(id);
+        await Promise.all([updateVotingPower(), loadVotingPage()]);
+    }
+    return receipt;
+}
+
+// ============ Timelock ============
+
+// queue / execute / cancel go through the same flow: send, drop the cached proposal, reload the tabs
+async function sendProposalTransaction(proposalId, labelKey, send) {
+    const id = toProposalId(proposalId);
+    const receipt = await sendTransaction(`${t(labelKey)} KIP-${String(id).padStart(3, '0')}`, signer =>
+        send(getKDAOContract('governance', signer), id)
+    );
+
+    if (receipt) {
+        invalidateProposal(id);
+        await loadVotingPage();
+    }
+    return receipt;
+}
+
+// Anyone can queue a succeeded proposal, the ETA is EXECUTION_DELAY later
+function queueProposal(proposalId) {
+    return sendProposalTransaction(proposalId, 'voting.queue', (governance, id) => governance.queueProposal(id));
+}
+
+// Anyone can execute a queued proposal between its ETA and the end of the execution window
+function executeProposal(proposalId) {
+    return sendProposalTransaction(proposalId, 'voting.execute', (governance, id) => governance.executeProposal(id));
+}
+
+// Guardian only, possible until the proposal is executed
+function cancelProposal(proposalId) {
+    return sendProposalTransaction(proposalId, 'voting.cancel', (governance, id) => governance.cancelProposal(id));
+}
+
+async function updateGuardianStatus() {
+    votingPageState.isGuardian = false;
+    if (!walletState.account) return;
+
+    try {
+        const governance = getKDAOContract('governance');
+        votingPageState.isGuardian = await governance.hasRole(await governance.GUARDIAN_ROLE(), walletState.account);
+    } catch (error) {
+        console.error('Could not load guardian role:', error);
+    }
+}
+
+// Load proposals from KDAOGovernance and render the tabs
+async function loadVotingPage(force = false) {
+    const activeGrid = document.getElementById('active-votes');
+    if (!activeGrid) return;
+
+    try {
+        const proposals = await loadProposals({ force });
+        renderVotingProposals(proposals);
+    } catch (error) {
+        console.error('Could not load proposals:', error);
+        activeGrid.innerHTML = `
+            <div class="votes-empty">
+                ${t('common.proposals_load_failed')}:
+                ${escapeHtml(error.shortMessage || error.message)}
+            </div>
+        `;
+    }
+}
+
+function renderVotingProposals(proposals) {
+    const active = proposals.filter(p => p.status === 'active');
+    const upcoming = proposals.filter(p => p.status === 'upcoming');
+    const queued = proposals.filter(p => p.status === 'queued');
+    const completed = proposals.filter(p => p.status === 'completed');
+    const empty = `<div class="votes-empty">${t('voting.no_proposals')}</div>`;
+
+    document.getElementById('active-votes').innerHTML = active.map(renderVoteCard).join('') || empty;
+    document.getElementById('upcoming-votes').innerHTML = upcoming.map(renderUpcomingCard).join('') || empty;
+    document.getElementById('queued-votes').innerHTML = queued.map(renderQueuedCard).join('') || empty;
+    document.getElementById('completed-votes').innerHTML = `
+        <div class="completed-grid">${completed.map(renderCompletedCard).join('') || empty}</div>
+    `;
+
+    // Tab badges
+    const counts = { active: active.length, upcoming: upcoming.length, queued: queued.length, completed: completed.length };
+    Object.entries(counts).forEach(([filter, count]) => {
+        const badge = document.querySelector(`.filter-tab[data-filter="${filter}"] .tab-badge`);
+        if (badge) badge.textContent = count;
+    });
+
+    // Governance overview
+    const statValues = document.querySelectorAll('.stats-card .stat-value');
+    const votesInPlay = active.reduce((sum, p) => sum + p.forVotes + p.againstVotes + p.abstainVotes, 0n);
+    const avgParticipation = completed.length
+        ? completed.reduce((sum, p) => sum + p.participation, 0) / completed.length
+        : 0;
+    if (statValues[0]) statValues[0].textContent = active.length;
+    if (statValues[2]) statValues[2].textContent = formatKDAO(votesInPlay, false);
+    if (statValues[3]) statValues[3].textContent = `${avgParticipation.toFixed(0)}%`;
+
+    startEtaCountdown();
+}
+
+function renderTypeBadge(proposal, cssPrefix) {
+    const badge = PROPOSAL_TYPE_BADGES[proposal.typeName] || PROPOSAL_TYPE_BADGES.Governance;
+    return `<span class="${cssPrefix} ${badge.css}">${badge.label}</span>`;
+}
+
+function renderQuorum(proposal) {
+    const reached = proposal.quorumReached;
+    return `
+        <div class="quorum-section">
+            <div class="quorum-header">
+                <span>${t('voting.quorum_status')}</span>
+                <span class="quorum-status ${reached ? 'reached' : 'warning'}">
+                    ${reached ? '✅' : '⚠️'} ${reached ? t('voting.quorum_reached') : t('voting.quorum_not_reached')}
+                </span>
+            </div>
+            <div class="quorum-bar">
+                <div class="quorum-fill" style="width: ${Math.min(100, proposal.participation)}%;"></div>
+                <div class="quorum-marker" style="left: ${proposal.quorumPercent}%;">
+                    <span class="marker-label">${t('voting.quorum_min', { percent: proposal.quorumPercent })}</span>
+                </div>
+            </div>
+            <div class="quorum-info">
+                <span>${proposal.participation}% ${t('common.participation')}</span>
+                <span>${formatKDAO(proposal.forVotes + proposal.againstVotes)} ${t('voting.voted')}</span>
+            </div>
+        </div>
+    `;
+}
+
+function renderVoteOption(icon, labelKey, percent, votes, css) {
+    return `
+        <div class="vote-option">
+            <div class="option-header">
+                <span>${icon} ${t(labelKey)}</span>
+                <span class="option-percentage">${percent}%</span>
+            </div>
+            <div class="option-bar">
+                <div class="bar-fill ${css}" style="width: ${percent}%;"></div>
+            </div>
+            <div class="option-stats">
+                <span>${formatKDAO(votes)}</span>
+            </div>
+        </div>
+    `;
+}
+
+function renderVoteCard(proposal) {
+    const critical = proposal.secondsLeft < 86400;
+    return `
+        <div class="vote-card${critical ? ' critical' : ''}" data-status="active" data-id="${proposal.id}">
+            <div class="vote-header">
+                <div class="vote-info">
+                    <span class="vote-id">#${proposal.kip}</span>
+                    ${renderTypeBadge(proposal, 'vote-type')}
+                    <span class="vote-status active">${t('voting.voting_active')}</span>
+                </div>
+                <div class="vote-timer${critical ? ' critical' : ''}" title="Block ${proposal.endBlock}">
+                    ⏰ ${t('voting.time_remaining', { duration: formatDuration(proposal.secondsLeft) })}
+                </div>
+            </div>
+            
+            <h3 class="vote-title">${escapeHtml(proposal.title)}</h3>
+            <div class="vote-description">${escapeHtml(proposal.description)}</div>
+            
+            ${renderQuorum(proposal)}
+            
+            <div class="vote-results">
+                <div class="results-header">${t('voting.voting_results')}</div>
+                <div class="vote-options">
+                    ${renderVoteOption('✅', 'voting.for', proposal.forPercent, proposal.forVotes, 'yes')}
+                    ${renderVoteOption('❌', 'voting.against', proposal.againstPercent, proposal.againstVotes, 'no')}
+                    ${renderVoteOption('⚪', 'voting.abstention', proposal.abstainPercent, proposal.abstainVotes, 'abstain')}
+                </div>
+            </div>
+            
+            <div class="vote-actions">
+                <button class="vote-btn primary" onclick="castVote(${proposal.id}, 'for')">${t('voting.vote_for')}</button>
+                <button class="vote-btn danger" onclick="castVote(${proposal.id}, 'against')">${t('voting.vote_against')}</button>
+                <button class="vote-btn secondary" onclick="castVote(${proposal.id}, 'abstain')">${t('voting.abstain')}</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderUpcomingCard(proposal) {
+    return `
+        <div class="upcoming-card" data-id="${proposal.id}">
+            <div class="upcoming-header">
+                <span class="vote-id">#${proposal.kip}</span>
+                ${renderTypeBadge(proposal, 'vote-type')}
+                <div class="upcoming-timer" title="Block ${proposal.startBlock}">
+                    ${t('common.starts_in', { duration: formatDuration(proposal.secondsUntilStart) })}
+                </div>
+            </div>
+            <h4>${escapeHtml(proposal.title)}</h4>
+            <p>${escapeHtml(proposal.description)}</p>
+        </div>
+    `;
+}
+
+function renderEtaCountdown(eta) {
+    return `⏳ ${t('common.executable_in', { duration: formatDuration(eta - getGovernanceClock()) })}`;
+}
+
+// Succeeded: waiting to be queued. Queued: timelock countdown to the ETA, then executable until expiresAt
+function renderQueuedCard(proposal) {
+    const now = getGovernanceClock();
+    const cancelButton = votingPageState.isGuardian
+        ? `<button class="vote-btn danger" onclick="cancelProposal(${proposal.id})">${t('voting.cancel_guardian')}</button>`
+        : '';
+
+    let timer;
+    let note;
+    let actions;
+    if (proposal.stateName === 'Succeeded') {
+        timer = `<div class="queued-timer">✅ ${t('voting.passed')}</div>`;
+        note = t('voting.queue_note', { delay: formatDuration(proposalCache.executionDelay) });
+        actions = `<button class="vote-btn primary" onclick="queueProposal(${proposal.id})">${t('voting.queue')}</button>`;
+    } else if (proposal.eta > now) {
+        timer = `<div class="queued-timer" data-eta="${proposal.eta}" title="ETA ${formatDateTime(proposal.eta * 1000, { dateStyle: 'medium', timeStyle: 'short' })}">${renderEtaCountdown(proposal.eta)}</div>`;
+        note = t('voting.eta_note', { date: formatDate(proposal.expiresAt) });
+        actions = '';
+    } else {
+        timer = `<div class="queued-timer ready">🚀 ${t('voting.executable')}</div>`;
+        note = t('voting.execute_note', { duration: formatDuration(proposal.expiresAt - now) });
+        actions = `<button class="vote-btn primary" onclick="executeProposal(${proposal.id})">${t('voting.execute')}</button>`;
+    }
+
+    return `
+        <div class="queued-card" data-id="${proposal.id}">
+            <div class="upcoming-header">
+                <span class="vote-id">#${proposal.kip}</span>
+                ${renderTypeBadge(proposal, 'vote-type')}
+                ${timer}
+            </div>
+            <h4>${escapeHtml(proposal.title)}</h4>
+            <p>${escapeHtml(proposal.description)}</p>
+            <div class="queued-note">${note}</div>
+            <div class="vote-actions">${actions}${cancelButton}</div>
+        </div>
+    `;
+}
+
+// Refresh the ETA countdowns every 30 seconds; reload once a proposal becomes executable
+function startEtaCountdown() {
+    clearInterval(votingPageState.countdownTimer);
+    if (!votingPageState.signal || votingPageState.signal.aborted) return;
+    votingPageState.countdownTimer = setInterval(() => {
+        const countdowns = document.querySelectorAll('.queued-timer[data-eta]');
+        if (!countdowns.length) {
+            clearInterval(votingPageState.countdownTimer);
+            return;
+        }
+
+        const reached = [...countdowns].some(countdown => Number(countdown.dataset.eta) <= getGovernanceClock());
+        if (reached) {
+            loadVotingPage();
+        } else {
+            countdowns.forEach(countdown => {
+                countdown.innerHTML = renderEtaCountdown(Number(countdown.dataset.eta));
+            });
+        }
+    }, 30000);
+}
+
+function renderCompletedCard(proposal) {
+    const result = PROPOSAL_RESULT_LABELS[proposal.stateName];
+    return `
+        <div class="completed-card" data-id="${proposal.id}">
+            <div class="completed-header">
+                <span class="vote-id">#${proposal.kip}</span>
+                <span class="completed-result ${result.css}">${t(result.key)}</span>
+            </div>
+            <h4>${escapeHtml(proposal.title)}</h4>
+            <div class="completed-stats">
+                <span>${proposal.approval}% ${t('common.approval')}</span>
+                <span>${proposal.participation}% ${t('common.participation')}</span>
+            </div>
+        </div>
+    `;
+}
+
+// Filter votes (active / upcoming / queued / completed)
+function filterVotes(type) {
+    document.querySelectorAll('.filter-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.filter === type);
+    });
+    
+    document.getElementById('active-votes').style.display = type === 'active' ? 'grid' : 'none';
+    document.getElementById('upcoming-votes').style.display = type === 'upcoming' ? 'grid' : 'none';
+    document.getElementById('queued-votes').style.display = type === 'queued' ? 'grid' : 'none';
+    document.getElementById('completed-votes').style.display = type === 'completed' ? 'block' : 'none';
+}
+
+// Show the connected wallet's voting power and delegation in the power card
+async function updateVotingPower() {
+    const amountEl = document.querySelector('.power-card .power-amount .amount');
+    if (!amountEl || !walletState.account) return;
+
+    try {
+        const governance = getKDAOContract('governance');
+        const token = await getKDAOTokenContract();
+        const [power, staked, delegated, delegatee, balance] = await Promise.all([
+            governance.getVotingPower(walletState.account),
+            governance.stakedBalance(walletState.account),
+            governance.delegatedVotes(walletState.account),
+            governance.voteDelegation(walletState.account),
+            token.balanceOf(walletState.account)
+        ]);
+
+        amountEl.textContent = formatKDAO(power, false);
+        const values = document.querySelectorAll('.power-card .breakdown-value');
+        if (values[0]) values[0].textContent = formatKDAO(balance);
+        if (values[1]) values[1].textContent = formatKDAO(staked);
+        if (values[2]) values[2].textContent = formatKDAO(delegated);
+
+        renderDelegationStatus(delegatee);
+    } catch (error) {
+        console.error('Could not load voting power:', error);
+    }
+}
+
+// ============ Delegation ============
+
+const TOP_DELEGATES_LIMIT = 10;
+
+function renderDelegationStatus(delegatee) {
+    const current = document.getElementById('delegation-current');
+    if (!current) return;
+
+    const delegated = delegatee && delegatee !== ethers.ZeroAddress;
+    current.innerHTML = delegated
+        ? `${t('voting.delegated_to')} <code title="${delegatee}">${shortenAddress(delegatee)}</code>`
+        : t('voting.not_delegated');
+    document.getElementById('undelegate-btn').style.display = delegated ? 'block' : 'none';
+}
+
+async function delegateVotes(delegatee) {
+    if (!ethers.isAddress(delegatee)) {
+        showTxStatus('reverted', t('wallet.revert_invalid_delegatee'));
+        return null;
+    }
+
+    const receipt = await sendTransaction(t('voting.delegate_votes'), signer =>
+        getKDAOContract('governance', signer).delegateVotes(ethers.getAddress(delegatee))
+    );
+    if (receipt) {
+        await Promise.all([updateVotingPower(), loadTopDelegates()]);
+    }
+    return receipt;
+}
+
+// Delegate to the address typed into the delegation form
+function submitDelegation() {
+    return delegateVotes(document.getElementById('delegate-address').value.trim());
+}
+
+async function undelegateVotes() {
+    const receipt = await sendTransaction(t('voting.remove_delegation'), signer =>
+        getKDAOContract('governance', signer).undelegateVotes()
+    );
+    if (receipt) {
+        await Promise.all([updateVotingPower(), loadTopDelegates()]);
+    }
+    return receipt;
+}
+
+// Replay VotesDelegated events: latest event per delegator wins, address(0) means undelegated
+async function loadDelegates() {
+    const governance = getKDAOContract('governance');
+    const events = await queryContractEvents(governance, governance.filters.VotesDelegated());
+
+    const delegations = new Map();
+    events.forEach(event => delegations.set(event.args.delegator, event.args.delegatee));
+
+    const delegators = new Map();
+    delegations.forEach((delegatee, delegator) => {
+        if (delegatee === ethers.ZeroAddress) return;
+        if (!delegators.has(delegatee)) delegators.set(delegatee, []);
+        delegators.get(delegatee).push(delegator);
+    });
+
+    const delegates = await Promise.all([...delegators.entries()].map(async ([address, list]) => ({
+        address,
+        delegators: list.length,
+        votingPower: await governance.votingPower(address)
+    })));
+
+    return delegates.sort((a, b) => (b.votingPower > a.votingPower ? 1 : b.votingPower < a.votingPower ? -1 : 0));
+}
+
+async function loadTopDelegates() {
+    const list = document.getElementById('top-delegates');
+    if (!list) return;
+
+    try {
+        const delegates = (await loadDelegates()).slice(0, TOP_DELEGATES_LIMIT);
+        list.innerHTML = delegates.map((delegate, index) => `
+            <div class="delegate-row">
+                <span class="delegate-rank">#${index + 1}</span>
+                <code class="delegate-address" title="${delegate.address}">${shortenAddress(delegate.address)}</code>
+                <span class="delegate-power">${formatKDAO(delegate.votingPower)}</span>
+                <span class="delegate-count">${t('voting.delegators', { count: delegate.delegators })}</span>
+                <button class="delegate-btn compact" onclick="delegateVotes('${delegate.address}')">${t('voting.delegate')}</button>
+            </div>
+        `).join('') || `<div class="votes-empty">${t('voting.no_delegations')}</div>`;
+    } catch (error) {
+        console.error('Could not load delegates:', error);
+        list.innerHTML = `<div class="votes-empty">${t('voting.delegates_load_failed')}</div>`;
+    }
+}
+
+window.addEventListener('kdao:walletchange', updateVotingPower);
+window.addEventListener('kdao:walletchange', async () => {
+    if (!document.getElementById('queued-votes')) return;
+    await updateGuardianStatus();
+    await loadVotingPage();
+});
+
+registerPage('voting', {
+    async init(params, signal) {
+        votingPageState.signal = signal;
+        await updateGuardianStatus();
+        return Promise.all([updateVotingPower(), loadVotingPage(), loadTopDelegates()]);
+    },
+
+    destroy() {
+        clearInterval(votingPageState.countdownTimer);
+        votingPageState.countdownTimer = null;
+    }
+});
+
+console.log('Governance.js loaded');
@@ -1 +1,61 @@
+// KDAO 2.0 - News Page
+// Veröffentlichte Artikel aus content/news.json (Markdown), neueste zuerst, mit RSS/Atom-Links
 
+async function loadNewsPage() {
+    const container = document.getElementById('news-articles');
+    if (!container) return;
+
+    renderFeedLinks();
+    try {
+        const [articles, links] = await Promise.all([
+            loadContent('news'),
+            // Without the settings the articles still show, only the Discord button is left out
+            loadSiteLinks().catch(error => {
+                console.error('Site links unavailable:', error);
+                return {};
+            })
+        ]);
+        container.innerHTML = articles.map(article => renderNewsArticle(article, links)).join('');
+    } catch (error) {
+        renderContentError(container, error);
+    }
+}
+
+// Feeds of the current language, written by content-server.js
+function renderFeedLinks() {
+    const container = document.getElementById('news-feeds');
+    if (!container) return;
+    const locale = getLocale();
+    container.querySelectorAll('[data-feed]').forEach(link => {
+        link.href = `feeds/news.${locale}.${link.dataset.feed}.xml`;
+    });
+}
+
+function renderNewsArticle(article, links = {}) {
+    return `
+        <article class="news-article ${article.featured ? 'featured' : ''}" id="news-${escapeHtml(article.id)}">
+            ${article.cover ? `<img class="article-cover" src="${escapeHtml(article.cover)}" alt="" loading="lazy">` : ''}
+            <div class="article-date">${escapeHtml(formatContentDate(article.date))}</div>
+            <h2 class="article-title">${escapeHtml(localized(article.title))}</h2>
+            ${article.tags && article.tags.length ? `
+                <div class="article-tags">
+                    ${article.tags.map(tag => `<span class="article-tag">#${escapeHtml(tag)}</span>`).join('')}
+                </div>
+            ` : ''}
+            <div class="article-content">${renderMarkdown(localized(article.content))}</div>
+            ${article.featured && links.discord ? `
+                <a class="cta-button" href="${escapeHtml(links.discord)}" target="_blank" rel="noopener noreferrer">
+                    ${escapeHtml(t('news.join_now'))}
+                </a>
+            ` : ''}
+        </article>
+    `;
+}
+
+registerPage('news', {
+    init() {
+        return loadNewsPage();
+    }
+});
+
+console.log('News page loaded');
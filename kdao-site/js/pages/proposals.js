@@ -0,0 +1,471 @@
+// KDAO 2.0 - Proposals Page
+// Liste aller KIPs aus KDAOGovernance mit Filter-Tabs und Wizard zum Einreichen
+
+let currentProposalFilter = 'all';
+
+// Load proposals and render the list
+async function loadProposalsPage(force = false) {
+    const list = document.getElementById('proposals-list');
+    if (!list) return;
+
+    try {
+        await loadProposals({ force });
+        filterProposals(currentProposalFilter);
+    } catch (error) {
+        console.error('Could not load proposals:', error);
+        list.innerHTML = `
+            <div class="proposals-empty">
+                ${t('common.proposals_load_failed')}:
+                ${escapeHtml(error.shortMessage || error.message)}
+            </div>
+        `;
+    }
+}
+
+// Filter proposals (all / active / funding / governance / completed) on the cached data
+function filterProposals(filter) {
+    currentProposalFilter = filter;
+
+    document.querySelectorAll('.filter-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.filter === filter);
+    });
+
+    const list = document.getElementById('proposals-list');
+    if (!list) return;
+
+    const proposals = getCachedProposals().filter(proposal => {
+        if (filter === 'all') return true;
+        if (filter === 'funding' || filter === 'governance') return proposal.category === filter;
+        return proposal.status === filter;
+    });
+
+    list.innerHTML = proposals.map(renderProposalCard).join('')
+        || `<div class="proposals-empty">${t('proposals.no_proposals_in_category')}</div>`;
+}
+
+function renderProposalStatus(proposal) {
+    const labels = {
+        active: ['active', 'common.active'],
+        upcoming: ['pending', 'proposals.status_pending'],
+        queued: ['queued', 'voting.queued'],
+        completed: ['completed', 'common.completed']
+    };
+    const [css, key] = labels[proposal.status];
+    return `<span class="proposal-status ${css}">${t(key)}</span>`;
+}
+
+function renderProposalCard(proposal) {
+    const badge = PROPOSAL_TYPE_BADGES[proposal.typeName] || PROPOSAL_TYPE_BADGES.Governance;
+    const statusCss = proposal.status === 'upcoming' ? 'pending' : proposal.status;
+    const result = PROPOSAL_RESULT_LABELS[proposal.stateName];
+
+    let headerRight = '';
+    if (proposal.status === 'completed') {
+        headerRight = `<span class="proposal-result ${result.css}">${t(result.key)}</span>`;
+    } else if (proposal.value > 0n) {
+        headerRight = `<span class="proposal-amount">${formatKDAO(proposal.value, false)} KAS</span>`;
+    }
+
+    let timing = '';
+    if (proposal.status === 'active') {
+        timing = `<span title="Block ${proposal.endBlock}">⏰ ${t('proposals.time_left', { duration: formatDuration(proposal.secondsLeft) })}</span>`;
+    } else if (proposal.status === 'upcoming') {
+        timing = `<span title="Block ${proposal.startBlock}">🚀 ${t('common.starts_in', { duration: formatDuration(proposal.secondsUntilStart) })}</span>`;
+    } else if (proposal.stateName === 'Queued') {
+        const secondsUntilEta = proposal.eta - getGovernanceClock();
+        timing = secondsUntilEta > 0
+            ? `<span>⏳ ${t('common.executable_in', { duration: formatDuration(secondsUntilEta) })}</span>`
+            : `<span>🚀 ${t('proposals.executable_until', { date: formatDate(proposal.expiresAt) })}</span>`;
+    }
+
+    const progress = proposal.status === 'completed'
+        ? `
+            <div class="proposal-result-stats">
+                <span>✅ ${proposal.approval}% ${t('common.approval')}</span>
+                <span>📊 ${proposal.participation}% ${t('common.participation')}</span>
+            </div>
+        `
+        : `
+            <div class="proposal-progress">
+                <div class="progress-info">
+                    <span>${proposal.approval}% ${t('common.approval')}</span>
+                    <span>${proposal.participation}% / ${proposal.quorumPercent}% ${t('common.participation')}</span>
+                </div>
+                <div class="progress-bar">
+                    <div class="progress-fill yes" style="width: ${proposal.approval}%;"></div>
+                </div>
+            </div>
+        `;
+
+    const decoded = decodeProposalCall(proposal.target, proposal.callData);
+    const call = decoded
+        ? `<span title="${escapeHtml(decoded.args.map(arg => `${arg.name}: ${arg.value}`).join('\n'))}">⚙️ ${decoded.contractLabel}.${escapeHtml(decoded.signature)}</span>`
+        : '';
+
+    let actions = '';
+    if (proposal.status === 'active') {
+        actions = `
+            <div class="proposal-actions">
+                <button class="btn-primary" onclick="navigateTo('voting', { id: ${proposal.id} })">${t('proposals.vote_now')}</button>
+            </div>
+        `;
+    } else if (proposal.status === 'queued') {
+        actions = `
+            <div class="proposal-actions">
+                <button class="btn-primary" onclick="navigateTo('voting', { id: ${proposal.id} })">${t('proposals.view_queue')}</button>
+            </div>
+        `;
+    }
+
+    return `
+        <div class="proposal-card ${statusCss} ${proposal.category}" data-id="${proposal.id}">
+            <div class="proposal-header">
+                <div>
+                    <span class="proposal-id">#${proposal.kip}</span>
+                    ${renderProposalStatus(proposal)}
+                    <span class="proposal-category ${badge.css}">${badge.label}</span>
+                </div>
+                ${headerRight}
+            </div>
+
+            <h3 class="proposal-title">${escapeHtml(proposal.title)}</h3>
+            <p class="proposal-description">${escapeHtml(proposal.description)}</p>
+
+            ${progress}
+
+            <div class="proposal-meta">
+                <span title="${escapeHtml(proposal.proposer)}">👤 ${shortenAddress(proposal.proposer)}</span>
+                ${timing}
+                ${call}
+            </div>
+            ${actions}
+        </div>
+    `;
+}
+
+// ============ Proposal Wizard ============
+
+const WIZARD_STEPS = ['proposals.type', 'proposals.description', 'proposals.action', 'proposals.review'];
+
+const PROPOSAL_TYPE_INFO = {
+    Funding: 'proposals.type_info_funding',
+    Treasury: 'proposals.type_info_treasury',
+    Governance: 'proposals.type_info_governance',
+    Election: 'proposals.type_info_election'
+};
+
+let proposalDraft = null;
+
+// Open the wizard
+function openProposalForm() {
+    proposalDraft = {
+        step: 0,
+        typeName: null,
+        title: '',
+        description: '',
+        recipient: '',
+        amount: '',
+        actionKey: '',
+        args: {},
+        call: null
+    };
+    document.getElementById('proposal-wizard').style.display = 'flex';
+    renderWizardStep();
+}
+
+function closeProposalForm() {
+    document.getElementById('proposal-wizard').style.display = 'none';
+    proposalDraft = null;
+}
+
+function renderWizardStep() {
+    const { step } = proposalDraft;
+
+    document.getElementById('wizard-steps').innerHTML = WIZARD_STEPS.map((key, index) => `
+        <span class="wizard-step${index === step ? ' active' : ''}${index < step ? ' done' : ''}">
+            ${index + 1}. ${t(key)}
+        </span>
+    `).join('');
+
+    const renderers = [renderTypeStep, renderDetailsStep, renderActionStep, renderReviewStep];
+    document.getElementById('wizard-body').innerHTML = renderers[step]();
+    document.getElementById('wizard-error').textContent = '';
+
+    document.getElementById('wizard-back').style.display = step > 0 ? 'inline-block' : 'none';
+    document.getElementById('wizard-next').style.display = step < WIZARD_STEPS.length - 1 ? 'inline-block' : 'none';
+    document.getElementById('wizard-submit').style.display = step === WIZARD_STEPS.length - 1 ? 'inline-block' : 'none';
+
+    if (step === WIZARD_STEPS.length - 1) {
+        runProposalDryRun();
+    }
+}
+
+function renderTypeStep() {
+    return `
+        <div class="wizard-types">
+            ${PROPOSAL_TYPES.map(typeName => {
+                const badge = PROPOSAL_TYPE_BADGES[typeName];
+                return `
+                    <button class="wizard-type${proposalDraft.typeName === typeName ? ' selected' : ''}" onclick="selectProposalType('${typeName}')">
+                        <strong>${badge.label}</strong>
+                        <span>${t(PROPOSAL_TYPE_INFO[typeName])}</span>
+                    </button>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+function selectProposalType(typeName) {
+    if (proposalDraft.typeName !== typeName) {
+        proposalDraft.actionKey = '';
+        proposalDraft.args = {};
+    }
+    proposalDraft.typeName = typeName;
+    proposalDraft.step = 1;
+    renderWizardStep();
+}
+
+function renderDetailsStep() {
+    return `
+        <div class="form-group">
+            <label>${t('proposals.title')}</label>
+            <input type="text" id="wizard-title" maxlength="120" value="${escapeHtml(proposalDraft.title)}">
+        </div>
+        <div class="form-group">
+            <label>${t('proposals.description')}</label>
+            <textarea id="wizard-description" rows="6">${escapeHtml(proposalDraft.description)}</textarea>
+        </div>
+    `;
+}
+
+function renderActionStep() {
+    if (proposalDraft.typeName === 'Funding') {
+        return `
+            <div class="form-group">
+                <label>${t('proposals.recipient_address')}</label>
+                <input type="text" id="wizard-recipient" placeholder="0x..." value="${escapeHtml(proposalDraft.recipient)}">
+            </div>
+            <div class="form-group">
+                <label>${t('proposals.amount_kas')}</label>
+                <input type="number" id="wizard-amount" min="0" step="any" value="${escapeHtml(proposalDraft.amount)}">
+            </div>
+        `;
+    }
+
+    const actions = PROPOSAL_ACTIONS[proposalDraft.typeName] || [];
+    const options = actions.map(action => {
+        const key = getActionKey(action);
+        return `<option value="${key}"${proposalDraft.actionKey === key ? ' selected' : ''}>${CONTRACT_LABELS[action.contract]}.${action.method}</option>`;
+    }).join('');
+
+    return `
+        <div class="form-group">
+            <label>${t('proposals.function')}</label>
+            <select id="wizard-action" onchange="selectProposalAction(this.value)">
+                <option value="">${t('proposals.no_onchain_action')}</option>
+                ${options}
+            </select>
+        </div>
+        <div id="wizard-action-params">${renderActionParams()}</div>
+    `;
+}
+
+function selectProposalAction(key) {
+    readWizardInputs();
+    proposalDraft.actionKey = key;
+    proposalDraft.args = {};
+    document.getElementById('wizard-action-params').innerHTML = renderActionParams();
+}
+
+// Form fields generated from the function's ABI inputs
+function renderActionParams() {
+    const action = findProposalAction(proposalDraft.typeName, proposalDraft.actionKey);
+    if (!action) return '';
+
+    return getActionFragment(action).inputs.map(param => {
+        const value = proposalDraft.args[param.name] ?? '';
+        const unit = action.units?.[param.name];
+        const enumName = action.enums?.[param.name];
+        const hint = { kdao: 'KDAO', bps: 'bps, 100 = 1%' }[unit];
+        const label = `${formatParamName(param.name)} <small>(${param.type}${hint ? `, ${hint}` : ''})</small>`;
+
+        let field;
+        if (enumName) {
+            field = `<select data-param="${param.name}">${SOLIDITY_ENUMS[enumName].map((name, index) =>
+                `<option value="${index}"${String(value) === String(index) ? ' selected' : ''}>${name}</option>`
+            ).join('')}</select>`;
+        } else if (param.type === 'bool') {
+            field = `<select data-param="${param.name}">
+                <option value="true"${value === 'true' ? ' selected' : ''}>true</option>
+                <option value="false"${value === 'false' ? ' selected' : ''}>false</option>
+            </select>`;
+        } else {
+            const placeholder = param.baseType === 'array' ? t('proposals.comma_separated') : param.type === 'address' ? '0x...' : '';
+            field = `<input type="text" data-param="${param.name}" placeholder="${placeholder}" value="${escapeHtml(value)}">`;
+        }
+
+        return `<div class="form-group"><label>${label}</label>${field}</div>`;
+    }).join('');
+}
+
+function renderReviewStep() {
+    const call = proposalDraft.call;
+    const decoded = call.action ? decodeProposalCall(call.target, call.callData) : null;
+
+    let actionHtml;
+    if (proposalDraft.typeName === 'Funding') {
+        actionHtml = `
+            <div class="review-row"><span>${t('proposals.recipient')}</span><code>${call.target}</code></div>
+            <div class="review-row"><span>${t('proposals.amount')}</span><code>${ethers.formatEther(call.value)} KAS</code></div>
+        `;
+    } else if (decoded) {
+        actionHtml = `
+            <div class="review-row"><span>${t('proposals.target')}</span><code>${decoded.contractLabel} (${call.target})</code></div>
+            <div class="review-row"><span>${t('proposals.function')}</span><code>${escapeHtml(decoded.signature)}</code></div>
+            ${decoded.args.map(arg => `
+                <div class="review-row"><span>${escapeHtml(arg.name)}</span><code>${escapeHtml(arg.value)}</code></div>
+            `).join('')}
+            <div class="review-row"><span>Calldata</span><code class="review-calldata">${call.callData}</code></div>
+        `;
+    } else {
+        actionHtml = `<div class="review-row"><span>${t('proposals.action')}</span><span>${t('proposals.no_action')}</span></div>`;
+    }
+
+    return `
+        <div class="review-section">
+            <div class="review-row"><span>${t('proposals.type')}</span><span>${PROPOSAL_TYPE_BADGES[proposalDraft.typeName].label}</span></div>
+            <div class="review-row"><span>${t('proposals.title')}</span><span>${escapeHtml(proposalDraft.title)}</span></div>
+            <div class="review-description">${escapeHtml(proposalDraft.description)}</div>
+        </div>
+        <div class="review-section">${actionHtml}</div>
+        <div class="review-section" id="wizard-dry-run">⏳ ${t('proposals.simulating')}</div>
+    `;
+}
+
+// Copy the inputs of the current step into the draft
+function readWizardInputs() {
+    const value = id => document.getElementById(id)?.value ?? '';
+
+    if (proposalDraft.step === 1) {
+        proposalDraft.title = value('wizard-title').trim();
+        proposalDraft.description = value('wizard-description').trim();
+    } else if (proposalDraft.step === 2) {
+        if (proposalDraft.typeName === 'Funding') {
+            proposalDraft.recipient = value('wizard-recipient').trim();
+            proposalDraft.amount = value('wizard-amount').trim();
+        } else {
+            proposalDraft.actionKey = value('wizard-action');
+            document.querySelectorAll('#wizard-action-params [data-param]').forEach(input => {
+                proposalDraft.args[input.dataset.param] = input.value;
+            });
+        }
+    }
+}
+
+function wizardNext() {
+    readWizardInputs();
+
+    try {
+        if (proposalDraft.step === 0 && !proposalDraft.typeName) {
+            throw new Error(t('proposals.choose_type'));
+        }
+        if (proposalDraft.step === 1 && (!proposalDraft.title || !proposalDraft.description)) {
+            throw new Error(t('proposals.title_description_required'));
+        }
+        if (proposalDraft.step === 2) {
+            proposalDraft.call = buildProposalCall(proposalDraft.typeName, proposalDraft);
+        }
+    } catch (error) {
+        document.getElementById('wizard-error').textContent = error.message;
+        return;
+    }
+
+    proposalDraft.step++;
+    renderWizardStep();
+}
+
+function wizardBack() {
+    readWizardInputs();
+    proposalDraft.step--;
+    renderWizardStep();
+}
+
+// Dry-run the action (as governance) and createProposal (as the connected wallet)
+async function runProposalDryRun() {
+    const draft = proposalDraft;
+    const results = [];
+
+    const actionResult = await dryRunProposalCall(draft.call);
+    if (actionResult.skipped) {
+        results.push(`ℹ️ ${t('proposals.no_calldata')}`);
+    } else if (actionResult.ok) {
+        results.push(`✅ ${t('proposals.execution_simulated')}`);
+    } else {
+        results.push(`❌ ${t('proposals.execution_would_revert')}: ${escapeHtml(actionResult.reason)}`);
+    }
+
+    if (walletState.signer) {
+        try {
+            await getKDAOContract('governance', walletState.signer).createProposal.staticCall(...getCreateProposalArgs(draft));
+            results.push(`✅ ${t('proposals.create_simulated')}`);
+        } catch (error) {
+            results.push(`❌ createProposal: ${escapeHtml(getRevertReason(error))}`);
+        }
+    } else {
+        results.push(`ℹ️ ${t('proposals.connect_to_simulate')}`);
+    }
+
+    // The wizard may have been closed or moved on meanwhile
+    const box = document.getElementById('wizard-dry-run');
+    if (box && proposalDraft === draft) {
+        box.innerHTML = results.map(line => `<div>${line}</div>`).join('');
+    }
+}
+
+function getCreateProposalArgs(draft) {
+    return [
+        PROPOSAL_TYPES.indexOf(draft.typeName),
+        draft.title,
+        draft.description,
+        draft.call.target,
+        draft.call.value,
+        draft.call.callData
+    ];
+}
+
+async function submitProposal() {
+    const draft = proposalDraft;
+    const receipt = await sendTransaction(t('proposals.submit_proposal'), signer =>
+        getKDAOContract('governance', signer).createProposal(...getCreateProposalArgs(draft))
+    );
+    if (!receipt) return;
+
+    const governance = getKDAOContract('governance');
+    const created = receipt.logs
+        .map(log => {
+            try {
+                return governance.interface.parseLog(log);
+            } catch (error) {
+                return null;
+            }
+        })
+        .find(event => event?.name === 'ProposalCreated');
+
+    closeProposalForm();
+    await loadProposalsPage(true);
+    if (created) {
+        const id = String(created.args.proposalId);
+        showTxStatus('confirmed', t('proposals.proposal_created', { kip: `KIP-${id.padStart(3, '0')}` }), receipt.hash);
+        // Deep link to the new card, so it can be shared right away
+        navigateTo('proposals', { id });
+    }
+}
+
+registerPage('proposals', {
+    init() {
+        return loadProposalsPage();
+    }
+});
+
+console.log('Proposals page loaded');
@@ -1 +1,51 @@
+// KDAO 2.0 - Roadmap Page
+// Phasen der Roadmap aus content/roadmap.json
 
+async function loadRoadmapPage() {
+    const container = document.getElementById('roadmap-phases');
+    if (!container) return;
+
+    try {
+        const phases = await loadContent('roadmap');
+        container.innerHTML = phases.map(renderRoadmapPhase).join('');
+    } catch (error) {
+        renderContentError(container, error);
+    }
+}
+
+function renderRoadmapPhase(phase) {
+    const classes = ['phase-card', phase.completed ? 'completed' : '', phase.future ? 'future' : ''].filter(Boolean);
+    const sections = (phase.sections || []).map(section => `
+        <div class="phase-section">
+            <h4>${escapeHtml(section.icon || '')} ${escapeHtml(localized(section.title))}</h4>
+            <ul>
+                ${section.items.map(item => `<li>${escapeHtml(localized(item))}</li>`).join('')}
+            </ul>
+        </div>
+    `).join('');
+
+    return `
+        <div class="${classes.join(' ')}" id="phase-${escapeHtml(phase.id)}">
+            ${phase.date ? `<div class="phase-date">${escapeHtml(localized(phase.date))}</div>` : ''}
+            <h3 class="phase-title">
+                ${escapeHtml(localized(phase.title))}
+                ${phase.completed ? `<span class="phase-status">✓ ${escapeHtml(t('common.completed'))}</span>` : ''}
+            </h3>
+            ${phase.description ? `<div class="phase-section">${renderParagraphs(localized(phase.description))}</div>` : ''}
+            ${sections}
+            ${phase.goal ? `
+                <div class="phase-goal">
+                    <strong>${escapeHtml(t('roadmap.goal_label'))}</strong> ${escapeHtml(localized(phase.goal))}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+registerPage('roadmap', {
+    init() {
+        return loadRoadmapPage();
+    }
+});
+
+console.log('Roadmap page loaded');
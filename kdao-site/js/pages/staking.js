@@ -1 +1,446 @@
+// KDAO 2.0 - Staking Page
+// Staken, Entsperren, Rewards und Notfall-Auszahlung über StakingRewards
 
+const LP_TOKEN_LABEL = 'KDAO/USDT LP';
+
+const stakingPageState = {
+    pool: null,
+    position: null,
+    stakeType: 'KDAO',
+    // chain time - local time in seconds, keeps the unlock countdown in sync with the node
+    clockOffset: 0,
+    countdownTimer: null,
+    // Signal of the current visit (see registerPage), no countdown starts once it is aborted
+    signal: null
+};
+
+// Load pool and (with a wallet) the account's stake, then render everything
+async function loadStakingPage() {
+    const container = document.getElementById('staking-position');
+    if (!container) return;
+
+    try {
+        const [pool, position, now] = await Promise.all([
+            loadStakingPool(),
+            walletState.account ? loadStakingPosition(walletState.account) : null,
+            getChainTime()
+        ]);
+        stakingPageState.pool = pool;
+        stakingPageState.position = position;
+        stakingPageState.clockOffset = now - Math.floor(Date.now() / 1000);
+
+        renderStakingPage();
+        startUnlockCountdown();
+    } catch (error) {
+        console.error('Could not load staking data:', error);
+        container.innerHTML = `
+            <div class="staking-empty">
+                ${t('staking.load_failed')}:
+                ${escapeHtml(error.shortMessage || error.message)}
+            </div>
+        `;
+    }
+}
+
+function renderStakingPage() {
+    const { pool } = stakingPageState;
+
+    const statValues = document.querySelectorAll('.staking-stats .stat-card .stat-value');
+    if (statValues[0]) statValues[0].textContent = formatKDAO(pool.totalKDAO, false);
+    if (statValues[1]) statValues[1].textContent = formatKDAO(pool.totalLP, false);
+    if (statValues[2]) statValues[2].textContent = formatKDAO(pool.rewardPool, false);
+    if (statValues[3]) statValues[3].textContent = `${bpsToPercent(pool.rates.base)}%`;
+
+    document.getElementById('staking-position').innerHTML = renderStakingPosition();
+    document.getElementById('staking-tier').innerHTML = renderStakingTier();
+    document.getElementById('unlock-status').innerHTML = renderUnlockStatus();
+    document.getElementById('emergency-withdraw').innerHTML = renderEmergencyWithdraw();
+    selectStakeType(stakingPageState.stakeType);
+}
+
+function getStakingClock() {
+    return Math.floor(Date.now() / 1000) + stakingPageState.clockOffset;
+}
+
+function hasActiveStake(position) {
+    return Boolean(position) && (position.stakedKDAO > 0n || position.stakedLP > 0n);
+}
+
+function renderLockBadge(lockStatus) {
+    const labels = {
+        Locked: 'staking.lock_locked',
+        Unlocking: 'staking.lock_unlocking',
+        Unlocked: 'staking.lock_unlocked'
+    };
+    return `<span class="lock-badge ${lockStatus.toLowerCase()}">${t(labels[lockStatus])}</span>`;
+}
+
+function renderStakingPosition() {
+    const { position } = stakingPageState;
+    if (!position) {
+        return `<div class="staking-empty">${t('staking.connect_your_wallet_to')}</div>`;
+    }
+
+    const rows = [
+        [t('staking.staked_kdao'), formatKDAO(position.stakedKDAO)],
+        [t('staking.staked_lp'), `${formatKDAO(position.stakedLP, false)} LP`],
+        ['APY', `${bpsToPercent(position.apy)}%`],
+        [t('staking.voting_power'), formatKDAO(position.votingPower)],
+        [t('staking.auto_compound'), position.autoCompound ? t('common.active') : t('staking.off')],
+        [t('staking.status'), renderLockBadge(position.lockStatus)],
+        [t('staking.claimed_rewards'), formatKDAO(position.claimedRewards)],
+        [t('staking.compounded'), formatKDAO(position.compoundedAmount)]
+    ];
+    const hasRewards = position.pendingRewards > 0n;
+
+    return `
+        <div class="position-rewards">
+            <span class="amount">${formatKDAO(position.pendingRewards, false)}</span>
+            <span class="label">${t('staking.pending_rewards')}</span>
+        </div>
+        <div class="position-breakdown">
+            ${rows.map(([label, value]) => `
+                <div class="breakdown-item">
+                    <span class="breakdown-label">${label}</span>
+                    <span class="breakdown-value">${value}</span>
+                </div>
+            `).join('')}
+        </div>
+        <div class="position-buttons">
+            <button class="secondary-btn" onclick="claimStakingRewards()"${hasRewards ? '' : ' disabled'}>
+                🎁 ${t('staking.claim_rewards')}
+            </button>
+            ${position.autoCompound ? `
+                <button class="secondary-btn" onclick="compoundStakingRewards()"${hasRewards ? '' : ' disabled'}>
+                    🔁 ${t('staking.compound')}
+                </button>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Bronze -> Diamond with the progress towards the next threshold
+function renderStakingTier() {
+    const { pool, position } = stakingPageState;
+    const tierStake = position ? getTierStake(position) : 0n;
+    const progress = getTierProgress(tierStake, pool.tierThresholds);
+
+    const steps = STAKING_TIERS.map((tier, index) => {
+        const classes = ['tier-step'];
+        if (index <= progress.reached) classes.push('reached');
+        if (index === progress.reached) classes.push('current');
+        return `
+            <div class="${classes.join(' ')}">
+                <strong>${tier}</strong>
+                ${formatKDAO(pool.tierThresholds[index], false)}
+                <br>+${bpsToPercent(pool.tierBonuses[index])}% APY
+            </div>
+        `;
+    }).join('');
+
+    if (!position) {
+        return `<div class="tier-steps">${steps}</div>`;
+    }
+
+    const progressLabel = progress.next === null
+        ? t('staking.highest_tier')
+        : t('staking.to_next_tier', { amount: formatKDAO(progress.remaining), tier: STAKING_TIERS[progress.next] });
+
+    return `
+        <div class="tier-steps">${steps}</div>
+        <div class="tier-progress-label">
+            <span>${t('staking.tier_stake')}: ${formatKDAO(tierStake)}</span>
+            <span>${progressLabel}</span>
+        </div>
+        <div class="progress-bar">
+            <div class="progress-fill" style="width: ${progress.percent}%;"></div>
+        </div>
+        <p class="action-hint">${t('staking.lp_counts_twice')}</p>
+    `;
+}
+
+function renderUnlockCountdown(unlockTime) {
+    const secondsLeft = unlockTime - getStakingClock();
+    if (secondsLeft <= 0) {
+        return `<div class="unlock-countdown ready" data-unlock="${unlockTime}">✅ ${t('staking.lock_unlocked')}</div>`;
+    }
+    return `<div class="unlock-countdown" data-unlock="${unlockTime}">⏰ ${formatDuration(secondsLeft)}</div>`;
+}
+
+// unstake() pays out LP for LP stakes and KDAO for everything else
+function getUnstakeAsset(position) {
+    return position.stakeType === 'LP'
+        ? { label: LP_TOKEN_LABEL, staked: position.stakedLP }
+        : { label: 'KDAO', staked: position.stakedKDAO };
+}
+
+function renderUnlockStatus() {
+    const { pool, position } = stakingPageState;
+    if (!hasActiveStake(position)) {
+        return `<div class="staking-empty">${t('staking.no_active_stake')}</div>`;
+    }
+
+    const unlockDays = Math.round(pool.unlockPeriod / 86400);
+
+    if (position.lockStatus === 'Locked') {
+        const unlockableAt = position.startTime + pool.minStakeDuration;
+        const waiting = unlockableAt - getStakingClock();
+        const hint = waiting > 0
+            ? t('staking.unlock_possible_in', { duration: formatDuration(waiting) })
+            : t('staking.unlock_period_note', { count: unlockDays });
+        return `
+            <p class="action-hint">${hint}</p>
+            <button class="stake-btn" onclick="requestStakeUnlock()"${waiting > 0 ? ' disabled' : ''}>
+                ${t('staking.request_unlock')}
+            </button>
+        `;
+    }
+
+    const ready = position.unlockTime <= getStakingClock();
+    const asset = getUnstakeAsset(position);
+    return `
+        ${renderUnlockCountdown(position.unlockTime)}
+        <div class="stake-balance">
+            ${t('staking.withdrawable')}: ${formatKDAO(asset.staked, false)} ${asset.label}
+        </div>
+        <div class="amount-row">
+            <input type="number" class="amount-input" id="unstake-amount" min="0" step="any" placeholder="0.0"${ready ? '' : ' disabled'}>
+            <button class="max-btn" onclick="setMaxUnstakeAmount()"${ready ? '' : ' disabled'}>MAX</button>
+        </div>
+        <p class="action-hint">${t('staking.remainder_locked')}</p>
+        <button class="stake-btn" onclick="submitUnstake()"${ready ? '' : ' disabled'}>
+            ${t('staking.unstake')}
+        </button>
+    `;
+}
+
+// Fee as emergencyWithdraw() computes it
+function getEmergencyFee(amount, feeBps) {
+    return amount * BigInt(feeBps) / 10000n;
+}
+
+function renderEmergencyWithdraw() {
+    const { pool, position } = stakingPageState;
+    const feePercent = bpsToPercent(pool.emergencyWithdrawFee);
+    const intro = `
+        <p class="action-hint">
+            ${t('staking.emergency_intro', { fee: feePercent })}
+        </p>
+    `;
+    if (!hasActiveStake(position)) return intro;
+
+    const lines = [];
+    if (position.stakedKDAO > 0n) {
+        const fee = getEmergencyFee(position.stakedKDAO, pool.emergencyWithdrawFee);
+        lines.push(t('staking.emergency_kdao', { amount: formatKDAO(position.stakedKDAO - fee), fee: formatKDAO(fee) }));
+    }
+    if (position.stakedLP > 0n) {
+        const fee = getEmergencyFee(position.stakedLP, pool.emergencyWithdrawFee);
+        lines.push(t('staking.emergency_lp', { amount: formatKDAO(position.stakedLP - fee, false), fee: formatKDAO(fee, false) }));
+    }
+    if (position.pendingRewards > 0n) {
+        lines.push(t('staking.emergency_rewards', { amount: formatKDAO(position.pendingRewards) }));
+    }
+
+    return `
+        ${intro}
+        <div class="emergency-warning">
+            ⚠️ ${t('staking.emergency_deducted', { fee: feePercent })}
+            <ul>${lines.map(line => `<li>${line}</li>`).join('')}</ul>
+        </div>
+        <label class="compound-option">
+            <input type="checkbox" id="emergency-confirm" onchange="document.getElementById('emergency-withdraw-btn').disabled = !this.checked">
+            ${t('staking.accept_fee')}
+        </label>
+        <button class="emergency-btn" id="emergency-withdraw-btn" onclick="emergencyWithdrawStake()" disabled>
+            ${t('staking.emergency_withdraw_action')}
+        </button>
+    `;
+}
+
+// Switch the stake form between KDAO and LP
+function selectStakeType(type) {
+    stakingPageState.stakeType = type;
+    document.querySelectorAll('.stake-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.stakeType === type);
+    });
+
+    const { pool, position } = stakingPageState;
+    const compoundOption = document.getElementById('compound-option');
+    if (compoundOption) {
+        compoundOption.style.display = type === 'KDAO' ? 'flex' : 'none';
+        // The contract only sets auto-compound when a new KDAO stake is opened
+        const checkbox = document.getElementById('stake-autocompound');
+        const fixed = Boolean(position && position.stakedKDAO > 0n);
+        checkbox.disabled = fixed;
+        if (fixed) checkbox.checked = position.autoCompound;
+    }
+
+    const balance = document.getElementById('stake-balance');
+    if (balance && position) {
+        const amount = type === 'KDAO' ? position.kdaoBalance : position.lpBalance;
+        balance.innerHTML = t('staking.wallet_balance', { amount: `${formatKDAO(amount, false)} ${type === 'KDAO' ? 'KDAO' : LP_TOKEN_LABEL}` });
+    }
+
+    const hint = document.getElementById('stake-hint');
+    if (hint && pool) {
+        const poolLeft = pool.maxPoolSize > pool.totalKDAO ? pool.maxPoolSize - pool.totalKDAO : 0n;
+        hint.innerHTML = type === 'KDAO'
+            ? t('staking.kdao_hint', { minimum: formatKDAO(pool.minStakeAmount), left: formatKDAO(poolLeft) })
+            : t('staking.lp_hint', { bonus: bpsToPercent(pool.rates.lpBonus) });
+    }
+}
+
+function setMaxStakeAmount() {
+    const { position, stakeType } = stakingPageState;
+    if (!position) return;
+    const amount = stakeType === 'KDAO' ? position.kdaoBalance : position.lpBalance;
+    document.getElementById('stake-amount').value = ethers.formatEther(amount);
+}
+
+function setMaxUnstakeAmount() {
+    const { position } = stakingPageState;
+    if (!position) return;
+    document.getElementById('unstake-amount').value = ethers.formatEther(getUnstakeAsset(position).staked);
+}
+
+// Token amount from an input; shows an error toast and returns null when invalid
+function readAmountInput(id) {
+    let amount;
+    try {
+        amount = ethers.parseEther(document.getElementById(id).value.trim() || '0');
+    } catch (error) {
+        amount = 0n;
+    }
+    if (amount <= 0n) {
+        showTxStatus('reverted', t('staking.invalid_amount'));
+        return null;
+    }
+    return amount;
+}
+
+// Approve the token for StakingRewards, then stake
+async function submitStake() {
+    const amount = readAmountInput('stake-amount');
+    if (amount === null) return null;
+
+    const { pool, stakeType } = stakingPageState;
+    if (stakeType === 'KDAO' && pool && amount < pool.minStakeAmount) {
+        showTxStatus('reverted', t('staking.minimum', { amount: formatKDAO(pool.minStakeAmount) }));
+        return null;
+    }
+
+    const isKDAO = stakeType === 'KDAO';
+    const token = isKDAO ? await getKDAOTokenContract() : await getLPTokenContract();
+    if (!await approveToken(token, 'staking', amount, isKDAO ? 'KDAO' : 'LP')) return null;
+
+    const autoCompound = document.getElementById('stake-autocompound').checked;
+    const receipt = await sendTransaction(t('staking.stake_action'), signer => isKDAO
+        ? getKDAOContract('staking', signer).stakeKDAO(amount, autoCompound)
+        : getKDAOContract('staking', signer).stakeLP(amount)
+    );
+    if (receipt) {
+        document.getElementById('stake-amount').value = '';
+        await loadStakingPage();
+    }
+    return receipt;
+}
+
+async function requestStakeUnlock() {
+    const receipt = await sendTransaction(t('staking.request_unlock'), signer =>
+        getKDAOContract('staking', signer).requestUnlock()
+    );
+    if (receipt) {
+        await loadStakingPage();
+    }
+    return receipt;
+}
+
+async function submitUnstake() {
+    const amount = readAmountInput('unstake-amount');
+    if (amount === null) return null;
+
+    const receipt = await sendTransaction(t('staking.unstake'), signer =>
+        getKDAOContract('staking', signer).unstake(amount)
+    );
+    if (receipt) {
+        await loadStakingPage();
+    }
+    return receipt;
+}
+
+async function claimStakingRewards() {
+    const receipt = await sendTransaction(t('staking.claim_rewards'), signer =>
+        getKDAOContract('staking', signer).claimRewards()
+    );
+    if (receipt) {
+        await loadStakingPage();
+    }
+    return receipt;
+}
+
+async function compoundStakingRewards() {
+    const receipt = await sendTransaction(t('staking.compound'), signer =>
+        getKDAOContract('staking', signer).compound()
+    );
+    if (receipt) {
+        await loadStakingPage();
+    }
+    return receipt;
+}
+
+async function emergencyWithdrawStake() {
+    const { pool } = stakingPageState;
+    const feePercent = pool ? bpsToPercent(pool.emergencyWithdrawFee) : '?';
+    if (!confirm(t('staking.confirm_emergency', { fee: feePercent }))) {
+        return null;
+    }
+
+    const receipt = await sendTransaction(t('staking.emergency_withdraw_action'), signer =>
+        getKDAOContract('staking', signer).emergencyWithdraw()
+    );
+    if (receipt) {
+        await loadStakingPage();
+    }
+    return receipt;
+}
+
+// Refresh the unlock countdown every 30 seconds; reload once the unlock period is over
+function startUnlockCountdown() {
+    clearInterval(stakingPageState.countdownTimer);
+    if (!stakingPageState.signal || stakingPageState.signal.aborted) return;
+    stakingPageState.countdownTimer = setInterval(() => {
+        const countdown = document.querySelector('.unlock-countdown[data-unlock]:not(.ready)');
+        if (!countdown) {
+            clearInterval(stakingPageState.countdownTimer);
+            return;
+        }
+
+        const secondsLeft = Number(countdown.dataset.unlock) - getStakingClock();
+        if (secondsLeft <= 0) {
+            loadStakingPage();
+        } else {
+            countdown.innerHTML = `⏰ ${formatDuration(secondsLeft)}`;
+        }
+    }, 30000);
+}
+
+window.addEventListener('kdao:walletchange', () => {
+    if (document.getElementById('staking-position')) {
+        loadStakingPage();
+    }
+});
+
+registerPage('staking', {
+    init(params, signal) {
+        stakingPageState.signal = signal;
+        return loadStakingPage();
+    },
+
+    destroy() {
+        clearInterval(stakingPageState.countdownTimer);
+        stakingPageState.countdownTimer = null;
+    }
+});
+
+console.log('Staking page loaded');
@@ -1 +1,136 @@
+// KDAO 2.0 - Team Page
+// Führung aus dem ElectionManager, Profile (Bio, Foto, Socials) aus content/team.json darüber
 
+// Load the profiles and the leadership; without chain data the profiles are shown alone
+async function loadTeamPage() {
+    const container = document.getElementById('team-members');
+    if (!container) return;
+
+    let profiles;
+    try {
+        profiles = await loadContent('team');
+    } catch (error) {
+        renderContentError(container, error);
+        return;
+    }
+
+    let chain = null;
+    try {
+        chain = await loadTeamLeadership();
+    } catch (error) {
+        console.error('Could not load leadership:', error);
+    }
+
+    const notice = document.getElementById('team-chain-status');
+    if (notice) {
+        notice.hidden = Boolean(chain);
+        notice.textContent = chain ? '' : t('team.chain_unavailable');
+    }
+    container.innerHTML = buildTeamPositions(profiles, chain).map(renderTeamCard).join('')
+        || `<div class="content-empty">${escapeHtml(t('team.no_positions'))}</div>`;
+}
+
+// Holders, vacancies, scores and the elections open for nominations
+async function loadTeamLeadership() {
+    const [leadership, vacant, elections] = await Promise.all([loadLeadership(), loadVacantPositions(), loadElections()]);
+    const scores = await loadLeadershipScores(leadership.filter(leader => leader.isActive).map(leader => leader.holder));
+    return { leadership, vacant, scores, elections };
+}
+
+// One entry per ElectionManager position in the order of the profiles; positions
+// without a profile come last under their contract name
+function buildTeamPositions(profiles, chain) {
+    if (!chain) {
+        return profiles.map(profile => ({ profile, leader: null, vacant: false, score: null, election: null }));
+    }
+
+    const byPosition = new Map(profiles.map(profile => [profile.electionPosition, profile]));
+    return chain.leadership
+        .map(leader => {
+            const profile = byPosition.get(ELECTION_POSITION_KEYS[leader.position]) || null;
+            const vacant = !leader.isActive || chain.vacant.includes(leader.position);
+            return {
+                position: leader.position,
+                profile,
+                leader: vacant ? null : leader,
+                vacant,
+                score: vacant ? null : chain.scores[leader.holder.toLowerCase()],
+                election: vacant
+                    ? chain.elections.find(election => election.position === leader.position && election.phase === 'Nomination') || null
+                    : null
+            };
+        })
+        .sort((a, b) => (a.profile ? a.profile.order : Infinity) - (b.profile ? b.profile.order : Infinity) || a.position - b.position);
+}
+
+// The profile's person details only belong to the address they were written for
+function getHolderProfile(item) {
+    const { profile, leader } = item;
+    if (!profile || !leader || !profile.holder) return null;
+    return profile.holder.toLowerCase() === leader.holder.toLowerCase() ? profile : null;
+}
+
+function renderTeamSocials(socials = {}) {
+    const labels = { twitter: 'X / Twitter', github: 'GitHub', website: t('team.website') };
+    const links = Object.keys(labels)
+        .filter(network => socials[network])
+        .map(network => `<a href="${escapeHtml(socials[network])}" target="_blank" rel="noopener noreferrer">${escapeHtml(labels[network])}</a>`);
+    if (socials.discord) {
+        links.push(`<span title="Discord">💬 ${escapeHtml(socials.discord)}</span>`);
+    }
+    return links.length ? `<div class="team-socials">${links.join('')}</div>` : '';
+}
+
+function renderTeamTerm(item) {
+    const { leader, score } = item;
+    return `
+        <div class="team-term">
+            <div><span>${t('team.term_start')}</span><strong>${formatDate(leader.termStart)}</strong></div>
+            <div><span>${t('team.term_end')}</span><strong>${formatDate(leader.termEnd)}</strong></div>
+            <div><span>${t('team.performance')}</span><strong>${leader.performance}%</strong></div>
+            <div><span>${t('team.leadership_score')}</span><strong>${score ?? 0}</strong></div>
+        </div>
+    `;
+}
+
+// Vacancies link to the nomination phase of an open election for the position
+function renderTeamVacancy(item) {
+    if (item.election) {
+        return `<a class="apply-btn" href="#/elections/${item.election.id}">${t('team.nominate_now')}</a>`;
+    }
+    return `<p class="team-no-election">${t('team.no_open_election')}</p>`;
+}
+
+function renderTeamCard(item) {
+    const { profile, leader, vacant } = item;
+    const person = getHolderProfile(item);
+    const title = profile ? localized(profile.position) : ELECTION_POSITIONS[item.position];
+    const avatar = person && person.photo
+        ? `<img src="${escapeHtml(person.photo)}" alt="${escapeHtml(person.name || '')}">`
+        : escapeHtml((profile && profile.avatar) || '👤');
+
+    const heading = leader ? (person && person.name) || shortenAddress(leader.holder) : title;
+
+    return `
+        <div class="card team-card ${leader ? 'active' : ''}">
+            <div class="team-avatar">${avatar}</div>
+            <div class="team-category">${escapeHtml(profile ? localized(profile.category) : '')}</div>
+            <h3 ${leader ? `title="${escapeHtml(leader.holder)}"` : ''}>${escapeHtml(heading)}</h3>
+            ${leader ? `<p class="role">${escapeHtml(title)}</p>` : ''}
+            ${vacant ? `<p class="role">${escapeHtml(t('team.vacant_position'))}</p>` : ''}
+            <p>${escapeHtml(profile ? localized(profile.description) : '')}</p>
+            ${person && person.bio ? `<p class="team-bio">${escapeHtml(localized(person.bio))}</p>` : ''}
+            ${person ? renderTeamSocials(person.socials) : ''}
+            ${leader ? renderTeamTerm(item) : ''}
+            ${vacant ? renderTeamVacancy(item) : ''}
+        </div>
+    `;
+}
+
+registerPage('team', {
+    init() {
+        return loadTeamPage();
+    }
+});
+
+console.log('Team page loaded');
@@ -1 +1,290 @@
+// KDAO 2.0 - Treasury Page
+// Kennzahlen, aktive Projekte mit Meilensteinen und Allokationen aus dem TreasuryManager
 
+const treasuryPageState = {
+    stats: null,
+    projects: [],
+    categoryAllocations: {},
+    quarters: [],
+    allocation: null,
+    allocationChart: null,
+    // chain time - local time in seconds, used for overdue milestones
+    clockOffset: 0
+};
+
+async function loadTreasuryPage() {
+    const list = document.getElementById('treasury-projects');
+    if (!list) return;
+
+    try {
+        const [stats, projects, categoryAllocations, quarters, now] = await Promise.all([
+            loadTreasuryStats(),
+            loadActiveProjects(),
+            loadCategoryAllocations(),
+            loadAllocationQuarters(),
+            getChainTime()
+        ]);
+        Object.assign(treasuryPageState, { stats, projects, categoryAllocations, quarters });
+        treasuryPageState.clockOffset = now - Math.floor(Date.now() / 1000);
+
+        renderTreasuryStats();
+        list.innerHTML = projects.map(renderProjectCard).join('')
+            || `<div class="treasury-empty">${t('treasury.no_active_projects')}</div>`;
+
+        const quarter = getDefaultQuarter(now);
+        renderQuarterSelect(quarter);
+        await selectAllocationQuarter(quarter ? `${quarter.year}-${quarter.quarter}` : '');
+    } catch (error) {
+        console.error('Could not load treasury:', error);
+        list.innerHTML = `
+            <div class="treasury-empty">
+                ${t('treasury.load_failed')}:
+                ${escapeHtml(error.shortMessage || error.message)}
+            </div>
+        `;
+    }
+}
+
+function renderTreasuryStats() {
+    const { stats } = treasuryPageState;
+    const statValues = document.querySelectorAll('.treasury-stats .stat-card .stat-value');
+    if (statValues[0]) statValues[0].textContent = formatKDAO(stats.balance);
+    if (statValues[1]) statValues[1].textContent = stats.fundedProjects;
+    if (statValues[2]) statValues[2].textContent = formatKDAO(stats.returned);
+    if (statValues[3]) statValues[3].textContent = formatKDAO(stats.distributed);
+    if (statValues[4]) statValues[4].textContent = formatKDAO(stats.insurance);
+}
+
+function renderCategoryBadge(category) {
+    const label = FUNDING_CATEGORY_LABELS[category];
+    return `<span class="category-badge" style="color: ${label.color};">${t(label.key)}</span>`;
+}
+
+function getMilestoneState(milestone) {
+    if (milestone.fundsReleased) {
+        return { css: 'released', icon: '✅', label: t('treasury.released') };
+    }
+    if (milestone.completed) {
+        return { css: 'completed', icon: '🔍', label: t('treasury.awaiting_audit') };
+    }
+    if (milestone.deadline < Math.floor(Date.now() / 1000) + treasuryPageState.clockOffset) {
+        return { css: 'overdue', icon: '⚠️', label: t('treasury.overdue') };
+    }
+    return { css: 'open', icon: '⏳', label: t('treasury.open') };
+}
+
+function renderMilestone(milestone) {
+    const state = getMilestoneState(milestone);
+    return `
+        <div class="milestone-item ${state.css}">
+            <span>${state.icon}</span>
+            <span>${escapeHtml(milestone.description)}</span>
+            <span class="milestone-status">${formatKDAO(milestone.amount)} · ${formatDate(milestone.deadline)}</span>
+            <span class="milestone-status">${state.label}</span>
+        </div>
+    `;
+}
+
+function renderProjectCard(project) {
+    const { progress } = project;
+    const figures = [
+        [t('treasury.funded'), formatKDAO(project.fundedAmount)],
+        [t('treasury.released'), formatKDAO(progress.released)],
+        [t('treasury.returned'), formatKDAO(project.returnedAmount)],
+        [t('treasury.expected_roi'), `${project.expectedROI / 100}%`],
+        [t('treasury.repayment_due'), formatDate(project.repaymentDeadline)]
+    ];
+
+    return `
+        <div class="project-card" id="project-${project.id}">
+            <div class="project-header">
+                <div>
+                    <h3 class="project-name">#${project.id} ${escapeHtml(project.name)}</h3>
+                    <div class="project-meta" title="${project.recipient}">
+                        ${t('proposals.recipient')}: ${shortenAddress(project.recipient)}
+                    </div>
+                </div>
+                ${renderCategoryBadge(project.category)}
+            </div>
+            <p class="project-description">${escapeHtml(project.description)}</p>
+            <div class="project-figures">
+                ${figures.map(([label, value]) => `
+                    <div>
+                        <span class="figure-label">${label}</span>
+                        <span class="figure-value">${value}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="release-progress-label">
+                <span>${t('treasury.milestones_released', { released: progress.releasedCount, total: project.milestones.length })}</span>
+                <span>${progress.percent}%</span>
+            </div>
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${progress.percent}%;"></div>
+            </div>
+            <div class="milestone-list">
+                ${project.milestones.map(renderMilestone).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Current quarter of the chain clock if it has an allocation, else the newest one
+function getDefaultQuarter(now) {
+    const date = new Date(now * 1000);
+    const current = { year: date.getUTCFullYear(), quarter: Math.floor(date.getUTCMonth() / 3) + 1 };
+    const { quarters } = treasuryPageState;
+    return quarters.find(item => item.year === current.year && item.quarter === current.quarter) || quarters[0] || null;
+}
+
+function renderQuarterSelect(selected) {
+    const select = document.getElementById('allocation-quarter');
+    const { quarters } = treasuryPageState;
+    if (!quarters.length) {
+        select.innerHTML = `<option value="">${t('treasury.no_quarterly_budget')}</option>`;
+        select.disabled = true;
+        return;
+    }
+
+    select.disabled = false;
+    select.innerHTML = quarters.map(({ year, quarter }) => {
+        const isSelected = selected && selected.year === year && selected.quarter === quarter;
+        return `<option value="${year}-${quarter}"${isSelected ? ' selected' : ''}>Q${quarter} ${year}</option>`;
+    }).join('');
+}
+
+// value: '2025-3' or '' for no quarter
+async function selectAllocationQuarter(value) {
+    const [year, quarter] = (value || '').split('-').map(Number);
+    treasuryPageState.allocation = year ? await loadQuarterlyAllocation(year, quarter) : null;
+    renderAllocationTable();
+    drawAllocationChart();
+}
+
+function renderAllocationTable() {
+    const { allocation, categoryAllocations } = treasuryPageState;
+    const planned = category => allocation ? allocation.amounts[category] : 0n;
+    const sum = values => values.reduce((total, value) => total + value, 0n);
+
+    const rows = FUNDING_CATEGORIES.map(category => {
+        const label = FUNDING_CATEGORY_LABELS[category];
+        return `
+            <div class="allocation-row">
+                <span><span class="category-dot" style="background: ${label.color};"></span>${t(label.key)}</span>
+                <span>${formatKDAO(planned(category), false)}</span>
+                <span>${formatKDAO(categoryAllocations[category], false)}</span>
+            </div>
+        `;
+    }).join('');
+
+    document.getElementById('allocation-table').innerHTML = `
+        <div class="allocation-row header">
+            <span>${t('treasury.category')}</span>
+            <span>${allocation ? t('treasury.planned_quarter', { quarter: allocation.quarter }) : t('treasury.planned')}</span>
+            <span>${t('treasury.funded')}</span>
+        </div>
+        ${rows}
+        <div class="allocation-row total">
+            <span>${t('treasury.total')}</span>
+            <span>${formatKDAO(sum(FUNDING_CATEGORIES.map(planned)), false)}</span>
+            <span>${formatKDAO(sum(Object.values(categoryAllocations)), false)}</span>
+        </div>
+    `;
+}
+
+// Grouped bars: planned quarter budget next to the funded amount per category
+function drawAllocationChart() {
+    const canvas = document.getElementById('allocationChart');
+    if (!canvas || typeof Chart === 'undefined') return;
+
+    const { allocation, categoryAllocations } = treasuryPageState;
+    const toNumber = amount => Number(ethers.formatEther(amount));
+    const colors = FUNDING_CATEGORIES.map(category => FUNDING_CATEGORY_LABELS[category].color);
+
+    if (treasuryPageState.allocationChart) {
+        treasuryPageState.allocationChart.destroy();
+    }
+
+    treasuryPageState.allocationChart = new Chart(canvas.getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: FUNDING_CATEGORIES.map(category => t(FUNDING_CATEGORY_LABELS[category].key)),
+            datasets: [
+                {
+                    label: allocation ? t('treasury.planned_quarter_year', { quarter: allocation.quarter, year: String(allocation.year) }) : t('treasury.planned'),
+                    data: FUNDING_CATEGORIES.map(category => allocation ? toNumber(allocation.amounts[category]) : 0),
+                    backgroundColor: colors.map(color => `${color}55`),
+                    borderColor: colors,
+                    borderWidth: 1
+                },
+                {
+                    label: t('treasury.funded'),
+                    data: FUNDING_CATEGORIES.map(category => toNumber(categoryAllocations[category])),
+                    backgroundColor: colors,
+                    borderColor: colors,
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    labels: {
+                        color: '#94a3b8'
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(10, 15, 27, 0.9)',
+                    titleColor: '#5ffbf1',
+                    bodyColor: '#ffffff',
+                    borderColor: 'rgba(95, 251, 241, 0.2)',
+                    borderWidth: 1,
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${formatKDAO(context.parsed.y)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: {
+                        color: 'rgba(95, 251, 241, 0.05)'
+                    },
+                    ticks: {
+                        color: '#94a3b8'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    grid: {
+                        color: 'rgba(95, 251, 241, 0.05)'
+                    },
+                    ticks: {
+                        color: '#94a3b8',
+                        callback: function(value) {
+                            return formatKDAO(value, false);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+registerPage('treasury', {
+    init() {
+        return loadTreasuryPage();
+    },
+
+    destroy() {
+        if (treasuryPageState.allocationChart) {
+            treasuryPageState.allocationChart.destroy();
+            treasuryPageState.allocationChart = null;
+        }
+    }
+});
+
+console.log('Treasury page loaded');
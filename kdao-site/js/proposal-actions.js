@@ -0,0 +1,209 @@
+// KDAO 2.0 - Proposal Actions
+// Baut _target / _value / _callData für createProposal aus den Contract-ABIs
+
+// Solidity enums used as function parameters
+const SOLIDITY_ENUMS = {
+    Position: ELECTION_POSITIONS
+};
+
+const CONTRACT_LABELS = {
+    kdaoToken: 'KDAOToken',
+    treasury: 'TreasuryManager',
+    staking: 'StakingRewards',
+    election: 'ElectionManager'
+};
+
+// Functions a proposal of each ProposalType may call after it passed.
+// units: 'kdao' = token amount entered in KDAO (18 decimals), 'bps' = basis points (100 = 1%)
+// enums: parameter -> key of SOLIDITY_ENUMS
+// Funding proposals carry no calldata: executeProposal sends _value to _target.
+const PROPOSAL_ACTIONS = {
+    Treasury: [
+        {
+            contract: 'treasury',
+            method: 'setQuarterlyAllocation',
+            units: { _utility: 'kdao', _token: 'kdao', _education: 'kdao', _marketing: 'kdao', _infrastructure: 'kdao' }
+        },
+        { contract: 'treasury', method: 'approveProject' },
+        { contract: 'treasury', method: 'markProjectFailed' }
+    ],
+    Governance: [
+        {
+            contract: 'staking',
+            method: 'updateAPY',
+            units: { _baseAPY: 'bps', _lpBonus: 'bps', _longTermBonus: 'bps', _compoundBonus: 'bps' }
+        },
+        { contract: 'staking', method: 'updateTierThresholds', units: { _thresholds: 'kdao' } },
+        { contract: 'staking', method: 'updatePoolLimits', units: { _maxPool: 'kdao', _minStake: 'kdao' } },
+        { contract: 'kdaoToken', method: 'setTransferFee', units: { _fee: 'bps' } },
+        { contract: 'kdaoToken', method: 'setMaxWalletAmount', units: { _amount: 'kdao' } },
+        { contract: 'kdaoToken', method: 'setMaxTransferAmount', units: { _amount: 'kdao' } },
+        { contract: 'kdaoToken', method: 'setTransferRestriction' },
+        { contract: 'kdaoToken', method: 'setExemptFromLimit' }
+    ],
+    Election: [
+        { contract: 'election', method: 'createElection', enums: { _position: 'Position' } },
+        { contract: 'election', method: 'cancelElection' },
+        { contract: 'election', method: 'updatePerformanceScore', enums: { _position: 'Position' } }
+    ]
+};
+
+// 'treasury.setQuarterlyAllocation'
+function getActionKey(action) {
+    return `${action.contract}.${action.method}`;
+}
+
+function findProposalAction(typeName, key) {
+    return (PROPOSAL_ACTIONS[typeName] || []).find(action => getActionKey(action) === key) || null;
+}
+
+// ethers FunctionFragment of an action (inputs drive the wizard form)
+function getActionFragment(action) {
+    return new ethers.Interface(getContractAbi(action.contract)).getFunction(action.method);
+}
+
+// '_quarterlyBudget' -> 'Quarterly Budget'
+function formatParamName(name) {
+    return name
+        .replace(/^_/, '')
+        .replace(/([A-Z]+)/g, ' $1')
+        .replace(/^./, c => c.toUpperCase())
+        .trim();
+}
+
+// Convert one form value to the ABI value for a parameter (arrays are comma separated)
+function parseActionArg(param, raw, unit, label = formatParamName(param.name)) {
+    const value = String(raw ?? '').trim();
+
+    if (param.baseType === 'array') {
+        const items = value ? value.split(',').map(item => item.trim()) : [];
+        return items.map(item => parseActionArg(param.arrayChildren, item, unit, label));
+    }
+
+    if (value === '') {
+        throw new Error(`${label}: ${t('proposals.value_missing')}`);
+    }
+
+    if (param.type === 'address') {
+        if (!ethers.isAddress(value)) {
+            throw new Error(`${label}: ${t('proposals.invalid_address')}`);
+        }
+        return ethers.getAddress(value);
+    }
+    if (param.type === 'bool') {
+        return value === 'true';
+    }
+    if (param.type.startsWith('uint') || param.type.startsWith('int')) {
+        try {
+            return unit === 'kdao' ? ethers.parseEther(value) : BigInt(value);
+        } catch (error) {
+            throw new Error(`${label}: ${t('proposals.invalid_number')}`);
+        }
+    }
+    return value;
+}
+
+// Encode target, value and calldata for createProposal.
+// Funding: { recipient, amount } - everything else: { actionKey, args } (args keyed by parameter name)
+function buildProposalCall(typeName, input) {
+    if (typeName === 'Funding') {
+        if (!ethers.isAddress(input.recipient || '')) {
+            throw new Error(`${t('proposals.recipient')}: ${t('proposals.invalid_address')}`);
+        }
+        return {
+            target: ethers.getAddress(input.recipient),
+            value: ethers.parseEther(String(input.amount || '0')),
+            callData: '0x',
+            action: null
+        };
+    }
+
+    // Signal proposal without on-chain action
+    if (!input.actionKey) {
+        return { target: ethers.ZeroAddress, value: 0n, callData: '0x', action: null };
+    }
+
+    const action = findProposalAction(typeName, input.actionKey);
+    if (!action) {
+        throw new Error(`Unknown action ${input.actionKey} for ${typeName}`);
+    }
+
+    const fragment = getActionFragment(action);
+    const args = fragment.inputs.map(param =>
+        parseActionArg(param, input.args?.[param.name], action.units?.[param.name])
+    );
+    const iface = new ethers.Interface([fragment]);
+
+    return {
+        target: getKDAOContract(action.contract).target,
+        value: 0n,
+        callData: iface.encodeFunctionData(fragment, args),
+        action
+    };
+}
+
+// Human-readable value of a decoded argument
+function formatActionArg(param, value, unit, enumName) {
+    if (param.baseType === 'array') {
+        return `[${[...value].map(item => formatActionArg(param.arrayChildren, item, unit)).join(', ')}]`;
+    }
+    if (enumName) {
+        return `${SOLIDITY_ENUMS[enumName][Number(value)] || '?'} (${value})`;
+    }
+    if (unit === 'kdao') {
+        return `${ethers.formatEther(value)} KDAO`;
+    }
+    if (unit === 'bps') {
+        return `${Number(value) / 100}% (${value} bps)`;
+    }
+    return String(value);
+}
+
+// Decode calldata against the known actions, e.g. for the review step and proposal details
+function decodeProposalCall(target, callData) {
+    if (!callData || callData === '0x') return null;
+
+    const addresses = getContractAddresses();
+    for (const actions of Object.values(PROPOSAL_ACTIONS)) {
+        for (const action of actions) {
+            const address = addresses[action.contract];
+            if (address && target && address.toLowerCase() !== target.toLowerCase()) continue;
+
+            const fragment = getActionFragment(action);
+            if (!callData.startsWith(fragment.selector)) continue;
+
+            const values = new ethers.Interface([fragment]).decodeFunctionData(fragment, callData);
+            return {
+                contractLabel: CONTRACT_LABELS[action.contract],
+                signature: fragment.format('sighash'),
+                args: fragment.inputs.map((param, index) => ({
+                    name: formatParamName(param.name),
+                    type: param.type,
+                    value: formatActionArg(param, values[index], action.units?.[param.name], action.enums?.[param.name])
+                }))
+            };
+        }
+    }
+    return null;
+}
+
+// eth_call the action as the governance contract would execute it
+async function dryRunProposalCall(call) {
+    if (call.callData === '0x') {
+        return { ok: true, skipped: true };
+    }
+
+    try {
+        await getReadProvider().call({
+            from: getKDAOContract('governance').target,
+            to: call.target,
+            data: call.callData,
+            value: call.value
+        });
+        return { ok: true };
+    } catch (error) {
+        return { ok: false, reason: getRevertReason(error) };
+    }
+}
+
+console.log('Proposal-actions.js loaded');
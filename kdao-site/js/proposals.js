@@ -0,0 +1,214 @@
+// KDAO 2.0 - Proposal Data Layer
+// Liest Vorschläge aus KDAOGovernance und cached sie im Browser
+
+// Enums of KDAOGovernance (same order as in the contract)
+const PROPOSAL_STATES = ['Pending', 'Active', 'Defeated', 'Succeeded', 'Queued', 'Executed', 'Cancelled', 'Expired'];
+const PROPOSAL_TYPES = ['Funding', 'Treasury', 'Governance', 'Election'];
+
+// Badge (css class + label) per ProposalType
+const PROPOSAL_TYPE_BADGES = {
+    Funding: { css: 'utility', label: '🔧 Funding' },
+    Treasury: { css: 'treasury', label: '💰 Treasury' },
+    Governance: { css: 'governance', label: '🏛️ Governance' },
+    Election: { css: 'election', label: '🗳️ Election' }
+};
+
+// Result labels (locale keys) for finished proposals
+const PROPOSAL_RESULT_LABELS = {
+    Defeated: { css: 'rejected', key: 'proposals.result_defeated' },
+    Succeeded: { css: 'approved', key: 'proposals.result_succeeded' },
+    Queued: { css: 'approved', key: 'proposals.result_queued' },
+    Executed: { css: 'approved', key: 'proposals.result_executed' },
+    Cancelled: { css: 'rejected', key: 'proposals.result_cancelled' },
+    Expired: { css: 'rejected', key: 'proposals.result_expired' }
+};
+
+// States that can no longer change once reached
+const FINAL_PROPOSAL_STATES = ['Defeated', 'Executed', 'Cancelled', 'Expired'];
+
+// Live proposals are re-read after this time, final ones are kept
+const PROPOSAL_CACHE_TTL = 30000;
+
+// KDAOGovernance assumes ~12 sec blocks (VOTING_PERIOD / 12)
+const SECONDS_PER_BLOCK = 12;
+
+const proposalCache = {
+    items: new Map(),
+    count: 0,
+    totalSupply: 0n,
+    quorumPercentage: 30n,
+    blockNumber: 0,
+    executionDelay: 0,
+    executionWindow: 0,
+    // Offset of the latest block timestamp to the local clock, the ETA is chain time
+    clockOffset: 0,
+    fetchedAt: 0
+};
+
+// ProposalState -> tab of the voting page ('upcoming' / 'active' / 'queued' / 'completed')
+function getProposalStatus(stateName) {
+    if (stateName === 'Pending') return 'upcoming';
+    if (stateName === 'Active') return 'active';
+    // Succeeded still has to be queued, Queued waits for its ETA
+    if (stateName === 'Succeeded' || stateName === 'Queued') return 'queued';
+    return 'completed';
+}
+
+function getGovernanceClock() {
+    return Math.floor(Date.now() / 1000) + proposalCache.clockOffset;
+}
+
+// ProposalType -> type filter of the proposals page ('funding' / 'governance')
+function getProposalCategory(typeName) {
+    return typeName === 'Funding' ? 'funding' : 'governance';
+}
+
+// Percent with one decimal, safe for bigint inputs
+function percentOf(part, total) {
+    if (!total) return 0;
+    return Number((part * 1000n) / total) / 10;
+}
+
+// Derived values used by the cards: tallies, quorum and end time
+function buildProposal(id, details, stateIndex) {
+    const stateName = PROPOSAL_STATES[Number(stateIndex)];
+    const typeName = PROPOSAL_TYPES[Number(details.proposalType)];
+    const forVotes = details.forVotes;
+    const againstVotes = details.againstVotes;
+    const abstainVotes = details.abstainVotes;
+
+    // Quorum counts For + Against only (see KDAOGovernance.state)
+    const countedVotes = forVotes + againstVotes;
+    const quorumVotes = (proposalCache.totalSupply * proposalCache.quorumPercentage) / 100n;
+    const allVotes = countedVotes + abstainVotes;
+
+    const startBlock = Number(details.startBlock);
+    const endBlock = Number(details.endBlock);
+    const blocksLeft = Math.max(0, endBlock - proposalCache.blockNumber);
+    const blocksUntilStart = Math.max(0, startBlock - proposalCache.blockNumber);
+
+    // Timelock: executable from eta until expiresAt (0 while not queued)
+    const eta = Number(details.eta);
+    const expiresAt = eta ? eta + proposalCache.executionWindow : 0;
+
+    return {
+        id: Number(id),
+        kip: `KIP-${String(id).padStart(3, '0')}`,
+        proposer: details.proposer,
+        typeName,
+        stateName,
+        status: getProposalStatus(stateName),
+        category: getProposalCategory(typeName),
+        title: details.title,
+        description: details.description,
+        target: details.target,
+        value: details.value,
+        callData: details.callData,
+        startBlock,
+        endBlock,
+        forVotes,
+        againstVotes,
+        abstainVotes,
+        forPercent: percentOf(forVotes, allVotes),
+        againstPercent: percentOf(againstVotes, allVotes),
+        abstainPercent: percentOf(abstainVotes, allVotes),
+        approval: percentOf(forVotes, countedVotes),
+        participation: percentOf(countedVotes, proposalCache.totalSupply),
+        quorumPercent: Number(proposalCache.quorumPercentage),
+        quorumReached: countedVotes >= quorumVotes,
+        blocksLeft,
+        secondsLeft: blocksLeft * SECONDS_PER_BLOCK,
+        secondsUntilStart: blocksUntilStart * SECONDS_PER_BLOCK,
+        eta,
+        expiresAt,
+        fetchedAt: Date.now()
+    };
+}
+
+// Chain-wide values needed for quorum and countdowns
+async function refreshGovernanceContext() {
+    const governance = getKDAOContract('governance');
+    const token = await getKDAOTokenContract();
+
+    const [count, totalSupply, quorumPercentage, executionDelay, executionWindow, block] = await Promise.all([
+        governance.proposalCount(),
+        token.totalSupply(),
+        governance.QUORUM_PERCENTAGE(),
+        governance.EXECUTION_DELAY(),
+        governance.EXECUTION_WINDOW(),
+        getReadProvider().getBlock('latest')
+    ]);
+
+    proposalCache.count = Number(count);
+    proposalCache.totalSupply = totalSupply;
+    proposalCache.quorumPercentage = quorumPercentage;
+    proposalCache.executionDelay = Number(executionDelay);
+    proposalCache.executionWindow = Number(executionWindow);
+    proposalCache.blockNumber = block.number;
+    proposalCache.clockOffset = block.timestamp - Math.floor(Date.now() / 1000);
+    proposalCache.fetchedAt = Date.now();
+}
+
+// Load a single proposal (uses the cache unless expired or forced)
+async function loadProposal(id, force = false) {
+    const cached = proposalCache.items.get(Number(id));
+    if (cached && !force) {
+        const isFinal = FINAL_PROPOSAL_STATES.includes(cached.stateName);
+        if (isFinal || Date.now() - cached.fetchedAt < PROPOSAL_CACHE_TTL) {
+            return cached;
+        }
+    }
+
+    const governance = getKDAOContract('governance');
+    const [summary, details, stateIndex] = await Promise.all([
+        governance.getProposal(id),
+        governance.proposals(id),
+        governance.state(id)
+    ]);
+
+    const proposal = buildProposal(id, {
+        proposer: summary.proposer,
+        proposalType: summary.proposalType,
+        title: summary.title,
+        description: summary.description,
+        target: details.target,
+        value: details.value,
+        callData: details.callData,
+        startBlock: details.startBlock,
+        endBlock: details.endBlock,
+        forVotes: details.forVotes,
+        againstVotes: details.againstVotes,
+        abstainVotes: details.abstainVotes,
+        eta: details.eta
+    }, stateIndex);
+
+    proposalCache.items.set(proposal.id, proposal);
+    return proposal;
+}
+
+// Load all proposals, newest first
+async function loadProposals({ force = false } = {}) {
+    if (force || Date.now() - proposalCache.fetchedAt >= PROPOSAL_CACHE_TTL) {
+        await refreshGovernanceContext();
+    }
+
+    const ids = [];
+    for (let id = proposalCache.count; id >= 1; id--) {
+        ids.push(id);
+    }
+
+    return Promise.all(ids.map(id => loadProposal(id, force)));
+}
+
+// Proposals already in the cache (no network access), newest first
+function getCachedProposals() {
+    return [...proposalCache.items.values()].sort((a, b) => b.id - a.id);
+}
+
+// Drop a proposal from the cache, e.g. after voting on it
+function invalidateProposal(id) {
+    proposalCache.items.delete(Number(id));
+    proposalCache.fetchedAt = 0;
+}
+
+console.log('Proposals.js loaded');
@@ -0,0 +1,115 @@
+// KDAO 2.0 - Router
+// Hash-Routen (#/proposals/12, #/elections/3) für loadPage, inkl. Zurück/Vor im Browser,
+// und Lebenszyklus der Seitenmodule (init/destroy)
+
+// Pages that exist under pages/*.html and can be opened via the URL
+const ROUTE_PAGES = ['dashboard', 'team', 'news', 'roadmap', 'staking', 'treasury', 'voting', 'proposals', 'elections'];
+const DEFAULT_ROUTE_PAGE = 'dashboard';
+// Old page names still found in links and bookmarks -> their page today
+const ROUTE_ALIASES = { governance: 'voting' };
+
+// Element to scroll to when a route carries an id
+const ROUTE_TARGETS = {
+    proposals: id => `.proposal-card[data-id="${CSS.escape(id)}"]`,
+    voting: id => `.vote-card[data-id="${CSS.escape(id)}"]`,
+    elections: id => `#election-${CSS.escape(id)}`,
+    news: id => `#news-${CSS.escape(id)}`
+};
+
+// '#/proposals/12' -> { page: 'proposals', params: { id: '12' } }, unknown pages -> dashboard
+function parseRoute(hash) {
+    const [name, id] = (hash || '').replace(/^#\/?/, '').split('/');
+    const page = ROUTE_ALIASES[name] || name;
+    if (!ROUTE_PAGES.includes(page)) {
+        return { page: DEFAULT_ROUTE_PAGE, params: {} };
+    }
+    return { page, params: id ? { id } : {} };
+}
+
+function buildRoute(page, params = {}) {
+    return params.id !== undefined ? `#/${page}/${params.id}` : `#/${page}`;
+}
+
+// Nav entry point: changing the hash adds a history entry, hashchange then loads the page
+function navigateTo(page, params = {}) {
+    const hash = buildRoute(page, params);
+    if (location.hash === hash) {
+        handleRoute();
+    } else {
+        location.hash = hash;
+    }
+}
+
+function handleRoute() {
+    const { page, params } = parseRoute(location.hash);
+    updateNavigation(page);
+    return loadPage(page, params);
+}
+
+function updateNavigation(page) {
+    document.querySelectorAll('.nav-item[data-page]').forEach(item => {
+        item.classList.toggle('active', item.dataset.page === page);
+    });
+}
+
+// Scroll to and highlight the proposal/election a deep link points at
+function focusRouteTarget(page, params) {
+    const selector = ROUTE_TARGETS[page];
+    if (!selector || params.id === undefined) return;
+
+    // The card may be hidden by the active filter tab
+    if (page === 'proposals' && !document.querySelector(selector(params.id))) {
+        filterProposals('all');
+    }
+
+    const target = document.querySelector(selector(params.id));
+    if (!target) return;
+    target.classList.add('route-target');
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// ============ Page Modules ============
+
+// Pages register { init(params, signal), destroy() } from js/pages/*.js; the HTML fragments
+// are injected via innerHTML, so inline <script> blocks in pages/*.html never run.
+// The signal is aborted when the page is left: destroy() may run while init() still waits
+// for data, so pages check it before they start timers.
+const pageModules = {};
+let activePageModule = null;
+let activePageController = null;
+
+function registerPage(name, module) {
+    pageModules[name] = module;
+}
+
+// Called by loadPage after the fragment is in the DOM
+async function initPageModule(name, params) {
+    const module = pageModules[name];
+    const controller = new AbortController();
+    activePageModule = module || null;
+    activePageController = controller;
+    if (module && typeof module.init === 'function') {
+        await module.init(params, controller.signal);
+    }
+}
+
+// Stop timers and charts of the current page before it is replaced
+function destroyActivePage() {
+    const module = activePageModule;
+    activePageModule = null;
+    if (activePageController) {
+        activePageController.abort();
+        activePageController = null;
+    }
+    if (!module || typeof module.destroy !== 'function') return;
+
+    try {
+        module.destroy();
+    } catch (error) {
+        console.error('Page destroy failed:', error);
+    }
+}
+
+window.addEventListener('hashchange', handleRoute);
+
+console.log('Router.js loaded');
@@ -0,0 +1,113 @@
+// KDAO 2.0 - Staking Data Layer
+// Liest Pool, Stake, Rewards und Tier eines Accounts aus StakingRewards
+
+// Enums and tiers of StakingRewards (same order as in the contract)
+const STAKE_TYPES = ['KDAO', 'LP', 'COMPOUND'];
+const LOCK_STATUSES = ['Unlocked', 'Locked', 'Unlocking'];
+const STAKING_TIERS = ['Bronze', 'Silver', 'Gold', 'Diamond'];
+
+// Basis points -> percent (1500 -> 15)
+function bpsToPercent(bps) {
+    return Number(bps) / 100;
+}
+
+// Pool figures and the parameters the page needs to explain the rules
+async function loadStakingPool() {
+    const staking = getKDAOContract('staking');
+    const tierIndexes = STAKING_TIERS.map((tier, index) => index);
+
+    const [stats, rates, thresholds, bonuses, emergencyFee, minStake, maxPool, minDuration, unlockPeriod] = await Promise.all([
+        staking.getPoolStats(),
+        staking.getAPYRates(),
+        Promise.all(tierIndexes.map(index => staking.tierThresholds(index))),
+        Promise.all(tierIndexes.map(index => staking.tierBonuses(index))),
+        staking.emergencyWithdrawFee(),
+        staking.minStakeAmount(),
+        staking.maxPoolSize(),
+        staking.MIN_STAKE_DURATION(),
+        staking.UNLOCK_PERIOD()
+    ]);
+
+    return {
+        totalKDAO: stats.totalKDAO,
+        totalLP: stats.totalLP,
+        rewardPool: stats.rewardsAvailable,
+        distributed: stats.distributed,
+        rewardRate: stats.currentRewardRate,
+        rates: {
+            base: Number(rates.base),
+            lpBonus: Number(rates.lpBonus),
+            longTerm: Number(rates.longTerm),
+            compound: Number(rates.compound)
+        },
+        tierThresholds: thresholds,
+        tierBonuses: bonuses.map(Number),
+        emergencyWithdrawFee: Number(emergencyFee),
+        minStakeAmount: minStake,
+        maxPoolSize: maxPool,
+        minStakeDuration: Number(minDuration),
+        unlockPeriod: Number(unlockPeriod)
+    };
+}
+
+// LP tokens count twice towards the tier (same as getUserTier)
+function getTierStake(position) {
+    return position.stakedKDAO + position.stakedLP * 2n;
+}
+
+// Progress from the reached tier threshold to the next one.
+// reached is -1 below Bronze (the contract still reports tier 0 there)
+function getTierProgress(tierStake, thresholds) {
+    let reached = -1;
+    thresholds.forEach((threshold, index) => {
+        if (tierStake >= threshold) reached = index;
+    });
+
+    const next = reached + 1 < thresholds.length ? reached + 1 : null;
+    if (next === null) {
+        return { reached, next, percent: 100, remaining: 0n };
+    }
+
+    const from = reached >= 0 ? thresholds[reached] : 0n;
+    const span = thresholds[next] - from;
+    const percent = span > 0n ? Number((tierStake - from) * 10000n / span) / 100 : 100;
+    return { reached, next, percent, remaining: thresholds[next] - tierStake };
+}
+
+// Stake of an account plus the wallet balances used by the stake forms
+async function loadStakingPosition(account) {
+    const staking = getKDAOContract('staking');
+    const [info, pending, apy, tier, stake, kdaoToken, lpToken] = await Promise.all([
+        staking.getUserInfo(account),
+        staking.earned(account),
+        staking.calculateAPY(account),
+        staking.getUserTier(account),
+        staking.stakes(account),
+        getKDAOTokenContract(),
+        getLPTokenContract()
+    ]);
+    const [kdaoBalance, lpBalance] = await Promise.all([
+        kdaoToken.balanceOf(account),
+        lpToken.balanceOf(account)
+    ]);
+
+    return {
+        stakedKDAO: info.stakedKDAO,
+        stakedLP: info.stakedLP,
+        pendingRewards: pending,
+        apy: Number(apy),
+        tier: Number(tier),
+        votingPower: info.votingPower,
+        autoCompound: info.isAutoCompound,
+        stakeType: STAKE_TYPES[Number(stake.stakeType)],
+        lockStatus: LOCK_STATUSES[Number(stake.lockStatus)],
+        startTime: Number(stake.startTime),
+        unlockTime: Number(stake.unlockTime),
+        claimedRewards: stake.claimedRewards,
+        compoundedAmount: stake.compoundedAmount,
+        kdaoBalance,
+        lpBalance
+    };
+}
+
+console.log('Staking.js loaded');
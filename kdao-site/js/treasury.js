@@ -0,0 +1,125 @@
+// KDAO 2.0 - Treasury Data Layer
+// Liest Treasury-Kennzahlen, Projekte, Meilensteine und Allokationen aus dem TreasuryManager
+
+// Enums of TreasuryManager (same order as in the contract)
+const PROJECT_STATUSES = ['Proposed', 'Approved', 'Active', 'Completed', 'Failed', 'Cancelled'];
+const FUNDING_CATEGORIES = ['Utility', 'Token', 'Education', 'Marketing', 'Infrastructure'];
+
+// Locale key and chart color per FundingCategory
+const FUNDING_CATEGORY_LABELS = {
+    Utility: { key: 'treasury.category_utility', color: '#5ffbf1' },
+    Token: { key: 'treasury.category_token', color: '#26d0a8' },
+    Education: { key: 'treasury.category_education', color: '#fbbf24' },
+    Marketing: { key: 'treasury.category_marketing', color: '#a78bfa' },
+    Infrastructure: { key: 'treasury.category_infrastructure', color: '#f472b6' }
+};
+
+async function loadTreasuryStats() {
+    const stats = await getKDAOContract('treasury').getTreasuryStats();
+    return {
+        balance: stats.balance,
+        fundedProjects: Number(stats.funded),
+        returned: stats.returned,
+        distributed: stats.distributed,
+        insurance: stats.insurance
+    };
+}
+
+// Project with its milestones and release progress
+async function loadProject(id) {
+    const treasury = getKDAOContract('treasury');
+    const [summary, details, milestones] = await Promise.all([
+        treasury.getProject(id),
+        treasury.projects(id),
+        treasury.getProjectMilestones(id)
+    ]);
+
+    const project = {
+        id: Number(id),
+        name: summary.name,
+        description: details.description,
+        recipient: summary.recipient,
+        category: FUNDING_CATEGORIES[Number(details.category)],
+        status: PROJECT_STATUSES[Number(summary.status)],
+        requestedAmount: summary.requestedAmount,
+        fundedAmount: summary.fundedAmount,
+        returnedAmount: summary.returnedAmount,
+        expectedROI: Number(details.expectedROI),
+        actualROI: Number(summary.actualROI),
+        startTime: Number(details.startTime),
+        repaymentDeadline: Number(details.repaymentDeadline),
+        milestones: milestones.map(milestone => ({
+            id: Number(milestone.milestoneId),
+            description: milestone.description,
+            amount: milestone.amount,
+            deadline: Number(milestone.deadline),
+            completed: milestone.completed,
+            fundsReleased: milestone.fundsReleased,
+            completedTime: Number(milestone.completedTime)
+        }))
+    };
+    project.progress = getMilestoneProgress(project);
+    return project;
+}
+
+// Released milestone funds relative to the funded amount
+function getMilestoneProgress(project) {
+    const released = project.milestones
+        .filter(milestone => milestone.fundsReleased)
+        .reduce((sum, milestone) => sum + milestone.amount, 0n);
+    const total = project.fundedAmount > 0n ? project.fundedAmount : project.requestedAmount;
+
+    return {
+        released,
+        total,
+        percent: total > 0n ? Number(released * 10000n / total) / 100 : 0,
+        completed: project.milestones.filter(milestone => milestone.completed).length,
+        releasedCount: project.milestones.filter(milestone => milestone.fundsReleased).length
+    };
+}
+
+async function loadActiveProjects() {
+    const ids = await getKDAOContract('treasury').getActiveProjects();
+    return Promise.all(ids.map(id => loadProject(id)));
+}
+
+// Funded amount per FundingCategory (cumulative, set by fundProject)
+async function loadCategoryAllocations() {
+    const treasury = getKDAOContract('treasury');
+    const amounts = await Promise.all(FUNDING_CATEGORIES.map((category, index) => treasury.categoryAllocations(index)));
+    return Object.fromEntries(FUNDING_CATEGORIES.map((category, index) => [category, amounts[index]]));
+}
+
+// Planned split of one quarter, keyed like FUNDING_CATEGORIES; null when not set
+async function loadQuarterlyAllocation(year, quarter) {
+    const allocation = await getKDAOContract('treasury').quarterlyAllocations(year, quarter);
+    if (Number(allocation.quarter) === 0) return null;
+
+    return {
+        year: Number(allocation.year),
+        quarter: Number(allocation.quarter),
+        amounts: {
+            Utility: allocation.utility,
+            Token: allocation.token,
+            Education: allocation.education,
+            Marketing: allocation.marketing,
+            Infrastructure: allocation.infrastructure
+        }
+    };
+}
+
+// Quarters that have an allocation, newest first (replayed from QuarterlyAllocationSet)
+async function loadAllocationQuarters() {
+    const treasury = getKDAOContract('treasury');
+    const events = await queryContractEvents(treasury, treasury.filters.QuarterlyAllocationSet());
+
+    const quarters = new Map();
+    events.forEach(event => {
+        const year = Number(event.args.year);
+        const quarter = Number(event.args.quarter);
+        quarters.set(`${year}-${quarter}`, { year, quarter });
+    });
+    return [...quarters.values()].sort((a, b) => b.year - a.year || b.quarter - a.quarter);
+}
+
+console.log('Treasury.js loaded');
@@ -1 +1,55 @@
+// KDAO 2.0 - Shared Helpers
+// Kleine Hilfsfunktionen, die von mehreren Seiten genutzt werden
 
+// 3 days / 12 hours / 45 minutes
+function formatDuration(seconds) {
+    const units = [
+        [86400, 'time.days'],
+        [3600, 'time.hours'],
+        [60, 'time.minutes']
+    ];
+    for (const [size, key] of units) {
+        const count = Math.floor(seconds / size);
+        if (count >= 1) {
+            return t(key, { count });
+        }
+    }
+    return t('time.less_than_a_minute');
+}
+
+// Unix timestamp (seconds) -> 15.8.2025 / 8/15/2025
+function formatDate(timestamp) {
+    return formatDateTime(timestamp * 1000, { year: 'numeric', month: 'numeric', day: 'numeric' });
+}
+
+// Escape user/contract supplied text before putting it into innerHTML
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 0x1234...abcd
+function shortenAddress(address) {
+    if (!address) return '';
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+// Format a uint256 token amount (18 decimals) for display, e.g. 1.2M KDAO
+function formatKDAO(amount, withSymbol = true) {
+    const value = typeof amount === 'bigint' ? Number(ethers.formatEther(amount)) : Number(amount || 0);
+    let text;
+    if (value >= 1000000) {
+        text = `${(value / 1000000).toFixed(1)}M`;
+    } else if (value >= 1000) {
+        text = `${(value / 1000).toFixed(1)}K`;
+    } else {
+        text = value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    }
+    return withSymbol ? `${text} KDAO` : text;
+}
+
+console.log('Utils.js loaded');
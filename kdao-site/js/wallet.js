@@ -0,0 +1,276 @@
+// KDAO 2.0 - Wallet Connection
+// Verbindet einen injizierten EIP-1193 Provider (MetaMask & Co.) und sendet Transaktionen
+
+// Shared wallet state, read by the page scripts
+const walletState = {
+    provider: null,
+    signer: null,
+    account: null,
+    chainId: null
+};
+
+// Readable messages (locale keys) for the require() reasons of the KDAO contracts
+const REVERT_MESSAGES = {
+    'Voting not active': 'wallet.revert_voting_not_active',
+    'Already voted': 'wallet.revert_already_voted',
+    'No voting power': 'wallet.revert_no_voting_power',
+    'Cannot delegate to self': 'wallet.revert_cannot_delegate_to_self',
+    'Invalid delegatee': 'wallet.revert_invalid_delegatee',
+    'Not delegated': 'wallet.revert_not_delegated',
+    'Votes locked until voting ends': 'wallet.revert_votes_locked',
+    'Not in nomination phase': 'wallet.revert_not_in_nomination_phase',
+    'Already nominated': 'wallet.revert_already_nominated',
+    'Insufficient KDAO': 'wallet.revert_insufficient_kdao',
+    'Already holding a position': 'wallet.revert_already_holding_a_position',
+    'Not in voting phase': 'wallet.revert_not_in_voting_phase',
+    'Cannot withdraw now': 'wallet.revert_cannot_withdraw_now',
+    'Below minimum stake': 'wallet.revert_below_minimum_stake',
+    'Pool limit reached': 'wallet.revert_pool_limit_reached',
+    'Cannot stake 0': 'wallet.revert_cannot_stake_0',
+    'No active stake': 'wallet.revert_no_active_stake',
+    'Already unlocking': 'wallet.revert_already_unlocking',
+    'Minimum stake period not met': 'wallet.revert_minimum_stake_period_not_met',
+    'Not unlocked': 'wallet.revert_not_unlocked',
+    'Still in unlock period': 'wallet.revert_still_in_unlock_period',
+    'Insufficient LP balance': 'wallet.revert_insufficient_lp_balance',
+    'Insufficient balance': 'wallet.revert_insufficient_balance',
+    'No rewards to': 'wallet.revert_no_rewards',
+    'Auto-compound not enabled': 'wallet.revert_auto_compound_not_enabled'
+};
+
+// Connect wallet (asks the user for permission)
+async function connectWallet() {
+    if (!window.ethereum) {
+        alert(t('wallet.no_wallet'));
+        return null;
+    }
+
+    try {
+        const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+        await setWalletAccount(accounts[0]);
+        return walletState.account;
+    } catch (error) {
+        console.error('Wallet connection failed:', error);
+        showTxStatus('reverted', getRevertReason(error));
+        return null;
+    }
+}
+
+// Make sure a wallet is connected before sending a transaction
+async function ensureWallet() {
+    if (walletState.signer) return walletState.signer;
+    await connectWallet();
+    return walletState.signer;
+}
+
+async function setWalletAccount(account) {
+    if (!account) {
+        walletState.provider = null;
+        walletState.signer = null;
+        walletState.account = null;
+        walletState.chainId = null;
+    } else {
+        walletState.provider = new ethers.BrowserProvider(window.ethereum);
+        walletState.signer = await walletState.provider.getSigner(account);
+        walletState.account = ethers.getAddress(account);
+        walletState.chainId = Number((await walletState.provider.getNetwork()).chainId);
+    }
+
+    updateWalletUI();
+    updateNetworkWarning();
+    window.dispatchEvent(new CustomEvent('kdao:walletchange', { detail: { ...walletState } }));
+}
+
+// The site's network while the connected wallet is on another chain, otherwise null
+function getWrongNetwork() {
+    const network = getActiveNetwork();
+    if (!walletState.account || walletState.chainId === network.chainId) return null;
+    return network;
+}
+
+// Banner at the top of the page while the wallet is on the wrong chain
+function updateNetworkWarning() {
+    const network = getWrongNetwork();
+    let banner = document.getElementById('networkWarning');
+    if (!network) {
+        if (banner) banner.hidden = true;
+        return;
+    }
+
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'networkWarning';
+        banner.className = 'network-warning';
+        banner.setAttribute('role', 'alert');
+        document.body.appendChild(banner);
+    }
+    banner.innerHTML = `
+        <span>⚠️ ${escapeHtml(t('wallet.wrong_network', { network: network.name, chainId: walletState.chainId }))}</span>
+        <button type="button">${escapeHtml(t('wallet.switch_network'))}</button>
+    `;
+    banner.querySelector('button').addEventListener('click', switchWalletNetwork);
+    banner.hidden = false;
+}
+
+// Ask the wallet to switch to the site's network; wallets that don't know it yet get it added
+async function switchWalletNetwork() {
+    const network = getActiveNetwork();
+    const chainId = ethers.toQuantity(network.chainId);
+    try {
+        await window.ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+    } catch (error) {
+        if (error.code !== 4902) {
+            showTxStatus('reverted', getRevertReason(error));
+            return;
+        }
+        try {
+            await window.ethereum.request({
+                method: 'wallet_addEthereumChain',
+                params: [{
+                    chainId,
+                    chainName: network.name,
+                    rpcUrls: [network.rpcUrl],
+                    nativeCurrency: { name: network.currency, symbol: network.currency, decimals: 18 },
+                    blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined
+                }]
+            });
+        } catch (addError) {
+            showTxStatus('reverted', getRevertReason(addError));
+        }
+    }
+}
+
+// Update all connect buttons on the current page
+function updateWalletUI() {
+    document.querySelectorAll('.connect-btn').forEach(btn => {
+        if (walletState.account) {
+            btn.classList.add('connected');
+            btn.textContent = `🟢 ${shortenAddress(walletState.account)}`;
+        } else {
+            btn.classList.remove('connected');
+            btn.innerHTML = t('common.connect_wallet');
+        }
+    });
+}
+
+// Extract a readable reason from an ethers / EIP-1193 error
+function getRevertReason(error) {
+    if (!error) return t('wallet.unknown_error');
+
+    if (error.code === 'ACTION_REJECTED' || error.code === 4001 || error.info?.error?.code === 4001) {
+        return t('wallet.rejected');
+    }
+
+    const reason = error.reason
+        || error.revert?.args?.[0]
+        || error.info?.error?.data?.message
+        || error.info?.error?.message
+        || error.shortMessage
+        || error.message
+        || '';
+
+    const known = Object.keys(REVERT_MESSAGES).find(key => reason.includes(key));
+    if (known) {
+        return t(REVERT_MESSAGES[known]);
+    }
+    return reason.replace(/^execution reverted:?\s*/i, '') || t('wallet.tx_failed');
+}
+
+// Send a transaction and show pending / confirmed / reverted states.
+// sendFn receives the signer and must return the ethers transaction promise.
+async function sendTransaction(label, sendFn) {
+    const signer = await ensureWallet();
+    if (!signer) return null;
+
+    // The configured addresses only exist on the site's network
+    const wrongNetwork = getWrongNetwork();
+    if (wrongNetwork) {
+        showTxStatus('reverted', `${label}: ${t('wallet.wrong_network_tx', { network: wrongNetwork.name })}`);
+        return null;
+    }
+
+    try {
+        showTxStatus('pending', `${label}: ${t('wallet.confirm_in_wallet')}`);
+        const tx = await sendFn(signer);
+
+        showTxStatus('pending', `${label}: ${t('wallet.tx_sent')}`, tx.hash);
+        const receipt = await tx.wait();
+
+        if (!receipt || receipt.status !== 1) {
+            showTxStatus('reverted', `${label}: ${t('wallet.tx_reverted')}`, tx.hash);
+            return null;
+        }
+
+        showTxStatus('confirmed', `${label}: ${t('wallet.confirmed_in_block', { block: String(receipt.blockNumber) })}`, tx.hash);
+        return receipt;
+    } catch (error) {
+        console.error(`${label} failed:`, error);
+        showTxStatus('reverted', `${label}: ${getRevertReason(error)}`, error.receipt?.hash);
+        return null;
+    }
+}
+
+// Approve `amount` of an ERC20 for a KDAO contract (e.g. 'staking') unless the allowance already covers it.
+// Returns true when the allowance is sufficient afterwards.
+async function approveToken(token, spenderName, amount, symbol) {
+    const signer = await ensureWallet();
+    if (!signer) return false;
+
+    const spender = getKDAOContract(spenderName).target;
+    const allowance = await token.allowance(walletState.account, spender);
+    if (allowance >= amount) return true;
+
+    const receipt = await sendTransaction(t('wallet.approve_amount', { amount: formatKDAO(amount, false), symbol }), signer =>
+        token.connect(signer).approve(spender, amount)
+    );
+    return Boolean(receipt);
+}
+
+async function approveKDAO(spenderName, amount) {
+    return approveToken(await getKDAOTokenContract(), spenderName, amount, 'KDAO');
+}
+
+// Transaction status toast
+function showTxStatus(state, message, hash) {
+    let toast = document.getElementById('txStatus');
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.id = 'txStatus';
+        document.body.appendChild(toast);
+    }
+
+    const icons = { pending: '⏳', confirmed: '✅', reverted: '❌' };
+    const explorer = getActiveNetwork().explorerUrl;
+    const link = hash && explorer
+        ? ` <a href="${explorer}/tx/${hash}" target="_blank" rel="noopener">${shortenAddress(hash)}</a>`
+        : '';
+
+    toast.className = `tx-status ${state}`;
+    toast.innerHTML = `${icons[state] || ''} ${escapeHtml(message)}${link}`;
+    toast.style.display = 'block';
+
+    clearTimeout(toast.hideTimer);
+    if (state !== 'pending') {
+        toast.hideTimer = setTimeout(() => {
+            toast.style.display = 'none';
+        }, 6000);
+    }
+}
+
+// Track account and chain changes made in the wallet
+if (window.ethereum) {
+    window.ethereum.on?.('accountsChanged', accounts => {
+        setWalletAccount(accounts[0]);
+    });
+
+    window.ethereum.on?.('chainChanged', chainId => {
+        setWalletAccount(walletState.account);
+    });
+
+    // Reconnect silently if the site was already authorized
+    window.ethereum.request({ method: 'eth_accounts' })
+        .then(accounts => accounts[0] && setWalletAccount(accounts[0]))
+        .catch(error => console.log('No previous wallet session:', error.message));
+}
+
+console.log('Wallet.js loaded');
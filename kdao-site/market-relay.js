@@ -0,0 +1,116 @@
+// kdao-site/market-relay.js
+//
+// Relay for the CoinEx market endpoints the dashboard reads (js/market-data.js). Browsers
+// only reach api.coinex.com from origins CoinEx allows; the relay answers with the site's
+// CORS headers and keeps each answer for a few seconds. It is a service of its own, so the
+// market data does not go down with the event indexer. While the relay is down too,
+// js/market-data.js asks api.coinex.com directly and shows the last good data when that
+// is refused as well.
+//
+//   node kdao-site/market-relay.js
+//
+// API:
+//   GET /coinex/v2/spot/ticker?market=KDAOUSDT                     -> the CoinEx answer
+//   GET /coinex/v2/spot/kline?market=KDAOUSDT&period=1hour&limit=100 -> the CoinEx answer
+//   Failed CoinEx requests answer 502 { error }.
+//
+// Environment:
+//   MARKET_PORT        API port (default 8790)
+//   MARKET_COINEX_URL  CoinEx API the relay reads (default https://api.coinex.com)
+//   MARKET_TTL_MS      how long a relayed answer is reused (default 15000)
+//   MARKET_ORIGINS     comma separated origins of the site allowed to read the API, e.g. https://kaspadao.org
+//                      (default: any http://localhost or http://127.0.0.1 origin; requests
+//                      without an Origin header, like curl, are always answered)
+const http = require("http");
+const { colors, log, parseOrigins, isAllowedOrigin, httpError, sendJson } = require("./server-utils");
+
+const config = {
+  port: Number(process.env.MARKET_PORT || 8790),
+  coinexUrl: (process.env.MARKET_COINEX_URL || "https://api.coinex.com").replace(/\/$/, ""),
+  ttl: Number(process.env.MARKET_TTL_MS || 15000),
+  origins: parseOrigins(process.env.MARKET_ORIGINS)
+};
+
+// CoinEx endpoints and query parameters js/market-data.js uses; nothing else is passed on
+const MARKET_ENDPOINTS = {
+  "/v2/spot/ticker": ["market"],
+  "/v2/spot/kline": ["market", "period", "limit"]
+};
+const MARKET_REQUEST_TIMEOUT = 8000;
+
+// relayMarket("/v2/spot/kline", URLSearchParams) -> the CoinEx answer
+function createMarketRelay({ baseUrl = config.coinexUrl, ttl = config.ttl } = {}) {
+  const cache = new Map();
+
+  return async function relayMarket(endpoint, params) {
+    if (!MARKET_ENDPOINTS[endpoint]) {
+      throw httpError(404, "Not found");
+    }
+    const query = new URLSearchParams(MARKET_ENDPOINTS[endpoint]
+      .filter(name => params.has(name))
+      .map(name => [name, params.get(name)]));
+    const url = `${baseUrl}${endpoint}?${query}`;
+
+    const now = Date.now();
+    for (const [key, entry] of cache) {
+      if (now - entry.fetchedAt >= ttl) cache.delete(key);
+    }
+    if (cache.has(url)) {
+      return cache.get(url).body;
+    }
+
+    let response;
+    try {
+      response = await fetch(url, { signal: AbortSignal.timeout(MARKET_REQUEST_TIMEOUT) });
+    } catch (error) {
+      throw httpError(502, `CoinEx unreachable: ${error.message}`);
+    }
+    if (!response.ok) {
+      throw httpError(502, `CoinEx answered HTTP ${response.status}`);
+    }
+    const body = await response.json();
+    cache.set(url, { body, fetchedAt: now });
+    return body;
+  };
+}
+
+function createMarketServer(relayMarket = createMarketRelay()) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const origin = req.headers.origin;
+
+    if (origin && !isAllowedOrigin(origin, config.origins)) {
+      sendJson(res, 403, { error: "Origin not allowed" });
+    } else if (req.method !== "GET") {
+      sendJson(res, 405, { error: "Method not allowed" }, origin);
+    } else if (url.pathname.startsWith("/coinex/")) {
+      relayMarket(url.pathname.slice("/coinex".length), url.searchParams)
+        .then(body => sendJson(res, 200, body, origin))
+        .catch(error => sendJson(res, error.status || 500, { error: error.message }, origin));
+    } else {
+      sendJson(res, 404, { error: "Not found" }, origin);
+    }
+  });
+}
+
+// ============ Main ============
+
+function main() {
+  log("\n========================================", colors.bright);
+  log("   KDAO 2.0 MARKET RELAY", colors.bright + colors.blue);
+  log("========================================\n", colors.bright);
+
+  const server = createMarketServer();
+  server.listen(config.port, () => {
+    log(`📈 Market API on http://127.0.0.1:${config.port} (/coinex/v2/spot/ticker, /coinex/v2/spot/kline)`, colors.green);
+    log(`   Reads ${config.coinexUrl}, answers kept for ${config.ttl / 1000} s`, colors.blue);
+    log(`   Origins: ${config.origins.length ? config.origins.join(", ") : "localhost"}\n`, colors.blue);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main, createMarketRelay, createMarketServer };
@@ -0,0 +1,122 @@
+// kdao-site/server-utils.js
+//
+// Pieces shared by the Node services of the site (auth-server.js, content-server.js,
+// indexer.js): console output, the origin allowlist and the JSON request and response
+// helpers with their CORS headers and body limit, and the admin panel sections the auth and
+// content services agree on. The scripts (deploy.js, verify-deployment.js,
+// build-contract-config.js, i18n-report.js) use the console output as well.
+const colors = {
+  reset: "\x1b[0m",
+  bright: "\x1b[1m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  red: "\x1b[31m"
+};
+
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+// "https://kaspadao.org, https://admin.kaspadao.org" (the *_ORIGINS variables) -> list
+function parseOrigins(value) {
+  return (value || "").split(",").map(origin => origin.trim()).filter(Boolean);
+}
+
+// The listed origins, or any http://localhost or http://127.0.0.1 origin when none are listed
+function isAllowedOrigin(origin, allowed = []) {
+  if (!origin) return false;
+  if (allowed.length) return allowed.includes(origin);
+  try {
+    const url = new URL(origin);
+    return url.protocol === "http:" && (url.hostname === "localhost" || url.hostname === "127.0.0.1");
+  } catch (error) {
+    return false;
+  }
+}
+
+// ============ Panel Sections ============
+
+// Sections of a content bundle; export and import need all of them (or "all")
+const BUNDLE_SECTIONS = ["news", "team", "roadmap", "settings"];
+
+// Panel sections per role of auth-server.js; an account gets the sections of all its roles
+const ROLE_PERMISSIONS = {
+  admin: ["all"],
+  guardian: BUNDLE_SECTIONS,
+  pauser: ["view"]
+};
+
+function getPermissions(roles) {
+  return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))];
+}
+
+// ============ HTTP ============
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// CORS headers only for allowed origins
+function sendJson(res, status, body, origin) {
+  const headers = { "Content-Type": "application/json", "Vary": "Origin" };
+  if (origin) {
+    headers["Access-Control-Allow-Origin"] = origin;
+    headers["Access-Control-Allow-Headers"] = "Content-Type, Authorization";
+  }
+  res.writeHead(status, headers);
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+// Answer to the OPTIONS preflight of an allowed origin
+function sendPreflight(res, origin, methods) {
+  res.writeHead(204, {
+    "Vary": "Origin",
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": methods
+  });
+  res.end();
+}
+
+function readJsonBody(req, limit = 16384) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", chunk => {
+      data += chunk;
+      if (data.length > limit) {
+        reject(httpError(413, "Request too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(httpError(400, "Invalid JSON"));
+      }
+    });
+  });
+}
+
+function getBearerToken(req) {
+  const match = (req.headers.authorization || "").match(/^Bearer (\w+)$/);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  colors,
+  log,
+  parseOrigins,
+  isAllowedOrigin,
+  BUNDLE_SECTIONS,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  httpError,
+  sendJson,
+  sendPreflight,
+  readJsonBody,
+  getBearerToken
+};
@@ -0,0 +1,215 @@
+// kdao-site/verify-deployment.js
+//
+// Checks a finished deployment on chain against the "verify" block of deploy-config/<network>.json:
+// who holds which role, which addresses the contracts point at and the live value of the
+// parameters (quorum, revenue shares, APYs, tier thresholds, wallet limit). Roles the deployer
+// still holds are flagged as warnings, or as failures for the roles listed in deployerRevoked.
+// The panel accounts must still be able to sign in to the admin panel with every section.
+// Prints a pass/fail table and fails when anything drifted.
+//
+//   npx hardhat verify-deployment --network kasplex_testnet
+//   npx hardhat verify-deployment --network kasplex --deployment deployments/kasplex-1700000000000.json --strict
+//
+// Config (verify block):
+//   roles       [{ contract, role, holder }]              holder must have the role
+//   wiring      [{ contract, call, args?, expected }]     getter must return the expected address
+//   parameters  [{ contract, call, args?, expected }]     getter must return the expected value
+//   deployerRevoked  [role]                              roles the deployer must not hold on any contract;
+//                                                        "*" for every role (mainnet, after the handover)
+//   panel       [account]                                wallets that must be able to sign in to the admin
+//                                                        panel with every section (settings, export, import)
+//   Expected values and args use the same notation as the deploy config ("@treasury", "kdao:1000", ...).
+//
+// Options:
+//   --deployment   deployment file (default deployments/<network>-latest.json)
+//   --strict       warnings (deployer roles) fail the check as well
+const fs = require("fs");
+const path = require("path");
+const { readConfig, resolveValue } = require("./deploy");
+const { readPanelRoles } = require("./auth-server");
+const { colors, log, BUNDLE_SECTIONS, getPermissions } = require("./server-utils");
+
+const deploymentsDir = path.join(__dirname, "../deployments");
+
+const STATUS_COLORS = { PASS: colors.green, WARN: colors.yellow, FAIL: colors.red };
+
+// ============ Checks ============
+
+// Addresses compare checksum-insensitive, numbers as BigInt, everything else as string
+function sameValue(actual, expected, ethers) {
+  if (typeof expected === "string" && ethers.isAddress(expected)) {
+    return ethers.isAddress(actual) && ethers.getAddress(actual) === ethers.getAddress(expected);
+  }
+  if (typeof actual === "bigint") {
+    return actual === BigInt(expected);
+  }
+  return String(actual) === String(expected);
+}
+
+// Contract key or address -> readable name for the report
+function labelOf(value, names) {
+  return names[String(value).toLowerCase()] || String(value);
+}
+
+async function verifyDeployment(runtime, { deployment, config }) {
+  const { ethers } = runtime;
+  const expectations = config.verify || {};
+  const addresses = { ...deployment.contracts, deployer: deployment.deployer };
+  // Accounts of the config (guardian, team); one that does not resolve fails the checks using it
+  for (const [name, value] of Object.entries(config.accounts || {})) {
+    try {
+      addresses[name] = resolveValue(value, addresses, ethers);
+    } catch (error) {
+      continue;
+    }
+  }
+  // First key wins, so the token shows as kdaoToken and not as its lpToken alias
+  const names = {};
+  for (const [key, address] of Object.entries(addresses)) {
+    names[address.toLowerCase()] = names[address.toLowerCase()] || key;
+  }
+  const rows = [];
+
+  // Only deployed contracts have an ABI to read with; lpToken and other aliases are plain addresses
+  const contracts = {};
+  for (const [key, entry] of Object.entries(config.contracts)) {
+    if (entry.contract && deployment.contracts[key]) {
+      contracts[key] = await ethers.getContractAt(entry.contract, deployment.contracts[key]);
+    }
+  }
+
+  async function check(category, label, run) {
+    try {
+      rows.push({ category, check: label, ...(await run()) });
+    } catch (error) {
+      rows.push({ category, check: label, status: "FAIL", expected: "", actual: error.shortMessage || error.message });
+    }
+  }
+
+  function contractFor(key) {
+    if (!contracts[key]) {
+      throw new Error(`${key} is not in the deployment`);
+    }
+    return contracts[key];
+  }
+
+  for (const { contract, role, holder } of expectations.roles || []) {
+    await check("role", `${contract}.${role}`, async () => {
+      const instance = contractFor(contract);
+      const account = resolveValue(holder, addresses, ethers);
+      const granted = await instance.hasRole(await instance[role](), account);
+      return { status: granted ? "PASS" : "FAIL", expected: labelOf(account, names), actual: granted ? "granted" : "missing" };
+    });
+  }
+
+  for (const category of ["wiring", "parameters"]) {
+    for (const { contract, call, args = [], expected } of expectations[category] || []) {
+      const label = `${contract}.${call}${args.length ? `(${args.join(", ")})` : ""}`;
+      await check(category === "wiring" ? "wiring" : "parameter", label, async () => {
+        const value = resolveValue(expected, addresses, ethers);
+        const actual = await contractFor(contract)[call](...resolveValue(args, addresses, ethers));
+        // Token amounts are shown in KDAO like they are written in the config
+        const format = String(expected).startsWith("kdao:")
+          ? amount => `${ethers.formatEther(amount)} KDAO`
+          : amount => labelOf(amount, names);
+        return {
+          status: sameValue(actual, value, ethers) ? "PASS" : "FAIL",
+          expected: format(value),
+          actual: format(actual)
+        };
+      });
+    }
+  }
+
+  // The panel signs in with a plain signature, so a contract holding the roles (governance
+  // after the handover) does not count; the account needs a role with every section
+  for (const holder of expectations.panel || []) {
+    await check("panel", holder, async () => {
+      const account = resolveValue(holder, addresses, ethers);
+      if ((await ethers.provider.getCode(account)) !== "0x") {
+        return { status: "FAIL", expected: "wallet with every section", actual: `${labelOf(account, names)} is a contract` };
+      }
+      const roles = await readPanelRoles(contracts, account);
+      const permissions = getPermissions(roles);
+      const complete = permissions.includes("all") || BUNDLE_SECTIONS.every(section => permissions.includes(section));
+      return {
+        status: complete ? "PASS" : "FAIL",
+        expected: "wallet with every section",
+        actual: roles.length ? `${roles.join(", ")}: ${permissions.join(", ")}` : "no panel role"
+      };
+    });
+  }
+
+  // Every *_ROLE the deployer still holds, unless the config expects the deployer to hold it;
+  // a warning, or a failure for the roles in deployerRevoked ("*": all of them)
+  const revoked = new Set(expectations.deployerRevoked || []);
+  const isRevoked = (role) => revoked.has("*") || revoked.has(role);
+  const intended = new Set((expectations.roles || [])
+    .filter(({ holder }) => holder === "@deployer")
+    .map(({ contract, role }) => `${contract}.${role}`));
+  for (const [key, instance] of Object.entries(contracts)) {
+    const roles = instance.interface.fragments
+      .filter(fragment => fragment.type === "function" && fragment.name.endsWith("_ROLE") && fragment.inputs.length === 0)
+      .map(fragment => fragment.name);
+    for (const role of roles) {
+      if (intended.has(`${key}.${role}`)) {
+        continue;
+      }
+      await check("deployer", `${key}.${role}`, async () => {
+        const held = await instance.hasRole(await instance[role](), deployment.deployer);
+        const status = held ? (isRevoked(role) ? "FAIL" : "WARN") : "PASS";
+        return { status, expected: "revoked", actual: held ? "held by deployer" : "revoked" };
+      });
+    }
+  }
+
+  return rows;
+}
+
+// ============ Report ============
+
+function printReport(rows) {
+  const widths = ["category", "check", "expected", "actual"].map(field => Math.max(field.length, ...rows.map(row => String(row[field]).length)));
+  const line = (values) => values.map((value, index) => String(value).padEnd(widths[index])).join("  ");
+
+  log(`        ${line(["CATEGORY", "CHECK", "EXPECTED", "ACTUAL"])}`, colors.bright);
+  for (const row of rows) {
+    log(`  ${row.status.padEnd(4)}  ${line([row.category, row.check, row.expected, row.actual])}`, STATUS_COLORS[row.status]);
+  }
+
+  const count = (status) => rows.filter(row => row.status === status).length;
+  log(`\n  ${count("PASS")} passed, ${count("WARN")} warnings, ${count("FAIL")} failed\n`, colors.bright);
+}
+
+// ============ Task ============
+
+// Action of the verify-deployment task
+async function runVerification(hre, { deployment: file, strict = false } = {}) {
+  const networkName = hre.network.name;
+  const deploymentFile = file || path.join(deploymentsDir, `${networkName}-latest.json`);
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(`No deployment found at ${deploymentFile} - run deploy.js for ${networkName} first`);
+  }
+  const deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  if (deployment.chainId !== chainId) {
+    throw new Error(`${deploymentFile} is for chain ${deployment.chainId}, ${networkName} is chain ${chainId}`);
+  }
+
+  log("\n========================================", colors.bright);
+  log("   KDAO 2.0 DEPLOYMENT CHECK", colors.bright + colors.blue);
+  log("========================================\n", colors.bright);
+  log(`📍 Network: ${networkName} (Chain ID: ${chainId})`, colors.yellow);
+  log(`📄 Deployment: ${deploymentFile}\n`, colors.yellow);
+
+  const rows = await verifyDeployment(hre, { deployment, config: readConfig(networkName) });
+  printReport(rows);
+
+  const failed = rows.filter(row => row.status === "FAIL" || (strict && row.status === "WARN"));
+  if (failed.length) {
+    throw new Error(`${failed.length} check(s) failed`);
+  }
+  return rows;
+}
+
+module.exports = { verifyDeployment, printReport, runVerification };
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployKDAOFixture, fund, kdao } = require("./helpers/fixtures");
+
+const Phase = { NotStarted: 0, Nomination: 1, Campaign: 2, Voting: 3, Ended: 4, Cancelled: 5 };
+const Position = { ProjectLead: 0, TechLead: 1, FrontendDev: 8 };
+
+// A Tech Lead election with alice and bob nominated; carol holds KDAO but stays out
+async function nominatedFixture() {
+  const fixture = await deployKDAOFixture();
+  const { token, election, deployer, alice, bob, carol } = fixture;
+  await fund(token, deployer, [alice, bob, carol], kdao(1_000));
+  for (const account of [alice, bob, carol]) {
+    await token.connect(account).approve(await election.getAddress(), ethers.MaxUint256);
+  }
+  await election.createElection(Position.TechLead, "Tech Lead", "Smart contracts and infrastructure");
+  await election.connect(alice).nominateCandidate(1, "Alice", "Audits first", "5 years Solidity", "alice#1", "github.com/alice");
+  await election.connect(bob).nominateCandidate(1, "Bob", "Ship faster", "3 years Rust", "bob#2", "github.com/bob");
+  return fixture;
+}
+
+async function startVoting(election) {
+  const { campaignEnd } = await election.elections(1);
+  await time.increaseTo(campaignEnd + 1n);
+}
+
+async function endVoting(election) {
+  const { votingEnd } = await election.elections(1);
+  await time.increaseTo(votingEnd + 1n);
+}
+
+describe("ElectionManager", function () {
+  it("only opens elections for vacant positions", async function () {
+    const { election } = await loadFixture(deployKDAOFixture);
+
+    await expect(election.createElection(Position.FrontendDev, "Frontend", "")).to.be.revertedWith("Position not vacant");
+    await expect(election.createElection(Position.ProjectLead, "Project Lead", "")).to.emit(election, "ElectionCreated");
+    expect(await election.getElectionPhase(1)).to.equal(Phase.Nomination);
+    expect(await election.activeElections()).to.equal(1n);
+  });
+
+  describe("phases", function () {
+    it("takes nominations with a 100 KDAO stake until the nomination period ends", async function () {
+      const { token, election, alice, carol } = await loadFixture(nominatedFixture);
+
+      expect((await election.getElection(1)).candidateCount).to.equal(2n);
+      expect(await token.balanceOf(await election.getAddress())).to.equal(kdao(200));
+      await expect(election.connect(alice).nominateCandidate(1, "Alice", "", "", "", "")).to.be.revertedWith("Already nominated");
+
+      const { nominationEnd } = await election.elections(1);
+      await time.increaseTo(nominationEnd + 1n);
+      await expect(election.connect(carol).nominateCandidate(1, "Carol", "", "", "", "")).to.be.revertedWith("Nomination period ended");
+    });
+
+    it("opens voting only after the campaign", async function () {
+      const { election, deployer, carol } = await loadFixture(nominatedFixture);
+      const { nominationEnd } = await election.elections(1);
+
+      await time.increaseTo(nominationEnd + 1n);
+      await expect(election.connect(deployer).vote(1, 0)).to.be.revertedWith("Not in voting phase");
+
+      await startVoting(election);
+      // Token balance is the vote weight
+      await expect(election.connect(carol).vote(1, 1)).to.emit(election, "VoteCast").withArgs(1, carol.address, kdao(1_000));
+      expect(await election.getElectionPhase(1)).to.equal(Phase.Voting);
+      await expect(election.connect(carol).vote(1, 0)).to.be.revertedWith("Already voted");
+      await expect(election.connect(deployer).vote(1, 2)).to.be.revertedWith("Invalid candidate");
+    });
+
+    it("lets candidates withdraw until voting starts", async function () {
+      const { token, election, alice } = await loadFixture(nominatedFixture);
+
+      await expect(election.connect(alice).withdrawCandidacy(1)).to.changeTokenBalance(token, alice, kdao(100));
+      expect((await election.getCandidates(1))[0].isActive).to.equal(false);
+
+      await startVoting(election);
+      await election.vote(1, 1);
+      await expect(election.withdrawCandidacy(1)).to.be.revertedWith("Cannot withdraw now");
+    });
+  });
+
+  describe("finalization", function () {
+    it("elects the candidate with the most votes once quorum is reached", async function () {
+      const { token, election, deployer, alice, bob } = await loadFixture(nominatedFixture);
+      await startVoting(election);
+      await election.connect(alice).vote(1, 0);
+      // The deployer's ~60M balance is above the 45M quorum
+      await election.connect(deployer).vote(1, 1);
+
+      await expect(election.finalizeElection(1)).to.be.revertedWith("Voting not ended");
+      await endVoting(election);
+      const tx = election.finalizeElection(1);
+      await expect(tx).to.emit(election, "LeadershipTermStarted");
+      await expect(tx).to.emit(election, "ElectionFinalized");
+      // Only the losing candidate gets the stake back
+      await expect(tx).to.changeTokenBalances(token, [alice, bob], [kdao(100), 0n]);
+
+      expect((await election.getElection(1)).winner).to.equal(bob.address);
+      expect(await election.getElectionPhase(1)).to.equal(Phase.Ended);
+      expect((await election.currentLeadership(Position.TechLead)).holder).to.equal(bob.address);
+      expect(await election.positionVacant(Position.TechLead)).to.equal(false);
+      expect(await election.activeElections()).to.equal(0n);
+      await expect(election.finalizeElection(1)).to.be.revertedWith("Phase update failed");
+    });
+
+    // Regression: finalizeElection required the Voting phase after _updateElectionPhase had
+    // already moved the election to Ended, so it reverted with "Not in voting phase" every time
+    it("finalizes although the phase update already moved the election to Ended", async function () {
+      const { election, alice } = await loadFixture(nominatedFixture);
+      await startVoting(election);
+      await election.connect(alice).vote(1, 0);
+      await endVoting(election);
+
+      expect(await election.getElectionPhase(1)).to.equal(Phase.Voting);
+      await expect(election.finalizeElection(1)).to.emit(election, "ElectionFinalized");
+      expect(await election.getElectionPhase(1)).to.equal(Phase.Ended);
+    });
+
+    it("returns every stake and leaves the position vacant without quorum", async function () {
+      const { token, election, alice, bob } = await loadFixture(nominatedFixture);
+      await startVoting(election);
+      await election.connect(alice).vote(1, 0);
+      await endVoting(election);
+
+      const tx = election.finalizeElection(1);
+      await expect(tx).to.emit(election, "ElectionFinalized").withArgs(1, ethers.ZeroAddress, kdao(900), false);
+      await expect(tx).to.changeTokenBalances(token, [alice, bob], [kdao(100), kdao(100)]);
+      expect(await election.positionVacant(Position.TechLead)).to.equal(true);
+    });
+
+    it("lets governance cancel a running election", async function () {
+      const { token, governance, election, alice, bob } = await loadFixture(nominatedFixture);
+
+      await expect(election.connect(alice).cancelElection(1)).to.be.reverted;
+      await election.grantRole(await election.GOVERNANCE_ROLE(), bob.address);
+      await expect(election.connect(bob).cancelElection(1)).to.changeTokenBalances(token, [alice, bob], [kdao(100), kdao(100)]);
+      expect(await election.getElectionPhase(1)).to.equal(Phase.Cancelled);
+      expect(await election.hasRole(await election.GOVERNANCE_ROLE(), await governance.getAddress())).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,304 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployKDAOFixture, fund, kdao } = require("./helpers/fixtures");
+
+const ProposalType = { Funding: 0, Treasury: 1, Governance: 2, Election: 3 };
+const VoteType = { Against: 0, For: 1, Abstain: 2 };
+const State = { Pending: 0, Active: 1, Defeated: 2, Succeeded: 3, Queued: 4, Executed: 5, Cancelled: 6, Expired: 7 };
+
+const DAY = 24 * 60 * 60;
+// VOTING_PERIOD / 12 second blocks
+const VOTING_BLOCKS = 7 * DAY / 12;
+
+// The deployer stakes the 30% quorum of the total supply, alice enough to propose
+async function stakedFixture() {
+  const fixture = await deployKDAOFixture();
+  const { token, governance, deployer, alice, bob, carol } = fixture;
+  await fund(token, deployer, [alice, bob, carol], kdao(1_000_000));
+  for (const account of [deployer, alice, bob, carol]) {
+    await token.connect(account).approve(await governance.getAddress(), ethers.MaxUint256);
+  }
+  await governance.connect(deployer).stakeTokens(kdao(45_000_000));
+  await governance.connect(alice).stakeTokens(kdao(1_000));
+  return fixture;
+}
+
+async function propose(governance, signer, type = ProposalType.Governance, target = ethers.ZeroAddress, value = 0n, callData = "0x") {
+  const tx = await governance.connect(signer).createProposal(type, "Title", "Description", target, value, callData);
+  await tx.wait();
+  return governance.proposalCount();
+}
+
+describe("KDAOGovernance", function () {
+  describe("proposals", function () {
+    it("requires 100 KDAO of voting power to propose", async function () {
+      const { governance, alice, bob } = await loadFixture(stakedFixture);
+
+      await expect(propose(governance, bob)).to.be.revertedWith("Insufficient KDAO to propose");
+      await governance.connect(bob).stakeTokens(kdao(99));
+      await expect(propose(governance, bob)).to.be.revertedWith("Insufficient KDAO to propose");
+      await governance.connect(bob).stakeTokens(kdao(1));
+      expect(await propose(governance, bob)).to.equal(1n);
+
+      // Delegated power counts as well
+      await governance.connect(alice).delegateVotes(bob.address);
+      expect(await governance.getVotingPower(bob.address)).to.equal(kdao(1_100));
+    });
+
+    it("opens voting after the start block and closes it after the voting period", async function () {
+      const { governance, deployer, alice } = await loadFixture(stakedFixture);
+      const id = await propose(governance, alice);
+
+      expect(await governance.state(id)).to.equal(State.Pending);
+      // The next transaction is mined in the start block itself
+      await expect(governance.connect(deployer).castVote(id, VoteType.For)).to.be.revertedWith("Voting not active");
+
+      await expect(governance.connect(deployer).castVote(id, VoteType.For))
+        .to.emit(governance, "VoteCast")
+        .withArgs(deployer.address, id, VoteType.For, kdao(45_000_000));
+      expect(await governance.state(id)).to.equal(State.Active);
+      await expect(governance.connect(deployer).castVote(id, VoteType.Against)).to.be.revertedWith("Already voted");
+
+      await mine(VOTING_BLOCKS);
+      expect(await governance.state(id)).to.equal(State.Succeeded);
+      await expect(governance.connect(alice).castVote(id, VoteType.For)).to.be.revertedWith("Voting not active");
+    });
+
+    it("defeats proposals below quorum or without a majority", async function () {
+      const { governance, deployer, alice } = await loadFixture(stakedFixture);
+      const quiet = await propose(governance, alice);
+      const rejected = await propose(governance, alice);
+
+      await governance.connect(alice).castVote(quiet, VoteType.For);
+      await governance.connect(alice).castVote(rejected, VoteType.For);
+      await governance.connect(deployer).castVote(rejected, VoteType.Against);
+      await mine(VOTING_BLOCKS);
+
+      expect(await governance.state(quiet)).to.equal(State.Defeated);
+      expect(await governance.state(rejected)).to.equal(State.Defeated);
+    });
+
+    it("measures the quorum against the current total supply and ignores abstentions", async function () {
+      const { token, governance, deployer, alice } = await loadFixture(stakedFixture);
+      await governance.connect(deployer).unstakeTokens(kdao(1_000_000));
+      const id = await propose(governance, alice);
+
+      await mine(1);
+      await governance.connect(deployer).castVote(id, VoteType.For);
+      await mine(VOTING_BLOCKS);
+      // 44M of 45M (30% of 150M)
+      expect(await governance.state(id)).to.equal(State.Defeated);
+
+      // Burning 10M lowers the quorum to 42M
+      await token.connect(deployer).burn(kdao(10_000_000));
+      expect(await governance.state(id)).to.equal(State.Succeeded);
+
+      const abstained = await propose(governance, alice);
+      await mine(1);
+      await governance.connect(deployer).castVote(abstained, VoteType.Abstain);
+      await governance.connect(alice).castVote(abstained, VoteType.For);
+      await mine(VOTING_BLOCKS);
+      expect(await governance.state(abstained)).to.equal(State.Defeated);
+    });
+  });
+
+  describe("delegation", function () {
+    it("moves the whole stake to the delegatee without counting it twice", async function () {
+      const { governance, alice, bob } = await loadFixture(stakedFixture);
+
+      await expect(governance.connect(alice).delegateVotes(bob.address)).to.emit(governance, "VotesDelegated").withArgs(alice.address, bob.address);
+      expect(await governance.getVotingPower(alice.address)).to.equal(0n);
+      expect(await governance.getVotingPower(bob.address)).to.equal(kdao(1_000));
+      expect(await governance.delegatedVotes(bob.address)).to.equal(kdao(1_000));
+      await expect(propose(governance, alice)).to.be.revertedWith("Insufficient KDAO to propose");
+    });
+
+    it("keeps stakes made after delegating with the delegatee and returns exactly them on undelegate", async function () {
+      const { governance, alice, bob } = await loadFixture(stakedFixture);
+      await governance.connect(alice).delegateVotes(bob.address);
+
+      await governance.connect(alice).stakeTokens(kdao(500));
+      expect(await governance.getVotingPower(bob.address)).to.equal(kdao(1_500));
+      await governance.connect(alice).unstakeTokens(kdao(200));
+      expect(await governance.getVotingPower(bob.address)).to.equal(kdao(1_300));
+
+      await governance.connect(alice).undelegateVotes();
+      expect(await governance.getVotingPower(alice.address)).to.equal(kdao(1_300));
+      expect(await governance.getVotingPower(bob.address)).to.equal(0n);
+      expect(await governance.delegatedVotes(bob.address)).to.equal(0n);
+      await expect(governance.connect(alice).undelegateVotes()).to.be.revertedWith("Not delegated");
+    });
+
+    it("keeps the power of one delegator when another one undelegates or switches", async function () {
+      const { governance, alice, bob, carol } = await loadFixture(stakedFixture);
+      await governance.connect(bob).stakeTokens(kdao(2_000));
+      await governance.connect(alice).delegateVotes(carol.address);
+      await governance.connect(bob).delegateVotes(carol.address);
+      await governance.connect(alice).stakeTokens(kdao(1_000));
+      expect(await governance.getVotingPower(carol.address)).to.equal(kdao(4_000));
+
+      await governance.connect(alice).undelegateVotes();
+      expect(await governance.getVotingPower(carol.address)).to.equal(kdao(2_000));
+      expect(await governance.getVotingPower(alice.address)).to.equal(kdao(2_000));
+
+      // Switching moves bob's stake once, carol's own stake stays with her
+      await governance.connect(carol).stakeTokens(kdao(100));
+      await governance.connect(bob).delegateVotes(alice.address);
+      expect(await governance.getVotingPower(carol.address)).to.equal(kdao(100));
+      expect(await governance.getVotingPower(alice.address)).to.equal(kdao(4_000));
+      expect(await governance.delegatedVotes(alice.address)).to.equal(kdao(2_000));
+    });
+
+    it("keeps a stake that already voted from voting again through a delegatee", async function () {
+      const { governance, alice, bob, carol } = await loadFixture(stakedFixture);
+      await governance.connect(bob).stakeTokens(kdao(100));
+      const id = await propose(governance, alice);
+      await mine(1);
+
+      await governance.connect(alice).castVote(id, VoteType.For);
+      await expect(governance.connect(alice).delegateVotes(bob.address)).to.be.revertedWith("Votes locked until voting ends");
+      await governance.connect(bob).castVote(id, VoteType.For);
+      expect((await governance.proposals(id)).forVotes).to.equal(kdao(1_100));
+
+      // A delegated stake stays with the delegatee that voted with it
+      await governance.connect(carol).stakeTokens(kdao(100));
+      await governance.connect(carol).delegateVotes(bob.address);
+      const second = await propose(governance, alice);
+      await mine(1);
+      await governance.connect(bob).castVote(second, VoteType.Against);
+      await expect(governance.connect(carol).undelegateVotes()).to.be.revertedWith("Votes locked until voting ends");
+      await expect(governance.connect(carol).delegateVotes(alice.address)).to.be.revertedWith("Votes locked until voting ends");
+
+      await mine(VOTING_BLOCKS);
+      await governance.connect(alice).delegateVotes(bob.address);
+      await governance.connect(carol).undelegateVotes();
+      expect(await governance.getVotingPower(bob.address)).to.equal(kdao(1_100));
+    });
+  });
+
+  describe("queue", function () {
+    it("queues succeeded proposals with an ETA after the execution delay", async function () {
+      const { governance, deployer, alice } = await loadFixture(stakedFixture);
+      const id = await propose(governance, alice);
+      await mine(1);
+      await governance.connect(deployer).castVote(id, VoteType.For);
+
+      await expect(governance.queueProposal(id)).to.be.revertedWith("Proposal not successful");
+      await mine(VOTING_BLOCKS);
+      await expect(governance.executeProposal(id)).to.be.revertedWith("Proposal not queued");
+
+      const tx = await governance.connect(alice).queueProposal(id);
+      const eta = (await ethers.provider.getBlock(tx.blockNumber)).timestamp + 2 * DAY;
+      await expect(tx).to.emit(governance, "ProposalQueued").withArgs(id, eta);
+      expect((await governance.proposals(id)).eta).to.equal(eta);
+      expect(await governance.state(id)).to.equal(State.Queued);
+      await expect(governance.queueProposal(id)).to.be.revertedWith("Proposal not successful");
+
+      await expect(governance.executeProposal(id)).to.be.revertedWith("Execution delay not passed");
+      await time.increaseTo(eta);
+      await expect(governance.executeProposal(id)).to.emit(governance, "ProposalExecuted").withArgs(id);
+    });
+
+    it("expires queued proposals not executed within the execution window", async function () {
+      const { governance, deployer, alice } = await loadFixture(stakedFixture);
+      const id = await propose(governance, alice);
+      await mine(1);
+      await governance.connect(deployer).castVote(id, VoteType.For);
+      await mine(VOTING_BLOCKS);
+      await governance.queueProposal(id);
+      const { eta } = await governance.proposals(id);
+
+      await time.increaseTo(eta + BigInt(14 * DAY));
+      expect(await governance.state(id)).to.equal(State.Queued);
+      await time.increase(1);
+      expect(await governance.state(id)).to.equal(State.Expired);
+      await expect(governance.executeProposal(id)).to.be.revertedWith("Proposal not queued");
+    });
+
+    it("lets the guardian cancel during the delay but not after execution", async function () {
+      const { governance, deployer, alice } = await loadFixture(stakedFixture);
+      const cancelled = await propose(governance, alice);
+      const executed = await propose(governance, alice);
+      await mine(1);
+      await governance.connect(deployer).castVote(cancelled, VoteType.For);
+      await governance.connect(deployer).castVote(executed, VoteType.For);
+      await mine(VOTING_BLOCKS);
+      await governance.queueProposal(cancelled);
+      await governance.queueProposal(executed);
+
+      await expect(governance.connect(alice).cancelProposal(cancelled)).to.be.reverted;
+      await expect(governance.connect(deployer).cancelProposal(cancelled)).to.emit(governance, "ProposalCancelled").withArgs(cancelled);
+      expect(await governance.state(cancelled)).to.equal(State.Cancelled);
+
+      await time.increase(2 * DAY);
+      await expect(governance.executeProposal(cancelled)).to.be.revertedWith("Proposal not queued");
+      await governance.executeProposal(executed);
+      await expect(governance.connect(deployer).cancelProposal(executed)).to.be.revertedWith("Proposal already executed");
+    });
+  });
+
+  describe("execution", function () {
+    // Vote, queue and wait out the execution delay
+    async function pass(governance, deployer, ...ids) {
+      await mine(1);
+      for (const id of ids) {
+        await governance.connect(deployer).castVote(id, VoteType.For);
+      }
+      await mine(VOTING_BLOCKS);
+      for (const id of ids) {
+        await governance.queueProposal(id);
+      }
+      await time.increase(2 * DAY);
+    }
+
+    it("pays funding proposals from the native treasury balance", async function () {
+      const { governance, deployer, alice, carol } = await loadFixture(stakedFixture);
+      await deployer.sendTransaction({ to: await governance.getAddress(), value: ethers.parseEther("5") });
+      const id = await propose(governance, alice, ProposalType.Funding, carol.address, ethers.parseEther("2"));
+      await pass(governance, deployer, id);
+
+      const tx = governance.executeProposal(id);
+      await expect(tx).to.emit(governance, "FundingAllocated").withArgs(carol.address, ethers.parseEther("2"));
+      await expect(tx).to.changeEtherBalance(carol, ethers.parseEther("2"));
+      expect(await governance.treasuryBalance()).to.equal(ethers.parseEther("3"));
+      expect(await governance.projectFunding(carol.address)).to.equal(ethers.parseEther("2"));
+      expect(await governance.state(id)).to.equal(State.Executed);
+      await expect(governance.executeProposal(id)).to.be.revertedWith("Proposal not queued");
+    });
+
+    it("fails funding proposals the treasury can't cover", async function () {
+      const { governance, deployer, alice, carol } = await loadFixture(stakedFixture);
+      const id = await propose(governance, alice, ProposalType.Funding, carol.address, ethers.parseEther("1"));
+      await pass(governance, deployer, id);
+
+      await expect(governance.executeProposal(id)).to.be.revertedWith("Insufficient treasury funds");
+    });
+
+    it("calls the target of other proposal types with the stored call data", async function () {
+      const { governance, treasury, deployer, alice } = await loadFixture(stakedFixture);
+      const callData = treasury.interface.encodeFunctionData("setQuarterlyAllocation", [2026, 1, 10n, 20n, 30n, 40n, 50n]);
+      const id = await propose(governance, alice, ProposalType.Treasury, await treasury.getAddress(), 0n, callData);
+      await pass(governance, deployer, id);
+
+      await expect(governance.executeProposal(id))
+        .to.emit(treasury, "QuarterlyAllocationSet")
+        .withArgs(2026, 1, 150n)
+        .and.to.emit(governance, "ProposalExecuted")
+        .withArgs(id);
+      expect((await treasury.quarterlyAllocations(2026, 1)).education).to.equal(30n);
+    });
+
+    it("reverts when the call fails and runs nothing for proposals without a target", async function () {
+      const { governance, treasury, deployer, alice } = await loadFixture(stakedFixture);
+      // updateContracts is admin-only, governance only holds GOVERNANCE_ROLE
+      const callData = treasury.interface.encodeFunctionData("updateContracts", [alice.address, alice.address]);
+      const failing = await propose(governance, alice, ProposalType.Governance, await treasury.getAddress(), 0n, callData);
+      const signal = await propose(governance, alice, ProposalType.Election);
+      await pass(governance, deployer, failing, signal);
+
+      await expect(governance.executeProposal(failing)).to.be.revertedWith("Execution failed");
+      await expect(governance.executeProposal(signal)).to.emit(governance, "ProposalExecuted").withArgs(signal);
+    });
+  });
+});
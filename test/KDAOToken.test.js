@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployKDAOFixture, kdao } = require("./helpers/fixtures");
+
+const DAY = 24 * 60 * 60;
+
+describe("KDAOToken", function () {
+  it("distributes the allocations and keeps the team share in the contract", async function () {
+    const { token, staking, treasury, deployer } = await loadFixture(deployKDAOFixture);
+
+    expect(await token.totalSupply()).to.equal(kdao(150_000_000));
+    expect(await token.balanceOf(await treasury.getAddress())).to.equal(kdao(45_000_000));
+    expect(await token.balanceOf(await staking.getAddress())).to.equal(kdao(30_000_000));
+    expect(await token.balanceOf(deployer.address)).to.equal(kdao(60_000_000));
+    expect(await token.balanceOf(await token.getAddress())).to.equal(kdao(15_000_000));
+    expect(await token.getCirculatingSupply()).to.equal(kdao(135_000_000));
+  });
+
+  describe("team vesting", function () {
+    it("releases nothing before the 6 month cliff", async function () {
+      const { token, team, alice } = await loadFixture(deployKDAOFixture);
+      const { startTime } = await token.vestingSchedules(team.address);
+
+      await time.increaseTo(startTime + BigInt(180 * DAY) - 2n);
+      expect(await token.getVestedAmount(team.address)).to.equal(0n);
+      await expect(token.connect(team).releaseVestedTokens()).to.be.revertedWith("No tokens to release");
+      await expect(token.connect(alice).releaseVestedTokens()).to.be.revertedWith("No vesting schedule");
+    });
+
+    it("vests linearly from the start after the cliff", async function () {
+      const { token, team } = await loadFixture(deployKDAOFixture);
+      const { startTime } = await token.vestingSchedules(team.address);
+
+      await time.increaseTo(startTime + BigInt(365 * DAY));
+      const tx = await token.connect(team).releaseVestedTokens();
+      const releasedAt = BigInt((await ethers.provider.getBlock((await tx.wait()).blockNumber)).timestamp);
+      const expected = (kdao(15_000_000) * (releasedAt - startTime)) / BigInt(730 * DAY);
+
+      await expect(tx).to.emit(token, "TokensReleased").withArgs(team.address, expected);
+      expect(await token.balanceOf(team.address)).to.equal(expected);
+      expect(await token.getReleasableAmount(team.address)).to.equal(0n);
+    });
+
+    it("releases the rest after 2 years and nothing more", async function () {
+      const { token, team } = await loadFixture(deployKDAOFixture);
+      const { startTime } = await token.vestingSchedules(team.address);
+
+      await time.increaseTo(startTime + BigInt(400 * DAY));
+      await token.connect(team).releaseVestedTokens();
+      await time.increaseTo(startTime + BigInt(730 * DAY));
+      await token.connect(team).releaseVestedTokens();
+
+      expect(await token.balanceOf(team.address)).to.equal(kdao(15_000_000));
+      expect(await token.balanceOf(await token.getAddress())).to.equal(0n);
+      await expect(token.connect(team).releaseVestedTokens()).to.be.revertedWith("No tokens to release");
+    });
+  });
+
+  describe("anti-whale limits", function () {
+    it("caps wallets at 2% of the supply unless exempt", async function () {
+      const { token, deployer, alice } = await loadFixture(deployKDAOFixture);
+
+      expect(await token.maxWalletAmount()).to.equal(kdao(3_000_000));
+      await token.transfer(alice.address, kdao(3_000_000));
+      await expect(token.transfer(alice.address, 1n)).to.be.revertedWith("Exceeds max wallet amount");
+
+      await token.connect(deployer).setExemptFromLimit(alice.address, true);
+      await token.transfer(alice.address, kdao(1_000_000));
+      expect(await token.balanceOf(alice.address)).to.equal(kdao(4_000_000));
+    });
+
+    it("lets the admin move the wallet limit within bounds", async function () {
+      const { token, alice } = await loadFixture(deployKDAOFixture);
+
+      await expect(token.setMaxWalletAmount(kdao(149_999))).to.be.revertedWith("Too restrictive");
+      await expect(token.connect(alice).setMaxWalletAmount(kdao(150_000))).to.be.reverted;
+      await expect(token.setMaxWalletAmount(kdao(150_000)))
+        .to.emit(token, "MaxWalletAmountUpdated")
+        .withArgs(kdao(3_000_000), kdao(150_000));
+      await expect(token.transfer(alice.address, kdao(150_001))).to.be.revertedWith("Exceeds max wallet amount");
+    });
+
+    it("limits single transfers of non-exempt holders while the restriction is on", async function () {
+      const { token, alice, bob } = await loadFixture(deployKDAOFixture);
+      await token.transfer(alice.address, kdao(3_000_000));
+      await token.setTransferRestriction(true);
+
+      // 1% of the supply, exempt senders like the deployer are not limited
+      await expect(token.connect(alice).transfer(bob.address, kdao(1_500_001))).to.be.revertedWith("Exceeds max transfer amount");
+      await token.connect(alice).transfer(bob.address, kdao(1_500_000));
+      await token.transfer(bob.address, kdao(1_500_000));
+      expect(await token.balanceOf(bob.address)).to.equal(kdao(3_000_000));
+    });
+  });
+
+  it("blocks transfers while paused", async function () {
+    const { token, alice } = await loadFixture(deployKDAOFixture);
+
+    await token.pause();
+    await expect(token.transfer(alice.address, kdao(1))).to.be.revertedWith("Pausable: paused");
+    await token.unpause();
+    await token.transfer(alice.address, kdao(1));
+  });
+});
@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployKDAOFixture, fund, kdao } = require("./helpers/fixtures");
+
+const DAY = 24 * 60 * 60;
+const YEAR = 365n * BigInt(DAY);
+
+// 2,592,000 KDAO over the 30 day reward period pays exactly 1 KDAO per second
+async function rewardedFixture() {
+  const fixture = await deployKDAOFixture();
+  const { token, staking, deployer, alice, bob } = fixture;
+  await fund(token, deployer, [alice, bob], kdao(1_000_000));
+  for (const account of [deployer, alice, bob]) {
+    await token.connect(account).approve(await staking.getAddress(), ethers.MaxUint256);
+  }
+  await staking.connect(deployer).addRewards(kdao(2_592_000));
+  return fixture;
+}
+
+async function timestampOf(tx) {
+  const receipt = await tx.wait();
+  return BigInt((await ethers.provider.getBlock(receipt.blockNumber)).timestamp);
+}
+
+describe("StakingRewards", function () {
+  describe("reward math", function () {
+    it("spreads added rewards over 30 days", async function () {
+      const { staking, alice } = await loadFixture(rewardedFixture);
+
+      expect(await staking.rewardRate()).to.equal(kdao(1));
+      expect(await staking.rewardPool()).to.equal(kdao(2_592_000));
+      await expect(staking.connect(alice).addRewards(kdao(1))).to.be.reverted;
+    });
+
+    it("accrues rewardPerToken by rate over the staked total", async function () {
+      const { staking, alice, bob } = await loadFixture(rewardedFixture);
+      const aliceStaked = await timestampOf(await staking.connect(alice).stakeKDAO(kdao(1_000), false));
+      await time.increase(100);
+      const bobStaked = await timestampOf(await staking.connect(bob).stakeKDAO(kdao(3_000), false));
+      await time.increase(400);
+      const now = BigInt(await time.latest());
+
+      // 1 KDAO/s on 1,000 KDAO, then on 4,000 KDAO
+      const expected = ((bobStaked - aliceStaked) * kdao(1) * kdao(1)) / kdao(1_000)
+        + ((now - bobStaked) * kdao(1) * kdao(1)) / kdao(4_000);
+      expect(await staking.rewardPerToken()).to.equal(expected);
+    });
+
+    it("adds the APY share for the staked time to the pool share", async function () {
+      const { staking, alice } = await loadFixture(rewardedFixture);
+      const staked = await timestampOf(await staking.connect(alice).stakeKDAO(kdao(1_000), false));
+      await time.increase(30 * DAY);
+      const elapsed = BigInt(await time.latest()) - staked;
+
+      const poolShare = (kdao(1_000) * (await staking.rewardPerToken())) / kdao(1);
+      const apyShare = (kdao(1_000) * 1500n * elapsed) / YEAR / 10000n;
+      expect(await staking.earned(alice.address)).to.equal(poolShare + apyShare);
+      // Alone in the pool she gets the full rate
+      expect(poolShare).to.equal(elapsed * kdao(1));
+    });
+
+    it("raises the APY with the tier, the long-term bonus and auto-compounding", async function () {
+      const { staking, alice, bob } = await loadFixture(rewardedFixture);
+      const tierOf = async (account) => [await staking.getUserTier(account.address), await staking.calculateAPY(account.address)];
+
+      await staking.connect(alice).stakeKDAO(kdao(1_000), false);
+      expect(await tierOf(alice)).to.deep.equal([0n, 1500n]);
+      await staking.connect(alice).stakeKDAO(kdao(9_000), false);
+      expect(await tierOf(alice)).to.deep.equal([1n, 1600n]);
+      await staking.connect(alice).stakeKDAO(kdao(40_000), false);
+      expect(await tierOf(alice)).to.deep.equal([2n, 1800n]);
+      await staking.connect(alice).stakeKDAO(kdao(50_000), false);
+      expect(await tierOf(alice)).to.deep.equal([3n, 2000n]);
+
+      await staking.connect(bob).stakeKDAO(kdao(1_000), true);
+      expect(await tierOf(bob)).to.deep.equal([0n, 1700n]);
+
+      await time.increase(180 * DAY);
+      expect(await staking.calculateAPY(alice.address)).to.equal(2500n);
+      expect(await staking.calculateAPY(bob.address)).to.equal(2200n);
+    });
+
+    it("pays out the earned rewards on claim", async function () {
+      const { token, staking, alice } = await loadFixture(rewardedFixture);
+      const staked = await timestampOf(await staking.connect(alice).stakeKDAO(kdao(1_000), false));
+      await time.increase(DAY);
+
+      const tx = await staking.connect(alice).claimRewards();
+      const elapsed = (await timestampOf(tx)) - staked;
+      const reward = elapsed * kdao(1) + (kdao(1_000) * 1500n * elapsed) / YEAR / 10000n;
+
+      await expect(tx).to.emit(staking, "RewardsClaimed").withArgs(alice.address, reward);
+      await expect(tx).to.changeTokenBalance(token, alice, reward);
+      expect(await staking.totalDistributed()).to.equal(reward);
+      expect(await staking.rewards(alice.address)).to.equal(0n);
+    });
+  });
+
+  describe("locking", function () {
+    it("unstakes only after the minimum stake period and the 7 day unlock", async function () {
+      const { token, staking, alice } = await loadFixture(rewardedFixture);
+      await staking.connect(alice).stakeKDAO(kdao(1_000), false);
+
+      await expect(staking.connect(alice).requestUnlock()).to.be.revertedWith("Minimum stake period not met");
+      await expect(staking.connect(alice).unstake(kdao(1_000))).to.be.revertedWith("Not unlocked");
+      await time.increase(DAY);
+      await staking.connect(alice).requestUnlock();
+      await expect(staking.connect(alice).unstake(kdao(1_000))).to.be.revertedWith("Still in unlock period");
+
+      await time.increase(7 * DAY);
+      await expect(staking.connect(alice).unstake(kdao(1_000))).to.changeTokenBalance(token, alice, kdao(1_000));
+      expect(await staking.totalStakedKDAO()).to.equal(0n);
+    });
+
+    it("charges the 10% emergency fee into the reward pool", async function () {
+      const { token, staking, alice } = await loadFixture(rewardedFixture);
+      await staking.connect(alice).stakeKDAO(kdao(10_000), false);
+
+      const tx = staking.connect(alice).emergencyWithdraw();
+      await expect(tx).to.emit(staking, "EmergencyWithdraw").withArgs(alice.address, kdao(9_000), kdao(1_000));
+      await expect(tx).to.changeTokenBalance(token, alice, kdao(9_000));
+
+      expect(await staking.rewardPool()).to.equal(kdao(2_593_000));
+      expect(await staking.totalStakedKDAO()).to.equal(0n);
+      expect((await staking.stakes(alice.address)).amount).to.equal(0n);
+      expect(await staking.rewards(alice.address)).to.equal(0n);
+      await expect(staking.connect(alice).emergencyWithdraw()).to.be.revertedWith("No active stake");
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployKDAOFixture, fund, kdao } = require("./helpers/fixtures");
+
+const DAY = 24 * 60 * 60;
+const Category = { Utility: 0, Token: 1, Education: 2, Marketing: 3, Infrastructure: 4 };
+const Status = { Proposed: 0, Approved: 1, Active: 2, Completed: 3, Failed: 4, Cancelled: 5 };
+
+// A funded 100,000 KDAO project for alice with two milestones; the guardian signer votes
+// as governance and bob audits
+async function fundedProjectFixture() {
+  const fixture = await deployKDAOFixture();
+  const { token, treasury, deployer, alice, bob, guardian } = fixture;
+  await treasury.grantRole(await treasury.GOVERNANCE_ROLE(), guardian.address);
+  await treasury.grantRole(await treasury.AUDITOR_ROLE(), bob.address);
+  await token.approve(await treasury.getAddress(), ethers.MaxUint256);
+  await treasury.depositToTreasury(kdao(1_000_000));
+
+  const deadline = (await time.latest()) + 30 * DAY;
+  await treasury.connect(alice).proposeProject("Explorer", "Block explorer", alice.address, Category.Utility, kdao(100_000), 1000, deadline + 365 * DAY);
+  await treasury.connect(guardian).approveProject(1);
+  await treasury.connect(deployer).addMilestone(1, "Indexer", kdao(40_000), deadline);
+  await treasury.connect(deployer).addMilestone(1, "Frontend", kdao(60_000), deadline);
+  await treasury.connect(deployer).fundProject(1);
+
+  await fund(token, deployer, [alice], kdao(150_000));
+  await token.connect(alice).approve(await treasury.getAddress(), ethers.MaxUint256);
+  return fixture;
+}
+
+describe("TreasuryManager", function () {
+  describe("project funding", function () {
+    it("only funds approved projects with milestones within the requested amount", async function () {
+      const { treasury, alice, guardian } = await loadFixture(deployKDAOFixture);
+      await treasury.connect(alice).proposeProject("Docs", "Tutorials", alice.address, Category.Education, kdao(5_000), 0, 0);
+
+      await expect(treasury.connect(guardian).approveProject(1)).to.be.revertedWith("Only governance can call");
+      await expect(treasury.fundProject(1)).to.be.revertedWith("Project not approved");
+
+      await treasury.grantRole(await treasury.GOVERNANCE_ROLE(), guardian.address);
+      await treasury.connect(guardian).approveProject(1);
+      await expect(treasury.fundProject(1)).to.be.revertedWith("No milestones defined");
+      await expect(treasury.addMilestone(1, "All", kdao(5_001), 0)).to.be.revertedWith("Exceeds requested amount");
+      await treasury.addMilestone(1, "All", kdao(5_000), 0);
+      await expect(treasury.fundProject(1)).to.be.revertedWith("Insufficient treasury funds");
+    });
+
+    it("activates funded projects and sets 3% aside for insurance", async function () {
+      const { treasury } = await loadFixture(fundedProjectFixture);
+
+      expect((await treasury.getProject(1)).status).to.equal(Status.Active);
+      expect(await treasury.getActiveProjects()).to.deep.equal([1n]);
+      expect(await treasury.getCategoryAllocation(Category.Utility)).to.equal(kdao(100_000));
+      const stats = await treasury.getTreasuryStats();
+      expect(stats.insurance).to.equal(kdao(3_000));
+      expect(stats.funded).to.equal(1n);
+    });
+  });
+
+  describe("milestone release", function () {
+    it("releases a milestone once the recipient completed it and an auditor signed off", async function () {
+      const { token, treasury, alice, bob } = await loadFixture(fundedProjectFixture);
+
+      await expect(treasury.connect(bob).releaseMilestoneFunds(1, 0)).to.be.revertedWith("Milestone not completed");
+      await expect(treasury.connect(bob).completeMilestone(1, 0)).to.be.revertedWith("Only recipient can complete");
+      await expect(treasury.connect(alice).completeMilestone(1, 0)).to.emit(treasury, "MilestoneCompleted").withArgs(1, 0);
+      await expect(treasury.connect(alice).releaseMilestoneFunds(1, 0)).to.be.reverted;
+
+      const release = treasury.connect(bob).releaseMilestoneFunds(1, 0);
+      await expect(release).to.emit(treasury, "FundsReleased").withArgs(1, 0, kdao(40_000));
+      await expect(release).to.changeTokenBalance(token, alice, kdao(40_000));
+      expect((await treasury.getTreasuryStats()).balance).to.equal(kdao(960_000));
+      await expect(treasury.connect(bob).releaseMilestoneFunds(1, 0)).to.be.revertedWith("Funds already released");
+
+      const [indexer, frontend] = await treasury.getProjectMilestones(1);
+      expect(indexer.fundsReleased).to.equal(true);
+      expect(frontend.completed).to.equal(false);
+    });
+
+    it("rejects milestones completed after their deadline", async function () {
+      const { treasury, alice } = await loadFixture(fundedProjectFixture);
+
+      await time.increase(31 * DAY);
+      await expect(treasury.connect(alice).completeMilestone(1, 1)).to.be.revertedWith("Milestone expired");
+      await expect(treasury.connect(alice).completeMilestone(1, 2)).to.be.revertedWith("Invalid milestone");
+    });
+  });
+
+  describe("returns", function () {
+    it("completes the project once the funding is back and splits the profit 70/10/20", async function () {
+      const { token, treasury, staking, alice } = await loadFixture(fundedProjectFixture);
+
+      await treasury.connect(alice).returnFunds(1, kdao(50_000));
+      expect((await treasury.getProject(1)).status).to.equal(Status.Active);
+      expect((await treasury.getTreasuryStats()).distributed).to.equal(0n);
+
+      // 110,000 returned for 100,000 funded: 10,000 profit, 10% ROI
+      const tx = treasury.connect(alice).returnFunds(1, kdao(60_000));
+      await expect(tx).to.emit(treasury, "RewardsDistributed").withArgs(kdao(10_000), kdao(7_000), kdao(1_000), kdao(2_000));
+      await expect(tx).to.emit(treasury, "FundsReturned").withArgs(1, kdao(60_000), 1000);
+      // Stakers' and restaking shares both go to the staking contract
+      await expect(tx).to.changeTokenBalance(token, staking, kdao(9_000));
+
+      const project = await treasury.getProject(1);
+      expect(project.status).to.equal(Status.Completed);
+      expect(project.actualROI).to.equal(1000n);
+      expect(await treasury.getActiveProjects()).to.deep.equal([]);
+
+      const stats = await treasury.getTreasuryStats();
+      expect(stats.balance).to.equal(kdao(1_001_000));
+      expect(stats.returned).to.equal(kdao(110_000));
+      expect(stats.distributed).to.equal(kdao(10_000));
+    });
+
+    it("covers failed projects from the insurance pool", async function () {
+      const { treasury, alice, guardian } = await loadFixture(fundedProjectFixture);
+      await treasury.connect(alice).returnFunds(1, kdao(20_000));
+
+      await expect(treasury.connect(guardian).markProjectFailed(1)).to.emit(treasury, "InsuranceClaimPaid").withArgs(1, kdao(3_000));
+      expect((await treasury.getProject(1)).status).to.equal(Status.Failed);
+      const stats = await treasury.getTreasuryStats();
+      expect(stats.insurance).to.equal(0n);
+      expect(stats.balance).to.equal(kdao(1_003_000));
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const { expect } = require("chai");
+const { loadScripts, evaluate } = require("./helpers/browser");
+const en = require("../kdao-site/locales/en.json");
+const de = require("../kdao-site/locales/de.json");
+
+function candle(close) {
+  return { time: 0, open: close, high: close, low: close, close, volume: 1000 };
+}
+
+function marketResult(data, stale = false) {
+  return { data, provider: "Test", fetchedAt: Date.now(), stale };
+}
+
+describe("alerts.js", function () {
+  let context;
+  let requests;
+  let ticker;
+  let proposals;
+
+  beforeEach(function () {
+    requests = [];
+    ticker = { price: 0.0000011, change: 1 };
+    proposals = [];
+
+    context = loadScripts(["js/i18n.js", "js/utils.js", "js/indicators.js", "js/alerts.js"], {
+      MARKET_INTERVALS: { "1h": {}, "4h": {}, "1d": {} },
+      loadTicker: async () => {
+        requests.push("ticker");
+        return marketResult(ticker);
+      },
+      loadCandles: async (interval) => {
+        requests.push(`candles:${interval}`);
+        return marketResult(Array.from({ length: 20 }, (_, index) => candle(100 + index)));
+      },
+      loadProposals: async () => {
+        requests.push("proposals");
+        return proposals;
+      },
+      document: { dispatchEvent() {} },
+      CustomEvent: class {
+        constructor(type, init) {
+          this.type = type;
+          this.detail = init.detail;
+        }
+      }
+    });
+    context.bundles = { en, de };
+    evaluate(context, "i18nState.bundles = bundles");
+  });
+
+  describe("rules", function () {
+    it("persists rules in localStorage", function () {
+      const rule = context.addAlertRule({ type: "price", direction: "above", level: "0.0000012" });
+
+      expect(rule.level).to.equal(0.0000012);
+      expect(JSON.parse(context.localStorage.getItem("kdao-alert-rules"))).to.have.length(1);
+
+      context.removeAlertRule(rule.id);
+      expect(context.getAlertRules()).to.deep.equal([]);
+    });
+
+    it("rejects invalid input", function () {
+      expect(() => context.addAlertRule({ type: "volume", level: 1 })).to.throw("Unknown alert type volume");
+      expect(() => context.addAlertRule({ type: "price", direction: "above", level: "abc" })).to.throw("Invalid alert level");
+      expect(() => context.addAlertRule({ type: "change", level: 0 })).to.throw("Invalid alert level");
+      expect(() => context.addAlertRule({ type: "rsi", direction: "above", level: 120 })).to.throw("Invalid alert level");
+      expect(() => context.addAlertRule({ type: "price", direction: "sideways", level: 1 })).to.throw("Invalid alert direction");
+      expect(() => context.addAlertRule({ type: "rsi", direction: "below", level: 30, interval: "15m" })).to.throw("Unknown interval 15m");
+    });
+  });
+
+  describe("evaluateAlertRule", function () {
+    it("fires a price rule only when the level is crossed", function () {
+      const rule = { type: "price", direction: "above", level: 1.2, state: {} };
+
+      // Already above on the first check: no crossing seen
+      let result = context.evaluateAlertRule(rule, { price: 1.3 });
+      expect(result.alerts).to.have.length(0);
+
+      result = context.evaluateAlertRule({ ...rule, state: { price: 1.1 } }, { price: 1.25 });
+      expect(result.alerts).to.have.length(1);
+      expect(result.alerts[0]).to.deep.include({ key: "alerts.price_rose", params: { level: "$1.20000000", price: "$1.25000000" } });
+      expect(context.formatAlertText(result.alerts[0])).to.equal("KDAO rose above $1.20000000 (now $1.25000000)");
+      expect(result.state).to.deep.equal({ price: 1.25 });
+
+      result = context.evaluateAlertRule({ ...rule, state: { price: 1.25 } }, { price: 1.3 });
+      expect(result.alerts).to.have.length(0);
+    });
+
+    it("fires change and RSI rules once per excursion", function () {
+      const rule = { type: "change", level: 5, state: {} };
+
+      let result = context.evaluateAlertRule(rule, { change: -6.5 });
+      expect(result.alerts.map(context.formatAlertText)).to.deep.equal(["24h change beyond ±5% (now -6.50%)"]);
+
+      result = context.evaluateAlertRule({ ...rule, state: result.state }, { change: -7 });
+      expect(result.alerts).to.have.length(0);
+
+      result = context.evaluateAlertRule({ ...rule, state: result.state }, { change: 2 });
+      result = context.evaluateAlertRule({ ...rule, state: result.state }, { change: 5 });
+      expect(result.alerts).to.have.length(1);
+
+      const rsiRule = { type: "rsi", direction: "below", level: 30, interval: "4h", state: {} };
+      expect(context.evaluateAlertRule(rsiRule, { rsi: { "1h": 20 } }).alerts).to.have.length(0);
+      expect(context.formatAlertText(context.evaluateAlertRule(rsiRule, { rsi: { "4h": 25.04 } }).alerts[0]))
+        .to.equal("RSI(14, 4H) below 30 (now 25.0)");
+    });
+
+    it("keeps the state when the data is missing", function () {
+      const rule = { type: "price", direction: "below", level: 1, state: { price: 1.5 } };
+      expect(context.evaluateAlertRule(rule, {}).state).to.deep.equal({ price: 1.5 });
+    });
+
+    it("reports proposals that become active after the first check", function () {
+      const rule = { type: "proposal", state: {} };
+
+      let result = context.evaluateAlertRule(rule, { activeProposals: [{ id: 1, title: "Old" }] });
+      expect(result.alerts).to.have.length(0);
+
+      result = context.evaluateAlertRule({ ...rule, state: result.state }, {
+        activeProposals: [{ id: 1, title: "Old" }, { id: 2, title: "Fund the bridge" }]
+      });
+      expect(result.alerts.map(context.formatAlertText)).to.deep.equal(["Proposal #2 is now active: Fund the bridge"]);
+      expect(result.alerts[0].route.page).to.equal("voting");
+      expect(result.alerts[0].route.params.id).to.equal(2);
+      expect(result.state.seen).to.deep.equal([1, 2]);
+    });
+  });
+
+  describe("formatAlertText", function () {
+    it("renders stored entries in the current language and keeps old { de, en } entries", function () {
+      const alert = { key: "alerts.proposal_active", params: { id: "7", title: "Fund the bridge" } };
+      const legacy = { de: "KDAO über $1.20000000", en: "KDAO rose above $1.20000000" };
+      expect(context.formatAlertText(legacy)).to.equal("KDAO rose above $1.20000000");
+
+      evaluate(context, "i18nState.locale = 'de'");
+      expect(context.formatAlertText(alert)).to.equal(de.alerts.proposal_active.replace("{id}", "7").replace("{title}", "Fund the bridge"));
+      expect(context.formatAlertText(legacy)).to.equal("KDAO über $1.20000000");
+    });
+  });
+
+  describe("checkAlerts", function () {
+    it("fetches only what the enabled rules need", async function () {
+      await context.checkAlerts();
+      expect(requests).to.deep.equal([]);
+
+      const rule = context.addAlertRule({ type: "rsi", direction: "above", level: 70, interval: "4h" });
+      context.addAlertRule({ type: "proposal" });
+      context.setAlertRuleEnabled(context.getAlertRules()[1].id, false);
+
+      const fired = await context.checkAlerts();
+      expect(requests).to.deep.equal(["candles:4h"]);
+      // Steadily rising closes: RSI 100
+      expect(fired.map((alert) => alert.ruleId)).to.deep.equal([rule.id]);
+    });
+
+    it("reuses data passed in by the dashboard and ignores stale values", async function () {
+      context.addAlertRule({ type: "change", level: 5 });
+
+      await context.checkAlerts({ ticker: marketResult({ price: 1, change: 9 }, true) });
+      expect(requests).to.deep.equal([]);
+      expect(context.getAlertHistory()).to.have.length(0);
+
+      await context.checkAlerts({ ticker: marketResult({ price: 1, change: 9 }) });
+      expect(requests).to.deep.equal([]);
+      expect(context.getAlertHistory()).to.have.length(1);
+    });
+
+    it("keeps a capped history, newest first", async function () {
+      context.addAlertRule({ type: "proposal" });
+      await context.checkAlerts();
+
+      proposals = Array.from({ length: 105 }, (_, index) => ({ id: index + 1, title: `P${index + 1}`, stateName: "Active" }));
+      proposals.push({ id: 200, title: "Defeated", stateName: "Defeated" });
+      await context.checkAlerts();
+
+      const history = context.getAlertHistory();
+      expect(history).to.have.length(100);
+      expect(history[0]).to.deep.include({ key: "alerts.proposal_active", params: { id: "105", title: "P105" } });
+      expect(history.every((alert) => alert.read === false)).to.equal(true);
+
+      context.markAlertsRead();
+      expect(context.getAlertHistory().every((alert) => alert.read)).to.equal(true);
+    });
+  });
+});
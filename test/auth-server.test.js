@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { createAuthService, createAuthServer, createRoleReader, getPermissions } = require("../kdao-site/auth-server");
+const { deploy, readConfig } = require("../kdao-site/deploy");
+
+const { ethers } = hre;
+
+const ORIGIN = "http://localhost:8080";
+
+describe("auth-server.js", function () {
+  let time;
+  let roles;
+  let service;
+  let wallet;
+
+  async function signIn(signer = wallet, address = wallet.address) {
+    const { message } = service.createNonce(address, ORIGIN);
+    return service.login({ message, signature: await signer.signMessage(message) });
+  }
+
+  async function expectRejected(promise, status, message) {
+    try {
+      await promise;
+    } catch (error) {
+      expect(error.status).to.equal(status);
+      expect(error.message).to.equal(message);
+      return;
+    }
+    expect.fail("expected a rejection");
+  }
+
+  beforeEach(function () {
+    time = Date.UTC(2025, 8, 1);
+    roles = new Map();
+    wallet = ethers.Wallet.createRandom();
+    roles.set(wallet.address, ["guardian"]);
+    service = createAuthService({
+      chainId: 31337,
+      readRoles: async (address) => roles.get(address) || [],
+      sessionTtl: 3600 * 1000,
+      nonceTtl: 300 * 1000,
+      now: () => time
+    });
+  });
+
+  it("builds an EIP-4361 message for the requesting origin", function () {
+    const { message, expiresAt } = service.createNonce(wallet.address.toLowerCase(), ORIGIN);
+    const lines = message.split("\n");
+
+    expect(lines[0]).to.equal("localhost:8080 wants you to sign in with your Ethereum account:");
+    expect(lines[1]).to.equal(wallet.address);
+    expect(message).to.include("URI: http://localhost:8080\nVersion: 1\nChain ID: 31337\nNonce: ");
+    expect(message).to.include("Issued At: 2025-09-01T00:00:00.000Z\nExpiration Time: 2025-09-01T00:05:00.000Z");
+    expect(expiresAt).to.equal(time + 300 * 1000);
+    expect(() => service.createNonce("0x1234", ORIGIN)).to.throw("Invalid address");
+  });
+
+  it("opens a session for a signed nonce with the account's roles", async function () {
+    const session = await signIn();
+
+    expect(session.address).to.equal(wallet.address);
+    expect(session.roles).to.deep.equal(["guardian"]);
+    expect(session.permissions).to.deep.equal(["news", "team", "roadmap", "settings"]);
+    expect(session.expiresAt).to.equal(time + 3600 * 1000);
+    expect((await service.getSession(session.token)).address).to.equal(wallet.address);
+  });
+
+  it("accepts every nonce only once", async function () {
+    const { message } = service.createNonce(wallet.address, ORIGIN);
+    const signature = await wallet.signMessage(message);
+
+    await service.login({ message, signature });
+    await expectRejected(service.login({ message, signature }), 401, "Unknown or expired nonce");
+  });
+
+  it("rejects signatures of other accounts and edited messages", async function () {
+    const other = ethers.Wallet.createRandom();
+    roles.set(other.address, ["admin"]);
+    await expectRejected(signIn(other, wallet.address), 401, "Invalid signature");
+
+    const { message } = service.createNonce(wallet.address, ORIGIN);
+    const edited = message.replace("Chain ID: 31337", "Chain ID: 1");
+    await expectRejected(service.login({ message: edited, signature: await wallet.signMessage(edited) }), 401, "Unknown or expired nonce");
+  });
+
+  it("rejects expired nonces and accounts without a role", async function () {
+    const { message } = service.createNonce(wallet.address, ORIGIN);
+    time += 301 * 1000;
+    await expectRejected(service.login({ message, signature: await wallet.signMessage(message) }), 401, "Unknown or expired nonce");
+
+    roles.delete(wallet.address);
+    await expectRejected(signIn(), 403, "No admin role for this account");
+  });
+
+  it("ends sessions on expiry, logout and revoked roles", async function () {
+    let session = await signIn();
+    time += 3600 * 1000;
+    await expectRejected(service.getSession(session.token), 401, "Session expired");
+
+    session = await signIn();
+    service.logout(session.token);
+    await expectRejected(service.getSession(session.token), 401, "Session expired");
+
+    session = await signIn();
+    roles.set(wallet.address, ["pauser"]);
+    expect((await service.getSession(session.token)).permissions).to.deep.equal(["view"]);
+    roles.set(wallet.address, []);
+    await expectRejected(service.getSession(session.token), 403, "No admin role for this account");
+    await expectRejected(service.getSession(session.token), 401, "Session expired");
+  });
+
+  it("combines the permissions of several roles", function () {
+    expect(getPermissions(["guardian", "pauser"])).to.deep.equal(["news", "team", "roadmap", "settings", "view"]);
+    expect(getPermissions(["admin"])).to.deep.equal(["all"]);
+  });
+
+  describe("roles of a mainnet deployment", function () {
+    let dir;
+    let consoleLog;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "kdao-auth-"));
+      consoleLog = console.log;
+      console.log = () => {};
+    });
+
+    afterEach(function () {
+      console.log = consoleLog;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("keeps a wallet with the settings and export sections after the admin handover", async function () {
+      // The mainnet config with the team multisig, guardian and LP token of the hardhat config
+      const [deployer, guardian] = await ethers.getSigners();
+      const config = readConfig("kasplex");
+      config.accounts.team = "@deployer";
+      config.accounts.guardian = guardian.address;
+      config.contracts.lpToken = { address: "@kdaoToken" };
+      const deployment = await deploy(hre, { networkName: "hardhat", deploymentsDir: dir, fresh: true, config });
+
+      const readRoles = await createRoleReader(deployment);
+      expect(await readRoles(deployment.contracts.governance)).to.deep.equal(["admin"]);
+      expect(await readRoles(deployer.address)).to.deep.equal([]);
+      expect(await readRoles(guardian.address)).to.deep.equal(["guardian"]);
+
+      service = createAuthService({ chainId: deployment.chainId, readRoles });
+      const { message } = service.createNonce(guardian.address, ORIGIN);
+      const session = await service.login({ message, signature: await guardian.signMessage(message) });
+      expect(session.permissions).to.deep.equal(["news", "team", "roadmap", "settings"]);
+    });
+  });
+
+  describe("HTTP API", function () {
+    let server;
+    let baseUrl;
+
+    beforeEach(async function () {
+      server = createAuthServer(service);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(function () {
+      server.close();
+    });
+
+    it("signs in through nonce, login and session requests", async function () {
+      const headers = { Origin: ORIGIN };
+      const nonce = await (await fetch(`${baseUrl}/nonce?address=${wallet.address}`, { headers })).json();
+      const signature = await wallet.signMessage(nonce.message);
+
+      const login = await fetch(`${baseUrl}/login`, {
+        method: "POST",
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify({ message: nonce.message, signature })
+      });
+      expect(login.status).to.equal(200);
+      expect(login.headers.get("access-control-allow-origin")).to.equal(ORIGIN);
+      const { token } = await login.json();
+
+      const session = await fetch(`${baseUrl}/session`, { headers: { ...headers, Authorization: `Bearer ${token}` } });
+      expect((await session.json()).roles).to.deep.equal(["guardian"]);
+
+      const missing = await fetch(`${baseUrl}/session`, { headers });
+      expect(missing.status).to.equal(401);
+    });
+
+    it("refuses origins that are not allowed", async function () {
+      const response = await fetch(`${baseUrl}/roles`, { headers: { Origin: "https://evil.example" } });
+      expect(response.status).to.equal(403);
+      expect(response.headers.get("access-control-allow-origin")).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { loadScripts, evaluate } = require("./helpers/browser");
+
+const HOUR = 3600000;
+
+// Hourly candles from 2025-01-01 00:00 UTC, closing at 1, 2, 3, ...
+function hourlyCandles(count) {
+  const start = Date.UTC(2025, 0, 1);
+  return Array.from({ length: count }, (_, index) => {
+    const close = index + 1;
+    return { time: start + index * HOUR, open: close, high: close + 0.5, low: close - 0.5, close, volume: 100 * close };
+  });
+}
+
+function loadCharts(globals = {}) {
+  return loadScripts(["js/indicators.js", "js/charts.js"], {
+    window: {},
+    t: (key) => key,
+    ...globals
+  });
+}
+
+// document/URL stand-ins for the file exports; every clicked download lands in `downloads`
+function downloadGlobals(downloads) {
+  return {
+    Blob,
+    URL: { createObjectURL: (blob) => blob, revokeObjectURL() {} },
+    document: {
+      body: { appendChild() {} },
+      createElement: () => ({
+        click() { downloads.push({ filename: this.download, blob: this.href }); },
+        remove() {}
+      })
+    }
+  };
+}
+
+describe("charts.js", function () {
+  describe("getChartNotice", function () {
+    const controllers = (candlestick) => ({
+      registry: {
+        getController(name) {
+          if (name !== "candlestick" || !candlestick) throw new Error(`"${name}" is not a registered controller.`);
+          return {};
+        }
+      }
+    });
+
+    it("names the missing chart library once candles are loaded", function () {
+      const candles = hourlyCandles(3);
+
+      expect(loadCharts().getChartNotice(candles)).to.equal("dashboard.chart_unavailable");
+      expect(loadCharts({ Chart: controllers(false) }).getChartNotice(candles)).to.equal("dashboard.candles_unavailable");
+      expect(loadCharts({ Chart: controllers(true) }).getChartNotice(candles)).to.equal("");
+      // Nothing to draw yet, nothing to explain
+      expect(loadCharts().getChartNotice([])).to.equal("");
+    });
+  });
+
+  describe("ranges", function () {
+    it("takes the candle spacing from the last two candles", function () {
+      const charts = loadCharts();
+      const candles = hourlyCandles(5);
+      candles[4].time = candles[3].time + 4 * HOUR;
+
+      expect(charts.getCandleSpacing(candles)).to.equal(4 * HOUR);
+      // A single candle falls back to one hour
+      expect(charts.getCandleSpacing(candles.slice(0, 1))).to.equal(HOUR);
+    });
+
+    it("opens on the latest 60 candles with half a candle of margin", function () {
+      const charts = loadCharts();
+      const candles = hourlyCandles(100);
+
+      expect(charts.getDefaultChartRange(candles)).to.deep.equal({
+        min: candles[40].time - HOUR / 2,
+        max: candles[99].time + HOUR / 2
+      });
+      // Fewer candles than that: all of them
+      expect(charts.getDefaultChartRange(candles.slice(0, 5)).min).to.equal(candles[0].time - HOUR / 2);
+    });
+
+    it("keeps pan and zoom inside the loaded candles and at least 10 candles wide", function () {
+      const charts = loadCharts();
+      const candles = hourlyCandles(100);
+
+      expect(charts.getChartZoomLimits(candles)).to.deep.equal({
+        min: candles[0].time - HOUR,
+        max: candles[99].time + HOUR,
+        minRange: 10 * HOUR
+      });
+    });
+  });
+
+  describe("getOverlaySeries", function () {
+    it("computes EMA 20 and Bollinger 20, 2 of the closes", function () {
+      const charts = loadCharts();
+      const candles = hourlyCandles(30);
+      const closes = candles.map((candle) => candle.close);
+      const series = charts.getOverlaySeries(candles);
+
+      expect(series.ema).to.deep.equal(charts.ema(closes, 20));
+      expect(series.bollinger).to.deep.equal(charts.bollinger(closes, 20, 2));
+      expect(series.ema).to.have.lengthOf(30);
+      expect(series.ema[18]).to.equal(null);
+      // The first value is the SMA of closes 1..20
+      expect(series.ema[19]).to.equal(10.5);
+    });
+  });
+
+  describe("exportChartCsv", function () {
+    it("writes the candles of the visible range with the enabled overlays", async function () {
+      const downloads = [];
+      const charts = loadCharts(downloadGlobals(downloads));
+      const candles = hourlyCandles(30);
+      charts.testCandles = candles;
+      evaluate(charts, `
+        chartState.candles = testCandles;
+        chartState.series = getOverlaySeries(testCandles);
+        chartState.interval = '1h';
+        chartState.overlays = { ema: true, bollinger: false, volume: true };
+        chartState.range = { min: testCandles[19].time - 1, max: testCandles[21].time + 1 };
+      `);
+
+      charts.window.exportChartCsv();
+
+      expect(downloads).to.have.lengthOf(1);
+      expect(downloads[0].filename).to.equal("kdao-usdt-1h-2025-01-01_2025-01-01.csv");
+      const ema = charts.getOverlaySeries(candles).ema;
+      expect((await downloads[0].blob.text()).split("\n")).to.deep.equal([
+        "time,open,high,low,close,volume_usdt,ema20",
+        `2025-01-01T19:00:00.000Z,20,20.5,19.5,20,2000,${ema[19]}`,
+        `2025-01-01T20:00:00.000Z,21,21.5,20.5,21,2100,${ema[20]}`,
+        `2025-01-01T21:00:00.000Z,22,22.5,21.5,22,2200,${ema[21]}`,
+        ""
+      ]);
+    });
+
+    it("leaves empty cells for overlay values still warming up", async function () {
+      const downloads = [];
+      const charts = loadCharts(downloadGlobals(downloads));
+      charts.testCandles = hourlyCandles(30);
+      evaluate(charts, `
+        chartState.candles = testCandles;
+        chartState.series = getOverlaySeries(testCandles);
+        chartState.overlays = { ema: false, bollinger: true, volume: true };
+        chartState.range = { min: testCandles[0].time, max: testCandles[0].time };
+      `);
+
+      charts.window.exportChartCsv();
+
+      expect((await downloads[0].blob.text()).split("\n").slice(0, 2)).to.deep.equal([
+        "time,open,high,low,close,volume_usdt,bb_upper,bb_middle,bb_lower",
+        "2025-01-01T00:00:00.000Z,1,1.5,0.5,1,100,,,"
+      ]);
+    });
+  });
+});
@@ -0,0 +1,441 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadScripts } = require("./helpers/browser");
+const { createContentService, createContentServer, validate, readSchemas, COLLECTIONS } = require("../kdao-site/content-server");
+const { renderMarkdown, stripMarkdown } = require("../kdao-site/js/markdown");
+
+const ORIGIN = "http://localhost:8080";
+const siteContentDir = path.join(__dirname, "../kdao-site/content");
+
+function article(id, fields = {}) {
+  return {
+    id,
+    date: "2025-10-01",
+    title: { en: `Title ${id}`, de: `Titel ${id}` },
+    content: { en: "First paragraph.\n\nSecond paragraph." },
+    ...fields
+  };
+}
+
+describe("content-server.js", function () {
+  let tmp;
+  let site;
+  let service;
+  let time;
+
+  function readSnapshot(collection) {
+    return JSON.parse(fs.readFileSync(path.join(site, `${collection}.json`), "utf8"));
+  }
+
+  function expectRejected(action, status, message) {
+    try {
+      action();
+    } catch (error) {
+      expect(error.status).to.equal(status);
+      expect(error.message).to.equal(message);
+      return error;
+    }
+    return expect.fail("expected a rejection");
+  }
+
+  beforeEach(function () {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), "kdao-content-"));
+    site = path.join(tmp, "site");
+    fs.mkdirSync(site);
+    COLLECTIONS.forEach((collection) => {
+      fs.copyFileSync(path.join(siteContentDir, `${collection}.json`), path.join(site, `${collection}.json`));
+    });
+    time = Date.UTC(2025, 9, 1);
+    service = createContentService({
+      store: path.join(tmp, "store"),
+      site,
+      feeds: path.join(tmp, "feeds"),
+      media: path.join(tmp, "img"),
+      now: () => new Date(time).toISOString()
+    });
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it("ships snapshots that match the schemas", function () {
+    const schemas = readSchemas();
+    COLLECTIONS.forEach((collection) => {
+      const snapshot = JSON.parse(fs.readFileSync(path.join(siteContentDir, `${collection}.json`), "utf8"));
+      expect(snapshot.items, collection).to.not.be.empty;
+      snapshot.items.forEach((entry) => {
+        expect(validate(schemas[collection], entry), `${collection}/${entry.id}`).to.deep.equal([]);
+      });
+    });
+  });
+
+  it("starts from the published snapshots", function () {
+    const team = service.list("team");
+    expect(team).to.have.length(9);
+    expect(team.every((entry) => entry.state === "published")).to.equal(true);
+    expect(team.map((entry) => entry.order)).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  it("rejects entries that don't match the schema", function () {
+    const error = expectRejected(
+      () => service.create("news", article("bad", { date: "01.10.2025", title: { de: "Nur Deutsch" }, extra: true })),
+      400,
+      "Invalid news entry"
+    );
+    expect(error.details).to.deep.equal(["date: must be a date", "title.en: required", "extra: unknown field"]);
+
+    expectRejected(() => service.create("news", article("new-beginning")), 409, "news entry new-beginning already exists");
+    expectRejected(() => service.list("faq"), 404, "Unknown collection faq");
+  });
+
+  it("keeps drafts out of the public snapshot until they are published", function () {
+    const draft = service.create("news", article("launch", { date: "2025-10-01" }));
+    expect(draft.state).to.equal("draft");
+    expect(draft.publishedAt).to.equal(null);
+    expect(readSnapshot("news").items.map((entry) => entry.id)).to.deep.equal(["new-beginning"]);
+
+    time += 60000;
+    service.publish("news", "launch");
+    const snapshot = readSnapshot("news");
+    expect(snapshot.items.map((entry) => entry.id)).to.deep.equal(["launch", "new-beginning"]);
+    expect(snapshot.items[0]).to.not.have.any.keys("state", "createdAt");
+    expect(snapshot.items[0].publishedAt).to.equal("2025-10-01T00:01:00.000Z");
+
+    service.update("news", "launch", article("ignored", { title: { en: "Launch day" } }));
+    expect(readSnapshot("news").items[0].title).to.deep.equal({ en: "Launch day" });
+    expect(service.list("news")[0].id).to.equal("launch");
+
+    service.unpublish("news", "launch");
+    expect(readSnapshot("news").items.map((entry) => entry.id)).to.deep.equal(["new-beginning"]);
+  });
+
+  it("schedules entries and releases them once publishAt has passed", function () {
+    service.create("news", article("later", { date: "2025-10-02" }));
+    const scheduled = service.publish("news", "later", { publishAt: "2025-10-02T09:00:00Z" });
+    expect(scheduled.state).to.equal("scheduled");
+    expect(scheduled.publishAt).to.equal("2025-10-02T09:00:00.000Z");
+    expect(readSnapshot("news").items.map((entry) => entry.id)).to.deep.equal(["new-beginning"]);
+    expect(service.releaseDue()).to.deep.equal([]);
+
+    service.update("news", "later", article("later", { date: "2025-10-02", title: { en: "Later" } }));
+    expect(service.list("news").find((entry) => entry.id === "later").publishAt).to.equal("2025-10-02T09:00:00.000Z");
+
+    time = Date.UTC(2025, 9, 2, 9);
+    expect(service.releaseDue()).to.deep.equal([{ collection: "news", id: "later" }]);
+    const [released] = readSnapshot("news").items;
+    expect(released.id).to.equal("later");
+    expect(released.publishedAt).to.equal("2025-10-02T09:00:00.000Z");
+    expect(released).to.not.have.any.keys("publishAt");
+
+    expectRejected(() => service.publish("news", "later", { publishAt: "tomorrow" }), 400, "publishAt: must be a date-time");
+  });
+
+  it("writes RSS and Atom feeds of the published news per locale", function () {
+    service.create("news", article("feed", {
+      title: { en: "Feed & <friends>", de: "Feed für alle" },
+      content: { en: "Hello **world** ![Logo](assets/img/logo.png) [Docs](/docs)" },
+      tags: ["release"]
+    }));
+    service.publish("news", "feed");
+
+    const rss = fs.readFileSync(path.join(tmp, "feeds", "news.en.rss.xml"), "utf8");
+    expect(rss).to.include("<title>Feed &amp; &lt;friends&gt;</title>");
+    expect(rss).to.include("<link>https://kaspadao.org/#/news/feed</link>");
+    expect(rss).to.include("<category>release</category>");
+    expect(rss).to.include("&lt;strong&gt;world&lt;/strong&gt;");
+    expect(rss).to.include("src=&quot;https://kaspadao.org/assets/img/logo.png&quot;");
+    expect(rss.indexOf("/#/news/feed")).to.be.below(rss.indexOf("/#/news/new-beginning"));
+
+    const atom = fs.readFileSync(path.join(tmp, "feeds", "news.de.atom.xml"), "utf8");
+    expect(atom).to.include('xml:lang="de"');
+    expect(atom).to.include("<title>Feed für alle</title>");
+    expect(atom).to.include("<summary>Hello world Logo Docs</summary>");
+  });
+
+  it("lists cover images from the media folder", function () {
+    fs.mkdirSync(path.join(tmp, "img", "news"), { recursive: true });
+    ["logo.png", "news/cover.jpg", "notes.txt"].forEach((file) => fs.writeFileSync(path.join(tmp, "img", file), ""));
+    expect(service.listMedia()).to.deep.equal(["assets/img/logo.png", "assets/img/news/cover.jpg"]);
+
+    const error = expectRejected(() => service.create("news", article("cover", { cover: "https://evil.example/x.png" })), 400, "Invalid news entry");
+    expect(error.details[0]).to.match(/^cover: /);
+  });
+
+  it("removes deleted entries from the snapshot", function () {
+    service.remove("team", "marketing-lead");
+    expect(readSnapshot("team").items.map((entry) => entry.id)).to.not.include("marketing-lead");
+    expectRejected(() => service.remove("team", "marketing-lead"), 404, "No team entry marketing-lead");
+  });
+
+  it("records every change with its author and restores deleted entries", function () {
+    const admin = "0x00000000000000000000000000000000000000aa";
+    const member = service.list("team").find((entry) => entry.id === "marketing-lead");
+    time += 60000;
+    service.update("team", "marketing-lead", { ...member, name: "Satoshi", holder: admin }, admin);
+    service.remove("team", "marketing-lead", admin);
+    expect(readSnapshot("team").items.map((entry) => entry.id)).to.not.include("marketing-lead");
+
+    const [deletion, edit] = service.listHistory("team", "marketing-lead");
+    expect(edit).to.include({ id: 1, action: "update", author: admin, at: "2025-10-01T00:01:00.000Z" });
+    expect(edit.changes).to.deep.equal([
+      { path: "name", from: null, to: "Satoshi" },
+      { path: "holder", from: null, to: admin }
+    ]);
+    expect(edit).to.not.have.any.keys("before", "after");
+    expect(deletion).to.include({ action: "delete", restorable: true });
+
+    const restored = service.restore(deletion.id, admin);
+    expect(restored).to.include({ name: "Satoshi", state: "published" });
+    expect(readSnapshot("team").items.find((entry) => entry.id === "marketing-lead").name).to.equal("Satoshi");
+
+    expect(service.restore(edit.id, admin)).to.not.have.any.keys("name", "holder");
+    expect(service.listHistory("team", "marketing-lead")[0]).to.include({ action: "restore", restoredFrom: 1 });
+    expectRejected(() => service.restore(99), 404, "No revision 99");
+
+    const created = service.create("roadmap", { id: "phase-6", order: 6, title: { en: "Phase 6" } });
+    const [creation] = service.listHistory("roadmap", created.id);
+    expect(creation.restorable).to.equal(false);
+    expectRejected(() => service.restore(creation.id), 400, `Revision ${creation.id} created the entry, there is no earlier version`);
+  });
+
+  it("filters the audit log and keeps settings changes", function () {
+    service.create("news", article("audit"), "0xAbC1");
+    service.publish("news", "audit", {}, "0xAbC1");
+    time = Date.UTC(2025, 9, 3);
+    service.updateSettings({ ...service.getSettings(), discord: "https://discord.gg/kdao" }, "0xdef2");
+    service.releaseDue();
+
+    expect(service.auditLog().map((revision) => revision.action)).to.deep.equal(["update", "publish", "create"]);
+    expect(service.auditLog({ author: "abc" }).map((revision) => revision.action)).to.deep.equal(["publish", "create"]);
+    expect(service.auditLog({ action: "create" })).to.have.length(1);
+    expect(service.auditLog({ since: "2025-10-02T00:00:00.000Z" })[0].collection).to.equal("settings");
+    expect(service.auditLog({ collections: ["news"], until: "2025-10-02T00:00:00.000Z" })).to.have.length(2);
+
+    const [change] = service.listHistory("settings");
+    expect(change.changes).to.deep.equal([{ path: "discord", from: "https://discord.gg/kaspadao", to: "https://discord.gg/kdao" }]);
+    expect(readSnapshot("settings").links.discord).to.equal("https://discord.gg/kdao");
+    service.restore(change.id);
+    expect(service.getSettings().discord).to.equal("https://discord.gg/kaspadao");
+    expectRejected(() => service.updateSettings({ discord: "javascript:alert(1)" }), 400, "Invalid settings");
+  });
+
+  it("exports and imports the full bundle with drafts", function () {
+    service.create("roadmap", { id: "phase-6", order: 6, title: { en: "Phase 6" } });
+    const bundle = JSON.parse(JSON.stringify(service.exportBundle()));
+    expect(bundle.version).to.equal(1);
+    expect(bundle.collections.roadmap.map((entry) => entry.id)).to.include("phase-6");
+
+    const other = createContentService({
+      store: path.join(tmp, "other"),
+      site: path.join(tmp, "other-site"),
+      feeds: path.join(tmp, "other-feeds")
+    });
+    expect(other.importBundle(bundle)).to.deep.equal({ news: 1, team: 9, roadmap: 6 });
+    expect(other.list("roadmap").find((entry) => entry.id === "phase-6").state).to.equal("draft");
+    expect(other.auditLog({ action: "import", collections: ["roadmap"] })).to.have.length(6);
+    bundle.collections.roadmap.pop();
+    other.importBundle(bundle, "0xadmin");
+    expect(other.auditLog({ author: "0xadmin" }).map((revision) => [revision.entryId, revision.restorable])).to.deep.equal([["phase-6", true]]);
+    const snapshot = JSON.parse(fs.readFileSync(path.join(tmp, "other-site", "roadmap.json"), "utf8"));
+    expect(snapshot.items).to.have.length(5);
+  });
+
+  it("imports nothing from an invalid bundle", function () {
+    const bundle = service.exportBundle();
+    const broken = {
+      ...bundle,
+      collections: { ...bundle.collections, news: [...bundle.collections.news, { ...bundle.collections.news[0] }] }
+    };
+    const error = expectRejected(() => service.importBundle(broken), 400, "Invalid content bundle");
+    expect(error.details).to.deep.equal(["news[1] id: duplicate new-beginning"]);
+    expectRejected(() => service.importBundle({ items: [] }), 400, "Not a content bundle (version 1)");
+    expect(service.list("news")).to.have.length(1);
+  });
+
+  describe("HTTP API", function () {
+    let server;
+    let baseUrl;
+    const sessions = {
+      adminToken: { address: "0xadmin", permissions: ["all"] },
+      guardianToken: { address: "0xguardian", permissions: ["news", "team", "roadmap"] },
+      sectionsToken: { address: "0xsections", permissions: ["news", "team", "roadmap", "settings"] },
+      pauserToken: { address: "0xpauser", permissions: ["view"] }
+    };
+
+    async function request(pathname, { method = "GET", token, body } = {}) {
+      const headers = { Origin: ORIGIN };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      if (body) headers["Content-Type"] = "application/json";
+      const response = await fetch(`${baseUrl}${pathname}`, { method, headers, body: body && JSON.stringify(body) });
+      return { status: response.status, body: await response.json().catch(() => null) };
+    }
+
+    beforeEach(async function () {
+      const verifySession = async (token) => {
+        if (!sessions[token]) {
+          const error = new Error("Session expired");
+          error.status = 401;
+          throw error;
+        }
+        return sessions[token];
+      };
+      server = createContentServer(service, verifySession);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(function () {
+      server.close();
+    });
+
+    it("creates and publishes entries for a session with the permission", async function () {
+      const created = await request("/content/news", { method: "POST", token: "guardianToken", body: article("api") });
+      expect(created.status).to.equal(201);
+      expect(created.body.state).to.equal("draft");
+
+      const published = await request("/content/news/api/publish", { method: "POST", token: "guardianToken" });
+      expect(published.body.state).to.equal("published");
+      expect(readSnapshot("news").items.map((entry) => entry.id)).to.include("api");
+
+      const invalid = await request("/content/news", { method: "POST", token: "guardianToken", body: { id: "x" } });
+      expect(invalid.status).to.equal(400);
+      expect(invalid.body.details).to.include("date: required");
+    });
+
+    it("rejects missing sessions, missing permissions and other origins", async function () {
+      expect((await request("/content/news")).status).to.equal(401);
+      expect((await request("/content/news", { token: "pauserToken" })).status).to.equal(403);
+      expect((await request("/export", { token: "guardianToken" })).status).to.equal(403);
+
+      const response = await fetch(`${baseUrl}/content/news`, { headers: { Origin: "https://evil.example" } });
+      expect(response.status).to.equal(403);
+      expect(response.headers.get("access-control-allow-origin")).to.equal(null);
+    });
+
+    it("serves history and the audit log per permission and restores revisions", async function () {
+      await request("/content/news/new-beginning", { method: "DELETE", token: "guardianToken" });
+      await request("/settings", { method: "PUT", token: "adminToken", body: { ...service.getSettings(), twitter: "https://x.com/kaspadao" } });
+
+      const guardianLog = await request("/audit", { token: "guardianToken" });
+      expect(guardianLog.body.revisions.map((revision) => revision.collection)).to.deep.equal(["news"]);
+      expect(guardianLog.body.revisions[0].author).to.equal("0xguardian");
+      const adminLog = await request("/audit?collection=settings", { token: "adminToken" });
+      expect(adminLog.body.revisions.map((revision) => revision.author)).to.deep.equal(["0xadmin"]);
+      expect((await request("/history/settings", { token: "guardianToken" })).status).to.equal(403);
+      expect((await request(`/revisions/${adminLog.body.revisions[0].id}/restore`, { method: "POST", token: "guardianToken" })).status).to.equal(403);
+
+      const [deletion] = (await request("/history/news/new-beginning", { token: "guardianToken" })).body.revisions;
+      const restored = await request(`/revisions/${deletion.id}/restore`, { method: "POST", token: "guardianToken" });
+      expect(restored.body.id).to.equal("new-beginning");
+      expect(readSnapshot("news").items.map((entry) => entry.id)).to.deep.equal(["new-beginning"]);
+    });
+
+    it("exports and imports bundles for admins", async function () {
+      const exported = await request("/export", { token: "adminToken" });
+      expect(exported.status).to.equal(200);
+
+      exported.body.collections.news[0].featured = false;
+      const imported = await request("/import", { method: "POST", token: "adminToken", body: exported.body });
+      expect(imported.body.imported).to.deep.equal({ news: 1, team: 9, roadmap: 5 });
+      expect(readSnapshot("news").items[0].featured).to.equal(false);
+    });
+
+    it("exports and imports bundles for sessions with every section", async function () {
+      const exported = await request("/export", { token: "sectionsToken" });
+      expect(exported.status).to.equal(200);
+
+      const imported = await request("/import", { method: "POST", token: "sectionsToken", body: exported.body });
+      expect(imported.status).to.equal(200);
+      expect(imported.body.imported).to.deep.equal({ news: 1, team: 9, roadmap: 5 });
+    });
+  });
+});
+
+describe("js/markdown.js", function () {
+  it("renders the supported syntax", function () {
+    const html = renderMarkdown("# Launch\n\nSome **bold** and *italic* with `code`\nnext line\n\n- one\n- two\n\n1. first\n\n> quoted\n\n---");
+    expect(html.split("\n")).to.deep.equal([
+      "<h3>Launch</h3>",
+      "<p>Some <strong>bold</strong> and <em>italic</em> with <code>code</code><br>next line</p>",
+      "<ul><li>one</li><li>two</li></ul>",
+      "<ol><li>first</li></ol>",
+      "<blockquote><p>quoted</p></blockquote>",
+      "<hr>"
+    ]);
+    expect(renderMarkdown("```\n<b>x</b>\n```")).to.equal("<pre><code>&lt;b&gt;x&lt;/b&gt;</code></pre>");
+  });
+
+  it("never lets HTML, scripts or foreign images through", function () {
+    expect(renderMarkdown('<img src=x onerror="alert(1)">')).to.equal("<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>");
+    expect(renderMarkdown("[click](javascript:alert%281%29)")).to.equal("<p>click</p>");
+    expect(renderMarkdown("[x](//evil.example)")).to.equal("<p>x</p>");
+    expect(renderMarkdown("![t](https://evil.example/t.png) ![u](assets/img/../../x.png)")).to.equal("<p>t u</p>");
+    expect(renderMarkdown('[a](https://kaspa.org/a_b_c) ![c](assets/img/news/cover.png)')).to.equal(
+      '<p><a href="https://kaspa.org/a_b_c" target="_blank" rel="noopener noreferrer">a</a> <img src="assets/img/news/cover.png" alt="c" loading="lazy"></p>'
+    );
+    expect(stripMarkdown("## Hi **there** [link](https://x.org)")).to.equal("Hi there link");
+  });
+
+  it("treats placeholder markers in the source as text", function () {
+    // Code spans are set aside behind NUL markers; a literal marker used to restore itself forever
+    expect(renderMarkdown("`\u00000\u0000`")).to.equal("<p><code>0</code></p>");
+    expect(renderMarkdown("[`a` and \u00001\u0000](https://kaspa.org) `b`")).to.equal(
+      '<p><a href="https://kaspa.org" target="_blank" rel="noopener noreferrer"><code>a</code> and 1</a> <code>b</code></p>'
+    );
+  });
+});
+
+describe("js/content.js", function () {
+  it("points the sidebar links at the published settings", async function () {
+    const requests = [];
+    const context = loadScripts(["js/utils.js", "js/content.js"], {
+      fetch: async (url) => {
+        requests.push(url);
+        return { ok: true, json: async () => ({ links: { discord: "https://discord.gg/kdao-test", coinex: "" } }) };
+      }
+    });
+    const sidebarLinks = ["discord", "coinex"].map(name => ({ dataset: { siteLink: name }, href: `https://default/${name}` }));
+
+    await context.applySiteLinks({ querySelectorAll: () => sidebarLinks });
+
+    expect(requests).to.deep.equal(["content/settings.json"]);
+    expect(sidebarLinks.map(link => link.href)).to.deep.equal(["https://discord.gg/kdao-test", "https://default/coinex"]);
+  });
+});
+
+describe("pages/news.js", function () {
+  it("renders articles in the current locale with escaped text", function () {
+    const context = loadScripts(["js/utils.js", "js/markdown.js", "js/content.js", "js/pages/news.js"], {
+      registerPage() {},
+      getLocale: () => "de",
+      t: (key) => key,
+      formatDateTime: (value) => new Date(value).toISOString().slice(0, 10)
+    });
+    const html = context.renderNewsArticle(article("xss", {
+      title: { en: "Hello", de: "<img src=x onerror=alert(1)>" },
+      content: { en: "<script>alert(1)</script>\n\nSecond" }
+    }));
+
+    expect(html).to.include("&lt;img src=x onerror=alert(1)&gt;");
+    expect(html).to.include("<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>\n<p>Second</p>");
+    expect(html).to.not.include("<img");
+  });
+
+  it("links featured articles to the Discord invite from the settings", function () {
+    const context = loadScripts(["js/utils.js", "js/markdown.js", "js/content.js", "js/pages/news.js"], {
+      registerPage() {},
+      getLocale: () => "en",
+      t: (key) => key,
+      formatDateTime: (value) => value
+    });
+    const featured = article("launch", { featured: true });
+
+    expect(context.renderNewsArticle(featured, { discord: "https://discord.gg/kdao-test" }))
+      .to.include('<a class="cta-button" href="https://discord.gg/kdao-test" target="_blank" rel="noopener noreferrer">');
+    // Settings that could not be loaded leave the button out
+    expect(context.renderNewsArticle(featured, {})).to.not.include("cta-button");
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { loadScripts, evaluate } = require("./helpers/browser");
+const { buildContractConfig, renderConfigFile } = require("../kdao-site/build-contract-config");
+
+const localConfigFile = path.join(__dirname, "../kdao-site/js/config/contracts.localhost.js");
+
+// The config object a generated file registers
+function readGeneratedConfig(source = fs.readFileSync(localConfigFile, "utf8")) {
+  let config = null;
+  vm.runInNewContext(source, { registerContractConfig: (value) => (config = value) });
+  return config;
+}
+
+function loadSite(location = { search: "", hostname: "kaspadao.org" }) {
+  return loadScripts(["js/utils.js", "js/contracts.js", "js/wallet.js"], {
+    location,
+    window: {},
+    t: (key, params = {}) => `${key} ${JSON.stringify(params)}`
+  });
+}
+
+describe("build-contract-config.js", function () {
+  const local = readGeneratedConfig();
+  const network = { key: "localhost", chainId: 31337, name: "Hardhat Local", rpcUrl: "http://127.0.0.1:8545", explorerUrl: "" };
+  const deployment = { chainId: 31337, startBlock: local.startBlock, timestamp: local.deployedAt, contracts: local.addresses };
+
+  it("covers everything js/contracts.js declares in the committed localhost config", function () {
+    // Rebuilt from its own ABIs, the file only stays the same if no declared function is missing
+    const rebuilt = buildContractConfig({ deployment, artifacts: local.abis, network });
+    expect(rebuilt).to.deep.equal(local);
+    expect(renderConfigFile(rebuilt)).to.equal(fs.readFileSync(localConfigFile, "utf8"));
+  });
+
+  it("stops on functions the artifacts don't have and on the wrong chain", function () {
+    const artifacts = { ...local.abis, staking: local.abis.staking.filter((item) => !item.startsWith("function compound(")) };
+    expect(() => buildContractConfig({ deployment, artifacts, network })).to.throw("StakingRewards has no compound() (declared in js/contracts.js)");
+    expect(() => buildContractConfig({ deployment: { ...deployment, chainId: 98765 }, artifacts: local.abis, network }))
+      .to.throw("Deployment is for chain 98765, localhost is chain 31337");
+  });
+
+  it("changes the version only when the content changes", function () {
+    const moved = { ...deployment, contracts: { ...deployment.contracts, election: "0x0000000000000000000000000000000000000001" } };
+    expect(buildContractConfig({ deployment, artifacts: local.abis, network }).version).to.equal(local.version);
+    expect(buildContractConfig({ deployment: moved, artifacts: local.abis, network }).version).to.not.equal(local.version);
+  });
+});
+
+describe("contracts.js network selection", function () {
+  it("picks the network from the URL, the stored choice or the host", function () {
+    const requested = loadSite({ search: "?network=kasplex", hostname: "localhost" });
+    expect(requested.getActiveNetwork().key).to.equal("kasplex");
+    expect(requested.localStorage.getItem("kdao-network")).to.equal("kasplex");
+
+    expect(loadSite({ search: "?network=unknown", hostname: "127.0.0.1" }).getActiveNetwork().key).to.equal("localhost");
+    expect(loadSite().getActiveNetwork().key).to.equal("kasplex_testnet");
+  });
+
+  it("uses the addresses, ABIs and network data of a registered config", function () {
+    const context = loadSite({ search: "?network=localhost", hostname: "kaspadao.org" });
+    expect(context.getContractAddresses()).to.deep.equal({});
+
+    context.registerContractConfig(readGeneratedConfig());
+    expect(context.getContractAddresses().election).to.equal("0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9");
+    expect(context.getContractAbi("staking")).to.include("function tierThresholds(uint256) view returns (uint256)");
+    expect(context.getContractAbi("erc20")).to.equal(evaluate(context, "KDAO_ABIS.erc20"));
+    expect(context.getActiveNetwork()).to.include({ startBlock: 1, indexerUrl: "http://127.0.0.1:8787" });
+  });
+
+  it("applies the kdao-contracts override on the local network only", function () {
+    const override = { governance: "0x5FbDB2315678afecb367f032d93F642f64180aa3" };
+    const local = loadSite({ search: "?network=localhost" });
+    local.localStorage.setItem("kdao-contracts", JSON.stringify(override));
+    expect(local.getContractAddresses()).to.deep.equal(override);
+
+    // Left over from local testing, it must not redirect the live network
+    const live = loadSite({ search: "?network=kasplex" });
+    live.localStorage.setItem("kdao-contracts", JSON.stringify(override));
+    live.registerContractConfig({ ...readGeneratedConfig(), network: "kasplex", chainId: 12345 });
+    expect(live.getContractAddresses().governance).to.equal(readGeneratedConfig().addresses.governance);
+  });
+
+  it("reports a wallet on another chain than the site", function () {
+    const context = loadSite();
+    const wallet = evaluate(context, "walletState");
+    expect(context.getWrongNetwork()).to.equal(null);
+
+    Object.assign(wallet, { account: "0x1111111111111111111111111111111111111111", chainId: 1 });
+    expect(context.getWrongNetwork()).to.include({ key: "kasplex_testnet", chainId: 98765 });
+
+    wallet.chainId = 98765;
+    expect(context.getWrongNetwork()).to.equal(null);
+  });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { deploy, readConfig, planDeployments, resolveValue } = require("../kdao-site/deploy");
+
+const { ethers } = hre;
+
+// Init code that deploys a contract whose code is a single STOP: every call succeeds
+// and the constructor arguments appended to it are ignored
+const STUB_BYTECODE = "0x6001600c60003960016000f300";
+
+const ABIS = {
+  KDAOToken: [
+    "constructor(string,string,address,address,address)",
+    "function approve(address,uint256) returns (bool)",
+    "function setExemptFromLimit(address,bool)"
+  ],
+  KDAOGovernance: ["constructor(address)", "function grantRole(bytes32,address)"],
+  StakingRewards: ["constructor(address,address)", "function grantRole(bytes32,address)", "function addRewards(uint256)"],
+  TreasuryManager: [
+    "constructor(address,address,address)",
+    "function grantRole(bytes32,address)",
+    "function renounceRole(bytes32,address)",
+    "function setQuarterlyAllocation(uint256,uint256,uint256,uint256,uint256,uint256,uint256)"
+  ],
+  ElectionManager: ["constructor(address,address,address)"]
+};
+
+// hre with the five contracts replaced by stubs; failOn makes one deployment throw
+function stubRuntime(failOn) {
+  return {
+    network: hre.network,
+    ethers: Object.create(ethers, {
+      getContractFactory: {
+        value: async (name, signer) => {
+          if (name === failOn) {
+            throw new Error(`${name} failed`);
+          }
+          return new ethers.ContractFactory(ABIS[name], STUB_BYTECODE, signer);
+        }
+      },
+      getContractAt: {
+        value: async (name, address, signer) => new ethers.Contract(address, ABIS[name], signer)
+      }
+    })
+  };
+}
+
+describe("deploy.js", function () {
+  let dir;
+  let consoleLog;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "kdao-deploy-"));
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("deploys the token first with the predicted treasury and staking addresses", function () {
+    const plan = planDeployments(readConfig("hardhat"));
+    expect(plan.map(step => step.key)).to.deep.equal(["kdaoToken", "governance", "staking", "treasury", "election"]);
+    expect(plan[0].counterfactual).to.deep.equal(["treasury", "staking"]);
+    expect(plan.slice(1).every(step => step.counterfactual.length === 0)).to.equal(true);
+  });
+
+  it("resolves references, roles, token amounts and environment values", function () {
+    process.env.KDAO_TEST_ADDRESS = "0x1111111111111111111111111111111111111111";
+    const addresses = { treasury: "0x2222222222222222222222222222222222222222" };
+    expect(resolveValue(["@treasury", "env:KDAO_TEST_ADDRESS", "kdao:1.5", 4], addresses, ethers)).to.deep.equal([
+      addresses.treasury,
+      process.env.KDAO_TEST_ADDRESS,
+      1500000000000000000n,
+      4
+    ]);
+    expect(resolveValue("role:EXECUTOR_ROLE", addresses, ethers)).to.equal(ethers.id("EXECUTOR_ROLE"));
+    expect(resolveValue("role:DEFAULT_ADMIN_ROLE", addresses, ethers)).to.equal(ethers.ZeroHash);
+    delete process.env.KDAO_TEST_ADDRESS;
+    expect(() => resolveValue("env:KDAO_TEST_ADDRESS", addresses, ethers)).to.throw("KDAO_TEST_ADDRESS is not set");
+    expect(() => resolveValue("@staking", addresses, ethers)).to.throw("@staking has no address yet");
+  });
+
+  it("writes the latest deployment with every contract at its predicted address", async function () {
+    const [deployer] = await ethers.getSigners();
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+    const info = await deploy(stubRuntime(), { networkName: "hardhat", deploymentsDir: dir, fresh: true });
+
+    expect(info.contracts.kdaoToken).to.equal(ethers.getCreateAddress({ from: deployer.address, nonce }));
+    expect(info.contracts.treasury).to.equal(ethers.getCreateAddress({ from: deployer.address, nonce: nonce + 3 }));
+    expect(info.contracts.lpToken).to.equal(info.contracts.kdaoToken);
+    expect(info.constructorArgs.kdaoToken).to.deep.equal(["Kaspa DAO", "KDAO", info.contracts.treasury, info.contracts.staking, deployer.address]);
+
+    const latest = JSON.parse(fs.readFileSync(path.join(dir, "hardhat-latest.json"), "utf8"));
+    expect(Object.keys(latest.contracts)).to.have.members(["kdaoToken", "governance", "staking", "treasury", "election", "lpToken"]);
+    expect(latest.chainId).to.equal(31337);
+  });
+
+  it("resumes a failed run without deploying anything twice", async function () {
+    const [deployer] = await ethers.getSigners();
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+    let failure;
+    try {
+      await deploy(stubRuntime("ElectionManager"), { networkName: "hardhat", deploymentsDir: dir, fresh: true });
+    } catch (error) {
+      failure = error;
+    }
+    expect(failure.message).to.equal("ElectionManager failed");
+    const state = JSON.parse(fs.readFileSync(path.join(dir, "hardhat-state.json"), "utf8"));
+    expect(state.steps["deploy:treasury"].status).to.equal("done");
+    expect(state.steps).to.not.have.property("deploy:election");
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce + 4);
+
+    const info = await deploy(stubRuntime(), { networkName: "hardhat", deploymentsDir: dir });
+    expect(info.contracts.election).to.equal(ethers.getCreateAddress({ from: deployer.address, nonce: nonce + 4 }));
+    // 5 deployments and 8 setup calls in total
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce + 13);
+
+    await deploy(stubRuntime(), { networkName: "hardhat", deploymentsDir: dir });
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce + 13);
+  });
+
+  it("stops when another transaction took a predicted nonce", async function () {
+    const [deployer, other] = await ethers.getSigners();
+    await deploy(stubRuntime("StakingRewards"), { networkName: "hardhat", deploymentsDir: dir, fresh: true }).catch(() => {});
+    await deployer.sendTransaction({ to: other.address, value: 1n });
+
+    let failure;
+    try {
+      await deploy(stubRuntime(), { networkName: "hardhat", deploymentsDir: dir });
+    } catch (error) {
+      failure = error;
+    }
+    expect(failure.message).to.match(/StakingRewards needs nonce \d+ for 0x[0-9a-fA-F]{40}, but the deployer is at \d+/);
+  });
+});
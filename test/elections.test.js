@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployKDAOFixture, fund, kdao } = require("./helpers/fixtures");
+const { loadChainScripts, evaluate } = require("./helpers/browser");
+
+const Position = { ProjectLead: 0, TechLead: 1 };
+
+// Tech Lead election (1) with alice and bob nominated, Project Lead election (2) cancelled
+async function electionFixture() {
+  const fixture = await deployKDAOFixture();
+  const { token, election, deployer, alice, bob } = fixture;
+  await fund(token, deployer, [alice, bob], kdao(1_000));
+  for (const account of [alice, bob]) {
+    await token.connect(account).approve(await election.getAddress(), ethers.MaxUint256);
+  }
+  await election.createElection(Position.TechLead, "Tech Lead", "Smart contracts and infrastructure");
+  await election.connect(alice).nominateCandidate(1, "Alice", "Audits first", "5 years Solidity", "alice#1", "github.com/alice");
+  await election.connect(bob).nominateCandidate(1, "Bob", "Ship faster", "3 years Rust", "bob#2", "github.com/bob");
+  await election.createElection(Position.ProjectLead, "Project Lead", "Roadmap and coordination");
+  await election.grantRole(await election.GOVERNANCE_ROLE(), deployer.address);
+  await election.cancelElection(2);
+  return fixture;
+}
+
+// [id, stored phase, derived phase, deadline] of each election, newest first
+async function phases(context) {
+  const elections = await evaluate(context, "loadElections()");
+  return elections.map((item) => [item.id, item.storedPhase, item.phase, item.deadline]);
+}
+
+describe("js/elections.js", function () {
+  it("derives the current phase from the chain time while the stored phase lags behind", async function () {
+    const { election, deployer, bob, addresses } = await loadFixture(electionFixture);
+    const context = loadChainScripts(["js/elections.js"], addresses);
+    const { nominationEnd, campaignEnd, votingEnd } = await election.elections(1);
+    const cancelled = [2, "Cancelled", "Cancelled", null];
+
+    expect(await phases(context)).to.deep.equal([cancelled, [1, "Nomination", "Nomination", Number(nominationEnd)]]);
+
+    await time.increaseTo(nominationEnd + 1n);
+    expect(await phases(context)).to.deep.equal([cancelled, [1, "Nomination", "Campaign", Number(campaignEnd)]]);
+
+    await time.increaseTo(campaignEnd + 1n);
+    expect(await phases(context)).to.deep.equal([cancelled, [1, "Nomination", "Voting", Number(votingEnd)]]);
+
+    // vote() writes the phase, after the voting period only the derived one moves on
+    await election.connect(bob).vote(1, 0);
+    await election.connect(deployer).vote(1, 1);
+    await time.increaseTo(votingEnd + 1n);
+    expect(await phases(context)).to.deep.equal([cancelled, [1, "Voting", "Ended", null]]);
+
+    await election.finalizeElection(1);
+    const [, finalized] = await evaluate(context, "loadElections()");
+    expect(finalized).to.deep.include({ storedPhase: "Ended", phase: "Ended", positionName: "Tech Lead", winner: bob.address, quorumReached: true });
+    expect(finalized.candidates.map((candidate) => [candidate.name, candidate.isElected])).to.deep.equal([["Alice", false], ["Bob", true]]);
+  });
+
+  it("reads candidates, vote receipts and the resulting leadership", async function () {
+    const { election, deployer, alice, bob, addresses } = await loadFixture(electionFixture);
+    const context = loadChainScripts(["js/elections.js"], addresses);
+    const { campaignEnd, votingEnd } = await election.elections(1);
+
+    await time.increaseTo(campaignEnd + 1n);
+    await election.connect(deployer).vote(1, 1);
+    context.account = alice.address;
+    expect(await evaluate(context, "loadVoteReceipt(account, 1)")).to.deep.include({ hasVoted: false, candidateIndex: null });
+    context.account = deployer.address;
+    const receipt = await evaluate(context, "loadVoteReceipt(account, 1)");
+    expect(receipt).to.deep.include({ hasVoted: true, candidateIndex: 1, timestamp: await time.latest() });
+
+    const [, running] = await evaluate(context, "loadElections()");
+    expect(running.candidates[1]).to.deep.include({ index: 1, address: bob.address, votes: receipt.weight, supporterCount: 1, isActive: true });
+
+    await time.increaseTo(votingEnd + 1n);
+    await election.finalizeElection(1);
+    const leadership = await evaluate(context, "loadLeadership()");
+    expect(leadership[Position.TechLead]).to.deep.include({ positionName: "Tech Lead", holder: bob.address, isActive: true });
+    expect(await evaluate(context, "loadVacantPositions()")).to.not.include(Position.TechLead);
+  });
+});
@@ -0,0 +1,67 @@
+// test/helpers/browser.js
+//
+// The site scripts in kdao-site/js are plain browser scripts that share globals,
+// so tests run them in a vm context instead of requiring them.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const siteDir = path.join(__dirname, "../../kdao-site");
+
+function createLocalStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+// loadScripts(["js/utils.js", "js/market-data.js"]) -> context with the scripts' globals
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+    fetch,
+    AbortController,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout,
+    localStorage: createLocalStorage(),
+    ...globals
+  });
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(siteDir, file), "utf8"), context, { filename: file });
+  }
+  return context;
+}
+
+// Top-level const/let of scripts are not properties of the context, evaluate to reach them
+function evaluate(context, expression) {
+  return vm.runInContext(expression, context);
+}
+
+// Points the contract helpers of js/contracts.js at a test provider (the in-process
+// Hardhat network) and the given addresses, like the kdao-contracts override on localhost
+function connectToChain(context, provider, addresses) {
+  context.localStorage.setItem("kdao-network", "localhost");
+  context.localStorage.setItem("kdao-contracts", JSON.stringify(addresses));
+  context.testProvider = provider;
+  evaluate(context, "readProvider = testProvider");
+  return context;
+}
+
+// loadChainScripts(["js/proposals.js"], fixture.addresses) -> js/utils.js, js/contracts.js and
+// the given scripts reading the deployed contracts; t() returns the key, extra globals go last
+function loadChainScripts(files, addresses, globals = {}) {
+  const { ethers } = require("hardhat");
+  const context = loadScripts(["js/utils.js", "js/contracts.js", ...files], {
+    ethers,
+    getLocale: () => "en",
+    t: (key) => key,
+    ...globals
+  });
+  return connectToChain(context, ethers.provider, addresses);
+}
+
+module.exports = { loadScripts, evaluate, createLocalStorage, loadChainScripts };
@@ -0,0 +1,56 @@
+// test/helpers/fixtures.js
+//
+// Deployment of the five contracts for loadFixture, wired like deploy-config/hardhat.json:
+// the token is deployed first with the predicted staking and treasury addresses, the LP
+// token is the KDAO token itself, governance is exempt from the wallet limit and the team
+// allocation vests for a separate signer. `addresses` holds the contract addresses under the
+// keys of deployments/*.json and the site config.
+const { ethers } = require("hardhat");
+
+const kdao = (amount) => ethers.parseEther(String(amount));
+
+async function deployKDAOFixture() {
+  const [deployer, team, alice, bob, carol, guardian] = await ethers.getSigners();
+  const nonce = await ethers.provider.getTransactionCount(deployer.address);
+  // Deployment order: token, governance, staking, treasury, election
+  const stakingAddress = ethers.getCreateAddress({ from: deployer.address, nonce: nonce + 2 });
+  const treasuryAddress = ethers.getCreateAddress({ from: deployer.address, nonce: nonce + 3 });
+
+  const deployContract = async (name, ...args) => {
+    const factory = await ethers.getContractFactory(name, deployer);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  };
+
+  const token = await deployContract("KDAOToken", "Kaspa DAO", "KDAO", treasuryAddress, stakingAddress, team.address);
+  const governance = await deployContract("KDAOGovernance", await token.getAddress());
+  const staking = await deployContract("StakingRewards", await token.getAddress(), await token.getAddress());
+  const treasury = await deployContract("TreasuryManager", await token.getAddress(), stakingAddress, await governance.getAddress());
+  const election = await deployContract("ElectionManager", await token.getAddress(), stakingAddress, await governance.getAddress());
+
+  if ((await staking.getAddress()) !== stakingAddress || (await treasury.getAddress()) !== treasuryAddress) {
+    throw new Error("Predicted staking/treasury address does not match the deployment");
+  }
+
+  // Like the governance-wallet-limit setup step, staked votes would stop at the 2% wallet limit otherwise
+  await token.connect(deployer).setExemptFromLimit(await governance.getAddress(), true);
+
+  const addresses = {
+    kdaoToken: await token.getAddress(),
+    governance: await governance.getAddress(),
+    staking: stakingAddress,
+    treasury: treasuryAddress,
+    election: await election.getAddress()
+  };
+  return { token, governance, staking, treasury, election, addresses, deployer, team, alice, bob, carol, guardian };
+}
+
+// Sends KDAO from the deployer (60M liquidity and community allocation) to each account
+async function fund(token, deployer, accounts, amount) {
+  for (const account of accounts) {
+    await token.connect(deployer).transfer(account.address, amount);
+  }
+}
+
+module.exports = { deployKDAOFixture, fund, kdao };
@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { loadScripts, evaluate } = require("./helpers/browser");
+const { buildReport } = require("../kdao-site/i18n-report");
+
+const localesDir = path.join(__dirname, "../kdao-site/locales");
+
+// Serves locales/ from disk, with extra bundles for locales the site doesn't ship
+function localeFetch(extra = {}) {
+  return async (url) => {
+    const file = url.replace(/^locales\//, "");
+    if (extra[file]) {
+      return { ok: true, json: async () => extra[file] };
+    }
+    const target = path.join(localesDir, file);
+    if (!fs.existsSync(target)) {
+      return { ok: false, status: 404 };
+    }
+    return { ok: true, json: async () => JSON.parse(fs.readFileSync(target, "utf8")) };
+  };
+}
+
+function createDocument() {
+  return {
+    documentElement: {},
+    events: [],
+    querySelectorAll: () => [],
+    dispatchEvent(event) {
+      this.events.push(event);
+    }
+  };
+}
+
+describe("i18n.js", function () {
+  let context;
+
+  async function load(extra) {
+    context = loadScripts(["js/i18n.js", "js/utils.js"], {
+      fetch: localeFetch(extra),
+      document: createDocument(),
+      CustomEvent: class {
+        constructor(type, init) {
+          this.type = type;
+          this.detail = init.detail;
+        }
+      }
+    });
+    await context.initI18n();
+  }
+
+  beforeEach(async function () {
+    await load();
+  });
+
+  it("starts in English and stores the selected locale", async function () {
+    expect(context.getLocale()).to.equal("en");
+    expect(context.t("nav.main_menu")).to.equal("Main Menu");
+
+    await context.setLocale("de");
+    expect(context.t("nav.main_menu")).to.equal("Hauptmenü");
+    expect(context.localStorage.getItem("kdao-lang")).to.equal("de");
+    expect(context.document.documentElement.lang).to.equal("de");
+    expect(context.document.events.map((event) => event.detail.locale)).to.deep.equal(["en", "de"]);
+  });
+
+  it("maps regional and unknown locales", async function () {
+    expect(await context.setLocale("de-AT")).to.equal("de");
+    expect(await context.setLocale("fr")).to.equal("en");
+  });
+
+  it("interpolates parameters", async function () {
+    await context.setLocale("de");
+    expect(context.t("admin.sign_in_failed", { reason: "Session expired" }))
+      .to.equal("Anmeldung fehlgeschlagen: Session expired");
+  });
+
+  it("selects plural forms", async function () {
+    expect(context.t("time.days", { count: 1 })).to.equal("1 day");
+    expect(context.t("time.days", { count: 3 })).to.equal("3 days");
+    expect(context.formatDuration(2 * 3600 + 60)).to.equal("2 hours");
+    expect(context.formatDuration(30)).to.equal("less than a minute");
+
+    await context.setLocale("de");
+    expect(context.formatDuration(86400)).to.equal("1 Tag");
+    expect(context.formatDuration(5 * 60)).to.equal("5 Minuten");
+  });
+
+  it("falls back to English and then to the key", async function () {
+    await load({
+      "index.json": { en: { intl: "en-US" }, es: { name: "Español", intl: "es-ES" } },
+      "es.json": { nav: { main_menu: "Menú principal" } }
+    });
+    await context.setLocale("es");
+
+    expect(context.t("nav.main_menu")).to.equal("Menú principal");
+    expect(context.t("nav.ecosystem")).to.equal("Ecosystem");
+    expect(context.t("nav.nothing_here")).to.equal("nav.nothing_here");
+    expect(evaluate(context, "[...i18nState.missing]")).to.deep.equal(["nav.nothing_here"]);
+  });
+
+  it("formats numbers, currencies and dates for the locale", async function () {
+    const date = Date.UTC(2025, 7, 15, 12);
+
+    expect(context.formatNumber(1234567.5)).to.equal("1,234,567.5");
+    expect(context.formatCurrency(1234.5)).to.equal("$1,234.50");
+    expect(context.formatDate(date / 1000)).to.equal("8/15/2025");
+
+    await context.setLocale("de");
+    expect(context.formatNumber(1234567.5)).to.equal("1.234.567,5");
+    expect(context.formatCurrency(1234.5, "EUR")).to.equal("1.234,50\u00a0€");
+    expect(context.formatDate(date / 1000)).to.equal("15.8.2025");
+    expect(context.t("time.days", { count: 1000 })).to.equal("1.000 Tage");
+  });
+});
+
+describe("i18n-report.js", function () {
+  it("finds every key the site uses in all locales", function () {
+    const report = buildReport();
+
+    expect(report.locales).to.include.members(["en", "de"]);
+    report.locales.forEach((locale) => {
+      expect(report.missing[locale], locale).to.deep.equal([]);
+      expect(report.extra[locale], locale).to.deep.equal([]);
+    });
+    expect(report.unused).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployKDAOFixture, fund, kdao } = require("./helpers/fixtures");
+const { loadChainScripts, evaluate } = require("./helpers/browser");
+const { loadContracts, createStore, sync, queryEvents, startApi } = require("../kdao-site/indexer");
+
+// Contracts and an empty store starting after the fixture deployment, like a fresh indexer run
+async function indexerFixture() {
+  const fixture = await deployKDAOFixture();
+  const deployment = { network: "hardhat", chainId: 31337, contracts: fixture.addresses };
+  const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+  return { ...fixture, deployment, startBlock };
+}
+
+const transfersTo = (store, account) =>
+  store.events.filter(event => event.event === "Transfer" && event.args.to === account.address);
+
+describe("indexer.js", function () {
+  let consoleLog;
+
+  beforeEach(function () {
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+  });
+
+  it("stores the parsed events of the deployed contracts and counts only those", async function () {
+    const { token, deployer, alice, bob, deployment, startBlock } = await loadFixture(indexerFixture);
+    const contracts = await loadContracts(deployment);
+    // With only Transfer in the ABI the Approval and DelegateVotesChanged logs stay unparsed
+    contracts[deployment.contracts.kdaoToken.toLowerCase()].iface = new ethers.Interface([
+      "event Transfer(address indexed from, address indexed to, uint256 value)"
+    ]);
+    const store = createStore(deployment, startBlock);
+
+    await token.connect(deployer).transfer(alice.address, kdao(100));
+    await token.connect(deployer).approve(bob.address, kdao(5));
+    await token.connect(deployer).transfer(bob.address, kdao(200));
+
+    expect(await sync(ethers.provider, contracts, store)).to.equal(2);
+    expect(store.events.map(event => event.event)).to.deep.equal(["Transfer", "Transfer"]);
+    expect(store.events[1]).to.deep.include({ contract: "kdaoToken", args: { from: deployer.address, to: bob.address, value: kdao(200).toString() } });
+    expect(store.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+    // Nothing new on the next poll
+    expect(await sync(ethers.provider, contracts, store)).to.equal(0);
+  });
+
+  it("rolls back and re-reads the blocks replaced by a reorg", async function () {
+    const { token, deployer, alice, bob, deployment, startBlock } = await loadFixture(indexerFixture);
+    const contracts = await loadContracts(deployment);
+    const store = createStore(deployment, startBlock);
+
+    await token.connect(deployer).transfer(alice.address, kdao(100));
+    const forkPoint = await network.provider.send("evm_snapshot");
+    await token.connect(deployer).transfer(alice.address, kdao(300));
+    await sync(ethers.provider, contracts, store);
+    expect(transfersTo(store, alice).map(event => event.args.value)).to.deep.equal([kdao(100).toString(), kdao(300).toString()]);
+
+    // The other branch replaces the second transfer and grows past the indexed head
+    await network.provider.send("evm_revert", [forkPoint]);
+    await token.connect(deployer).transfer(bob.address, kdao(50));
+    await network.provider.send("hardhat_mine", ["0x2"]);
+
+    // Transfer and the deployer's DelegateVotesChanged (ERC20Votes) of the new branch
+    expect(await sync(ethers.provider, contracts, store)).to.equal(2);
+    expect(transfersTo(store, alice).map(event => event.args.value)).to.deep.equal([kdao(100).toString()]);
+    expect(transfersTo(store, bob).map(event => event.args.value)).to.deep.equal([kdao(50).toString()]);
+    const head = await ethers.provider.getBlock("latest");
+    expect(store.recentBlocks[store.recentBlocks.length - 1]).to.deep.equal({ number: head.number, hash: head.hash });
+  });
+
+  it("gives the site the same events from the indexer as from the node", async function () {
+    const { token, governance, deployer, alice, bob, deployment, startBlock } = await loadFixture(indexerFixture);
+    const contracts = await loadContracts(deployment);
+    const store = createStore(deployment, startBlock);
+
+    await fund(token, deployer, [alice], kdao(1_000));
+    await token.connect(alice).approve(await governance.getAddress(), kdao(1_000));
+    await governance.connect(alice).stakeTokens(kdao(1_000));
+    await governance.connect(alice).createProposal(2, "Raise the APY", "Base APY to 12%", ethers.ZeroAddress, 0n, "0x");
+    await governance.connect(alice).delegateVotes(bob.address);
+    await sync(ethers.provider, contracts, store);
+
+    // The indexer answers from the store, or is unreachable and the site reads the node
+    let indexer = true;
+    const context = loadChainScripts([], deployment.contracts, {
+      fetch: async (url) => {
+        if (!indexer) throw new Error("connect ECONNREFUSED");
+        return { ok: true, json: async () => JSON.parse(JSON.stringify(queryEvents(store, new URL(url).searchParams))) };
+      }
+    });
+    const query = (event) => evaluate(context, `queryContractEvents(getKDAOContract('governance'), getKDAOContract('governance').filters.${event}())`);
+
+    const fromIndexer = [await query("ProposalCreated"), await query("VotesDelegated")];
+    indexer = false;
+    const fromNode = [await query("ProposalCreated"), await query("VotesDelegated")];
+    expect(fromIndexer).to.deep.equal(fromNode);
+
+    const [[created], [delegated]] = fromNode;
+    expect(Object.keys(created)).to.deep.equal(["blockNumber", "transactionHash", "logIndex", "args"]);
+    expect(created.args).to.deep.include({ proposalId: 1n, proposer: alice.address, proposalType: 2n, title: "Raise the APY" });
+    expect(delegated.args).to.deep.equal({ delegator: alice.address, delegatee: bob.address });
+  });
+
+  it("serves the store from /events with contract, event and account filters to allowed origins", async function () {
+    const { token, governance, deployer, alice, bob, deployment, startBlock } = await loadFixture(indexerFixture);
+    const contracts = await loadContracts(deployment);
+    const store = createStore(deployment, startBlock);
+
+    await token.connect(deployer).transfer(alice.address, kdao(1_000));
+    await token.connect(deployer).transfer(bob.address, kdao(2_000));
+    await token.connect(alice).approve(await governance.getAddress(), kdao(500));
+    await governance.connect(alice).stakeTokens(kdao(500));
+    await sync(ethers.provider, contracts, store);
+
+    const server = startApi(store, 0);
+    await new Promise(resolve => server.once("listening", resolve));
+    const get = async (query) => (await fetch(`http://127.0.0.1:${server.address().port}/events?${query}`)).json();
+    try {
+      const transfers = await get(`contract=kdaoToken&event=Transfer&account=${alice.address.toLowerCase()}&order=desc`);
+      // Funding and the stake moving to governance, newest first
+      expect(transfers.total).to.equal(2);
+      expect(transfers.events.map(event => event.args.to)).to.deep.equal([await governance.getAddress(), alice.address]);
+      expect(transfers.lastBlock).to.equal(store.lastBlock);
+
+      const page = await get("contract=kdaoToken&limit=1&offset=1");
+      expect(page.events).to.deep.equal([queryEvents(store, new URLSearchParams("contract=kdaoToken")).events[1]]);
+      expect((await get("contract=governance")).events.every(event => event.contract === "governance")).to.equal(true);
+
+      // CORS headers only for the site's origins, other origins are refused
+      const url = `http://127.0.0.1:${server.address().port}/status`;
+      const site = await fetch(url, { headers: { Origin: "http://localhost:8080" } });
+      expect(site.headers.get("access-control-allow-origin")).to.equal("http://localhost:8080");
+      expect((await site.json()).events).to.equal(store.events.length);
+      expect((await fetch(url, { headers: { Origin: "https://evil.example" } })).status).to.equal(403);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { loadScripts } = require("./helpers/browser");
+
+// Rounds a series for comparison with published tables, dropping the warm-up nulls
+function rounded(series, digits = 2) {
+  return series.filter((value) => value !== null).map((value) => Number(value.toFixed(digits)));
+}
+
+function candle(close, volume = 1000) {
+  return { time: 0, open: close, high: close, low: close, close, volume };
+}
+
+// StockCharts "Moving Averages" example (10-day SMA/EMA)
+const EMA_CLOSES = [
+  22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29,
+  22.15, 22.39, 22.38, 22.61, 23.36, 24.05, 23.75, 23.83, 23.95, 23.63,
+  23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17
+];
+
+// StockCharts RSI example (Wilder, 14 periods)
+const RSI_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08,
+  45.89, 46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64,
+  46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57,
+  43.42, 42.66, 43.13
+];
+
+describe("indicators.js", function () {
+  let indicators;
+
+  before(function () {
+    indicators = loadScripts(["js/indicators.js"]);
+  });
+
+  describe("sma / ema", function () {
+    it("matches the 10-day SMA reference values", function () {
+      const result = indicators.sma(EMA_CLOSES, 10);
+
+      expect(result.slice(0, 9).every((value) => value === null)).to.equal(true);
+      expect(rounded(result)).to.deep.equal([
+        22.22, 22.21, 22.23, 22.26, 22.3, 22.42, 22.61, 22.77, 22.91, 23.08, 23.21,
+        23.38, 23.52, 23.65, 23.71, 23.68, 23.61, 23.5, 23.43, 23.28, 23.13
+      ]);
+    });
+
+    it("matches the 10-day EMA reference values", function () {
+      expect(rounded(indicators.ema(EMA_CLOSES, 10))).to.deep.equal([
+        22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.8, 22.97, 23.13, 23.28, 23.34,
+        23.43, 23.51, 23.53, 23.47, 23.4, 23.39, 23.26, 23.23, 23.08, 22.92
+      ]);
+    });
+
+    it("starts the EMA after leading nulls", function () {
+      const result = indicators.ema([null, null, 1, 2, 3, 4], 3);
+      expect(result).to.deep.equal([null, null, null, null, 2, 3]);
+    });
+
+    it("returns only nulls for a series shorter than the period", function () {
+      expect(indicators.ema([1, 2], 3)).to.deep.equal([null, null]);
+      expect(indicators.sma([1, 2], 3)).to.deep.equal([null, null]);
+    });
+  });
+
+  describe("rsi", function () {
+    it("matches the Wilder reference values", function () {
+      // Unrounded averages; the StockCharts sheet rounds the first averages and shows 70.53
+      expect(rounded(indicators.rsi(RSI_CLOSES, 14))).to.deep.equal([
+        70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34,
+        54.67, 50.39, 40.02, 41.49, 41.9, 45.5, 37.32, 33.09, 37.79
+      ]);
+    });
+
+    it("is 100 without losses and 0 without gains", function () {
+      const rising = Array.from({ length: 20 }, (_, index) => index + 1);
+      expect(indicators.rsi(rising, 14)[19]).to.equal(100);
+      expect(indicators.rsi(rising.slice().reverse(), 14)[19]).to.equal(0);
+    });
+
+    it("needs period + 1 closes", function () {
+      expect(indicators.rsi(RSI_CLOSES.slice(0, 14), 14).every((value) => value === null)).to.equal(true);
+      expect(indicators.rsi(RSI_CLOSES.slice(0, 15), 14)[14]).to.not.equal(null);
+    });
+  });
+
+  describe("macd", function () {
+    // For a linear series every SMA-seeded EMA lags by exactly (period - 1) / 2
+    const linear = Array.from({ length: 60 }, (_, index) => index + 1);
+
+    it("is EMA(12) - EMA(26) with a 9-period signal line", function () {
+      const { macd, signal, histogram } = indicators.macd(linear);
+
+      expect(macd.findIndex((value) => value !== null)).to.equal(25);
+      expect(signal.findIndex((value) => value !== null)).to.equal(33);
+      expect(macd[59]).to.be.closeTo(12.5 - 5.5, 1e-9);
+      expect(signal[59]).to.be.closeTo(7, 1e-9);
+      expect(histogram[59]).to.be.closeTo(0, 1e-9);
+    });
+
+    it("turns the histogram negative when the trend reverses", function () {
+      const reversal = linear.concat(Array.from({ length: 10 }, (_, index) => 59 - index * 2));
+      const { histogram } = indicators.macd(reversal);
+      expect(histogram[histogram.length - 1]).to.be.below(0);
+    });
+  });
+
+  describe("bollinger", function () {
+    it("uses the population standard deviation", function () {
+      const closes = Array.from({ length: 20 }, (_, index) => index + 1);
+      const { middle, upper, lower } = indicators.bollinger(closes, 20, 2);
+      const deviation = Math.sqrt((20 * 20 - 1) / 12);
+
+      expect(middle[19]).to.equal(10.5);
+      expect(upper[19]).to.be.closeTo(10.5 + 2 * deviation, 1e-9);
+      expect(lower[19]).to.be.closeTo(10.5 - 2 * deviation, 1e-9);
+      expect(upper[18]).to.equal(null);
+    });
+
+    it("collapses to the mean for a flat series", function () {
+      const { upper, lower } = indicators.bollinger(new Array(20).fill(5), 20, 2);
+      expect([upper[19], lower[19]]).to.deep.equal([5, 5]);
+    });
+  });
+
+  describe("volume trend", function () {
+    it("weights closes by volume", function () {
+      const candles = [candle(1, 1), candle(2, 1), candle(4, 2)];
+      expect(indicators.vwma(candles, 3)).to.deep.equal([null, null, (1 + 2 + 8) / 4]);
+    });
+
+    it("detects rising and falling trends", function () {
+      const rising = Array.from({ length: 30 }, (_, index) => candle(100 + index));
+      const falling = Array.from({ length: 30 }, (_, index) => candle(100 - index));
+      const flat = Array.from({ length: 30 }, () => candle(100));
+
+      expect(indicators.volumeTrend(rising).direction).to.equal("UP");
+      expect(indicators.volumeTrend(falling).direction).to.equal("DOWN");
+      expect(indicators.volumeTrend(flat).direction).to.equal("NEUTRAL");
+      expect(indicators.volumeTrend(rising.slice(0, 10)).direction).to.equal(null);
+    });
+  });
+
+  describe("getTradingSignal", function () {
+    // Alternating steps, e.g. +3 / -2 for a choppy uptrend with a neutral RSI
+    function zigzag(length, up, down, start = 100) {
+      let price = start;
+      return Array.from({ length }, (_, index) => {
+        price += index % 2 ? -down : up;
+        return candle(price);
+      });
+    }
+
+    function votes(result) {
+      return Object.fromEntries(result.checks.map((check) => [check.id, check.vote]));
+    }
+
+    it("signals BUY for a choppy uptrend", function () {
+      const result = indicators.getTradingSignal(zigzag(61, 3, 2));
+
+      expect(votes(result)).to.deep.equal({ rsi: 0, macd: 1, bollinger: 0, trend: 1 });
+      expect(result.score).to.equal(2);
+      expect(result.signal).to.equal("BUY");
+    });
+
+    it("signals SELL for a choppy downtrend", function () {
+      const result = indicators.getTradingSignal(zigzag(60, 2, 3, 200));
+
+      expect(votes(result)).to.deep.equal({ rsi: 0, macd: -1, bollinger: 0, trend: -1 });
+      expect(result.signal).to.equal("SELL");
+    });
+
+    it("holds an overbought rally", function () {
+      const candles = Array.from({ length: 60 }, (_, index) => candle(100 * 1.01 ** index));
+      const result = indicators.getTradingSignal(candles);
+
+      expect(result.indicators.rsi).to.equal(100);
+      expect(votes(result)).to.deep.equal({ rsi: -1, macd: 1, bollinger: 0, trend: 1 });
+      expect(result.signal).to.equal("HOLD");
+    });
+
+    it("reports the thresholds behind each vote", function () {
+      const result = indicators.getTradingSignal(zigzag(61, 3, 2));
+      const { bollinger, trend } = result.indicators;
+
+      expect(result.checks.find((check) => check.id === "rsi").thresholds).to.deep.equal([30, 70]);
+      expect(result.checks.find((check) => check.id === "bollinger").thresholds).to.deep.equal([bollinger.lower, bollinger.upper]);
+      expect(result.checks.find((check) => check.id === "trend").thresholds).to.deep.equal([trend.vwma]);
+    });
+
+    it("holds without enough history", function () {
+      const result = indicators.getTradingSignal([candle(1), candle(2)]);
+      expect(result.checks).to.deep.equal([]);
+      expect(result.signal).to.equal("HOLD");
+    });
+  });
+});
@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const http = require("http");
+const { loadScripts, evaluate } = require("./helpers/browser");
+const { createMarketRelay, createMarketServer } = require("../kdao-site/market-relay");
+
+// Minimal stand-in for the CoinEx v2 market endpoints
+function startMockCoinEx() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    server.requests.push({ path: url.pathname, params: Object.fromEntries(url.searchParams) });
+
+    const route = server.routes[url.pathname];
+    if (!route) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(route.status || 200, { "Content-Type": "application/json" });
+    res.end(typeof route.body === "string" ? route.body : JSON.stringify(route.body));
+  });
+  server.routes = {};
+  server.requests = [];
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      server.baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve(server);
+    });
+  });
+}
+
+const TICKER = {
+  code: 0,
+  message: "OK",
+  data: [{
+    market: "KDAOUSDT",
+    last: "0.00000114",
+    open: "0.00000120",
+    close: "0.00000114",
+    high: "0.00000125",
+    low: "0.00000103",
+    volume: "3100000000",
+    value: "3512.5",
+    period: 86400
+  }]
+};
+
+const KLINE = {
+  code: 0,
+  message: "OK",
+  data: [
+    { market: "KDAOUSDT", created_at: 1760007600000, open: "0.00000112", close: "0.00000114", high: "0.00000115", low: "0.00000111", volume: "1000", value: "0.00114" },
+    { market: "KDAOUSDT", created_at: 1760004000000, open: "0.00000110", close: "0.00000112", high: "0.00000113", low: "0.00000109", volume: "2000", value: "0.00224" },
+    { market: "KDAOUSDT", created_at: 1760000400000, open: "abc", close: "0.00000110", high: "0.00000111", low: "0.00000108", volume: "500", value: "0.00055" }
+  ]
+};
+
+async function expectRejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected the promise to reject");
+}
+
+describe("market-data.js", function () {
+  let server;
+  let context;
+
+  before(async function () {
+    server = await startMockCoinEx();
+  });
+
+  after(function () {
+    server.close();
+  });
+
+  beforeEach(function () {
+    server.routes = {
+      "/v2/spot/ticker": { body: TICKER },
+      "/v2/spot/kline": { body: KLINE }
+    };
+    server.requests = [];
+
+    context = loadScripts(["js/market-data.js"]);
+    evaluate(context, "marketProviders.length = 0");
+    evaluate(context, `registerMarketProvider(createCoinExProvider({ baseUrl: "${server.baseUrl}" }))`);
+  });
+
+  describe("CoinEx provider", function () {
+    it("normalizes the ticker", async function () {
+      const result = await context.loadTicker();
+
+      expect(result.stale).to.equal(false);
+      expect(result.provider).to.equal("CoinEx");
+      expect(result.data.price).to.equal(0.00000114);
+      expect(result.data.high).to.equal(0.00000125);
+      expect(result.data.low).to.equal(0.00000103);
+      expect(result.data.volume).to.equal(3512.5);
+      expect(result.data.change).to.be.closeTo(-5, 1e-9);
+      expect(server.requests[0].params).to.deep.equal({ market: "KDAOUSDT" });
+    });
+
+    it("requests klines for the selected interval", async function () {
+      await context.loadCandles("4h", 50);
+
+      expect(server.requests[0].path).to.equal("/v2/spot/kline");
+      expect(server.requests[0].params).to.deep.equal({ market: "KDAOUSDT", period: "4hour", limit: "50" });
+    });
+
+    it("returns candles oldest first and drops malformed ones", async function () {
+      const result = await context.loadCandles("1h");
+
+      expect(result.data.map((candle) => candle.time)).to.deep.equal([1760004000000, 1760007600000]);
+      expect(result.data[1]).to.deep.equal({
+        time: 1760007600000,
+        open: 0.00000112,
+        high: 0.00000115,
+        low: 0.00000111,
+        close: 0.00000114,
+        volume: 0.00114
+      });
+    });
+
+    it("rejects unknown intervals", async function () {
+      const error = await expectRejection(context.loadCandles("15m"));
+      expect(error.message).to.equal("Unknown interval 15m");
+      expect(server.requests).to.have.length(0);
+    });
+
+    it("treats API error codes as failures", async function () {
+      server.routes["/v2/spot/ticker"] = { body: { code: 3639, message: "Market not found", data: {} } };
+
+      const error = await expectRejection(context.loadTicker());
+      expect(error.message).to.equal("CoinEx: Market not found");
+    });
+
+    it("rejects a ticker without a usable price", async function () {
+      server.routes["/v2/spot/ticker"] = { body: { ...TICKER, data: [{ ...TICKER.data[0], last: "0" }] } };
+
+      const error = await expectRejection(context.loadTicker());
+      expect(error.message).to.equal("CoinEx: Invalid ticker price");
+    });
+  });
+
+  describe("last-good cache", function () {
+    it("serves the last good value marked as stale when the provider fails", async function () {
+      const fresh = await context.loadTicker();
+      server.routes["/v2/spot/ticker"] = { status: 502, body: "Bad Gateway" };
+
+      const result = await context.loadTicker();
+      expect(result.stale).to.equal(true);
+      expect(result.data).to.deep.equal(fresh.data);
+      expect(result.fetchedAt).to.equal(fresh.fetchedAt);
+      expect(result.error).to.equal("CoinEx: HTTP 502");
+    });
+
+    it("keeps one cache entry per interval", async function () {
+      await context.loadCandles("1h");
+      server.routes["/v2/spot/kline"] = { status: 500, body: "" };
+
+      expect((await context.loadCandles("1h")).stale).to.equal(true);
+      const error = await expectRejection(context.loadCandles("1d"));
+      expect(error.message).to.equal("CoinEx: HTTP 500");
+    });
+
+    it("survives a reload through localStorage", async function () {
+      await context.loadTicker();
+      const reloaded = loadScripts(["js/market-data.js"], { localStorage: context.localStorage });
+      evaluate(reloaded, "marketProviders.length = 0");
+      evaluate(reloaded, `registerMarketProvider(createCoinExProvider({ baseUrl: "${server.baseUrl}" }))`);
+      server.routes["/v2/spot/ticker"] = { status: 500, body: "" };
+
+      const result = await reloaded.loadTicker();
+      expect(result.stale).to.equal(true);
+      expect(result.data.price).to.equal(0.00000114);
+    });
+
+    it("does not make up data without a cached value", async function () {
+      server.routes["/v2/spot/ticker"] = { status: 500, body: "" };
+
+      const error = await expectRejection(context.loadTicker());
+      expect(error.message).to.equal("CoinEx: HTTP 500");
+    });
+  });
+
+  describe("provider order", function () {
+    it("falls back to the next provider", async function () {
+      evaluate(context, "marketProviders.length = 0");
+      evaluate(context, `registerMarketProvider({ name: "Down", fetchTicker: async () => { throw new Error("offline"); } })`);
+      evaluate(context, `registerMarketProvider(createCoinExProvider({ baseUrl: "${server.baseUrl}" }))`);
+
+      const result = await context.loadTicker();
+      expect(result.provider).to.equal("CoinEx");
+      expect(result.stale).to.equal(false);
+    });
+
+    it("asks the network's market relay before CoinEx", async function () {
+      server.routes = { "/coinex/v2/spot/ticker": { body: TICKER } };
+      context = loadScripts(["js/market-data.js"], { getActiveNetwork: () => ({ marketUrl: server.baseUrl }) });
+      expect(evaluate(context, "marketProviders.length")).to.equal(2);
+
+      const result = await context.loadTicker();
+      expect(result.data.price).to.equal(0.00000114);
+      expect(result.provider).to.equal("CoinEx (relay)");
+      expect(server.requests).to.deep.equal([{ path: "/coinex/v2/spot/ticker", params: { market: "KDAOUSDT" } }]);
+    });
+
+    it("falls back to CoinEx when the market relay cannot reach it", async function () {
+      // market-relay.js reading a CoinEx that refuses connections answers 502
+      const relay = createMarketServer(createMarketRelay({ baseUrl: "http://127.0.0.1:1" }));
+      await new Promise((resolve) => relay.listen(0, "127.0.0.1", resolve));
+      try {
+        context = loadScripts(["js/market-data.js"], { getActiveNetwork: () => ({ marketUrl: `http://127.0.0.1:${relay.address().port}` }) });
+        evaluate(context, `marketProviders[1] = createCoinExProvider({ baseUrl: "${server.baseUrl}" })`);
+
+        const result = await context.loadTicker();
+        expect(result.stale).to.equal(false);
+        expect(result.data.price).to.equal(0.00000114);
+        expect(result.provider).to.equal("CoinEx");
+        expect(server.requests.map((request) => request.path)).to.deep.equal(["/v2/spot/ticker"]);
+
+        // With both down, the error names the failing instance
+        server.routes["/v2/spot/ticker"] = { status: 503, body: "" };
+        const stale = await context.loadTicker();
+        expect(stale.stale).to.equal(true);
+        expect(stale.error).to.equal("CoinEx (relay): HTTP 502; CoinEx: HTTP 503");
+      } finally {
+        await new Promise((resolve) => relay.close(resolve));
+      }
+    });
+
+    it("reports every provider error", async function () {
+      evaluate(context, `registerMarketProvider({ name: "Down", fetchTicker: async () => { throw new Error("offline"); } })`);
+      server.routes["/v2/spot/ticker"] = { status: 503, body: "" };
+
+      const error = await expectRejection(context.loadTicker());
+      expect(error.message).to.equal("CoinEx: HTTP 503; Down: offline");
+    });
+  });
+});
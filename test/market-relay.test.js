@@ -0,0 +1,50 @@
+const { expect } = require("chai");
+const http = require("http");
+const { createMarketRelay, createMarketServer } = require("../kdao-site/market-relay");
+
+describe("market-relay.js", function () {
+  let coinex;
+  let server;
+  let requests;
+
+  const get = (query) => fetch(`http://127.0.0.1:${server.address().port}/coinex${query}`, { headers: { Origin: "http://localhost:8080" } });
+
+  beforeEach(async function () {
+    requests = [];
+    coinex = http.createServer((req, res) => {
+      requests.push(req.url);
+      const ok = req.url.startsWith("/v2/spot/ticker");
+      res.writeHead(ok ? 200 : 500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(ok ? { code: 0, data: [{ market: "KDAOUSDT", last: "0.00000114" }] } : {}));
+    });
+    await new Promise(resolve => coinex.listen(0, "127.0.0.1", resolve));
+    server = createMarketServer(createMarketRelay({ baseUrl: `http://127.0.0.1:${coinex.address().port}`, ttl: 60000 }));
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  });
+
+  afterEach(async function () {
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => coinex.close(resolve));
+  });
+
+  it("relays the CoinEx market endpoints with the site's CORS headers", async function () {
+    const ticker = await get("/v2/spot/ticker?market=KDAOUSDT&extra=1");
+    expect(ticker.headers.get("access-control-allow-origin")).to.equal("http://localhost:8080");
+    expect((await ticker.json()).data[0].last).to.equal("0.00000114");
+
+    // Only the known parameters go to CoinEx, and a repeated request is served from the cache
+    expect((await get("/v2/spot/ticker?market=KDAOUSDT")).status).to.equal(200);
+    expect(requests).to.deep.equal(["/v2/spot/ticker?market=KDAOUSDT"]);
+  });
+
+  it("answers failed CoinEx requests and unknown endpoints with errors", async function () {
+    const kline = await get("/v2/spot/kline?market=KDAOUSDT&period=1hour&limit=100");
+    expect(kline.status).to.equal(502);
+    expect(await kline.json()).to.deep.equal({ error: "CoinEx answered HTTP 500" });
+    expect((await get("/v1/market/ticker")).status).to.equal(404);
+    expect(requests).to.have.lengthOf(1);
+
+    const other = await fetch(`http://127.0.0.1:${server.address().port}/coinex/v2/spot/ticker`, { headers: { Origin: "https://evil.example" } });
+    expect(other.status).to.equal(403);
+  });
+});
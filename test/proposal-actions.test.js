@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployKDAOFixture, fund, kdao } = require("./helpers/fixtures");
+const { loadChainScripts, evaluate } = require("./helpers/browser");
+
+const ProposalType = { Funding: 0, Treasury: 1, Governance: 2, Election: 3 };
+const VOTING_BLOCKS = 7 * 24 * 60 * 60 / 12;
+
+// The deployer stakes the 30% quorum and can pass proposals on its own
+async function quorumFixture() {
+  const fixture = await deployKDAOFixture();
+  const { token, governance, deployer, alice } = fixture;
+  await fund(token, deployer, [alice], kdao(1_000));
+  await token.connect(deployer).approve(await governance.getAddress(), ethers.MaxUint256);
+  await governance.connect(deployer).stakeTokens(kdao(45_000_000));
+  return fixture;
+}
+
+function loadActionScripts(addresses) {
+  return loadChainScripts(["js/elections.js", "js/wallet.js", "js/proposal-actions.js"], addresses, { window: {} });
+}
+
+// Runs a builder expression in the context with the input passed as JSON
+function build(context, typeName, input) {
+  return evaluate(context, `buildProposalCall(${JSON.stringify(typeName)}, ${JSON.stringify(input)})`);
+}
+
+const allocation = {
+  actionKey: "treasury.setQuarterlyAllocation",
+  args: { _year: "2026", _quarter: "2", _utility: "1000", _token: "2000.5", _education: "0", _marketing: "500", _infrastructure: "250" }
+};
+
+describe("js/proposal-actions.js", function () {
+  it("encodes calldata that the governance contract executes after the vote", async function () {
+    const { governance, treasury, deployer, addresses } = await loadFixture(quorumFixture);
+    const context = loadActionScripts(addresses);
+
+    const call = build(context, "Treasury", allocation);
+    expect(call.target).to.equal(addresses.treasury);
+    expect(call.value).to.equal(0n);
+    context.builtCall = call;
+    expect(await evaluate(context, "dryRunProposalCall(builtCall)")).to.deep.equal({ ok: true });
+    const decoded = evaluate(context, "decodeProposalCall(builtCall.target, builtCall.callData)");
+    expect(decoded.contractLabel).to.equal("TreasuryManager");
+    expect(decoded.signature).to.equal("setQuarterlyAllocation(uint256,uint256,uint256,uint256,uint256,uint256,uint256)");
+    expect(decoded.args.map((arg) => `${arg.name}=${arg.value}`)).to.deep.equal([
+      "Year=2026", "Quarter=2", "Utility=1000.0 KDAO", "Token=2000.5 KDAO", "Education=0.0 KDAO", "Marketing=500.0 KDAO", "Infrastructure=250.0 KDAO"
+    ]);
+
+    await governance.connect(deployer).createProposal(ProposalType.Treasury, "Q2 2026", "Allocation", call.target, call.value, call.callData);
+    await mine(1);
+    await governance.connect(deployer).castVote(1, 1);
+    await mine(VOTING_BLOCKS);
+    await governance.connect(deployer).queueProposal(1);
+    await time.increaseTo((await governance.proposals(1)).eta);
+    await governance.connect(deployer).executeProposal(1);
+
+    const stored = await treasury.quarterlyAllocations(2026, 2);
+    expect([stored.utility, stored.token, stored.marketing, stored.infrastructure]).to.deep.equal([kdao(1_000), kdao(2_000.5), kdao(500), kdao(250)]);
+  });
+
+  it("encodes funding transfers, signal proposals, enums and arrays", async function () {
+    const { alice, addresses } = await loadFixture(quorumFixture);
+    const context = loadActionScripts(addresses);
+
+    expect(build(context, "Funding", { recipient: alice.address.toLowerCase(), amount: "1.5" }))
+      .to.deep.include({ target: alice.address, value: kdao(1.5), callData: "0x" });
+    expect(build(context, "Governance", {})).to.deep.include({ target: ethers.ZeroAddress, value: 0n, callData: "0x" });
+
+    context.builtCall = build(context, "Election", { actionKey: "election.createElection", args: { _position: "8", _title: "Frontend", _description: "Site and wallet UI" } });
+    expect(evaluate(context, "decodeProposalCall(builtCall.target, builtCall.callData)").args[0].value).to.equal("Frontend Developer (8)");
+
+    const tiers = build(context, "Governance", { actionKey: "staking.updateTierThresholds", args: { _thresholds: "1000, 10000,100000" } });
+    const [thresholds] = new ethers.Interface(["function updateTierThresholds(uint256[] _thresholds)"])
+      .decodeFunctionData("updateTierThresholds", tiers.callData);
+    expect([...thresholds]).to.deep.equal([kdao(1_000), kdao(10_000), kdao(100_000)]);
+  });
+
+  it("rejects invalid input and reports the revert reason of a failing dry run", async function () {
+    const { addresses } = await loadFixture(quorumFixture);
+    const context = loadActionScripts(addresses);
+
+    expect(() => build(context, "Funding", { recipient: "0x1234", amount: "1" })).to.throw("proposals.invalid_address");
+    expect(() => build(context, "Treasury", { ...allocation, args: { ...allocation.args, _quarter: "" } })).to.throw("Quarter: proposals.value_missing");
+    expect(() => build(context, "Treasury", { ...allocation, args: { ...allocation.args, _utility: "lots" } })).to.throw("Utility: proposals.invalid_number");
+    expect(() => build(context, "Treasury", { actionKey: "staking.updateAPY" })).to.throw("Unknown action staking.updateAPY for Treasury");
+
+    context.builtCall = build(context, "Treasury", { actionKey: "treasury.approveProject", args: { _projectId: "99" } });
+    const dryRun = await evaluate(context, "dryRunProposalCall(builtCall)");
+    expect(dryRun.ok).to.equal(false);
+    // The in-process network reports the reason inside its own message, a JSON-RPC node as error.reason
+    expect(dryRun.reason).to.include("Project does not exist");
+  });
+
+  it("submits the wizard draft and links to the new proposal", async function () {
+    const { governance, deployer, addresses } = await loadFixture(quorumFixture);
+    const toast = { style: {} };
+    const routes = [];
+    const context = loadChainScripts(["js/proposals.js", "js/elections.js", "js/wallet.js", "js/proposal-actions.js", "js/pages/proposals.js"], addresses, {
+      window: { addEventListener() {} },
+      document: { getElementById: (id) => (id === "txStatus" ? toast : null) },
+      registerPage() {},
+      navigateTo: (page, params) => routes.push({ page, params }),
+      t: (key, params) => (params ? `${key} ${Object.values(params).join(" ")}` : key),
+      setTimeout: () => 0,
+      clearTimeout() {}
+    });
+    context.testSigner = deployer;
+    evaluate(context, "walletState.signer = testSigner; walletState.account = testSigner.address; walletState.chainId = 31337");
+    evaluate(context, "closeProposalForm = () => {}; loadProposalsPage = async () => {}");
+    evaluate(context, "proposalDraft = { typeName: 'Governance', title: 'Signal', description: 'Signal only', call: buildProposalCall('Governance', {}) }");
+
+    await evaluate(context, "submitProposal()");
+    expect((await governance.proposals(1)).title).to.equal("Signal");
+    expect(toast.className).to.equal("tx-status confirmed");
+    expect(toast.innerHTML).to.include("proposals.proposal_created KIP-001");
+    expect(routes).to.deep.equal([{ page: "proposals", params: { id: "1" } }]);
+  });
+});
@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployKDAOFixture, fund, kdao } = require("./helpers/fixtures");
+const { loadChainScripts, evaluate } = require("./helpers/browser");
+
+const ProposalType = { Funding: 0, Treasury: 1, Governance: 2, Election: 3 };
+const VoteType = { Against: 0, For: 1, Abstain: 2 };
+const DAY = 24 * 60 * 60;
+const VOTING_BLOCKS = 7 * DAY / 12;
+
+// The deployer stakes the 30% quorum, alice proposes; proposal 1 is voted through, 2 only by alice
+async function votedFixture() {
+  const fixture = await deployKDAOFixture();
+  const { token, governance, deployer, alice } = fixture;
+  await fund(token, deployer, [alice], kdao(10_000));
+  for (const account of [deployer, alice]) {
+    await token.connect(account).approve(await governance.getAddress(), ethers.MaxUint256);
+  }
+  await governance.connect(deployer).stakeTokens(kdao(45_000_000));
+  await governance.connect(alice).stakeTokens(kdao(1_000));
+
+  await governance.connect(alice).createProposal(ProposalType.Governance, "Raise the APY", "Base APY to 12%", ethers.ZeroAddress, 0n, "0x");
+  await governance.connect(alice).createProposal(ProposalType.Funding, "Fund the wallet", "Grant for the wallet team", alice.address, 0n, "0x");
+  await governance.connect(deployer).castVote(1, VoteType.For);
+  await governance.connect(alice).castVote(1, VoteType.Abstain);
+  await governance.connect(alice).castVote(2, VoteType.For);
+  return fixture;
+}
+
+describe("js/proposals.js", function () {
+  it("builds tallies, quorum and countdowns of running proposals from KDAOGovernance", async function () {
+    const { governance, alice, addresses } = await loadFixture(votedFixture);
+    const context = loadChainScripts(["js/proposals.js"], addresses);
+
+    const proposals = await evaluate(context, "loadProposals({ force: true })");
+    expect(proposals.map((proposal) => proposal.id)).to.deep.equal([2, 1]);
+
+    const [funding, apy] = proposals;
+    const { endBlock } = await governance.proposals(1);
+    const blocksLeft = Number(endBlock) - await ethers.provider.getBlockNumber();
+    expect(apy).to.deep.include({
+      kip: "KIP-001",
+      proposer: alice.address,
+      typeName: "Governance",
+      stateName: "Active",
+      status: "active",
+      category: "governance",
+      title: "Raise the APY",
+      forVotes: kdao(45_000_000),
+      abstainVotes: kdao(1_000),
+      // Abstain counts towards the split but not towards quorum and approval
+      approval: 100,
+      participation: 30,
+      quorumPercent: 30,
+      quorumReached: true,
+      blocksLeft,
+      secondsLeft: blocksLeft * 12,
+      eta: 0,
+      expiresAt: 0
+    });
+    expect(apy.forPercent).to.equal(99.9);
+
+    expect(funding).to.deep.include({ typeName: "Funding", category: "funding", target: alice.address, forVotes: kdao(1_000), quorumReached: false });
+  });
+
+  it("follows proposals through the queue and re-reads them only when forced", async function () {
+    const { governance, deployer, addresses } = await loadFixture(votedFixture);
+    const context = loadChainScripts(["js/proposals.js"], addresses);
+    await mine(VOTING_BLOCKS);
+    await governance.connect(deployer).queueProposal(1);
+    const { eta } = await governance.proposals(1);
+
+    const [defeated, queued] = await evaluate(context, "loadProposals({ force: true })");
+    expect(defeated).to.deep.include({ stateName: "Defeated", status: "completed", blocksLeft: 0 });
+    expect(queued).to.deep.include({ stateName: "Queued", status: "queued", eta: Number(eta), expiresAt: Number(eta) + 14 * DAY });
+    expect(evaluate(context, "proposalCache.executionDelay")).to.equal(2 * DAY);
+    expect(evaluate(context, "getGovernanceClock()")).to.be.closeTo(await time.latest(), 5);
+
+    await time.increaseTo(eta);
+    await governance.connect(deployer).executeProposal(1);
+    expect((await evaluate(context, "loadProposals()"))[1].stateName).to.equal("Queued");
+    expect((await evaluate(context, "loadProposals({ force: true })"))[1].stateName).to.equal("Executed");
+  });
+});
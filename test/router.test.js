@@ -0,0 +1,48 @@
+const { expect } = require("chai");
+const { loadScripts } = require("./helpers/browser");
+
+describe("router.js", function () {
+  let context;
+
+  beforeEach(function () {
+    context = loadScripts(["js/router.js"], {
+      AbortController,
+      window: { addEventListener() {} }
+    });
+  });
+
+  it("parses and builds hash routes", function () {
+    expect(context.parseRoute("#/proposals/12")).to.deep.equal({ page: "proposals", params: { id: "12" } });
+    expect(context.parseRoute("#/unknown")).to.deep.equal({ page: "dashboard", params: {} });
+    expect(context.parseRoute("#/governance")).to.deep.equal({ page: "voting", params: {} });
+    expect(context.parseRoute("#/governance/4")).to.deep.equal({ page: "voting", params: { id: "4" } });
+    expect(context.buildRoute("elections", { id: 3 })).to.equal("#/elections/3");
+  });
+
+  it("aborts the signal of a page left while its init is still running", async function () {
+    const visits = [];
+    let finishLoad;
+    context.registerPage("dashboard", {
+      async init(params, signal) {
+        await new Promise((resolve) => (finishLoad = resolve));
+        // Like the dashboard: no refresh timer for a page that was left
+        visits.push(signal.aborted ? "left" : "timer started");
+      },
+      destroy() {
+        visits.push("destroyed");
+      }
+    });
+
+    const first = context.initPageModule("dashboard", {});
+    context.destroyActivePage();
+    finishLoad();
+    await first;
+    expect(visits).to.deep.equal(["destroyed", "left"]);
+
+    // The next visit gets a signal of its own
+    const second = context.initPageModule("dashboard", {});
+    finishLoad();
+    await second;
+    expect(visits).to.deep.equal(["destroyed", "left", "timer started"]);
+  });
+});
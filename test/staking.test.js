@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployKDAOFixture, fund, kdao } = require("./helpers/fixtures");
+const { loadChainScripts, evaluate } = require("./helpers/browser");
+
+// Alice holds 200,000 KDAO; the LP token of the fixture is the KDAO token itself
+async function stakerFixture() {
+  const fixture = await deployKDAOFixture();
+  const { token, deployer, alice } = fixture;
+  await fund(token, deployer, [alice], kdao(200_000));
+  return fixture;
+}
+
+// js/staking.js and the staking page with alice's wallet connected; the stake form
+// reads `form`, toasts land in `toast`
+function loadStakingPage(addresses, signer, form) {
+  const toast = { style: {} };
+  const inputs = {
+    "stake-amount": { get value() { return form.amount; }, set value(value) { form.amount = value; } },
+    "stake-autocompound": { get checked() { return form.autoCompound; } },
+    txStatus: toast
+  };
+  const context = loadChainScripts(["js/staking.js", "js/wallet.js", "js/pages/staking.js"], addresses, {
+    window: { addEventListener() {} },
+    document: { getElementById: (id) => inputs[id] || null },
+    registerPage() {},
+    setTimeout: () => 0,
+    clearTimeout() {}
+  });
+  context.testSigner = signer;
+  evaluate(context, "walletState.signer = testSigner; walletState.account = testSigner.address; walletState.chainId = 31337");
+  evaluate(context, "loadStakingPage = async () => {}");
+  return { context, toast };
+}
+
+describe("js/staking.js", function () {
+  it("places a stake between the tier thresholds of the contract", async function () {
+    const { addresses } = await loadFixture(stakerFixture);
+    const context = loadChainScripts(["js/staking.js"], addresses);
+    const pool = await evaluate(context, "loadStakingPool()");
+    context.thresholds = pool.tierThresholds;
+    const progress = (stake) => evaluate(context, `getTierProgress(${stake}n, thresholds)`);
+
+    expect(pool.tierThresholds).to.deep.equal([kdao(1_000), kdao(10_000), kdao(50_000), kdao(100_000)]);
+    // Below Bronze the contract reports tier 0, the page shows no tier reached yet
+    expect(await progress(kdao(500))).to.deep.equal({ reached: -1, next: 0, percent: 50, remaining: kdao(500) });
+    expect(await progress(kdao(30_000))).to.deep.equal({ reached: 1, next: 2, percent: 50, remaining: kdao(20_000) });
+    // Diamond is the top tier: nothing left to reach
+    expect(await progress(kdao(150_000))).to.deep.equal({ reached: 3, next: null, percent: 100, remaining: 0n });
+  });
+
+  it("counts staked LP twice towards the tier, like getUserTier", async function () {
+    const { token, staking, alice, addresses } = await loadFixture(stakerFixture);
+    await token.connect(alice).approve(addresses.staking, kdao(40_000));
+    await staking.connect(alice).stakeKDAO(kdao(20_000), false);
+    await staking.connect(alice).stakeLP(kdao(20_000));
+    const context = loadChainScripts(["js/staking.js"], addresses);
+    context.account = alice.address;
+
+    const position = await evaluate(context, "loadStakingPosition(account)");
+    expect(position).to.deep.include({ stakedKDAO: kdao(20_000), stakedLP: kdao(20_000), tier: 2, lockStatus: "Locked" });
+    context.position = position;
+    expect(evaluate(context, "getTierStake(position)")).to.equal(kdao(60_000));
+    expect(await staking.getUserTier(alice.address)).to.equal(2n);
+  });
+});
+
+describe("pages/staking.js", function () {
+  it("computes the emergency fee and the asset unstake() pays out", async function () {
+    const { alice, addresses } = await loadFixture(stakerFixture);
+    const { context } = loadStakingPage(addresses, alice, {});
+
+    expect(context.getEmergencyFee(kdao(1_000), 1000)).to.equal(kdao(100));
+    // Rounded down like the contract
+    expect(context.getEmergencyFee(999n, 1000)).to.equal(99n);
+
+    const position = { stakedKDAO: kdao(300), stakedLP: kdao(40) };
+    expect(context.getUnstakeAsset({ ...position, stakeType: "LP" })).to.deep.equal({ label: "KDAO/USDT LP", staked: kdao(40) });
+    expect(context.getUnstakeAsset({ ...position, stakeType: "COMPOUND" })).to.deep.equal({ label: "KDAO", staked: kdao(300) });
+  });
+
+  it("approves the amount, then stakes it", async function () {
+    const { token, staking, alice, addresses } = await loadFixture(stakerFixture);
+    const form = { amount: "20000", autoCompound: true };
+    const { context, toast } = loadStakingPage(addresses, alice, form);
+    await evaluate(context, "loadStakingPool().then(pool => { stakingPageState.pool = pool; })");
+
+    expect(await evaluate(context, "submitStake()")).to.not.equal(null);
+    expect(toast.className).to.equal("tx-status confirmed");
+    expect(form.amount).to.equal("");
+    const info = await staking.getUserInfo(alice.address);
+    expect([info.stakedKDAO, info.isAutoCompound]).to.deep.equal([kdao(20_000), true]);
+    // Exactly the staked amount was approved and used up
+    expect(await token.allowance(alice.address, addresses.staking)).to.equal(0n);
+
+    // Below the minimum nothing is sent
+    form.amount = "50";
+    expect(await evaluate(context, "submitStake()")).to.equal(null);
+    expect(toast.className).to.equal("tx-status reverted");
+    expect((await staking.getUserInfo(alice.address)).stakedKDAO).to.equal(kdao(20_000));
+  });
+});
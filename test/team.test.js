@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { loadScripts, evaluate } = require("./helpers/browser");
+
+const siteDir = path.join(__dirname, "../kdao-site");
+const HOLDER = "0x1111111111111111111111111111111111111111";
+const OTHER = "0x2222222222222222222222222222222222222222";
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(siteDir, file), "utf8"));
+}
+
+function loadTeamPage() {
+  return loadScripts(["js/utils.js", "js/contracts.js", "js/elections.js", "js/content.js", "js/pages/team.js"], {
+    registerPage() {},
+    getLocale: () => "en",
+    t: (key) => key,
+    formatDateTime: (value) => new Date(value).toISOString().slice(0, 10)
+  });
+}
+
+// Leadership as loadLeadership() returns it: Tech Lead held, everything else vacant
+function chainData() {
+  const leadership = Array.from({ length: 9 }, (_, position) => ({
+    position,
+    holder: position === 1 ? HOLDER : "0x0000000000000000000000000000000000000000",
+    termStart: position === 1 ? Date.UTC(2025, 8, 1) / 1000 : 0,
+    termEnd: position === 1 ? Date.UTC(2026, 1, 28) / 1000 : 0,
+    performance: position === 1 ? 80 : 0,
+    isActive: position === 1
+  }));
+  return {
+    leadership,
+    vacant: [0, 2, 3, 4, 5, 6, 7, 8],
+    scores: { [HOLDER]: 42 },
+    elections: [
+      { id: 3, position: 0, phase: "Nomination" },
+      { id: 2, position: 2, phase: "Voting" }
+    ]
+  };
+}
+
+describe("pages/team.js", function () {
+  it("keeps the team profiles in line with ElectionManager.Position", function () {
+    const source = fs.readFileSync(path.join(siteDir, "contracts/governance/ElectionManager.sol"), "utf8");
+    const positions = source.match(/enum Position \{([\s\S]*?)\}/)[1]
+      .split("\n")
+      .map((line) => line.replace(/\/\/.*$/, "").replace(/,/g, "").trim())
+      .filter(Boolean);
+
+    expect(evaluate(loadTeamPage(), "ELECTION_POSITION_KEYS")).to.deep.equal(positions);
+    expect(readJson("content/schemas/team.schema.json").properties.electionPosition.enum).to.deep.equal(positions);
+    expect(readJson("content/team.json").items.map((item) => item.electionPosition).sort()).to.deep.equal([...positions].sort());
+  });
+
+  it("renders holders, terms and scores from the chain with the matching profile", function () {
+    const context = loadTeamPage();
+    const profiles = readJson("content/team.json").items;
+    Object.assign(profiles.find((item) => item.electionPosition === "TechLead"), {
+      holder: HOLDER,
+      name: "Ada <Lovelace>",
+      bio: { en: "Writes <b>contracts</b>" },
+      socials: { github: "https://github.com/ada", discord: "ada#1" }
+    });
+
+    const items = context.buildTeamPositions(profiles, chainData());
+    expect(items.map((item) => item.position)).to.deep.equal([0, 1, 7, 8, 2, 5, 3, 4, 6]);
+
+    const html = context.renderTeamCard(items[1]);
+    expect(html).to.include("Ada &lt;Lovelace&gt;");
+    expect(html).to.include("Writes &lt;b&gt;contracts&lt;/b&gt;");
+    expect(html).to.include('href="https://github.com/ada"');
+    expect(html).to.include("80%");
+    expect(html).to.include("<strong>42</strong>");
+    expect(html).to.not.include("team.vacant_position");
+  });
+
+  it("hides the profile of a previous holder and links vacancies to open nominations", function () {
+    const context = loadTeamPage();
+    const profiles = readJson("content/team.json").items;
+    Object.assign(profiles.find((item) => item.electionPosition === "TechLead"), { holder: OTHER, name: "Previous Lead" });
+    const items = context.buildTeamPositions(profiles, chainData());
+
+    const held = context.renderTeamCard(items[1]);
+    expect(held).to.not.include("Previous Lead");
+    expect(held).to.include("0x1111...1111");
+
+    const nominating = context.renderTeamCard(items[0]);
+    expect(nominating).to.include('href="#/elections/3"');
+    expect(nominating).to.include("team.nominate_now");
+    const voting = context.renderTeamCard(items.find((item) => item.position === 2));
+    expect(voting).to.include("team.no_open_election");
+  });
+
+  it("shows the profiles alone when the chain can't be read", function () {
+    const context = loadTeamPage();
+    const profiles = readJson("content/team.json").items;
+    const html = context.buildTeamPositions(profiles, null).map(context.renderTeamCard).join("");
+    expect(html).to.include("Project Lead / Coordinator");
+    expect(html).to.not.include("team.vacant_position");
+    expect(html).to.not.include("team-term");
+  });
+});
@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployKDAOFixture, kdao } = require("./helpers/fixtures");
+const { loadChainScripts, evaluate } = require("./helpers/browser");
+
+const DAY = 24 * 60 * 60;
+const Category = { Utility: 0, Token: 1, Education: 2, Marketing: 3, Infrastructure: 4 };
+
+// Project 1 (alice, Utility) is funded with two milestones, the first one released;
+// project 2 (bob, Education) is only proposed. The guardian signer votes as governance
+// and sets the allocations of Q3 2025 and (twice) Q1 2026
+async function treasuryFixture() {
+  const fixture = await deployKDAOFixture();
+  const { token, treasury, deployer, alice, bob, guardian } = fixture;
+  await treasury.grantRole(await treasury.GOVERNANCE_ROLE(), guardian.address);
+  await treasury.grantRole(await treasury.AUDITOR_ROLE(), bob.address);
+  await token.approve(await treasury.getAddress(), ethers.MaxUint256);
+  await treasury.depositToTreasury(kdao(1_000_000));
+
+  const deadline = (await time.latest()) + 30 * DAY;
+  await treasury.connect(alice).proposeProject("Explorer", "Block explorer", alice.address, Category.Utility, kdao(100_000), 1000, deadline + 365 * DAY);
+  await treasury.connect(guardian).approveProject(1);
+  await treasury.addMilestone(1, "Indexer", kdao(40_000), deadline);
+  await treasury.addMilestone(1, "Frontend", kdao(60_000), deadline);
+  await treasury.fundProject(1);
+  await treasury.connect(alice).completeMilestone(1, 0);
+  await treasury.connect(bob).releaseMilestoneFunds(1, 0);
+
+  await treasury.connect(bob).proposeProject("Academy", "Tutorials", bob.address, Category.Education, kdao(50_000), 0, 0);
+
+  await treasury.connect(guardian).setQuarterlyAllocation(2025, 3, kdao(100), kdao(200), kdao(300), kdao(400), kdao(500));
+  await treasury.connect(guardian).setQuarterlyAllocation(2026, 1, kdao(1), 0, 0, 0, 0);
+  await treasury.connect(guardian).setQuarterlyAllocation(2026, 1, kdao(10_000), kdao(20_000), 0, kdao(5_000), kdao(2_500));
+  return fixture;
+}
+
+describe("js/treasury.js", function () {
+  it("reads a project with its milestones and release progress", async function () {
+    const { alice, addresses } = await loadFixture(treasuryFixture);
+    const context = loadChainScripts(["js/treasury.js"], addresses);
+
+    const project = await evaluate(context, "loadProject(1)");
+    expect(project).to.deep.include({
+      id: 1,
+      name: "Explorer",
+      description: "Block explorer",
+      recipient: alice.address,
+      category: "Utility",
+      status: "Active",
+      requestedAmount: kdao(100_000),
+      fundedAmount: kdao(100_000),
+      expectedROI: 1000
+    });
+    expect(project.milestones.map((milestone) => [milestone.id, milestone.description, milestone.amount, milestone.completed, milestone.fundsReleased]))
+      .to.deep.equal([[0, "Indexer", kdao(40_000), true, true], [1, "Frontend", kdao(60_000), false, false]]);
+    expect(project.progress).to.deep.equal({ released: kdao(40_000), total: kdao(100_000), percent: 40, completed: 1, releasedCount: 1 });
+
+    // Not funded yet: the progress is measured against the requested amount
+    const proposed = await evaluate(context, "loadProject(2)");
+    expect(proposed).to.deep.include({ status: "Proposed", category: "Education", fundedAmount: 0n });
+    expect(proposed.progress).to.deep.equal({ released: 0n, total: kdao(50_000), percent: 0, completed: 0, releasedCount: 0 });
+    expect((await evaluate(context, "loadActiveProjects()")).map((item) => item.id)).to.deep.equal([1]);
+  });
+
+  it("measures the milestone progress against the funded amount once there is one", function () {
+    const context = loadChainScripts(["js/treasury.js"], {});
+    const milestone = (amount, fundsReleased) => ({ amount, completed: fundsReleased, fundsReleased });
+    const milestones = [milestone(kdao(30), true), milestone(kdao(10), true), milestone(kdao(40), false)];
+
+    expect(context.getMilestoneProgress({ requestedAmount: kdao(100), fundedAmount: kdao(80), milestones }))
+      .to.deep.equal({ released: kdao(40), total: kdao(80), percent: 50, completed: 2, releasedCount: 2 });
+    expect(context.getMilestoneProgress({ requestedAmount: kdao(100), fundedAmount: 0n, milestones }).percent).to.equal(40);
+    expect(context.getMilestoneProgress({ requestedAmount: 0n, fundedAmount: 0n, milestones: [] }).percent).to.equal(0);
+  });
+
+  it("reads the funded amount per category", async function () {
+    const { addresses } = await loadFixture(treasuryFixture);
+    const context = loadChainScripts(["js/treasury.js"], addresses);
+
+    expect(await evaluate(context, "loadCategoryAllocations()")).to.deep.equal({
+      Utility: kdao(100_000),
+      Token: 0n,
+      Education: 0n,
+      Marketing: 0n,
+      Infrastructure: 0n
+    });
+  });
+
+  it("reads the quarterly allocations and the quarters that have one", async function () {
+    const { addresses } = await loadFixture(treasuryFixture);
+    const context = loadChainScripts(["js/treasury.js"], addresses);
+
+    // Set twice, listed once; newest first
+    expect(await evaluate(context, "loadAllocationQuarters()")).to.deep.equal([{ year: 2026, quarter: 1 }, { year: 2025, quarter: 3 }]);
+    expect(await evaluate(context, "loadQuarterlyAllocation(2026, 1)")).to.deep.equal({
+      year: 2026,
+      quarter: 1,
+      amounts: { Utility: kdao(10_000), Token: kdao(20_000), Education: 0n, Marketing: kdao(5_000), Infrastructure: kdao(2_500) }
+    });
+    // A quarter without allocation reads as quarter 0 from the contract
+    expect(await evaluate(context, "loadQuarterlyAllocation(2026, 2)")).to.equal(null);
+  });
+});
@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { deploy, readConfig } = require("../kdao-site/deploy");
+const { verifyDeployment } = require("../kdao-site/verify-deployment");
+
+const ADDRESSES = {
+  kdaoToken: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+  governance: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
+  staking: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0",
+  treasury: "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9",
+  election: "0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9",
+  lpToken: "0x5FbDB2315678afecb367f032d93F642f64180aa3"
+};
+const DEPLOYER = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+
+const { ethers } = hre;
+
+const ROLES = {
+  KDAOToken: ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE"],
+  KDAOGovernance: ["DEFAULT_ADMIN_ROLE", "EXECUTOR_ROLE"],
+  StakingRewards: ["DEFAULT_ADMIN_ROLE", "REWARDS_MANAGER_ROLE"],
+  TreasuryManager: ["DEFAULT_ADMIN_ROLE", "GOVERNANCE_ROLE"],
+  ElectionManager: ["DEFAULT_ADMIN_ROLE", "GOVERNANCE_ROLE"]
+};
+
+// Getter values as the deploy config expects them
+function liveValues() {
+  const kdao = (amount) => ethers.parseEther(amount);
+  return {
+    KDAOToken: {
+      feeRecipient: ADDRESSES.treasury,
+      maxWalletAmount: kdao("3000000"),
+      isExemptFromLimit: (account) => account === ADDRESSES.governance,
+      transferFee: 0n
+    },
+    KDAOGovernance: { kdaoToken: ADDRESSES.kdaoToken, QUORUM_PERCENTAGE: 30n, MIN_PROPOSAL_THRESHOLD: kdao("100"), VOTING_PERIOD: 604800n },
+    StakingRewards: {
+      kdaoToken: ADDRESSES.kdaoToken,
+      lpToken: ADDRESSES.lpToken,
+      baseAPY: 1500n,
+      lpBonusAPY: 2500n,
+      longTermBonus: 500n,
+      tierThresholds: (index) => [kdao("1000"), kdao("10000"), kdao("50000"), kdao("100000")][index]
+    },
+    TreasuryManager: {
+      kdaoToken: ADDRESSES.kdaoToken,
+      stakingContract: ADDRESSES.staking,
+      governanceContract: ADDRESSES.governance,
+      STAKER_SHARE: 7000n,
+      TREASURY_SHARE: 1000n,
+      RESTAKING_SHARE: 2000n
+    },
+    ElectionManager: {
+      kdaoToken: ADDRESSES.kdaoToken,
+      stakingContract: ADDRESSES.staking,
+      governanceContract: ADDRESSES.governance,
+      QUORUM_PERCENTAGE: 30n
+    }
+  };
+}
+
+// Role grants as "<contract>.<role>" -> holders
+function liveGrants() {
+  return {
+    "KDAOGovernance.EXECUTOR_ROLE": [ADDRESSES.treasury],
+    "TreasuryManager.GOVERNANCE_ROLE": [ADDRESSES.governance],
+    "StakingRewards.REWARDS_MANAGER_ROLE": [ADDRESSES.treasury],
+    "ElectionManager.GOVERNANCE_ROLE": [ADDRESSES.governance]
+  };
+}
+
+// ethers with getContractAt answering from values and grants instead of the chain
+function fakeRuntime(values, grants) {
+  const roleId = (role) => (role === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(role));
+  const getContractAt = async (name) => {
+    const roles = ROLES[name];
+    const contract = {
+      interface: new ethers.Interface([
+        ...roles.map(role => `function ${role}() view returns (bytes32)`),
+        "function hasRole(bytes32,address) view returns (bool)"
+      ]),
+      hasRole: async (id, account) => roles.some(role => roleId(role) === id && (grants[`${name}.${role}`] || []).includes(account))
+    };
+    for (const role of roles) {
+      contract[role] = async () => roleId(role);
+    }
+    for (const [getter, value] of Object.entries(values[name])) {
+      contract[getter] = async (...args) => (typeof value === "function" ? value(...args) : value);
+    }
+    return contract;
+  };
+  return { ethers: Object.create(ethers, { getContractAt: { value: getContractAt } }) };
+}
+
+function run(values = liveValues(), grants = liveGrants()) {
+  return verifyDeployment(fakeRuntime(values, grants), {
+    deployment: { chainId: 31337, deployer: DEPLOYER, contracts: ADDRESSES },
+    config: readConfig("hardhat")
+  });
+}
+
+describe("verify-deployment.js", function () {
+  it("passes a deployment that matches the config", async function () {
+    const rows = await run();
+    expect(rows.filter(row => row.status !== "PASS")).to.deep.equal([]);
+    expect(rows.map(row => row.category)).to.include.members(["role", "wiring", "parameter", "deployer"]);
+
+    const threshold = rows.find(row => row.check === "staking.tierThresholds(2)");
+    expect(threshold).to.include({ expected: "50000.0 KDAO", actual: "50000.0 KDAO" });
+    expect(rows.find(row => row.check === "staking.kdaoToken").actual).to.equal("kdaoToken");
+  });
+
+  it("reports missing roles, wrong wiring and drifted parameters", async function () {
+    const values = liveValues();
+    values.TreasuryManager.STAKER_SHARE = 6000n;
+    values.StakingRewards.lpToken = ADDRESSES.staking;
+    delete values.KDAOToken.transferFee;
+    const grants = liveGrants();
+    grants["KDAOGovernance.EXECUTOR_ROLE"] = [];
+
+    const failed = (await run(values, grants)).filter(row => row.status === "FAIL");
+    expect(failed.map(row => row.check)).to.deep.equal([
+      "governance.EXECUTOR_ROLE",
+      "staking.lpToken",
+      "treasury.STAKER_SHARE",
+      "kdaoToken.transferFee"
+    ]);
+    expect(failed[1]).to.include({ expected: "kdaoToken", actual: "staking" });
+    expect(failed[2]).to.include({ expected: "7000", actual: "6000" });
+  });
+
+  it("flags roles the deployer kept", async function () {
+    const grants = liveGrants();
+    grants["KDAOToken.PAUSER_ROLE"] = [DEPLOYER];
+    grants["KDAOGovernance.DEFAULT_ADMIN_ROLE"] = [DEPLOYER];
+
+    const warnings = (await run(liveValues(), grants)).filter(row => row.status === "WARN");
+    expect(warnings.map(row => row.check)).to.deep.equal(["kdaoToken.PAUSER_ROLE", "governance.DEFAULT_ADMIN_ROLE"]);
+    expect(warnings[0]).to.include({ category: "deployer", actual: "held by deployer" });
+  });
+
+  describe("verify-deployment task", function () {
+    let dir;
+    let consoleLog;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "kdao-verify-"));
+      consoleLog = console.log;
+      console.log = () => {};
+    });
+
+    afterEach(function () {
+      console.log = consoleLog;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("checks a real deployment of deploy-config/hardhat.json", async function () {
+      await deploy(hre, { networkName: "hardhat", deploymentsDir: dir, fresh: true });
+      const file = path.join(dir, "hardhat-latest.json");
+
+      const rows = await hre.run("verify-deployment", { deployment: file });
+      expect(rows.filter(row => row.status === "FAIL")).to.deep.equal([]);
+      expect(rows.find(row => row.check === "kdaoToken.isExemptFromLimit(@governance)")).to.include({ status: "PASS" });
+
+      // The deployer still holds the admin roles, which only --strict fails on
+      expect(rows.some(row => row.status === "WARN")).to.equal(true);
+      await expect(hre.run("verify-deployment", { deployment: file, strict: true })).to.be.rejectedWith(/check\(s\) failed/);
+    });
+
+    it("fails a mainnet deployment whose deployer kept any role", async function () {
+      // The mainnet config with the team multisig, guardian and LP token of the hardhat config
+      const [, guardian] = await ethers.getSigners();
+      const config = readConfig("kasplex");
+      config.accounts.team = "@deployer";
+      config.accounts.guardian = guardian.address;
+      config.contracts.lpToken = { address: "@kdaoToken" };
+      const admins = ["kdaoToken", "governance", "staking", "treasury", "election"].map(key => `${key}.DEFAULT_ADMIN_ROLE`);
+      const handedOver = ["kdaoToken.SNAPSHOT_ROLE", "staking.REWARDS_MANAGER_ROLE", "treasury.TREASURER_ROLE", "election.ELECTION_ADMIN_ROLE"];
+
+      const mainnet = await deploy(hre, { networkName: "hardhat", deploymentsDir: dir, fresh: true, config });
+      const rows = await verifyDeployment(hre, { deployment: mainnet, config });
+      expect(rows.filter(row => row.status !== "PASS")).to.deep.equal([]);
+      expect(rows.filter(row => row.category === "deployer").map(row => row.check))
+        .to.include.members([...admins, ...handedOver, "governance.GUARDIAN_ROLE", "governance.EXECUTOR_ROLE", "kdaoToken.PAUSER_ROLE"]);
+      expect(rows.find(row => row.category === "panel")).to.include({ check: "@guardian", status: "PASS" });
+
+      // Without the handover steps the deployer keeps every constructor role and the guardian has none
+      const withoutHandover = await deploy(hre, { networkName: "hardhat", deploymentsDir: dir, fresh: true });
+      const failed = (await verifyDeployment(hre, { deployment: withoutHandover, config })).filter(row => row.status === "FAIL");
+      expect(failed.filter(row => row.category === "role").map(row => row.check))
+        .to.deep.equal([...admins, "governance.GUARDIAN_ROLE", ...handedOver]);
+      expect(failed.find(row => row.category === "panel")).to.include({ check: "@guardian", actual: "no panel role" });
+      const kept = failed.filter(row => row.category === "deployer");
+      expect(kept.map(row => row.check)).to.include.members([...admins, "governance.GUARDIAN_ROLE", "governance.EXECUTOR_ROLE", "kdaoToken.PAUSER_ROLE"]);
+      expect(kept[0]).to.include({ expected: "revoked", actual: "held by deployer" });
+    });
+
+    it("fails a mainnet deployment whose only panel account is a contract", async function () {
+      const [, guardian] = await ethers.getSigners();
+      const config = readConfig("kasplex");
+      config.accounts.team = "@deployer";
+      config.accounts.guardian = guardian.address;
+      config.contracts.lpToken = { address: "@kdaoToken" };
+      config.verify.panel = ["@governance"];
+
+      const mainnet = await deploy(hre, { networkName: "hardhat", deploymentsDir: dir, fresh: true, config });
+      const failed = (await verifyDeployment(hre, { deployment: mainnet, config })).filter(row => row.status === "FAIL");
+      expect(failed).to.have.length(1);
+      expect(failed[0]).to.include({ category: "panel", check: "@governance", actual: "governance is a contract" });
+    });
+
+    it("stops without a deployment file", async function () {
+      await expect(hre.run("verify-deployment", { deployment: path.join(dir, "missing.json") })).to.be.rejectedWith("No deployment found");
+    });
+  });
+});
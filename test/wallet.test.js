@@ -0,0 +1,75 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployKDAOFixture, fund, kdao } = require("./helpers/fixtures");
+const { loadChainScripts, evaluate } = require("./helpers/browser");
+
+const ProposalType = { Funding: 0, Treasury: 1, Governance: 2, Election: 3 };
+const VOTING_BLOCKS = 7 * 24 * 60 * 60 / 12;
+
+// Alice stakes and opens a proposal for the connected wallet to vote on
+async function proposalFixture() {
+  const fixture = await deployKDAOFixture();
+  const { token, governance, deployer, alice } = fixture;
+  await fund(token, deployer, [alice], kdao(10_000));
+  await token.connect(alice).approve(await governance.getAddress(), ethers.MaxUint256);
+  await governance.connect(alice).stakeTokens(kdao(1_000));
+  await governance.connect(alice).createProposal(ProposalType.Governance, "Raise the APY", "Base APY to 12%", ethers.ZeroAddress, 0n, "0x");
+  await mine(1);
+  return fixture;
+}
+
+// The voting page without its DOM: only the transaction toast exists
+function loadVotingScripts(addresses) {
+  const toast = { style: {} };
+  const context = loadChainScripts(["js/proposals.js", "js/wallet.js", "js/pages/governance.js"], addresses, {
+    window: { addEventListener() {} },
+    document: {
+      getElementById: (id) => (id === "txStatus" ? toast : null),
+      querySelector: () => null,
+      querySelectorAll: () => []
+    },
+    registerPage() {},
+    setTimeout: () => 0,
+    clearTimeout() {}
+  });
+  return { context, toast };
+}
+
+// Connects the wallet module to a Hardhat account on the local chain
+function connectWallet(context, signer) {
+  context.testSigner = signer;
+  evaluate(context, "walletState.signer = testSigner; walletState.account = testSigner.address; walletState.chainId = 31337");
+}
+
+describe("js/wallet.js", function () {
+  it("casts a vote and shows the reason of a reverted second vote", async function () {
+    const { governance, alice, addresses } = await loadFixture(proposalFixture);
+    const { context, toast } = loadVotingScripts(addresses);
+    connectWallet(context, alice);
+
+    const receipt = await evaluate(context, "castVote('KIP-001', 'for')");
+    expect(receipt.status).to.equal(1);
+    expect(toast.className).to.equal("tx-status confirmed");
+    expect((await governance.proposals(1)).forVotes).to.equal(kdao(1_000));
+
+    expect(await evaluate(context, "castVote('KIP-001', 'against')")).to.equal(null);
+    expect(toast.className).to.equal("tx-status reverted");
+    expect(toast.innerHTML).to.include("voting.vote KIP-001: wallet.revert_already_voted");
+
+    const error = await governance.connect(alice).castVote(1, 0).catch((caught) => caught);
+    expect(context.getRevertReason(error)).to.equal("wallet.revert_already_voted");
+  });
+
+  it("shows the reason of a vote after the voting period", async function () {
+    const { governance, alice, addresses } = await loadFixture(proposalFixture);
+    const { context, toast } = loadVotingScripts(addresses);
+    connectWallet(context, alice);
+    await mine(VOTING_BLOCKS);
+
+    expect(await evaluate(context, "castVote('KIP-001', 'for')")).to.equal(null);
+    expect(toast.innerHTML).to.include("voting.vote KIP-001: wallet.revert_voting_not_active");
+    expect(context.getRevertReason(await governance.connect(alice).castVote(1, 1).catch((caught) => caught)))
+      .to.equal("wallet.revert_voting_not_active");
+  });
+});